@@ -0,0 +1,534 @@
+/*!
+ * Class.js
+ * Version 0.3.1
+ *
+ * Copyright(c) 2012 Gregory Jacobs.
+ * MIT Licensed. http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/gregjacobs/Class.js
+ */
+
+// TypeScript declarations for Class.js. See the documentation of src/Class.js for details on each method.
+//
+// The type of a class created by Class.extend() is computed from its superclass and its definition (the `overrides` object):
+// its instances have the members of the superclass's instances, the members of the definition, the members of its mixins,
+// the accessors of its `properties` section, and the configs (and their generated getters/setters) of its `config` section.
+// Its constructor has the `statics` and `inheritedStatics` of the definition, and the `inheritedStatics` of its superclass.
+// Within the methods of the definition, `this` is the instance type.
+
+
+declare namespace Class {
+
+	/**
+	 * Any constructor function (which may be abstract), which may be used as a superclass or a mixin.
+	 */
+	type AnyConstructor = abstract new ( ...args: any[] ) => any;
+
+
+	/**
+	 * An entry of the `mixins` array of a class definition: either a mixin class, or an object which specifies the members of
+	 * the mixin to `exclude`, and/or to `alias` under a different name.
+	 */
+	type MixinEntry = AnyConstructor | { mixin: AnyConstructor; exclude?: string[]; alias?: { [ memberName: string ]: string } };
+
+
+	/**
+	 * An entry of the `properties` section of a class definition.
+	 */
+	interface PropertyDefinition<T = any> {
+		'default'?: T;
+		get?(): T;
+		set?( value: T ): void;
+	}
+
+
+	/**
+	 * The special properties of a class definition, which are not copied to the class's prototype. All other properties of
+	 * the definition become members of the class's prototype.
+	 */
+	interface ClassDefinitionSpecials {
+		statics?: object;
+		inheritedStatics?: object;
+		mixins?: MixinEntry[];
+		'implements'?: Interface | Interface[];
+		properties?: { [ propertyName: string ]: PropertyDefinition };
+		config?: object;
+		className?: string;
+		strictMixins?: boolean;
+		abstractClass?: boolean;
+		autoInitMixins?: boolean;
+		'final'?: boolean;
+		finals?: string[];
+		singleton?: boolean | 'lazy';
+		sealInstances?: boolean;
+		freezeInstances?: boolean;
+		freezePrototype?: boolean;
+		mergeMembers?: boolean | ( string | symbol )[] | MergeMembersOptions;
+		'transient'?: string[];
+	}
+
+
+	/**
+	 * The names of the special properties of a class definition (see {@link ClassDefinitionSpecials}), and 'constructor'.
+	 */
+	type SpecialKeys = 'statics' | 'inheritedStatics' | 'mixins' | 'implements' | 'properties' | 'config' | 'className' | 'strictMixins' | 'final' | 'finals' | 'singleton' |
+		'sealInstances' | 'freezeInstances' | 'freezePrototype' | 'mergeMembers' | 'transient' |
+		'constructor';
+
+
+	/**
+	 * An interface, created by {@link Class.interface}.
+	 */
+	interface Interface {
+		readonly name: string;
+		readonly methods: string[];
+		toString(): string;
+	}
+
+
+	/**
+	 * The handle which is returned by {@link Class.before}, {@link Class.after}, and {@link Class.around}.
+	 */
+	interface AdviceHandle {
+		remove(): void;
+	}
+
+
+	/**
+	 * The options for {@link Class.merge} (provided as its last argument), and {@link Class.mergeWith}.
+	 */
+	interface MergeOptions {
+		arrays?: 'replace' | 'concat' | 'union';
+		strategies?: { [ key: string ]: ( targetValue: any, sourceValue: any, key: string ) => any };
+	}
+
+
+	/**
+	 * The options for {@link Class.applyConfig}.
+	 */
+	interface ApplyConfigOptions {
+		safe?: boolean;
+		declaredOnly?: boolean;
+		strict?: boolean;
+		onReject?( key: string | symbol, reason: 'unsafe' | 'method' | 'undeclared' ): void;
+	}
+
+
+	/**
+	 * The options for {@link Class.revive} and {@link Class.reviver}.
+	 */
+	interface ReviveOptions {
+		construct?: boolean;
+	}
+
+
+	/**
+	 * The options for {@link Class.clone}.
+	 */
+	interface CloneOptions {
+		deep?: boolean;
+		skipHook?: boolean;
+	}
+
+
+	/**
+	 * The options for {@link Class.equals}.
+	 */
+	interface EqualsOptions {
+		exactClass?: boolean;
+		skipHook?: boolean;
+	}
+
+
+	/**
+	 * The object form of the `mergeMembers` property of a class definition.
+	 */
+	interface MergeMembersOptions extends MergeOptions {
+		members?: true | ( string | symbol )[];
+	}
+
+
+	/**
+	 * The options for {@link Class.getSubclasses} and {@link Class.getMixinUsers}.
+	 */
+	interface HierarchyOptions {
+		deep?: boolean;
+	}
+
+
+	/**
+	 * The description of a prototype member of a class, as returned by {@link Class.describe}.
+	 */
+	interface MemberDescription {
+		kind: 'method' | 'accessor' | 'property';
+		source: 'own' | 'superclass' | 'mixin';
+		definedBy: Function;
+		inherited: boolean;
+	}
+
+
+	/**
+	 * The description of a class, as returned by {@link Class.describe}.
+	 */
+	interface ClassDescription {
+		name: string | null;
+		superclasses: Function[];
+		mixins: Function[];
+		inheritedMixins: Function[];
+		interfaces: Interface[];
+		statics: { [ key: string ]: any };
+		inheritedStatics: { [ key: string ]: any };
+		abstractClass: boolean;
+		abstractMethods: string[];
+		abstractStatics: string[];
+		finalClass: boolean;
+		finalMethods: string[];
+		members: { [ name: string ]: MemberDescription };
+	}
+
+
+	/**
+	 * The methods which are added to the instances of classes created by {@link Class.extend}.
+	 */
+	interface InstanceMembers<SuperInstance> {
+		/**
+		 * Calls the method that the currently running method overrides, with an array (or arguments object) of arguments. Only
+		 * valid while the overriding method is running.
+		 */
+		_super( args?: ArrayLike<any> ): any;
+
+		/**
+		 * Alias of `_super()`.
+		 */
+		applySuper( args?: ArrayLike<any> ): any;
+
+		/**
+		 * Calls the method that the currently running method overrides, with individual arguments. Only valid while the
+		 * overriding method is running.
+		 */
+		callSuper( ...args: any[] ): any;
+
+		/**
+		 * Retrieves the superclass's prototype.
+		 */
+		superclass(): SuperInstance;
+
+		/**
+		 * Alias of `superclass()`.
+		 */
+		supr(): SuperInstance;
+
+		/**
+		 * Copies the properties of `obj` to this object.
+		 */
+		override( obj: object ): void;
+
+		hasMixin( mixin: AnyConstructor ): boolean;
+		implementsInterface( iface: Interface ): boolean;
+
+		/**
+		 * Calls the method `methodName` of the mixin class `mixin` in the scope of this object.
+		 */
+		callMixin<M extends AnyConstructor, K extends keyof InstanceType<M>>( mixin: M, methodName: K, args?: ArrayLike<any> ):
+			InstanceType<M>[ K ] extends ( ...args: any[] ) => infer R ? R : any;
+	}
+
+
+	/**
+	 * The static members which are added to classes created by {@link Class.extend}.
+	 */
+	interface StaticMembers<SuperInstance> {
+		readonly superclass: SuperInstance;
+		readonly __super__: SuperInstance;
+
+		/**
+		 * Adds the properties/methods of `overrides` to the class's prototype. See {@link Class.override}.
+		 */
+		override( overrides: object ): void;
+
+		/**
+		 * Creates a subclass of this class. See {@link Class.extend}.
+		 */
+		extend<Self extends AnyConstructor, Def extends object>( this: Self, definition: Def & ClassDefinitionSpecials & ThisType<ClassInstance<Self, Def>> ): ExtendResult<Self, Def>;
+
+		hasMixin( mixin: AnyConstructor ): boolean;
+		implementsInterface( iface: Interface ): boolean;
+		getSuperclasses(): Function[];
+		getSubclasses( options?: HierarchyOptions ): Function[];
+	}
+
+
+	// ----------------------------------------
+
+	// Type utilities for computing the types of classes created by Class.extend()
+
+	type UnionToIntersection<U> = ( U extends any ? ( arg: U ) => void : never ) extends ( arg: infer I ) => void ? I : never;
+
+	// Resolves the type of a property of the definition, or `Default` if the definition doesn't have it
+	type DefProp<Def, K extends string, Default = {}> = K extends keyof Def ? NonNullable<Def[ K ]> : Default;
+
+	// The instance type of a mixin entry
+	type MixinInstance<Entry> =
+		Entry extends { mixin: infer M extends AnyConstructor } ? InstanceType<M> :
+		Entry extends AnyConstructor ? InstanceType<Entry> :
+		{};
+
+	// The members provided by the mixins of a definition
+	type MixinsMembers<Def> =
+		DefProp<Def, 'mixins', never> extends readonly ( infer Entry )[] ? UnionToIntersection<MixinInstance<Entry>> : {};
+
+	// The accessor properties provided by the `properties` section of a definition
+	type PropertiesMembers<Def> = {
+		[ K in keyof DefProp<Def, 'properties'> ]:
+			DefProp<Def, 'properties'>[ K ] extends { get(): infer T } ? T :
+			DefProp<Def, 'properties'>[ K ] extends { 'default': infer T } ? T :
+			DefProp<Def, 'properties'>[ K ] extends { set( value: infer T ): void } ? T :
+			any;
+	};
+
+	// The configs of a definition, and their generated getter/setter methods
+	type ConfigMembers<Def> = DefProp<Def, 'config'> & {
+		[ K in keyof DefProp<Def, 'config'> & string as `get${ Capitalize<K> }` ]: () => DefProp<Def, 'config'>[ K ];
+	} & {
+		[ K in keyof DefProp<Def, 'config'> & string as `set${ Capitalize<K> }` ]: ( value: DefProp<Def, 'config'>[ K ] ) => any;
+	};
+
+	// The members that the definition itself provides to the prototype
+	type OwnMembers<Def> = Omit<Def, SpecialKeys>;
+
+	// The `inheritedStatics` that a class inherits from its superclass
+	type InheritedStaticsOf<Super> = Super extends { __Class_inheritedStatics: infer S } ? S : {};
+
+	// The arguments of the constructor of the class: those of the definition's `constructor`, or otherwise the superclass's
+	type ConstructorArgs<Super extends AnyConstructor, Def> =
+		Def extends { constructor: ( ...args: infer A ) => any } ? ( Function extends Def[ 'constructor' ] ? ConstructorParameters<Super> : A ) :
+		ConstructorParameters<Super>;
+
+
+	/**
+	 * The instance type of a class created by {@link Class.extend} from the superclass `Super`, and the definition `Def`.
+	 */
+	type ClassInstance<Super extends AnyConstructor, Def> =
+		Omit<InstanceType<Super>, keyof OwnMembers<Def>> &
+		OwnMembers<Def> &
+		MixinsMembers<Def> &
+		PropertiesMembers<Def> &
+		ConfigMembers<Def> &
+		InstanceMembers<InstanceType<Super>>;
+
+
+	/**
+	 * The type of a class (constructor function) created by {@link Class.extend} from the superclass `Super`, and the
+	 * definition `Def`.
+	 */
+	type ClassConstructor<Super extends AnyConstructor, Def> =
+		( new ( ...args: ConstructorArgs<Super, Def> ) => ClassInstance<Super, Def> ) &
+		StaticMembers<InstanceType<Super>> &
+		DefProp<Def, 'statics'> &
+		InheritedStaticsOf<Super> & DefProp<Def, 'inheritedStatics'> &
+		{ __Class_inheritedStatics: InheritedStaticsOf<Super> & DefProp<Def, 'inheritedStatics'> };
+
+
+	/**
+	 * The type of a singleton class (see the `singleton` property of a class definition), which has a `getInstance()` method.
+	 */
+	type SingletonConstructor<Super extends AnyConstructor, Def> =
+		ClassConstructor<Super, Def> & { getInstance(): ClassInstance<Super, Def> };
+
+
+	/**
+	 * The type returned by {@link Class.extend} for the superclass `Super` and the definition `Def`: the class, or the instance of
+	 * an eagerly created singleton class.
+	 */
+	type ExtendResult<Super extends AnyConstructor, Def> =
+		Def extends { singleton: true } ? ClassInstance<Super, Def> & { constructor: SingletonConstructor<Super, Def> } :
+		Def extends { singleton: 'lazy' } ? SingletonConstructor<Super, Def> :
+		ClassConstructor<Super, Def>;
+
+
+	// ----------------------------------------
+
+	/**
+	 * The type of the Class function, and its static methods/properties.
+	 */
+	interface ClassStatic {
+		/**
+		 * Creates a new class that extends from Object. Equivalent to `Class.extend( Object, definition )`.
+		 */
+		<Def extends object>( definition: Def & ClassDefinitionSpecials & ThisType<ClassInstance<ObjectConstructor, Def>> ): ExtendResult<ObjectConstructor, Def>;
+		new <Def extends object>( definition: Def & ClassDefinitionSpecials & ThisType<ClassInstance<ObjectConstructor, Def>> ): ExtendResult<ObjectConstructor, Def>;
+
+		/**
+		 * Alias of using the Class function itself. Or, if the first argument is a string, instantiates the named class.
+		 */
+		create<Def extends object>( definition: Def & ClassDefinitionSpecials & ThisType<ClassInstance<ObjectConstructor, Def>> ): ExtendResult<ObjectConstructor, Def>;
+		create( className: string, ...args: any[] ): any;
+
+		/**
+		 * Retrieves a class that was created with a `className` by its name, or null if there is none.
+		 */
+		get( className: string ): AnyConstructor | null;
+
+		/**
+		 * Retrieves the name of a class that was created with a `className`, or null if it doesn't have one.
+		 */
+		getName( jsClass: Function ): string | null;
+
+		/**
+		 * Retrieves all of the classes that were created with a `className`, keyed by their names.
+		 */
+		getAll(): { [ className: string ]: AnyConstructor };
+
+		apply<T, U>( obj: T, config: U, defaults?: object ): T & U;
+		applyIf<T, U>( obj: T, config: U ): T & U;
+
+		/**
+		 * Copies the own properties of `source` (including non-enumerable and symbol-keyed properties) to `target` with their
+		 * property descriptors, so that accessor properties remain accessors. An optional `filter` selects the keys to copy.
+		 */
+		assign<T, U>( target: T, source: U, filter?: ( key: string | symbol, source: U ) => boolean ): T & U;
+
+		/**
+		 * Deep merges the `sources` into `target`, with later sources taking precedence. If the last argument is an object with
+		 * only the `arrays` and/or `strategies` properties (and there is more than one source), it is the {@link MergeOptions}.
+		 */
+		merge<T extends object>( target: T, ...sources: ( object | null | undefined )[] ): T & { [ key: string ]: any };
+
+		/**
+		 * Deep merges the `sources` into `target` like {@link Class.merge}, with the {@link MergeOptions} as the first argument,
+		 * so that the last source is never taken as the options.
+		 */
+		mergeWith<T extends object>( options: MergeOptions, target: T, ...sources: ( object | null | undefined )[] ): T & { [ key: string ]: any };
+
+		/**
+		 * Applies the own properties of `config` (which may come from untrusted input) to `target`. By default, the unsafe keys
+		 * `__proto__`, `constructor`, and `prototype`, and keys which would shadow a method of the target, are skipped.
+		 */
+		applyConfig<T>( target: T, config: object | null | undefined, options?: ApplyConfigOptions ): T;
+
+		/**
+		 * Converts a value which may contain instances of named classes into a JSON compatible form which records their classes,
+		 * and its Dates and shared/cyclic references, so that it may be recreated by {@link Class.revive}.
+		 */
+		serialize( value: any ): any;
+
+		/**
+		 * Equivalent to `JSON.stringify( Class.serialize( value ), null, space )`.
+		 */
+		stringify( value: any, space?: string | number ): string;
+
+		/**
+		 * Recreates a value which was serialized with {@link Class.serialize} or {@link Class.stringify}.
+		 */
+		revive( json: any, options?: ReviveOptions ): any;
+
+		/**
+		 * Creates a reviver function for `JSON.parse()`, which revives the parsed value with {@link Class.revive}.
+		 */
+		reviver( options?: ReviveOptions ): ( this: any, key: string, value: any ) => any;
+
+		/**
+		 * Creates a copy of a value with the same class (prototype), without running its constructor. With the `deep` option, its
+		 * properties are cloned as well. A class may provide its own `clone()` method.
+		 */
+		clone<T>( value: T, options?: CloneOptions ): T;
+
+		/**
+		 * Determines if two values are structurally equal: of the same class, with equal own state. A class may provide its own
+		 * `equals( other )` method.
+		 */
+		equals( a: any, b: any, options?: EqualsOptions ): boolean;
+
+		/**
+		 * Computes a hash code (a 32-bit integer) for a value, which is the same for values that are equal by {@link Class.equals}.
+		 * A class may provide its own `hashCode()` method.
+		 */
+		hash( value: any, options?: { skipHook?: boolean } ): number;
+
+		/**
+		 * Used as the value of an abstract method in a class definition. Throws an error if called. When called with the name of
+		 * the method, creates an abstract method marker which names the method (and the class that declared it) in its errors.
+		 */
+		abstractMethod( methodName: string ): ( ...args: any[] ) => never;
+		abstractMethod( ...args: any[] ): never;
+
+		/**
+		 * Marks a method as one which calls the method that it overrides (with `this._super()`, `this.callSuper()`, or
+		 * `this.applySuper()`), when this cannot be detected from the method's source text.
+		 */
+		superCalling<F extends Function>( fn: F ): F;
+
+		/**
+		 * Marks a method as final, so that it may not be overridden by subclasses, or replaced with {@link Class.override}.
+		 */
+		finalMethod<F extends Function>( fn: F ): F;
+
+		/**
+		 * Set to true to enable extra checks which catch common mistakes.
+		 */
+		debug: boolean;
+
+		/**
+		 * Set to false to opt out of the `instanceof` operator recognizing mixins (in JavaScript implementations which support
+		 * Symbol.hasInstance).
+		 */
+		instanceofMixins: boolean;
+
+		/**
+		 * Used as the value of a config in the `config` section of a class definition to specify that it is required.
+		 */
+		readonly requiredConfig: any;
+
+		/**
+		 * Creates an interface. Note: `interface` is a reserved word, so this must be accessed as `Class[ 'interface' ]`.
+		 */
+		'interface'( config: { name: string; methods: string[] } ): Interface;
+
+		/**
+		 * Creates a subclass of `superclass` from the `definition`. If `superclass` is omitted, the new class extends Object.
+		 */
+		extend<Super extends AnyConstructor, Def extends object>(
+			superclass: Super,
+			definition: Def & ClassDefinitionSpecials & ThisType<ClassInstance<Super, Def>>
+		): ExtendResult<Super, Def>;
+		extend<Def extends object>( definition: Def & ClassDefinitionSpecials & ThisType<ClassInstance<ObjectConstructor, Def>> ): ExtendResult<ObjectConstructor, Def>;
+
+		/**
+		 * Adds the properties/methods of `overrides` to the prototype of an existing class.
+		 */
+		override<C extends AnyConstructor>( jsClass: C, overrides: Partial<InstanceType<C>> & ThisType<InstanceType<C>> & { [ name: string ]: any } ): void;
+
+		before<C extends AnyConstructor, K extends keyof InstanceType<C>>(
+			jsClass: C, methodName: K, fn: ( this: InstanceType<C>, ...args: any[] ) => void
+		): AdviceHandle;
+		after<C extends AnyConstructor, K extends keyof InstanceType<C>>(
+			jsClass: C, methodName: K, fn: ( this: InstanceType<C>, returnVal: any, args: any[] ) => void
+		): AdviceHandle;
+		around<C extends AnyConstructor, K extends keyof InstanceType<C>>(
+			jsClass: C, methodName: K, fn: ( this: InstanceType<C>, proceed: ( args?: ArrayLike<any> ) => any, args: any[] ) => any
+		): AdviceHandle;
+
+		/**
+		 * Retrieves a function which calls the superclass's method `methodName` in the scope of `obj`, with individual arguments.
+		 */
+		superOf<T extends object, K extends keyof T>( obj: T, methodName: K, fromClass?: AnyConstructor ):
+			T[ K ] extends ( ...args: infer A ) => infer R ? ( ...args: A ) => R : ( ...args: any[] ) => any;
+
+		isInstanceOf<C extends AnyConstructor>( obj: any, jsClass: C ): obj is InstanceType<C>;
+		isInstanceOf( obj: any, iface: Interface ): boolean;
+		isSubclassOf( subclass: Function, superclass: Function ): boolean;
+		hasMixin( classToTest: Function, mixinClass: Function ): boolean;
+		implementsInterface( classToTest: Function, iface: Interface ): boolean;
+		describe( jsClass: Function ): ClassDescription;
+		validate( jsClass: Function ): void;
+		getSuperclasses( jsClass: Function ): Function[];
+		getSubclasses( jsClass: Function, options?: HierarchyOptions ): Function[];
+		getMixinUsers( mixinClass: Function, options?: HierarchyOptions ): Function[];
+	}
+}
+
+
+declare const Class: Class.ClassStatic;
+
+export = Class;
+export as namespace Class;
@@ -18,7 +18,8 @@
  * - A static method which is placed on classes that are created, which can be used to determine if the *class* is a subclass of 
  *   another (unlike the `instanceof` operator, which checks if an *instance* is a subclass of a given class).
  * - An `instanceOf()` method, which should be used instead of the JavaScript `instanceof` operator, to determine if the instance 
- *   is an instance of a provided class, superclass, or mixin (the JavaScript `instanceof` operator only covers the first two).
+ *   is an instance of a provided class, superclass, or mixin (the JavaScript `instanceof` operator only covers the first two, 
+ *   unless the JavaScript implementation supports `Symbol.hasInstance`, see {@link #instanceofMixins}).
  * - The ability to add static methods while creating/extending a class, right inside the definition using special properties `statics`
  *   and `inheritedStatics`. The former only applies properties to the class being created, while the latter applies properties to the
  *   class being created, and all subclasses which extend it. (Note that the keyword for this had to be `statics`, and not `static`, as 
@@ -74,39 +75,2413 @@
  *     dog2.eat();  // "Bolt is eating"
  *     cat.eat();   // "Leonardo Di Fishy is eating"
  */
-/*global window */
+/*global window, define, module */
 /*jslint forin:true */
-var Class = (function() {
+(function( root, factory ) {
+	// Export Class as an AMD module or a CommonJS module if one of those module systems is present, or otherwise as a global variable
+	if( typeof define === 'function' && define.amd ) {
+		define( [], factory );
+	} else if( typeof module === 'object' && module.exports ) {
+		module.exports = factory();
+	} else {
+		root.Class = factory();
+	}
+	
+}( this, function() {
+	
+	// Utility functions / variables	
+	
+	/**
+	 * Determines if a value is an object.
+	 * 
+	 * @private
+	 * @static
+	 * @method isObject
+	 * @param {Mixed} value
+	 * @return {Boolean} True if the value is an object, false otherwise.
+	 */
+	function isObject( value ) {
+		return !!value && Object.prototype.toString.call( value ) === '[object Object]';  
+	}
+	
+	
+	/**
+	 * Determines if a value is an array.
+	 * 
+	 * @private
+	 * @static
+	 * @method isArray
+	 * @param {Mixed} value
+	 * @return {Boolean} True if the value is an array, false otherwise.
+	 */
+	function isArray( value ) {
+		return Object.prototype.toString.call( value ) === '[object Array]';
+	}
+	
+	
+	/**
+	 * Determines if a value is a "plain" object, which is an object created by an object literal (or with `new Object()` or 
+	 * `Object.create( null )`), as opposed to an instance of a class.
+	 * 
+	 * @private
+	 * @static
+	 * @method isPlainObject
+	 * @param {Mixed} value
+	 * @return {Boolean} True if the value is a plain object, false otherwise.
+	 */
+	function isPlainObject( value ) {
+		if( !isObject( value ) ) {
+			return false;
+		}
+		if( Object.getPrototypeOf ) {
+			var proto = Object.getPrototypeOf( value );
+			return proto === Object.prototype || proto === null;
+		}
+		return value.constructor === Object;
+	}
+	
+	
+	// For dealing with IE's toString() problem
+	var isIE = false;
+	if( typeof window !== 'undefined' ) {
+		var uA = window.navigator.userAgent.toLowerCase();
+		isIE = /msie/.test( uA ) && !( /opera/.test( uA ) );
+	}
+	
+	
+	// A variable, which is incremented, for assigning unique ID's to classes (constructor functions), allowing 
+	// for caching through lookups on hashmaps
+	var classIdCounter = 0;
+	
+	
+	// The registry of named classes (i.e. classes created with a `className`), keyed by their names. Used by Class.get().
+	var classRegistry = {};
+	
+	// A reference to the global object, for creating the namespace objects of named classes
+	var globalObj = (function() { return this; } )();
+	
+	// Determines if the JavaScript implementation supports Reflect.construct(), which is used to create instances of native ES2015 
+	// classes (as their constructors cannot be called without `new`)
+	var supportsReflect = typeof Reflect !== 'undefined' && typeof Reflect.construct === 'function';
+	
+	// A flag which is set while Class.revive() instantiates a class defined with `sealInstances` or `freezeInstances`, so that 
+	// the new instance is not sealed or frozen by its constructor until its state has been restored. See createUnlockedInstance().
+	var deferInstanceLock = false;
+	
+	// Determines if the JavaScript implementation supports Symbol.hasInstance, which is used to have the `instanceof` operator 
+	// recognize mixins
+	var supportsHasInstance = typeof Symbol === 'function' && typeof Symbol.hasInstance === 'symbol';
+	
+	// Determines if the JavaScript implementation supports WeakMap and WeakRef, which are used so that the subclass and mixin user
+	// registries (below) do not keep classes from being garbage collected
+	var supportsWeakRefs = typeof WeakMap === 'function' && typeof WeakRef === 'function';
+	
+	// Determines if the JavaScript implementation supports Map, which is used to look up the objects that have already been 
+	// visited while serializing or cloning a value (see createObjectIndex())
+	var supportsMap = typeof Map === 'function';
+	
+	// The registry of the direct subclasses of each class, and the registry of the classes which use each mixin. Used by 
+	// Class.getSubclasses() and Class.getMixinUsers(). See createRegistry().
+	var subclassRegistry = createRegistry(),
+	    mixinUserRegistry = createRegistry();
+	
+	
+	/**
+	 * Creates a new instance of a class (constructor function) with an array of arguments (as `new` cannot be used 
+	 * with Function.prototype.apply()).
+	 * 
+	 * @private
+	 * @static
+	 * @method construct
+	 * @param {Function} jsClass
+	 * @param {Array} args
+	 * @return {Object} The new instance.
+	 */
+	function construct( jsClass, args ) {
+		if( supportsReflect ) {
+			return Reflect.construct( jsClass, args );  // also works for native ES2015 classes, which cannot be called without `new`
+		}
+		
+		var F = function() {};
+		F.prototype = jsClass.prototype;
+		
+		var instance = new F(),
+		    returnVal = jsClass.apply( instance, args );
+		
+		// If the constructor returned an object, that object is the result of the `new` expression
+		return ( returnVal !== null && ( typeof returnVal === 'object' || typeof returnVal === 'function' ) ) ? returnVal : instance;
+	}
+	
+	
+	/**
+	 * Creates a new instance of a named class with {@link Class#create} (with no arguments), without sealing or freezing it if the
+	 * class is defined with `sealInstances` or `freezeInstances`, so that {@link Class#revive} may restore its state first. The 
+	 * instance must then be locked with {@link #lockInstance}.
+	 * 
+	 * @private
+	 * @static
+	 * @method createUnlockedInstance
+	 * @param {String} className
+	 * @return {Object} The new instance.
+	 */
+	function createUnlockedInstance( className ) {
+		deferInstanceLock = true;  // read (and reset) by the constructor of the class, as soon as it is called
+		try {
+			return Class.create( className );
+		} finally {
+			deferInstanceLock = false;
+		}
+	}
+	
+	
+	/**
+	 * Creates the namespace objects for a dot-delimited class name (ex: 'app.model' for 'app.model.User') off of the global 
+	 * object, and assigns the class to its name.
+	 * 
+	 * @private
+	 * @static
+	 * @method assignToNamespace
+	 * @param {String} className
+	 * @param {Function} jsClass
+	 */
+	function assignToNamespace( className, jsClass ) {
+		var parts = className.split( '.' ),
+		    ns = globalObj;
+		
+		for( var i = 0, len = parts.length - 1; i < len; i++ ) {
+			ns = ns[ parts[ i ] ] || ( ns[ parts[ i ] ] = {} );
+		}
+		ns[ parts[ parts.length - 1 ] ] = jsClass;
+	}
+	
+	
+	/**
+	 * @private
+	 * @class Class.Interface
+	 *
+	 * The type of the objects returned by {@link Class#interface Class.interface()}. This is used internally to tell
+	 * interfaces apart from classes (constructor functions), such as in {@link Class#isInstanceOf}.
+	 *
+	 * @constructor
+	 * @param {String} name The name of the interface.
+	 * @param {String[]} methods The names of the methods that a class must implement to satisfy the interface.
+	 */
+	var Interface = function( name, methods ) {
+		this.name = name;
+		this.methods = methods;
+	};
+	Interface.prototype.toString = function() {
+		return "Interface '" + this.name + "'";
+	};
+	
+	
+	/**
+	 * Capitalizes the first letter of a string.
+	 * 
+	 * @private
+	 * @static
+	 * @method capitalize
+	 * @param {String} str
+	 * @return {String}
+	 */
+	function capitalize( str ) {
+		return str.charAt( 0 ).toUpperCase() + str.substring( 1 );
+	}
+	
+	
+	/**
+	 * Retrieves all of the interfaces that a class implements. This includes the interfaces declared by the class itself
+	 * (in its `implements` array), and those declared by its superclasses and mixins.
+	 * 
+	 * @private
+	 * @static
+	 * @method getInterfaces
+	 * @param {Function} jsClass
+	 * @return {Class.Interface[]} The interfaces, with no duplicates.
+	 */
+	function getInterfaces( jsClass ) {
+		var interfaces = [],
+		    classes = [ jsClass ];  // a queue of the classes that remain to be checked
+		
+		while( classes.length ) {
+			var currentClass = classes.shift(),
+			    ownInterfaces = currentClass.interfaces,
+			    mixins = currentClass.mixins,
+			    superclass = getSuperclassPrototype( currentClass ),
+			    i, len;
+			
+			if( ownInterfaces ) {
+				for( i = 0, len = ownInterfaces.length; i < len; i++ ) {
+					if( !arrayContains( interfaces, ownInterfaces[ i ] ) ) {
+						interfaces.push( ownInterfaces[ i ] );
+					}
+				}
+			}
+			if( mixins ) {
+				classes.push.apply( classes, mixins );
+			}
+			if( superclass && superclass.constructor && superclass.constructor !== Object ) {
+				classes.push( superclass.constructor );
+			}
+		}
+		return interfaces;
+	}
+	
+	
+	/**
+	 * Retrieves the index of a value in an array, or -1 if the array does not contain it (as Array.prototype.indexOf() is not 
+	 * available in older browsers).
+	 * 
+	 * @private
+	 * @static
+	 * @method arrayIndexOf
+	 * @param {Array} arr
+	 * @param {Mixed} value
+	 * @return {Number}
+	 */
+	function arrayIndexOf( arr, value ) {
+		for( var i = 0, len = arr.length; i < len; i++ ) {
+			if( arr[ i ] === value ) {
+				return i;
+			}
+		}
+		return -1;
+	}
+	
+	
+	/**
+	 * Determines if an array contains a given value.
+	 * 
+	 * @private
+	 * @static
+	 * @method arrayContains
+	 * @param {Array} arr
+	 * @param {Mixed} value
+	 * @return {Boolean}
+	 */
+	function arrayContains( arr, value ) {
+		return arrayIndexOf( arr, value ) !== -1;
+	}
+	
+	
+	// Determines if ES5 property accessors (getters/setters) can be defined with Object.defineProperty(). IE8 has an 
+	// Object.defineProperty() method, but it only works on DOM objects, so we test it on a plain object here.
+	var supportsAccessors = (function() {
+		try {
+			var obj = {};
+			Object.defineProperty( obj, 'x', { get : function() { return 1; } } );
+			return obj.x === 1;
+		} catch( e ) {
+			return false;
+		}
+	} )();
+	
+	
+	/**
+	 * Retrieves the property descriptor of an accessor (getter/setter) property `prop` on `obj`, or on one of the objects
+	 * in its prototype chain.
+	 * 
+	 * @private
+	 * @static
+	 * @method findAccessor
+	 * @param {Object} obj
+	 * @param {String} prop
+	 * @return {Object} The property descriptor, or null if there is no accessor property with the name `prop` (or
+	 *   if the JavaScript implementation doesn't support accessors).
+	 */
+	function findAccessor( obj, prop ) {
+		if( supportsAccessors ) {
+			for( ; obj; obj = Object.getPrototypeOf( obj ) ) {
+				var descriptor = Object.getOwnPropertyDescriptor( obj, prop );
+				if( descriptor ) {
+					return ( descriptor.get || descriptor.set ) ? descriptor : null;
+				}
+			}
+		}
+		return null;
+	}
+	
+	
+	/**
+	 * Copies the property `prop` from `source` to `target`. Unlike a simple assignment, this copies accessor (getter/setter)
+	 * properties as accessors (instead of reading the getter's current value), and does not invoke a setter that `target`
+	 * may have inherited for the property.
+	 * 
+	 * @private
+	 * @static
+	 * @method copyProperty
+	 * @param {Object} target
+	 * @param {Object} source
+	 * @param {String} prop
+	 * @param {String} [targetProp] The name of the property to create on the `target`, if different from `prop`.
+	 */
+	function copyProperty( target, source, prop, targetProp ) {
+		var descriptor = findAccessor( source, prop );
+		targetProp = targetProp || prop;
+		
+		if( descriptor ) {
+			Object.defineProperty( target, targetProp, { get: descriptor.get, set: descriptor.set, enumerable: true, configurable: true } );
+		} else {
+			setProperty( target, targetProp, source[ prop ] );
+		}
+	}
+	
+	
+	/**
+	 * Determines if the property `prop` of `obj` (or of one of the objects in its prototype chain) is a read-only data property, 
+	 * such as a property of a frozen prototype (see `freezePrototype` in {@link Class#extend}). Assigning to a read-only property 
+	 * fails, even when the assignment would create a new property on `obj` which shadows an inherited one.
+	 * 
+	 * @private
+	 * @static
+	 * @method isReadOnly
+	 * @param {Object} obj
+	 * @param {String} prop
+	 * @return {Boolean}
+	 */
+	function isReadOnly( obj, prop ) {
+		if( supportsAccessors ) {
+			for( ; obj; obj = Object.getPrototypeOf( obj ) ) {
+				var descriptor = Object.getOwnPropertyDescriptor( obj, prop );
+				if( descriptor ) {
+					return descriptor.writable === false;
+				}
+			}
+		}
+		return false;
+	}
+	
+	
+	/**
+	 * Sets the value of the property `prop` on `target`. If `target` has (or inherits) an accessor property with the name, it 
+	 * is replaced with a plain property on `target`, instead of invoking its setter. This is also the case for an inherited
+	 * read-only property (ex: one from a frozen prototype), which would otherwise prevent the assignment.
+	 * 
+	 * @private
+	 * @static
+	 * @method setProperty
+	 * @param {Object} target
+	 * @param {String} prop
+	 * @param {Mixed} value
+	 */
+	function setProperty( target, prop, value ) {
+		if( findAccessor( target, prop ) || isReadOnly( target, prop ) ) {
+			Object.defineProperty( target, prop, { value: value, writable: true, enumerable: true, configurable: true } );
+		} else {
+			target[ prop ] = value;
+		}
+	}
+	
+	
+	/**
+	 * Retrieves the keys of the own properties of an object, including those which are not enumerable, and those which are 
+	 * symbols (where the JavaScript implementation supports them). In older JavaScript implementations, this is the names of 
+	 * the object's own enumerable properties.
+	 * 
+	 * @private
+	 * @static
+	 * @method getOwnKeys
+	 * @param {Object} obj
+	 * @return {Array} The property names (strings) and symbols.
+	 */
+	function getOwnKeys( obj ) {
+		if( !Object.getOwnPropertyNames ) {
+			var keys = [];
+			for( var key in obj ) {
+				if( obj.hasOwnProperty( key ) ) {
+					keys.push( key );
+				}
+			}
+			return keys;
+		}
+		
+		var names = Object.getOwnPropertyNames( obj );
+		return Object.getOwnPropertySymbols ? names.concat( Object.getOwnPropertySymbols( obj ) ) : names;
+	}
+	
+	
+	/**
+	 * Merges two arrays for {@link Class#merge}, according to the `arrays` option: 'replace' returns a copy of the `source`
+	 * array, 'concat' returns the elements of `target` followed by the elements of `source`, and 'union' returns the elements
+	 * of `target` followed by the elements of `source` which are not already in `target`. Plain objects and arrays which are 
+	 * elements of `source` are copied.
+	 * 
+	 * @private
+	 * @static
+	 * @method mergeArrays
+	 * @param {Array} target
+	 * @param {Array} source
+	 * @param {Object} options The options for the merge. See {@link Class#merge}.
+	 * @param {Object} [merging] The sources which are currently being merged, and their merged copies. See {@link #mergeObjects}.
+	 * @return {Array} The new array.
+	 */
+	function mergeArrays( target, source, options, merging ) {
+		var arrays = options.arrays || 'replace',
+		    result = ( arrays === 'replace' ) ? [] : target.slice( 0 );
+		
+		merging = merging || { sources: [], copies: [] };
+		merging.sources.push( source );
+		merging.copies.push( result );
+		
+		for( var i = 0, len = source.length; i < len; i++ ) {
+			var value = source[ i ];
+			if( arrays !== 'union' || !arrayContains( result, value ) ) {
+				result.push( ( isArray( value ) || isPlainObject( value ) ) ? mergeNestedValue( [], value, options, merging ) : value );
+			}
+		}
+		
+		merging.sources.pop();
+		merging.copies.pop();
+		return result;
+	}
+	
+	
+	/**
+	 * Merges a nested array or plain object (`value`) of a source for {@link #mergeObjects} and {@link #mergeArrays}, with 
+	 * `targetValue`. If `value` is one of the sources which are currently being merged (i.e. there is a cycle), the merged copy of
+	 * that source is used instead, so that the result has the same cycle.
+	 * 
+	 * @private
+	 * @static
+	 * @method mergeNestedValue
+	 * @param {Mixed} targetValue
+	 * @param {Array/Object} value
+	 * @param {Object} options The options for the merge. See {@link Class#merge}.
+	 * @param {Object} merging The sources which are currently being merged, and their merged copies. See {@link #mergeObjects}.
+	 * @return {Array/Object}
+	 */
+	function mergeNestedValue( targetValue, value, options, merging ) {
+		var index = arrayIndexOf( merging.sources, value );
+		if( index !== -1 ) {
+			return merging.copies[ index ];
+		}
+		
+		if( isArray( value ) ) {
+			return mergeArrays( isArray( targetValue ) ? targetValue : [], value, options, merging );
+		}
+		return mergeObjects( isPlainObject( targetValue ) ? Class.assign( {}, targetValue ) : {}, [ value ], options, merging );
+	}
+	
+	
+	/**
+	 * Implementation of {@link Class#merge}, which deep merges the `sources` into the `target` with the given `options`.
+	 * Nested plain objects and arrays of the `target` are not modified, but are replaced by merged copies.
+	 * 
+	 * @private
+	 * @static
+	 * @method mergeObjects
+	 * @param {Object} target
+	 * @param {Object[]} sources
+	 * @param {Object} options The options for the merge. See {@link Class#merge}.
+	 * @param {Object} [merging] An object with the `sources` (plain objects and arrays) which are currently being merged (i.e. the
+	 *   source being merged, and those that it is nested in), and the parallel array of their merged `copies`. This is used to 
+	 *   handle cycles in the sources.
+	 * @return {Object} The `target` object.
+	 */
+	function mergeObjects( target, sources, options, merging ) {
+		var strategies = options.strategies || {};
+		merging = merging || { sources: [], copies: [] };
+		
+		for( var i = 0, numSources = sources.length; i < numSources; i++ ) {
+			var source = sources[ i ],
+			    keys = source ? getOwnKeys( source ) : [];
+			
+			merging.sources.push( source );
+			merging.copies.push( target );
+			
+			for( var j = 0, numKeys = keys.length; j < numKeys; j++ ) {
+				var key = keys[ j ];
+				if( key === '__proto__' || !Object.prototype.propertyIsEnumerable.call( source, key ) ) {
+					continue;  // an own `__proto__` property (ex: from JSON.parse()) must not be able to replace the target's prototype
+				}
+				
+				var value = source[ key ],
+				    targetValue = target[ key ];
+				
+				if( Object.prototype.hasOwnProperty.call( strategies, key ) ) {
+					target[ key ] = strategies[ key ]( targetValue, value, key );
+				} else if( isArray( value ) || isPlainObject( value ) ) {
+					target[ key ] = mergeNestedValue( targetValue, value, options, merging );
+				} else if( value !== undefined ) {
+					target[ key ] = value;
+				}
+			}
+			
+			merging.sources.pop();
+			merging.copies.pop();
+		}
+		return target;
+	}
+	
+	
+	/**
+	 * Determines if a property is declared by a class, by checking if it exists on the class's prototype (`proto`), or one of its
+	 * superclass prototypes. The properties of Object.prototype are not considered to be declared (unless a class overrides them).
+	 * 
+	 * @private
+	 * @static
+	 * @method isDeclaredMember
+	 * @param {Object} proto The prototype of the class.
+	 * @param {String/Symbol} key
+	 * @return {Boolean}
+	 */
+	function isDeclaredMember( proto, key ) {
+		for( ; proto && proto !== Object.prototype; proto = Object.getPrototypeOf ? Object.getPrototypeOf( proto ) : null ) {
+			if( Object.prototype.hasOwnProperty.call( proto, key ) ) {
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	
+	/**
+	 * Determines if the last argument provided to {@link Class#merge} is its options object, which is an object with only the
+	 * `arrays` and/or `strategies` properties, where `arrays` is one of the array merging modes, and `strategies` is an object.
+	 * 
+	 * @private
+	 * @static
+	 * @method isMergeOptions
+	 * @param {Mixed} value
+	 * @return {Boolean}
+	 */
+	function isMergeOptions( value ) {
+		if( !isPlainObject( value ) ) {
+			return false;
+		}
+		
+		var keys = getOwnKeys( value );
+		for( var i = 0, len = keys.length; i < len; i++ ) {
+			if( keys[ i ] === 'arrays' ) {
+				if( !arrayContains( [ 'replace', 'concat', 'union' ], value.arrays ) ) { return false; }
+			} else if( keys[ i ] === 'strategies' ) {
+				if( !isObject( value.strategies ) ) { return false; }
+			} else {
+				return false;
+			}
+		}
+		return len > 0;
+	}
+	
+	
+	/**
+	 * Deep merges the values of the `mergeMembers` of a class definition (see {@link Class#extend}) with the values that the
+	 * superclass has for them. A member is merged if both its value and the superclass's value are plain objects or arrays,
+	 * or if a merge strategy is provided for it (and the superclass has a value). The merged values replace the values in
+	 * the `values` object.
+	 * 
+	 * @private
+	 * @static
+	 * @method mergeSuperclassValues
+	 * @param {Object} values The values of the new class. This is either the class definition itself (the prototype members),
+	 *   or its `inheritedStatics` or `config` section.
+	 * @param {Object} superclassValues The corresponding values of the superclass (its prototype, inherited statics, or config).
+	 * @param {Object} mergeMembers The normalized `mergeMembers` option, with the `members` to merge (either `true` for all 
+	 *   members, or an array of the member names), and the `arrays` and `strategies` options for {@link Class#merge}.
+	 * @return {Object} The `values` object.
+	 */
+	function mergeSuperclassValues( values, superclassValues, mergeMembers ) {
+		var keys = getOwnKeys( values ),
+		    strategies = mergeMembers.strategies || {};
+		
+		for( var i = 0, len = keys.length; i < len; i++ ) {
+			var key = keys[ i ];
+			if( 
+			    ( mergeMembers.members === true || arrayContains( mergeMembers.members, key ) ) && 
+			    !findAccessor( values, key ) && !findAccessor( superclassValues, key ) &&
+			    key in superclassValues &&
+			    ( Object.prototype.hasOwnProperty.call( strategies, key ) || 
+			      ( isArray( values[ key ] ) || isPlainObject( values[ key ] ) ) && ( isArray( superclassValues[ key ] ) || isPlainObject( superclassValues[ key ] ) ) )
+			) {
+				var target = {},
+				    source = {};
+				
+				target[ key ] = superclassValues[ key ];
+				source[ key ] = values[ key ];
+				values[ key ] = mergeObjects( target, [ source ], mergeMembers )[ key ];
+			}
+		}
+		return values;
+	}
+	
+	
+	/**
+	 * Retrieves the prototype of the superclass of a class. This is the class's `__super__` property for classes created with 
+	 * {@link Class#extend}, or otherwise the object that the class's prototype inherits from (in ES5 implementations).
+	 * 
+	 * @private
+	 * @static
+	 * @method getSuperclassPrototype
+	 * @param {Function} jsClass
+	 * @return {Object} The superclass's prototype, or null if there is none.
+	 */
+	function getSuperclassPrototype( jsClass ) {
+		if( jsClass.hasOwnProperty( '__super__' ) ) {
+			return jsClass.__super__;
+		}
+		return ( Object.getPrototypeOf && Object.getPrototypeOf( jsClass.prototype ) ) || null;
+	}
+	
+	
+	// A regex to see if the _super(), callSuper(), or applySuper() methods are called within a function, for JS implementations that 
+	// allow a function's text to be converted to a string. Note, need to keep the "xyz" as a string, so minifiers don't re-write it. 
+	var superclassMethodCallRegex = /xyz/.test( function(){ var a = "xyz"; } ) ? /\b(?:_super|callSuper|applySuper)\b/ : /.*/;
+	
+	
+	/**
+	 * Determines if a method calls the method that it overrides (with `this._super()`, `this.callSuper()`, or `this.applySuper()`), 
+	 * either because it was marked with {@link Class#superCalling}, or because one of those calls was found in its source text.
+	 * 
+	 * @private
+	 * @static
+	 * @method callsSuper
+	 * @param {Function} fn
+	 * @return {Boolean}
+	 */
+	function callsSuper( fn ) {
+		return fn.__Class_superCalling === true || superclassMethodCallRegex.test( fn );
+	}
+	
+	
+	/**
+	 * Checks the arguments provided to `_super()` or `applySuper()` in debug mode (see {@link Class#debug}), which should be a 
+	 * single array (or arguments object) of arguments. A common mistake is to provide the arguments individually, which would 
+	 * otherwise silently drop them.
+	 * 
+	 * @private
+	 * @static
+	 * @method checkSuperArgs
+	 * @param {Arguments} superArgs The arguments that `_super()` or `applySuper()` was called with.
+	 */
+	function checkSuperArgs( superArgs ) {
+		var args = superArgs[ 0 ];
+		
+		if( superArgs.length > 1 || ( args !== undefined && !( args && typeof args === 'object' && typeof args.length === 'number' ) ) ) {
+			throw new Error( "this._super() and this.applySuper() accept a single array (or arguments object) of arguments. " +
+			                 "Use this.callSuper() to provide the arguments individually." );
+		}
+	}
+	
+	
+	/**
+	 * Wraps a method so that it can call the method that it overrides, by adding the `_super()`, `applySuper()`, and `callSuper()` 
+	 * methods to the object for the duration of the call.
+	 * 
+	 * @private
+	 * @static
+	 * @method createSuperCallingMethod
+	 * @param {Function} fn The method to wrap.
+	 * @param {Function} callOverriddenMethod A function which calls the overridden method. It is called with the object (the 
+	 *   `this` reference) and the array (or arguments object) of arguments to call the method with, and returns its return value.
+	 * @return {Function} The wrapped method.
+	 */
+	function createSuperCallingMethod( fn, callOverriddenMethod ) {
+		return function() {
+			var tmpSuper = this._super,  // store any current _super references, so we can "pop them off the stack" when the method returns
+			    tmpCallSuper = this.callSuper,
+			    tmpApplySuper = this.applySuper,
+			    scope = this;
+			
+			// Add the new _super() and applySuper() methods (which accept an array of arguments), and the callSuper() 
+			// method (which accepts individual arguments), which point to the overridden method
+			this._super = this.applySuper = function( args ) {
+				if( Class.debug ) {
+					checkSuperArgs( arguments );
+				}
+				return callOverriddenMethod( scope, args );
+			};
+			this.callSuper = function() {
+				return callOverriddenMethod( scope, arguments );
+			};
+			
+			// Now call the target method
+			try {
+				return fn.apply( this, arguments );
+				
+			} finally {
+				// And finally, restore the old references, as we leave the stack context (even if the method threw an error)
+				this._super = tmpSuper;
+				this.callSuper = tmpCallSuper;
+				this.applySuper = tmpApplySuper;
+			}
+		};
+	}
+	
+	
+	/**
+	 * Retrieves the advice information for a method which has been advised with {@link Class#before}, {@link Class#after}, or 
+	 * {@link Class#around}. 
+	 * 
+	 * @private
+	 * @static
+	 * @method getAdvice
+	 * @param {Object} proto The prototype of the class.
+	 * @param {String} methodName
+	 * @return {Object} The advice information (an object with properties `original` and `advice`), or null if the class's 
+	 *   method has not been advised.
+	 */
+	function getAdvice( proto, methodName ) {
+		var method = ( proto.hasOwnProperty( methodName ) && !findAccessor( proto, methodName ) ) ? proto[ methodName ] : null;
+		return ( method && method.__Class_advice ) || null;
+	}
+	
+	
+	/**
+	 * Adds advice to a method of a class, for {@link Class#before}, {@link Class#after}, and {@link Class#around}. The first time 
+	 * that a method of a class is advised, it is replaced on the class's prototype with a method that runs the advice.
+	 * 
+	 * @private
+	 * @static
+	 * @method addAdvice
+	 * @param {Function} jsClass
+	 * @param {String} methodName
+	 * @param {String} type The type of advice: 'before', 'after', or 'around'.
+	 * @param {Function} fn The advice function.
+	 * @return {Object} A handle with a `remove()` method, which removes the advice.
+	 */
+	function addAdvice( jsClass, methodName, type, fn ) {
+		var proto = jsClass.prototype;
+		if( findAccessor( proto, methodName ) || typeof proto[ methodName ] !== 'function' ) {
+			throw new Error( "Cannot add " + type + " advice to '" + methodName + "', as it is not a method of the class" );
+		}
+		checkFinalMethods( jsClass, [ methodName ], Class.getName( jsClass ) );  // advice would replace a final method, the same as overriding it
+		if( isFrozenPrototype( jsClass ) ) {
+			throw new Error( "Cannot add " + type + " advice to '" + methodName + "', as the class's prototype is frozen" );
+		}
+		
+		var adviceInfo = getAdvice( proto, methodName );
+		if( !adviceInfo ) {
+			adviceInfo = {
+				original : proto.hasOwnProperty( methodName ) ? proto[ methodName ] : null,  // null for an inherited method, which is looked up when called
+				advice : []
+			};
+			
+			var advisedMethod = function() {
+				var scope = this,
+				    superProto = getSuperclassPrototype( jsClass ),
+				    advice = adviceInfo.advice.slice( 0 );  // copy, in case advice is removed while running
+				
+				// Calls the advice at index `i`, which calls the advice added before it, until the original method is reached
+				var invoke = function( i, args ) {
+					if( i < 0 ) {
+						return ( adviceInfo.original || superProto[ methodName ] ).apply( scope, args );
+					}
+					
+					var adviceFn = advice[ i ].fn, returnVal;
+					switch( advice[ i ].type ) {
+						case 'before' :
+							adviceFn.apply( scope, args );
+							return invoke( i - 1, args );
+						
+						case 'after' :
+							returnVal = invoke( i - 1, args );
+							adviceFn.call( scope, returnVal, args );
+							return returnVal;
+						
+						case 'around' :
+							return adviceFn.call( scope, function( newArgs ) { return invoke( i - 1, newArgs || args ); }, args );
+					}
+				};
+				return invoke( advice.length - 1, Array.prototype.slice.call( arguments ) );
+			};
+			advisedMethod.__Class_advice = adviceInfo;
+			setProperty( proto, methodName, advisedMethod );  // note: the method may be inherited from a frozen prototype
+		}
+		
+		var entry = { type: type, fn: fn };
+		adviceInfo.advice.push( entry );
+		
+		return {
+			remove : function() {
+				var advice = adviceInfo.advice;
+				for( var i = 0, len = advice.length; i < len; i++ ) {
+					if( advice[ i ] === entry ) {
+						advice.splice( i, 1 );
+						break;
+					}
+				}
+				
+				// If all of the advice has been removed, restore the method (or remove it, if it was inherited)
+				if( advice.length === 0 && proto[ methodName ] && proto[ methodName ].__Class_advice === adviceInfo ) {
+					if( adviceInfo.original ) {
+						setProperty( proto, methodName, adviceInfo.original );
+					} else {
+						delete proto[ methodName ];
+					}
+				}
+			}
+		};
+	}
+	
+	
+	/**
+	 * Wraps a method which is being added to an existing class by {@link Class#override}, if it calls `this._super()` (or 
+	 * `this.callSuper()` / `this.applySuper()`), so that it calls the method that it replaces. If the class does not have its own
+	 * method with the name (i.e. it inherits the method), the superclass's method is called instead.
+	 * 
+	 * @private
+	 * @static
+	 * @method createOverridingMethod
+	 * @param {Function} jsClass
+	 * @param {String} methodName
+	 * @param {Function} fn The method being added to the class.
+	 * @return {Function} The wrapped method, or `fn` itself if it does not need to be wrapped.
+	 */
+	function createOverridingMethod( jsClass, methodName, fn ) {
+		var proto = jsClass.prototype;
+		if( fn.hasOwnProperty( '__Class' ) || findAccessor( proto, methodName ) || !callsSuper( fn ) ) {
+			return fn;
+		}
+		
+		// If the method has advice, the method being replaced is the one that the advice applies to
+		var advice = getAdvice( proto, methodName ),
+		    inherited = advice ? !advice.original : !proto.hasOwnProperty( methodName ),
+		    replacedMethod = advice ? advice.original : proto[ methodName ],
+		    superProto = getSuperclassPrototype( jsClass );
+		
+		if( typeof ( inherited ? ( superProto && superProto[ methodName ] ) : replacedMethod ) !== 'function' ) {
+			return fn;  // there is no method to call
+		}
+		
+		return createSuperCallingMethod( fn, function( scope, args ) {
+			return ( inherited ? superProto[ methodName ] : replacedMethod ).apply( scope, args || [] );  // an inherited method is looked up when called
+		} );
+	}
+	
+	
+	/**
+	 * Records the current state of members of a class's prototype (including the methods that any advice on them applies to), so
+	 * that they may be restored if {@link Class#override} rejects the overrides after applying them.
+	 * 
+	 * @private
+	 * @static
+	 * @method saveMembers
+	 * @param {Object} proto The prototype of the class.
+	 * @param {String[]} props The names of the members.
+	 * @return {Function} A function which restores the members to their recorded state.
+	 */
+	function saveMembers( proto, props ) {
+		var saved = [];
+		for( var i = 0, len = props.length; i < len; i++ ) {
+			var prop = props[ i ],
+			    advice = getAdvice( proto, prop ),
+			    own = proto.hasOwnProperty( prop );
+			
+			saved.push( {
+				prop       : prop,
+				own        : own,
+				descriptor : ( own && supportsAccessors ) ? Object.getOwnPropertyDescriptor( proto, prop ) : null,
+				value      : ( own && !supportsAccessors ) ? proto[ prop ] : undefined,
+				advice     : advice,
+				original   : advice && advice.original
+			} );
+		}
+		
+		return function() {
+			for( var i = saved.length - 1; i >= 0; i-- ) {  // in reverse, in case a member was recorded more than once
+				var member = saved[ i ];
+				
+				if( member.descriptor ) {
+					Object.defineProperty( proto, member.prop, member.descriptor );
+				} else if( member.own ) {
+					proto[ member.prop ] = member.value;
+				} else {
+					delete proto[ member.prop ];
+				}
+				if( member.advice ) {
+					member.advice.original = member.original;
+				}
+			}
+		};
+	}
+	
+	
+	/**
+	 * Adds the properties/methods of `overrides` to the prototype of a class, for {@link Class#override} and {@link Class#extend}.
+	 * 
+	 * @private
+	 * @static
+	 * @method applyOverrides
+	 * @param {Function} jsClass
+	 * @param {Object} overrides
+	 * @param {Boolean} wrapSuperCalls True to wrap methods which call `this._super()` so that they call the method that they 
+	 *   replace (see {@link #createOverridingMethod}). This is false for {@link Class#extend}, which wraps the methods of a new 
+	 *   class itself.
+	 */
+	function applyOverrides( jsClass, overrides, wrapSuperCalls ) {
+		var proto = jsClass.prototype,
+		    props = getOwnKeys( overrides );  // includes symbol-keyed members, ex: Symbol.iterator
+		
+		for( var i = 0, len = props.length; i < len; i++ ) {
+			var prop = props[ i ],
+			    isMethod = !findAccessor( overrides, prop ) && typeof overrides[ prop ] === 'function',
+			    method = ( isMethod && wrapSuperCalls ) ? createOverridingMethod( jsClass, prop, overrides[ prop ] ) : null,
+			    advice = getAdvice( proto, prop );
+			
+			if( advice && isMethod ) {
+				advice.original = method || overrides[ prop ];  // keep the advice, and replace the method that it advises
+			} else if( method ) {
+				setProperty( proto, prop, method );
+			} else {
+				copyProperty( proto, overrides, prop );
+			}
+		}
+		if( isIE && overrides.hasOwnProperty( 'toString' ) ) {
+			proto.toString = wrapSuperCalls ? createOverridingMethod( jsClass, 'toString', overrides.toString ) : overrides.toString;
+		}
+	}
+	
+	
+	/**
+	 * Determines if a function is a native ES2015 class (i.e. one created with the `class` syntax), which cannot be called without
+	 * the `new` operator.
+	 * 
+	 * @private
+	 * @static
+	 * @method isNativeClass
+	 * @param {Function} fn
+	 * @return {Boolean}
+	 */
+	function isNativeClass( fn ) {
+		return supportsReflect && typeof fn === 'function' && /^class\b/.test( Function.prototype.toString.call( fn ) );
+	}
+	
+	
+	/**
+	 * Determines if a function is the constructor of a built-in class (ex: Map, Set, Promise, Date), other than Object and the 
+	 * Error classes. The instances of these require internal state which can only be given to them when they are created by
+	 * their own constructor, and so they cannot be the superclass of a class created with {@link Class#extend}.
+	 * 
+	 * @private
+	 * @static
+	 * @method isBuiltInClass
+	 * @param {Function} fn
+	 * @return {Boolean}
+	 */
+	function isBuiltInClass( fn ) {
+		return typeof fn === 'function' && fn !== Object && !!fn.prototype && fn !== Error && !( fn.prototype instanceof Error ) && 
+		       /\{\s*\[native code\]\s*\}\s*$/.test( Function.prototype.toString.call( fn ) );
+	}
+	
+	
+	/**
+	 * Calls the constructor of a class to initialize an existing object, for calling a superclass's constructor or a mixin's 
+	 * constructor. The constructor of a native ES2015 class cannot be called like this, so for one of those, a new instance is 
+	 * created with `Reflect.construct()` (using the object's class as `new.target`), and its own properties are copied to the 
+	 * object. Note that this means that the object does not get any private fields (ex: `#count`) or internal state (ex: that
+	 * of a built-in class such as Map) of the native class.
+	 * 
+	 * @private
+	 * @static
+	 * @method callConstructor
+	 * @param {Function} jsClass The class whose constructor to call.
+	 * @param {Object} instance The object to initialize.
+	 * @param {Array/Arguments} [args] The arguments to call the constructor with.
+	 * @return {Mixed} The return value of the constructor (for a class that is not a native ES2015 class).
+	 */
+	function callConstructor( jsClass, instance, args ) {
+		if( !isNativeClass( jsClass ) ) {
+			return jsClass.apply( instance, args || [] );
+		}
+		
+		var nativeInstance = Reflect.construct( jsClass, args || [], instance.constructor ),
+		    props = Object.getOwnPropertyNames( nativeInstance ).concat( Object.getOwnPropertySymbols( nativeInstance ) );
+		
+		for( var i = 0, len = props.length; i < len; i++ ) {
+			Object.defineProperty( instance, props[ i ], Object.getOwnPropertyDescriptor( nativeInstance, props[ i ] ) );
+		}
+	}
+	
+	
+	/**
+	 * Retrieves the nearest class in the inheritance chain of `jsClass` (starting with `jsClass` itself) which was created with 
+	 * {@link Class#extend}. This is used to find the Class.js class of a native ES2015 subclass, i.e. `class X extends MyClass {}`.
+	 * 
+	 * @private
+	 * @static
+	 * @method getNearestClass
+	 * @param {Function} jsClass
+	 * @return {Function} The class, or null if none of the classes in the inheritance chain were created with {@link Class#extend}.
+	 */
+	function getNearestClass( jsClass ) {
+		for( var proto = jsClass.prototype; proto; proto = Object.getPrototypeOf ? Object.getPrototypeOf( proto ) : null ) {
+			if( proto.constructor && proto.constructor.hasOwnProperty( '__Class' ) ) {
+				return proto.constructor;
+			}
+		}
+		return null;
+	}
+	
+	
+	/**
+	 * Initializes a native ES2015 subclass of a class created with {@link Class#extend} (i.e. `class X extends MyClass {}`), as there
+	 * is no way to do so when the `class` syntax is evaluated. This is done when the native subclass (or a subclass of it) is first 
+	 * instantiated or extended. It is checked for extending a final class or overriding a final method, added to the registry of its 
+	 * superclass's subclasses (see {@link Class#getSubclasses}), and its `onClassExtended` static method is run, if any. Any native classes between it and the Class.js class are initialized first.
+	 * 
+	 * @private
+	 * @static
+	 * @method initNativeSubclass
+	 * @param {Function} nativeClass
+	 */
+	function initNativeSubclass( nativeClass ) {
+		if( !nativeClass.hasOwnProperty( '__Class_nativeSubclassInit' ) ) {
+			var superclass = getSuperclassPrototype( nativeClass ).constructor;
+			if( !superclass.hasOwnProperty( '__Class' ) ) {
+				initNativeSubclass( superclass );
+			}
+			
+			// Check that the native class does not extend a final class, or override a final method. This is done before it is
+			// marked as initialized, so that the error is thrown each time that it is instantiated or extended.
+			if( superclass.hasOwnProperty( '__Class_final' ) ) {
+				throw finalClassError( superclass );
+			}
+			checkFinalMethods( superclass, Object.getOwnPropertyNames( nativeClass.prototype ), nativeClass.name || null );
+			
+			nativeClass.__Class_nativeSubclassInit = true;
+			addToRegistry( subclassRegistry, superclass, nativeClass );
+			
+			// Native subclasses inherit all of the static properties of their superclass, but only an onClassExtended() method which
+			// is one of the `inheritedStatics` (or which the native class defines itself) is run for subclasses
+			var onClassExtended = nativeClass.onClassExtended,
+			    inheritedStatics = nativeClass.__Class_inheritedStatics;
+			
+			if( typeof onClassExtended === 'function' && 
+			    ( nativeClass.hasOwnProperty( 'onClassExtended' ) || ( inheritedStatics && inheritedStatics.onClassExtended === onClassExtended ) ) 
+			) {
+				nativeClass.onClassExtended( nativeClass );
+			}
+		}
+	}
+	
+	
+	/**
+	 * Retrieves the names of the members of a prototype object (including those that it inherits). The methods of native ES2015 
+	 * classes are not enumerable, so the own properties of any prototypes of native classes in the prototype chain are included 
+	 * as well.
+	 * 
+	 * @private
+	 * @static
+	 * @method getMemberNames
+	 * @param {Object} proto
+	 * @return {String[]}
+	 */
+	function getMemberNames( proto ) {
+		var names = [], name;
+		for( name in proto ) {
+			names.push( name );
+		}
+		
+		for( ; proto && supportsReflect; proto = Object.getPrototypeOf( proto ) ) {
+			if( proto.hasOwnProperty( 'constructor' ) && isNativeClass( proto.constructor ) ) {
+				var ownNames = Object.getOwnPropertyNames( proto );
+				
+				for( var i = 0, len = ownNames.length; i < len; i++ ) {
+					if( ownNames[ i ] !== 'constructor' && !arrayContains( names, ownNames[ i ] ) ) {
+						names.push( ownNames[ i ] );
+					}
+				}
+			}
+		}
+		return names;
+	}
+	
+	
+	/**
+	 * Retrieves the class that one of the static methods that {@link Class#extend} attaches to a class (ex: `MyClass.extend()`) was
+	 * called on. This is the class itself, unless the method was called on a native ES2015 subclass that inherits it 
+	 * (i.e. `class X extends MyClass {}`, which inherits all of the static properties of `MyClass`).
+	 * 
+	 * @private
+	 * @static
+	 * @method getCalledClass
+	 * @param {Mixed} scope The `this` reference of the static method.
+	 * @param {Function} jsClass The class that the static method was attached to.
+	 * @return {Function}
+	 */
+	function getCalledClass( scope, jsClass ) {
+		return ( typeof scope === 'function' && scope !== jsClass && jsClass.prototype.isPrototypeOf( scope.prototype ) ) ? scope : jsClass;
+	}
+	
+	
+	/**
+	 * The Symbol.hasInstance method which is installed on classes by {@link #installHasInstance}, which is called by the 
+	 * `instanceof` operator (with the class as the `this` reference). In addition to the operator's standard behavior, this 
+	 * returns true if the object's class has the class as a mixin.
+	 * 
+	 * @private
+	 * @static
+	 * @method hasInstance
+	 * @param {Mixed} obj The left-hand side of the `instanceof` expression.
+	 * @return {Boolean}
+	 */
+	function hasInstance( obj ) {
+		if( Function.prototype[ Symbol.hasInstance ].call( this, obj ) ) {
+			return true;
+		}
+		return Class.instanceofMixins && 
+		       obj !== null && ( typeof obj === 'object' || typeof obj === 'function' ) && 
+		       typeof obj.constructor === 'function' && chainHasMixin( obj.constructor, this );
+	}
+	
+	
+	/**
+	 * Determines if a class, or one of its superclasses, has the given mixin. Unlike {@link Class#hasMixin}, this does not
+	 * modify any of the classes (it doesn't cache its result on them), as it is called by the `instanceof` operator (see
+	 * {@link #hasInstance}) with the class of any object, which may not have been created with Class.js.
+	 * 
+	 * @private
+	 * @static
+	 * @method chainHasMixin
+	 * @param {Function} jsClass
+	 * @param {Function} mixinClass
+	 * @return {Boolean} True if the class or one of its superclasses has the mixin. This is false if the class's `prototype`
+	 *   is not an object (ex: a bound function).
+	 */
+	function chainHasMixin( jsClass, mixinClass ) {
+		var proto = jsClass.prototype;
+		if( !proto || typeof proto !== 'object' ) {
+			return false;
+		}
+		
+		// Walk the prototype chain (instead of the classes' `__super__` properties), as it may not be a chain of Class.js classes
+		for( ; proto && proto !== Object.prototype; proto = Object.getPrototypeOf( proto ) ) {
+			var protoClass = Object.prototype.hasOwnProperty.call( proto, 'constructor' ) && proto.constructor;
+			
+			if( typeof protoClass === 'function' && Object.prototype.hasOwnProperty.call( protoClass, 'mixins' ) && 
+			    isArray( protoClass.mixins ) && arrayContains( protoClass.mixins, mixinClass ) 
+			) {
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	
+	/**
+	 * Installs the Symbol.hasInstance method (see {@link #hasInstance}) on a class, so that the `instanceof` operator recognizes the 
+	 * class when it is used as a mixin. This is done for classes created with {@link Class#extend}, and for classes used as mixins.
+	 * It is not done if the JavaScript implementation doesn't support Symbol.hasInstance, if {@link Class#instanceofMixins} is 
+	 * false, or if the class already has (or inherits) its own Symbol.hasInstance method.
+	 * 
+	 * @private
+	 * @static
+	 * @method installHasInstance
+	 * @param {Function} jsClass
+	 */
+	function installHasInstance( jsClass ) {
+		if( supportsHasInstance && Class.instanceofMixins && jsClass[ Symbol.hasInstance ] === Function.prototype[ Symbol.hasInstance ] ) {
+			Object.defineProperty( jsClass, Symbol.hasInstance, { value: hasInstance, configurable: true } );
+		}
+	}
+	
+	
+	/**
+	 * Creates an abstract method marker for {@link Class#abstractMethod}, which throws an error naming the method (and the class 
+	 * that declared it) if it is called. The declaring class is recorded when the marker is given in a class definition (see 
+	 * {@link #setAbstractMethodsClass}).
+	 * 
+	 * @private
+	 * @static
+	 * @method createAbstractMethod
+	 * @param {String} methodName
+	 * @return {Function}
+	 */
+	function createAbstractMethod( methodName ) {
+		var abstractMethod = function() {
+			var declaringClassName = abstractMethod.__Class_declaringClass && Class.getName( abstractMethod.__Class_declaringClass );
+			throw new Error( "Abstract method '" + methodName + "'" + ( declaringClassName ? " of class '" + declaringClassName + "'" : "" ) + " must be implemented in subclass" );
+		};
+		abstractMethod.__Class_abstractMethod = methodName;
+		abstractMethod.__Class_declaringClass = null;
+		
+		return abstractMethod;
+	}
+	
+	
+	/**
+	 * Determines if a value is an abstract method: either {@link Class#abstractMethod} itself, or a marker created by calling it 
+	 * with a method name.
+	 * 
+	 * @private
+	 * @static
+	 * @method isAbstractMethod
+	 * @param {Mixed} value
+	 * @return {Boolean}
+	 */
+	function isAbstractMethod( value ) {
+		return value === Class.abstractMethod || ( typeof value === 'function' && value.hasOwnProperty( '__Class_abstractMethod' ) );
+	}
+	
+	
+	/**
+	 * Records `jsClass` as the class which declared each of the abstract method markers (created by {@link Class#abstractMethod})
+	 * in `members`, unless another class has already declared it.
+	 * 
+	 * @private
+	 * @static
+	 * @method setAbstractMethodsClass
+	 * @param {Function} jsClass
+	 * @param {Object} members The prototype members or static members of a class definition.
+	 * @return {Function[]} The abstract method markers which were recorded as declared by `jsClass`.
+	 */
+	function setAbstractMethodsClass( jsClass, members ) {
+		var declared = [];
+		for( var name in members ) {
+			if( members.hasOwnProperty( name ) && !findAccessor( members, name ) ) {  // accessors are skipped, as we don't want to invoke their getters
+				var member = members[ name ];
+				
+				if( isAbstractMethod( member ) && member !== Class.abstractMethod && !member.__Class_declaringClass ) {
+					member.__Class_declaringClass = jsClass;
+					declared.push( member );
+				}
+			}
+		}
+		return declared;
+	}
+	
+	
+	/**
+	 * Determines if a class is abstract (i.e. its definition has `abstractClass: true`).
+	 * 
+	 * @private
+	 * @static
+	 * @method isAbstractClass
+	 * @param {Function} jsClass
+	 * @return {Boolean}
+	 */
+	function isAbstractClass( jsClass ) {
+		var proto = jsClass.prototype;
+		return proto.hasOwnProperty( 'abstractClass' ) && proto.abstractClass === true;
+	}
+	
+	
+	/**
+	 * Checks that a concrete (i.e. non-abstract) class does not have any abstract methods or abstract static methods (see 
+	 * {@link Class#abstractMethod}), and that it has all of the methods of each interface that it implements (whether that is 
+	 * declared by the class itself, one of its superclasses, or one of its mixins). Throws an error if not.
+	 * 
+	 * @private
+	 * @static
+	 * @method checkConcreteClass
+	 * @param {Function} jsClass
+	 * @param {Boolean} creating True if the class is being created by {@link Class#extend}, or false if it is being checked
+	 *   afterwards (see {@link Class#validate}). This determines the error messages.
+	 */
+	function checkConcreteClass( jsClass, creating ) {
+		var proto = jsClass.prototype,
+		    superProto = getSuperclassPrototype( jsClass ),
+		    superclass = superProto && superProto.constructor,
+		    className = Class.getName( jsClass ),
+		    names = getMemberNames( proto ),
+		    name, i, len;
+		
+		// Creates the error for an abstract method (or abstract static method) `fn` with the name `name`
+		var abstractMethodError = function( kind, name, fn, inherited ) {
+			var declaringClassName = fn.__Class_declaringClass && Class.getName( fn.__Class_declaringClass ),
+			    declaredBy = declaringClassName ? " (declared by '" + declaringClassName + "')" : "";
+			
+			if( !creating ) {
+				return new Error( ( className ? "Class '" + className + "'" : "The class" ) + " has " + kind + " '" + name + "'" + declaredBy + ", but is not declared with 'abstractClass: true'" );
+			} else if( inherited ) {
+				return new Error( "The concrete subclass being created must implement " + kind + ": '" + name + "'" + declaredBy + ", or be declared abstract as well (using 'abstractClass: true')" );
+			} else {
+				return new Error( "The class being created has " + kind + " '" + name + "', but is not declared with 'abstractClass: true'" );
+			}
+		};
+		
+		for( i = 0, len = names.length; i < len; i++ ) {
+			name = names[ i ];
+			
+			if( !findAccessor( proto, name ) && isAbstractMethod( proto[ name ] ) ) {  // accessors are skipped, as we don't want to invoke their getters
+				throw abstractMethodError( "abstract method", name, proto[ name ], !proto.hasOwnProperty( name ) );
+			}
+		}
+		
+		for( name in jsClass ) {
+			if( isAbstractMethod( jsClass[ name ] ) ) {
+				throw abstractMethodError( "abstract static method", name, jsClass[ name ], !!superclass && superclass[ name ] === jsClass[ name ] );
+			}
+		}
+		
+		var interfaces = getInterfaces( jsClass );
+		for( i = 0, len = interfaces.length; i < len; i++ ) {
+			var methods = interfaces[ i ].methods;
+			
+			for( var j = 0, numMethods = methods.length; j < numMethods; j++ ) {
+				if( typeof proto[ methods[ j ] ] !== 'function' ) {
+					if( creating ) {
+						throw new Error( "The concrete class being created must implement method '" + methods[ j ] + "' of interface '" + interfaces[ i ].name + "', or be declared abstract (using 'abstractClass: true')" );
+					} else {
+						throw new Error( ( className ? "Class '" + className + "'" : "The class" ) + " does not implement method '" + methods[ j ] + "' of interface '" + interfaces[ i ].name + "', but is not declared with 'abstractClass: true'" );
+					}
+				}
+			}
+		}
+	}
+	
+	
+	/**
+	 * Determines if the prototype of a class is frozen (see `freezePrototype` in {@link Class#extend}).
+	 * 
+	 * @private
+	 * @static
+	 * @method isFrozenPrototype
+	 * @param {Function} jsClass
+	 * @return {Boolean}
+	 */
+	function isFrozenPrototype( jsClass ) {
+		return !!Object.isFrozen && Object.isFrozen( jsClass.prototype );
+	}
+	
+	
+	/**
+	 * Seals or freezes a new instance of a class which is defined with `sealInstances` or `freezeInstances` (see {@link Class#extend}).
+	 * The instance's `_super`, `callSuper`, and `applySuper` properties, which are set while one of its methods that calls its 
+	 * overridden method is running (see {@link #createSuperCallingMethod}), are first replaced with accessor properties which store 
+	 * their values elsewhere, so that they may still be set. Nothing is done if the JavaScript implementation doesn't support
+	 * sealing and freezing objects.
+	 * 
+	 * When sealing, the instance is first given its own copy of each of the `backingProps` that it doesn't yet have (with the 
+	 * value that it inherits, such as a `default` from the prototype), and of each (non-method) data property that it inherits 
+	 * from its prototype chain (ex: `count : 0` in the class definition), as these could not be added to a sealed object later.
+	 * 
+	 * @private
+	 * @static
+	 * @method lockInstance
+	 * @param {Object} instance
+	 * @param {String} lock Either 'seal' or 'freeze'.
+	 * @param {String[]} [backingProps] The names of the "backing" properties of the class's `properties` (see {@link Class#extend}).
+	 */
+	function lockInstance( instance, lock, backingProps ) {
+		if( !supportsAccessors || !Object.freeze ) {
+			return;
+		}
+		
+		if( lock === 'seal' ) {
+			for( var j = 0, len = ( backingProps || [] ).length; j < len; j++ ) {
+				if( !instance.hasOwnProperty( backingProps[ j ] ) ) {
+					setProperty( instance, backingProps[ j ], instance[ backingProps[ j ] ] );
+				}
+			}
+			for( var prop in instance ) {
+				if( !instance.hasOwnProperty( prop ) && prop !== 'abstractClass' && !findAccessor( instance, prop ) && typeof instance[ prop ] !== 'function' ) {
+					setProperty( instance, prop, instance[ prop ] );
+				}
+			}
+		}
+		
+		var superProps = [ '_super', 'callSuper', 'applySuper' ],
+		    values = {};
+		
+		var defineSuperProp = function( prop ) {
+			values[ prop ] = instance[ prop ];
+			Object.defineProperty( instance, prop, {
+				get : function() { return values[ prop ]; },
+				set : function( value ) { values[ prop ] = value; },
+				enumerable : false,
+				configurable : false
+			} );
+		};
+		for( var i = 0; i < superProps.length; i++ ) {
+			defineSuperProp( superProps[ i ] );
+		}
+		
+		if( lock === 'freeze' ) {
+			Object.freeze( instance );
+		} else {
+			Object.seal( instance );
+		}
+	}
+	
+	
+	/**
+	 * Creates the error for extending a final class (i.e. one defined with `final: true`).
+	 * 
+	 * @private
+	 * @static
+	 * @method finalClassError
+	 * @param {Function} finalClass
+	 * @return {Error}
+	 */
+	function finalClassError( finalClass ) {
+		var className = Class.getName( finalClass );
+		return new Error( "Cannot extend final class" + ( className ? " '" + className + "'" : "" ) );
+	}
+	
+	
+	/**
+	 * Finds the class which declared a method as final (see {@link Class#finalMethod}), which is either `jsClass` itself, or one of 
+	 * its superclasses.
+	 * 
+	 * @private
+	 * @static
+	 * @method findFinalMethodClass
+	 * @param {Function} jsClass
+	 * @param {String} methodName
+	 * @return {Function} The class which declared the method as final, or null if the method is not final.
+	 */
+	function findFinalMethodClass( jsClass, methodName ) {
+		var classes = [ jsClass ].concat( Class.getSuperclasses( jsClass ) );
+		
+		for( var i = 0, len = classes.length; i < len; i++ ) {
+			if( classes[ i ].hasOwnProperty( '__Class_finalMethods' ) && arrayContains( classes[ i ].__Class_finalMethods, methodName ) ) {
+				return classes[ i ];
+			}
+		}
+		return null;
+	}
+	
+	
+	/**
+	 * Checks that none of the members named `names` are final methods of `jsClass` (see {@link Class#finalMethod}), throwing an 
+	 * error if one is.
+	 * 
+	 * @private
+	 * @static
+	 * @method checkFinalMethods
+	 * @param {Function} jsClass The class whose final methods may not be overridden.
+	 * @param {String[]} names The names of the members that are being defined.
+	 * @param {String} overridingClassName The name of the class that is defining the members, for the error message. May be null.
+	 */
+	function checkFinalMethods( jsClass, names, overridingClassName ) {
+		for( var i = 0, len = names.length; i < len; i++ ) {
+			var declaringClass = findFinalMethodClass( jsClass, names[ i ] );
+			
+			if( declaringClass ) {
+				var declaringClassName = Class.getName( declaringClass );
+				throw new Error( "Cannot override final method '" + names[ i ] + "'" + 
+				                 ( declaringClassName ? " of class '" + declaringClassName + "'" : "" ) + 
+				                 ( overridingClassName && overridingClassName !== declaringClassName ? " in class '" + overridingClassName + "'" : "" ) );
+			}
+		}
+	}
+	
+	
+	/**
+	 * Retrieves the names of the methods in `members` which are marked with {@link Class#finalMethod}.
+	 * 
+	 * @private
+	 * @static
+	 * @method getFinalMethodNames
+	 * @param {Object} members The prototype members of a class definition, or overrides.
+	 * @return {String[]}
+	 */
+	function getFinalMethodNames( members ) {
+		var names = [];
+		
+		for( var name in members ) {
+			if( members.hasOwnProperty( name ) && !findAccessor( members, name ) ) {  // accessors are skipped, as we don't want to invoke their getters
+				if( typeof members[ name ] === 'function' && members[ name ].hasOwnProperty( '__Class_finalMethod' ) ) {
+					names.push( name );
+				}
+			}
+		}
+		return names;
+	}
+	
+	
+	/**
+	 * Creates a registry which maps classes to lists of related classes (ex: a class to its direct subclasses). Where WeakMap and 
+	 * WeakRef are supported, the registry only references the classes weakly, so that classes which are no longer in use may still 
+	 * be garbage collected.
+	 * 
+	 * @private
+	 * @static
+	 * @method createRegistry
+	 * @return {Object}
+	 */
+	function createRegistry() {
+		return supportsWeakRefs ? { map: new WeakMap() } : { keys: [], lists: [] };
+	}
+	
+	
+	/**
+	 * Adds a class to the list of classes which are related to `jsClass` in a registry created by {@link #createRegistry}. The 
+	 * references to classes which have been garbage collected are removed from the list first, so that it doesn't keep growing
+	 * when classes are repeatedly created and discarded (even if the list is never read).
+	 * 
+	 * @private
+	 * @static
+	 * @method addToRegistry
+	 * @param {Object} registry
+	 * @param {Function} jsClass
+	 * @param {Function} relatedClass
+	 */
+	function addToRegistry( registry, jsClass, relatedClass ) {
+		if( supportsWeakRefs ) {
+			var list = registry.map.get( jsClass );
+			if( !list ) {
+				registry.map.set( jsClass, ( list = [] ) );
+			}
+			for( var i = 0; i < list.length; i++ ) {
+				if( !list[ i ].deref() ) {
+					list.splice( i--, 1 );
+				}
+			}
+			list.push( new WeakRef( relatedClass ) );
+			
+		} else {
+			var idx = arrayIndexOf( registry.keys, jsClass );
+			if( idx === -1 ) {
+				idx = registry.keys.push( jsClass ) - 1;
+				registry.lists.push( [] );
+			}
+			registry.lists[ idx ].push( relatedClass );
+		}
+	}
+	
+	
+	/**
+	 * Retrieves the classes which are related to `jsClass` in a registry created by {@link #createRegistry}, in the order that they
+	 * were added. The references to classes which have been garbage collected are removed.
+	 * 
+	 * @private
+	 * @static
+	 * @method getFromRegistry
+	 * @param {Object} registry
+	 * @param {Function} jsClass
+	 * @return {Function[]}
+	 */
+	function getFromRegistry( registry, jsClass ) {
+		if( !supportsWeakRefs ) {
+			var idx = arrayIndexOf( registry.keys, jsClass );
+			return ( idx === -1 ) ? [] : registry.lists[ idx ].slice( 0 );
+		}
+		
+		var list = registry.map.get( jsClass ) || [],
+		    classes = [];
+		
+		for( var i = 0; i < list.length; i++ ) {
+			var relatedClass = list[ i ].deref();
+			if( relatedClass ) {
+				classes.push( relatedClass );
+			} else {
+				list.splice( i--, 1 );
+			}
+		}
+		return classes;
+	}
+	
+	
+	/**
+	 * Adds the subclasses of each of the `classes` to the `classes` array, and the subclasses of those, and so on. Used for the 
+	 * `deep` option of {@link Class#getSubclasses} and {@link Class#getMixinUsers}.
+	 * 
+	 * @private
+	 * @static
+	 * @method addDescendants
+	 * @param {Function[]} classes
+	 * @return {Function[]} The `classes` array.
+	 */
+	function addDescendants( classes ) {
+		for( var i = 0; i < classes.length; i++ ) {  // note: `classes` grows while it is iterated
+			var subclasses = getFromRegistry( subclassRegistry, classes[ i ] );
+			
+			for( var j = 0, len = subclasses.length; j < len; j++ ) {
+				if( !arrayContains( classes, subclasses[ j ] ) ) {
+					classes.push( subclasses[ j ] );
+				}
+			}
+		}
+		return classes;
+	}
+	
+	
+	/**
+	 * Retrieves the serializable state of an object for {@link Class#serialize}, as an object with the properties `kind` and `data`.
+	 * The `kind` is one of:
+	 * 
+	 * - 'array' : An array, whose `data` is the array itself.
+	 * - 'object' : A plain object (or an object of another library's class), whose `data` is an object of its own enumerable 
+	 *   properties.
+	 * - 'instance' : An instance of a class created with {@link Class#extend}, whose `data` is the value returned by its `serialize()`
+	 *   method if it has one, or otherwise an object of its own enumerable properties which are not `transient` (see 
+	 *   {@link Class#extend}). This also has the `className` of its class.
+	 * - 'map' : A Map, whose `data` is an array of its `[ key, value ]` entries.
+	 * - 'set' : A Set, whose `data` is an array of its values.
+	 * - 'json' : An object which has a `toJSON()` method (that is not an instance of a Class.js class), whose `data` is the value 
+	 *   returned by the method.
+	 * 
+	 * @private
+	 * @static
+	 * @method getSerializableState
+	 * @param {Object} obj
+	 * @return {Object}
+	 */
+	function getSerializableState( obj ) {
+		if( isArray( obj ) ) {
+			return { kind: 'array', data: obj };
+		}
+		
+		var jsClass = !isPlainObject( obj ) && typeof obj.constructor === 'function' && obj.constructor.prototype && getNearestClass( obj.constructor );
+		if( jsClass ) {
+			var className = Class.getName( obj.constructor );
+			if( !className ) {
+				throw new Error( "Class.serialize(): Cannot serialize an instance of " + ( obj.constructor === jsClass ? "a" : "a native subclass of a" ) + 
+				                 " class which has no `className`, as it could not be revived" );
+			}
+			if( typeof obj.serialize === 'function' ) {
+				return { kind: 'instance', className: className, data: obj.serialize() };
+			}
+			return { kind: 'instance', className: className, data: getOwnState( obj, obj.constructor.__Class_transient || [] ) };
+			
+		} else if( supportsMap && obj instanceof Map ) {
+			var entries = [];
+			obj.forEach( function( value, key ) { entries.push( [ key, value ] ); } );
+			return { kind: 'map', data: entries };
+			
+		} else if( typeof Set === 'function' && obj instanceof Set ) {
+			var values = [];
+			obj.forEach( function( value ) { values.push( value ); } );
+			return { kind: 'set', data: values };
+			
+		} else if( !isPlainObject( obj ) && typeof obj.toJSON === 'function' ) {
+			return { kind: 'json', data: obj.toJSON() };
+		}
+		return { kind: 'object', data: isPlainObject( obj ) ? obj : getOwnState( obj, [] ) };
+	}
+	
+	
+	/**
+	 * Retrieves an object of the own enumerable properties of `obj` which are to be serialized, excluding methods, and the 
+	 * properties named in the `transientProps` array.
+	 * 
+	 * @private
+	 * @static
+	 * @method getOwnState
+	 * @param {Object} obj
+	 * @param {String[]} transientProps
+	 * @return {Object}
+	 */
+	function getOwnState( obj, transientProps ) {
+		var state = {};
+		for( var prop in obj ) {
+			if( obj.hasOwnProperty( prop ) && typeof obj[ prop ] !== 'function' && !arrayContains( transientProps, prop ) ) {
+				state[ prop ] = obj[ prop ];
+			}
+		}
+		return state;
+	}
+	
+	
+	/**
+	 * Creates an index of objects, which assigns each object that is added to it the next position (starting at 0), so that data 
+	 * about the objects may be kept in arrays that are parallel to the index. Objects are looked up with a Map where it is 
+	 * supported, and otherwise by searching an array of them.
+	 * 
+	 * @private
+	 * @static
+	 * @method createObjectIndex
+	 * @return {Object}
+	 */
+	function createObjectIndex() {
+		return supportsMap ? { map: new Map() } : { objects: [] };
+	}
+	
+	
+	/**
+	 * Adds an object to an index created by {@link #createObjectIndex}.
+	 * 
+	 * @private
+	 * @static
+	 * @method addToObjectIndex
+	 * @param {Object} index
+	 * @param {Object} obj An object which is not yet in the index.
+	 * @return {Number} The position of the object in the index.
+	 */
+	function addToObjectIndex( index, obj ) {
+		if( supportsMap ) {
+			var position = index.map.size;
+			index.map.set( obj, position );
+			return position;
+		}
+		return index.objects.push( obj ) - 1;
+	}
+	
+	
+	/**
+	 * Retrieves the position of an object in an index created by {@link #createObjectIndex}.
+	 * 
+	 * @private
+	 * @static
+	 * @method getObjectIndex
+	 * @param {Object} index
+	 * @param {Object} obj
+	 * @return {Number} The position of the object, or -1 if it is not in the index.
+	 */
+	function getObjectIndex( index, obj ) {
+		if( supportsMap ) {
+			var position = index.map.get( obj );
+			return ( position === undefined ) ? -1 : position;
+		}
+		return arrayIndexOf( index.objects, obj );
+	}
+	
+	
+	/**
+	 * Collects the objects which are reachable from `value` for {@link Class#serialize}, along with their serializable state (see 
+	 * {@link #getSerializableState}), and the number of references to each. Objects which are referenced more than once (including 
+	 * those in cycles) are given an ID when they are serialized, so that the other references may refer to them.
+	 * 
+	 * @private
+	 * @static
+	 * @method collectReferences
+	 * @param {Mixed} value
+	 * @param {Object} context An object with the `objects` index (see {@link #createObjectIndex}), and the arrays `states` and 
+	 *   `refCounts` which are parallel to it. These are added to.
+	 */
+	function collectReferences( value, context ) {
+		if( !value || typeof value !== 'object' || value instanceof Date ) {
+			return;
+		}
+		
+		var index = getObjectIndex( context.objects, value );
+		if( index !== -1 ) {
+			context.refCounts[ index ]++;
+			return;
+		}
+		
+		var state = getSerializableState( value );
+		addToObjectIndex( context.objects, value );
+		context.states.push( state );
+		context.refCounts.push( 1 );
+		
+		if( state.kind === 'array' || state.kind === 'map' || state.kind === 'set' ) {
+			for( var i = 0, len = state.data.length; i < len; i++ ) {
+				collectReferences( state.data[ i ], context );  // note: the entries of a Map are arrays
+			}
+		} else if( state.kind === 'json' ) {
+			collectReferences( state.data, context );
+		} else if( state.data && typeof state.data === 'object' ) {
+			if( state.kind === 'instance' ) {
+				collectReferences( state.data, context );  // the value returned by a `serialize()` method may be an array or instance
+			} else {
+				for( var prop in state.data ) {
+					if( state.data.hasOwnProperty( prop ) ) {
+						collectReferences( state.data[ prop ], context );
+					}
+				}
+			}
+		}
+	}
+	
+	
+	/**
+	 * Converts `value` to its serialized (JSON compatible) form for {@link Class#serialize}. The objects in `value` must have been
+	 * collected with {@link #collectReferences} first.
+	 * 
+	 * @private
+	 * @static
+	 * @method serializeValue
+	 * @param {Mixed} value
+	 * @param {Object} context The context from {@link #collectReferences}, with the `ids` array (parallel to `objects`) of the
+	 *   IDs assigned to the serialized objects, and the `nextId` to assign.
+	 * @return {Mixed}
+	 */
+	function serializeValue( value, context ) {
+		if( typeof value === 'function' ) {
+			return undefined;
+		} else if( !value || typeof value !== 'object' ) {
+			return value;
+		} else if( value instanceof Date ) {
+			return { $date: isNaN( value.getTime() ) ? null : value.toISOString() };
+		}
+		
+		var index = getObjectIndex( context.objects, value ),
+		    state = context.states[ index ],
+		    id;
+		
+		if( state.kind === 'json' ) {
+			return serializeValue( state.data, context );  // note: the object itself is not given an ID, as it is replaced by its toJSON() value
+		} else if( context.ids[ index ] ) {
+			return { $ref: context.ids[ index ] };
+		} else if( context.refCounts[ index ] > 1 ) {
+			id = context.ids[ index ] = context.nextId++;
+		}
+		
+		var result, wrap = !!id, i, len, prop;
+		switch( state.kind ) {
+			case 'instance' :
+				result = { $class: state.className };
+				if( id ) { result.$id = id; }
+				result.$data = serializeValue( state.data, context );
+				return result;
+			
+			case 'array' :
+			case 'map' :
+			case 'set' :
+				result = [];
+				for( i = 0, len = state.data.length; i < len; i++ ) {
+					var element = serializeValue( state.data[ i ], context );
+					result.push( element === undefined ? null : element );  // as JSON.stringify() does
+				}
+				if( state.kind === 'array' ) {
+					return id ? { $id: id, $array: result } : result;
+				}
+				
+				var tagged = id ? { $id: id } : {};
+				tagged[ '$' + state.kind ] = result;  // `$map` or `$set`
+				return tagged;
+			
+			default :  // 'object'
+				result = {};
+				for( prop in state.data ) {
+					if( state.data.hasOwnProperty( prop ) && prop !== '__proto__' ) {
+						var propValue = serializeValue( state.data[ prop ], context );
+						if( propValue !== undefined ) {
+							result[ prop ] = propValue;
+							wrap = wrap || prop.charAt( 0 ) === '$';  // so that its properties are not mistaken for the `$class`, `$ref`, etc. tags
+						}
+					}
+				}
+				return wrap ? ( id ? { $id: id, $object: result } : { $object: result } ) : result;
+		}
+	}
+	
+	
+	/**
+	 * Recreates a value from its serialized form (see {@link Class#serialize}) for {@link Class#revive}.
+	 * 
+	 * @private
+	 * @static
+	 * @method reviveValue
+	 * @param {Mixed} value
+	 * @param {Object} context An object with the `refs` map of the objects recreated so far (keyed by their IDs), and the 
+	 *   `construct` option of {@link Class#revive}.
+	 * @return {Mixed}
+	 */
+	function reviveValue( value, context ) {
+		var F = function() {},
+		    i, len, result;
+		
+		if( isArray( value ) ) {
+			result = [];
+			for( i = 0, len = value.length; i < len; i++ ) {
+				result.push( reviveValue( value[ i ], context ) );
+			}
+			return result;
+			
+		} else if( !isObject( value ) ) {
+			return value;
+			
+		} else if( value.hasOwnProperty( '$ref' ) ) {
+			if( !context.refs.hasOwnProperty( value.$ref ) ) {
+				throw new Error( "Class.revive(): Reference to unknown object $id " + value.$ref );
+			}
+			return context.refs[ value.$ref ];
+			
+		} else if( value.hasOwnProperty( '$date' ) ) {
+			return new Date( value.$date === null ? NaN : value.$date );
+			
+		} else if( value.hasOwnProperty( '$class' ) ) {
+			var jsClass = Class.get( value.$class );
+			if( !jsClass ) {
+				throw new Error( "Class.revive(): No class named '" + value.$class + "' is registered" );
+			}
+			
+			// Create the instance, and register it before reviving its data, in case its data refers back to it. If the class's 
+			// instances are sealed or frozen, the new instance is locked once its state has been restored. A class with a required
+			// config is not constructed, as its constructor would throw an error for the missing config (its state, including the 
+			// config's value, is restored afterwards).
+			var singleton = jsClass.hasOwnProperty( '__Class_singleton' ),
+			    instanceLock = !singleton && jsClass.__Class_instanceLock;
+			if( singleton ) {
+				result = Class.create( value.$class );  // retrieves the instance of the singleton class
+			} else if( context.construct && !hasRequiredConfig( jsClass ) ) {
+				result = createUnlockedInstance( value.$class );
+			} else {
+				F.prototype = jsClass.prototype;
+				result = new F();
+			}
+			if( value.hasOwnProperty( '$id' ) ) {
+				context.refs[ value.$id ] = result;
+			}
+			
+			var data = reviveValue( value.$data, context );
+			if( typeof result.deserialize === 'function' ) {
+				result.deserialize( data );
+			} else {
+				reviveProperties( result, data );
+			}
+			if( instanceLock ) {
+				lockInstance( result, instanceLock, jsClass.__Class_backingProps );
+			}
+			return result;
+			
+		} else if( value.hasOwnProperty( '$array' ) ) {
+			result = [];
+			if( value.hasOwnProperty( '$id' ) ) {
+				context.refs[ value.$id ] = result;
+			}
+			for( i = 0, len = value.$array.length; i < len; i++ ) {
+				result.push( reviveValue( value.$array[ i ], context ) );
+			}
+			return result;
+			
+		} else if( value.hasOwnProperty( '$map' ) || value.hasOwnProperty( '$set' ) ) {
+			var isMap = value.hasOwnProperty( '$map' ),
+			    entries = isMap ? value.$map : value.$set;
+			
+			result = isMap ? new Map() : new Set();
+			if( value.hasOwnProperty( '$id' ) ) {
+				context.refs[ value.$id ] = result;
+			}
+			for( i = 0, len = entries.length; i < len; i++ ) {
+				if( isMap ) {
+					result.set( reviveValue( entries[ i ][ 0 ], context ), reviveValue( entries[ i ][ 1 ], context ) );
+				} else {
+					result.add( reviveValue( entries[ i ], context ) );
+				}
+			}
+			return result;
+		}
+		
+		result = {};
+		if( value.hasOwnProperty( '$object' ) ) {
+			if( value.hasOwnProperty( '$id' ) ) {
+				context.refs[ value.$id ] = result;
+			}
+			value = value.$object;
+		}
+		for( var prop in value ) {
+			if( value.hasOwnProperty( prop ) && prop !== '__proto__' ) {  // JSON.parse() creates `__proto__` as an own property, which must not replace the object's prototype
+				result[ prop ] = reviveValue( value[ prop ], context );
+			}
+		}
+		return result;
+	}
+	
+	
+	/**
+	 * Determines if a class has a config which must be provided to its constructor (see {@link Class#requiredConfig}).
+	 * 
+	 * @private
+	 * @static
+	 * @method hasRequiredConfig
+	 * @param {Function} jsClass
+	 * @return {Boolean}
+	 */
+	function hasRequiredConfig( jsClass ) {
+		var configDefs = jsClass.__Class_config;
+		for( var name in configDefs ) {
+			if( configDefs.hasOwnProperty( name ) && configDefs[ name ] === Class.requiredConfig ) {
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	
+	/**
+	 * Determines if a serialized value (see {@link Class#serialize}) has a reference (`$ref`) to an object which is not within 
+	 * the value itself, but is one of the objects with the given `ids`. This is used by {@link Class#reviver} to recognize a 
+	 * nested value that it has mistaken for the root value.
+	 * 
+	 * @private
+	 * @static
+	 * @method refersToOuterObject
+	 * @param {Mixed} value
+	 * @param {Object} ids The `$id`s of the objects outside of the value (which may include those within it), as keys.
+	 * @return {Boolean}
+	 */
+	function refersToOuterObject( value, ids ) {
+		var hasOwn = Object.prototype.hasOwnProperty,
+		    innerIds = {},
+		    refs = [];
+		
+		var collect = function( value ) {
+			if( value && typeof value === 'object' ) {
+				if( hasOwn.call( value, '$id' ) ) { innerIds[ value.$id ] = true; }
+				if( hasOwn.call( value, '$ref' ) ) { refs.push( value.$ref ); }
+				
+				for( var prop in value ) {
+					if( hasOwn.call( value, prop ) ) { collect( value[ prop ] ); }
+				}
+			}
+		};
+		collect( value );
+		
+		for( var i = 0, len = refs.length; i < len; i++ ) {
+			if( !hasOwn.call( innerIds, refs[ i ] ) && hasOwn.call( ids, refs[ i ] ) ) {
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	
+	/**
+	 * Copies the own enumerable properties of `data` (the revived state of an object) to `target`. As with {@link Class#applyConfig},
+	 * the unsafe keys `__proto__` (which `JSON.parse()` creates as an own property), `constructor`, and `prototype` are skipped so 
+	 * that the target's prototype may not be replaced or its `constructor` shadowed, as are keys which name a method of the target.
+	 * 
+	 * @private
+	 * @static
+	 * @method reviveProperties
+	 * @param {Object} target
+	 * @param {Object} data
+	 * @return {Object} The `target` object.
+	 * @throws {Error} If a property may not be set on the `target`, as it is sealed or frozen (ex: the instance of a singleton class
+	 *   which is defined with `sealInstances` or `freezeInstances`).
+	 */
+	function reviveProperties( target, data ) {
+		if( isObject( data ) ) {
+			for( var prop in data ) {
+				if( !data.hasOwnProperty( prop ) || prop === '__proto__' || prop === 'constructor' || prop === 'prototype' ) {
+					continue;
+				}
+				if( !findAccessor( target, prop ) && typeof target[ prop ] === 'function' ) {
+					continue;  // don't shadow a method
+				}
+				if( !canSetProperty( target, prop ) ) {
+					throw new Error( "Class.revive(): Cannot restore property '" + prop + "', as the object is sealed or frozen" );
+				}
+				if( !target.hasOwnProperty( prop ) && isReadOnly( target, prop ) ) {
+					setProperty( target, prop, data[ prop ] );  // the property is inherited from a frozen prototype (see `freezePrototype`)
+				} else {
+					target[ prop ] = data[ prop ];
+				}
+			}
+		}
+		return target;
+	}
+	
+	
+	/**
+	 * Determines if the property `prop` may be set on `target`. This is not the case when `target` is sealed or frozen (or 
+	 * otherwise not extensible) and does not already have the property, or when its own property is read-only.
+	 * 
+	 * @private
+	 * @static
+	 * @method canSetProperty
+	 * @param {Object} target
+	 * @param {String} prop
+	 * @return {Boolean}
+	 */
+	function canSetProperty( target, prop ) {
+		if( !supportsAccessors || findAccessor( target, prop ) ) {
+			return true;
+		}
+		return target.hasOwnProperty( prop ) ? !isReadOnly( target, prop ) : Object.isExtensible( target );
+	}
+	
+	
+	/**
+	 * Determines if an object (which is not a plain object) has a `clone()`, `equals()`, or `hashCode()` method (`methodName`) 
+	 * which is to be used by {@link Class#clone}, {@link Class#equals}, or {@link Class#hash}. 
+	 * 
+	 * @private
+	 * @static
+	 * @method hasHook
+	 * @param {Object} obj
+	 * @param {String} methodName
+	 * @param {Object} context The context of the clone/equals/hash operation. If it has a `skipHookFor` object (the value 
+	 *   provided to the Class.js method with the `skipHook` option), that object's method is not used.
+	 * @return {Boolean}
+	 */
+	function hasHook( obj, methodName, context ) {
+		return obj !== context.skipHookFor && !isPlainObject( obj ) && typeof obj[ methodName ] === 'function';
+	}
+	
+	
+	/**
+	 * Retrieves the names of the properties which make up the state of an object for {@link Class#equals} and {@link Class#hash}: 
+	 * its own enumerable properties, excluding the `transient` properties of its class (see {@link Class#extend}).
+	 * 
+	 * @private
+	 * @static
+	 * @method getStateKeys
+	 * @param {Object} obj
+	 * @return {String[]}
+	 */
+	function getStateKeys( obj ) {
+		var transientProps = ( !isPlainObject( obj ) && obj.constructor && obj.constructor.__Class_transient ) || [],
+		    keys = [];
+		
+		for( var prop in obj ) {
+			if( obj.hasOwnProperty( prop ) && !arrayContains( transientProps, prop ) ) {
+				keys.push( prop );
+			}
+		}
+		return keys;
+	}
+	
+	
+	/**
+	 * Implementation of {@link Class#clone}, which clones `value`.
+	 * 
+	 * @private
+	 * @static
+	 * @method cloneValue
+	 * @param {Mixed} value
+	 * @param {Object} context An object with the `deep` option, the `originals` index (see {@link #createObjectIndex}) and the 
+	 *   parallel `copies` array of the objects cloned so far (so that shared and cyclic references are preserved), and the 
+	 *   `skipHookFor` object (see {@link #hasHook}).
+	 * @return {Mixed}
+	 */
+	function cloneValue( value, context ) {
+		if( !value || typeof value !== 'object' ) {
+			return value;
+		}
+		
+		var index = getObjectIndex( context.originals, value );
+		if( index !== -1 ) {
+			return context.copies[ index ];
+		} else if( typeof value.constructor === 'function' && value.constructor.hasOwnProperty( '__Class_singleton' ) ) {
+			return value;  // the instance of a singleton class is the only one
+		} else if( hasHook( value, 'clone', context ) ) {
+			return value.clone();
+		}
+		
+		var copy, i, len;
+		if( value instanceof Date ) {
+			copy = new Date( value.getTime() );
+		} else if( value instanceof RegExp ) {
+			copy = new RegExp( value.source, String( value ).slice( String( value ).lastIndexOf( '/' ) + 1 ) );
+		} else if( isArray( value ) ) {
+			copy = [];
+		} else if( typeof Map === 'function' && value instanceof Map ) {
+			copy = new Map();
+		} else if( typeof Set === 'function' && value instanceof Set ) {
+			copy = new Set();
+		} else {
+			var F = function() {};
+			F.prototype = Object.getPrototypeOf ? Object.getPrototypeOf( value ) : value.constructor.prototype;  // the copy has the same class (prototype), without running its constructor
+			copy = new F();
+		}
+		addToObjectIndex( context.originals, value );
+		context.copies.push( copy );
+		
+		var cloneChild = function( child ) {
+			return context.deep ? cloneValue( child, context ) : child;
+		};
+		
+		if( isArray( value ) ) {
+			for( i = 0, len = value.length; i < len; i++ ) {
+				copy.push( cloneChild( value[ i ] ) );
+			}
+		} else if( typeof Map === 'function' && value instanceof Map ) {
+			value.forEach( function( mapValue, key ) { copy.set( cloneChild( key ), cloneChild( mapValue ) ); } );
+		} else if( typeof Set === 'function' && value instanceof Set ) {
+			value.forEach( function( setValue ) { copy.add( cloneChild( setValue ) ); } );
+		}
+		
+		// Copy the own properties (other than an array's elements) with their descriptors, so that accessors remain accessors. The
+		// `_super`, `callSuper`, and `applySuper` properties of a sealed or frozen instance are not copied, as they are accessors 
+		// which store their values for the original (see lockInstance()). The copy is given its own when it is locked below.
+		var jsClass = ( typeof value.constructor === 'function' && value.constructor.hasOwnProperty( '__Class' ) ) ? value.constructor : null,
+		    instanceLock = jsClass && jsClass.__Class_instanceLock;
+		
+		Class.assign( copy, value, function( key ) {
+			if( isArray( value ) && typeof key === 'string' && ( key === 'length' || String( key >>> 0 ) === key ) ) {
+				return false;
+			}
+			if( key === '_super' || key === 'callSuper' || key === 'applySuper' ) {
+				return false;
+			}
+			if( supportsAccessors ) {
+				var descriptor = Object.getOwnPropertyDescriptor( value, key );
+				if( !descriptor.get && !descriptor.set && context.deep ) {
+					descriptor.value = cloneValue( descriptor.value, context );
+					Object.defineProperty( copy, key, descriptor );
+					return false;
+				}
+			} else if( context.deep ) {
+				copy[ key ] = cloneValue( value[ key ], context );
+				return false;
+			}
+			return true;
+		} );
+		
+		// Lock the copy in the same way as the original (ex: the instances of a class defined with `sealInstances` or `freezeInstances`)
+		if( instanceLock && Object.isSealed && Object.isSealed( value ) ) {  // note: a frozen object is also sealed
+			lockInstance( copy, instanceLock, jsClass.__Class_backingProps );
+		} else if( Object.isFrozen && Object.isFrozen( value ) ) {
+			Object.freeze( copy );
+		} else if( Object.isSealed && Object.isSealed( value ) ) {
+			Object.seal( copy );
+		}
+		return copy;
+	}
+	
+	
+	/**
+	 * Implementation of {@link Class#equals}, which determines if `a` and `b` are equal.
+	 * 
+	 * @private
+	 * @static
+	 * @method valuesEqual
+	 * @param {Mixed} a
+	 * @param {Mixed} b
+	 * @param {Object} context An object with the `exactClass` option, the parallel `as` and `bs` arrays of the objects which are
+	 *   currently being compared (so that cyclic references are compared only once), and the `skipHookFor` object (see 
+	 *   {@link #hasHook}).
+	 * @return {Boolean}
+	 */
+	function valuesEqual( a, b, context ) {
+		if( a === b || ( a !== a && b !== b ) ) {  // note: NaN is considered equal to NaN
+			return true;
+		} else if( !a || !b || typeof a !== 'object' || typeof b !== 'object' ) {
+			return false;
+		} else if( hasHook( a, 'equals', context ) ) {
+			return !!a.equals( b );
+		}
+		
+		// Compare the classes of the objects
+		var protoA = Object.getPrototypeOf ? Object.getPrototypeOf( a ) : a.constructor.prototype,
+		    protoB = Object.getPrototypeOf ? Object.getPrototypeOf( b ) : b.constructor.prototype;
+		if( protoA !== protoB && ( context.exactClass || !protoA || !protoB || 
+		    !( Class.isSubclassOf( protoA.constructor, protoB.constructor ) || Class.isSubclassOf( protoB.constructor, protoA.constructor ) ) ) 
+		) {
+			return false;
+		} else if( isArray( a ) !== isArray( b ) ) {
+			return false;
+		}
+		
+		// If the objects are already being compared (i.e. there is a cycle), they are equal as far as this comparison is concerned
+		for( var i = 0, len = context.as.length; i < len; i++ ) {
+			if( context.as[ i ] === a && context.bs[ i ] === b ) {
+				return true;
+			}
+		}
+		context.as.push( a );
+		context.bs.push( b );
+		try {
+			return objectsEqual( a, b, context );
+		} finally {
+			context.as.pop();
+			context.bs.pop();
+		}
+	}
+	
+	
+	/**
+	 * Compares the contents of two objects (of the same class) for {@link #valuesEqual}.
+	 * 
+	 * @private
+	 * @static
+	 * @method objectsEqual
+	 * @param {Object} a
+	 * @param {Object} b
+	 * @param {Object} context See {@link #valuesEqual}.
+	 * @return {Boolean}
+	 */
+	function objectsEqual( a, b, context ) {
+		var i, len, result;
+		
+		if( a instanceof Date ) {
+			return valuesEqual( a.getTime(), b.getTime(), context );  // note: invalid Dates (NaN) are equal
+			
+		} else if( a instanceof RegExp ) {
+			return String( a ) === String( b );
+			
+		} else if( isArray( a ) ) {
+			if( a.length !== b.length ) {
+				return false;
+			}
+			for( i = 0, len = a.length; i < len; i++ ) {
+				if( !valuesEqual( a[ i ], b[ i ], context ) ) {
+					return false;
+				}
+			}
+			
+		} else if( ( typeof Map === 'function' && a instanceof Map ) || ( typeof Set === 'function' && a instanceof Set ) ) {
+			if( a.size !== b.size ) {
+				return false;
+			}
+			result = true;
+			a.forEach( function( value, key ) {  // keys are compared by identity (as in the Map or Set itself), and values by equality
+				result = result && b.has( key ) && ( b instanceof Set || valuesEqual( value, b.get( key ), context ) );
+			} );
+			if( !result ) {
+				return false;
+			}
+		}
+		
+		// Compare the own state of the objects
+		var keysA = getStateKeys( a ),
+		    keysB = getStateKeys( b );
+		if( keysA.length !== keysB.length ) {
+			return false;
+		}
+		for( i = 0, len = keysA.length; i < len; i++ ) {
+			if( !arrayContains( keysB, keysA[ i ] ) || !valuesEqual( a[ keysA[ i ] ], b[ keysA[ i ] ], context ) ) {
+				return false;
+			}
+		}
+		return true;
+	}
 	
-	// Utility functions / variables	
 	
 	/**
-	 * Determines if a value is an object.
+	 * Computes the hash code of a string, as a 32-bit integer.
 	 * 
 	 * @private
 	 * @static
-	 * @method isObject
-	 * @param {Mixed} value
-	 * @return {Boolean} True if the value is an object, false otherwise.
+	 * @method hashString
+	 * @param {String} str
+	 * @return {Number}
 	 */
-	function isObject( value ) {
-		return !!value && Object.prototype.toString.call( value ) === '[object Object]';  
+	function hashString( str ) {
+		var hash = 0;
+		for( var i = 0, len = str.length; i < len; i++ ) {
+			hash = ( ( hash * 31 ) + str.charCodeAt( i ) ) | 0;
+		}
+		return hash;
 	}
 	
 	
-	// For dealing with IE's toString() problem
-	var isIE = false;
-	if( typeof window !== 'undefined' ) {
-		var uA = window.navigator.userAgent.toLowerCase();
-		isIE = /msie/.test( uA ) && !( /opera/.test( uA ) );
+	/**
+	 * Implementation of {@link Class#hash}, which computes the hash code of `value`.
+	 * 
+	 * @private
+	 * @static
+	 * @method hashValue
+	 * @param {Mixed} value
+	 * @param {Object} context An object with the `stack` array of the objects whose hash codes are currently being computed (so 
+	 *   that cyclic references are only followed once), and the `skipHookFor` object (see {@link #hasHook}).
+	 * @return {Number}
+	 */
+	function hashValue( value, context ) {
+		if( !value || typeof value !== 'object' ) {
+			return ( typeof value === 'function' ) ? 1 : hashString( typeof value + ":" + String( value ) );  // note: functions are only equal if they are the same function
+		} else if( hasHook( value, 'hashCode', context ) ) {
+			return value.hashCode() | 0;
+		} else if( arrayContains( context.stack, value ) ) {
+			return 0;  // a cyclic reference
+		}
+		
+		var hash, i, len;
+		context.stack.push( value );
+		try {
+			if( value instanceof Date ) {
+				return hashValue( value.getTime(), context );
+			} else if( value instanceof RegExp ) {
+				return hashString( String( value ) );
+			}
+			
+			hash = isArray( value ) ? 1 : 2;
+			if( isArray( value ) ) {
+				for( i = 0, len = value.length; i < len; i++ ) {
+					hash = ( ( hash * 31 ) + hashValue( value[ i ], context ) ) | 0;
+				}
+			} else if( typeof Map === 'function' && value instanceof Map ) {
+				value.forEach( function( mapValue ) { hash = ( hash + hashValue( mapValue, context ) ) | 0; } );  // order independent, as Maps are compared that way
+			}
+			
+			// The hashes of the properties are summed, as their order does not affect equality
+			var keys = getStateKeys( value );
+			for( i = 0, len = keys.length; i < len; i++ ) {
+				hash = ( hash + ( hashString( keys[ i ] ) ^ hashValue( value[ keys[ i ] ], context ) ) ) | 0;
+			}
+			return hash;
+		} finally {
+			context.stack.pop();
+		}
 	}
 	
 	
-	// A variable, which is incremented, for assigning unique ID's to classes (constructor functions), allowing 
-	// for caching through lookups on hashmaps
-	var classIdCounter = 0;
-	
-	
 	// ----------------------------------------
 	
 	
@@ -164,62 +2539,623 @@ var Class = (function() {
 	
 	
 	/**
-	 * Alias of using the Class constructor function itself. Ex:
+	 * Alias of using the Class constructor function itself. Ex:
+	 * 
+	 *     var Animal = Class.create( {
+	 *         // class definition here
+	 *     } );
+	 * 
+	 * Alternatively, if the first argument is a string, this method instead instantiates the named class (see the `className`
+	 * property in {@link #extend}), passing the rest of the arguments to its constructor. Ex:
+	 * 
+	 *     var user = Class.create( 'app.model.User', { name: "Bob" } );  // equivalent to `new app.model.User( { name: "Bob" } )`
+	 * 
+	 * For a singleton class (see `singleton` in {@link #extend}), its instance is returned instead.
+	 * 
+	 * @static
+	 * @method create
+	 * @param {Object/String} classDefinition The class definition. See the `overrides` parameter of {@link #extend}. Or, the name
+	 *   of a registered class to instantiate.
+	 * @param {Mixed...} args If the first argument is a class name, the arguments to pass to the class's constructor.
+	 * @return {Function/Object} The new class, or the new instance if a class name was provided.
+	 */
+	Class.create = function( classDefinition ) {
+		if( typeof classDefinition === 'string' ) {
+			var jsClass = Class.get( classDefinition );
+			if( !jsClass ) {
+				throw new Error( "Class.create(): No class is registered with the name '" + classDefinition + "'" );
+			}
+			if( jsClass.hasOwnProperty( '__Class_singleton' ) ) {
+				return jsClass.getInstance();  // a singleton class may not be instantiated, so retrieve its instance
+			}
+			return construct( jsClass, Array.prototype.slice.call( arguments, 1 ) );
+		}
+		
+		return Class.extend( Object, classDefinition );
+	};
+	
+	
+	/**
+	 * Retrieves a class that was created with a `className` (see {@link #extend}) by its name. Ex:
+	 * 
+	 *     Class( {
+	 *         className : 'app.model.User'
+	 *     } );
+	 *     
+	 *     Class.get( 'app.model.User' );  // the User class
+	 * 
+	 * @static
+	 * @method get
+	 * @param {String} className The name of the class.
+	 * @return {Function} The class, or null if no class is registered with the name.
+	 */
+	Class.get = function( className ) {
+		return classRegistry.hasOwnProperty( className ) ? classRegistry[ className ] : null;
+	};
+	
+	
+	/**
+	 * Retrieves the name of a class that was created with a `className` (see {@link #extend}).
+	 * 
+	 * @static
+	 * @method getName
+	 * @param {Function} jsClass The class (constructor function).
+	 * @return {String} The name of the class, or null if the class was not created with a `className`.
+	 */
+	Class.getName = function( jsClass ) {
+		return ( jsClass && jsClass.hasOwnProperty( '__Class_className' ) ) ? jsClass.__Class_className : null;
+	};
+	
+	
+	/**
+	 * Retrieves all of the classes that were created with a `className` (see {@link #extend}).
+	 * 
+	 * @static
+	 * @method getAll
+	 * @return {Object} A new object (map) of the classes, keyed by their names.
+	 */
+	Class.getAll = function() {
+		return Class.apply( {}, classRegistry );
+	};
+	
+	
+	/**
+	 * Utility to copy all the properties of `config` to `obj`. Note that this copies all of the enumerable properties of `config`
+	 * (including those that it inherits) by assignment. To copy the own properties of an object with their property descriptors 
+	 * (including accessor properties, non-enumerable properties, and symbol-keyed properties), use {@link #assign}. To apply
+	 * an object which comes from untrusted input (ex: the result of `JSON.parse()`), use {@link #applyConfig}.
+	 *
+	 * @static
+	 * @method apply
+	 * @param {Object} obj The receiver of the properties
+	 * @param {Object} config The source of the properties
+	 * @param {Object} defaults A different object that will also be applied for default values
+	 * @return {Object} returns obj
+	 */
+	Class.apply = function( o, c, defaults ) {
+		if( defaults ) {
+			Class.apply( o, defaults );  // no "this" reference for friendly out of scope calls
+		}
+		if( o && c && typeof c == 'object' ) {
+			for( var p in c ) {
+				o[ p ] = c[ p ];
+			}
+		}
+		return o;
+	};
+	
+	
+	/**
+	 * Utility to copy all the properties of `config` to `obj`, if they don't already exist on `obj` (i.e. they are undefined or 
+	 * null on `obj`).
+	 *
+	 * @static
+	 * @method applyIf
+	 * @param {Object} obj The receiver of the properties
+	 * @param {Object} config The source of the properties
+	 * @return {Object} returns obj
+	 */
+	Class.applyIf = function( o, c ) {
+		if( o ) {
+			for( var p in c ) {
+				if( o[ p ] === undefined || o[ p ] === null ) {
+					o[ p ] = c[ p ];
+				}
+			}
+		}
+		return o;
+	};
+	
+	
+	/**
+	 * Copies the own properties of `source` to `target`, with their property descriptors. Unlike {@link #apply}, this copies the
+	 * source's non-enumerable properties and symbol-keyed properties (ex: `Symbol.iterator`), copies accessor (getter/setter) 
+	 * properties as accessors instead of invoking their getters, and does not copy the properties that the source inherits. This 
+	 * is how the `statics`, `inheritedStatics`, and `config` of a class definition are applied (see {@link #extend}). Ex:
+	 * 
+	 *     var source = {
+	 *         get fullName() { return this.first + " " + this.last; }
+	 *     };
+	 *     source[ Symbol.iterator ] = function() { ... };
+	 *     
+	 *     Class.assign( target, source );  // `target` now has the `fullName` getter, and the Symbol.iterator method
+	 *     
+	 *     // Only copy some of the properties
+	 *     Class.assign( target, source, function( key ) { return typeof key !== 'symbol'; } );
+	 * 
+	 * In older JavaScript implementations which don't support property descriptors, the source's own enumerable properties are 
+	 * copied by assignment.
+	 * 
+	 * @static
+	 * @method assign
+	 * @param {Object} target The receiver of the properties.
+	 * @param {Object} source The source of the properties. May be null or undefined, in which case nothing is copied.
+	 * @param {Function} [filter] A function which is called with each property's key (a string or symbol) and the `source`
+	 *   object, and returns true for the properties that are to be copied.
+	 * @return {Object} The `target` object.
+	 */
+	Class.assign = function( target, source, filter ) {
+		if( target && source ) {
+			var keys = getOwnKeys( source );
+			
+			for( var i = 0, len = keys.length; i < len; i++ ) {
+				var key = keys[ i ];
+				if( filter && !filter( key, source ) ) {
+					continue;
+				}
+				
+				if( supportsAccessors ) {
+					Object.defineProperty( target, key, Object.getOwnPropertyDescriptor( source, key ) );
+				} else {
+					target[ key ] = source[ key ];
+				}
+			}
+		}
+		return target;
+	};
+	
+	
+	/**
+	 * Deep merges the enumerable own properties of one or more source objects into the `target` object. Unlike {@link #apply},
+	 * when a source property and the target's property are both plain objects, they are merged (recursively) instead of the 
+	 * source's object replacing the target's. Ex:
+	 * 
+	 *     var defaults = { columns: [ 'name' ], format: { date: 'Y-m-d', currency: 'USD' } };
+	 *     
+	 *     Class.merge( {}, defaults, { columns: [ 'age' ], format: { currency: 'EUR' } }, { arrays: 'concat' } );
+	 *     // { columns: [ 'name', 'age' ], format: { date: 'Y-m-d', currency: 'EUR' } }
+	 * 
+	 * The `target` object itself is modified, but the plain objects and arrays nested in it (and in the sources) are not: they 
+	 * are replaced by merged copies. Source properties which are `undefined` are not merged, and objects which are not plain 
+	 * objects (such as class instances and Dates) are copied by reference. Own `__proto__` properties of the sources (which 
+	 * `JSON.parse()` creates) are skipped. A cyclic reference in a source (to a plain object or array that it is nested in) becomes 
+	 * a reference to the merged copy of that object, so that the result has the same cycle.
+	 * 
+	 * If the last argument is an object with only the `arrays` and/or `strategies` properties (and there is more than one 
+	 * source), it is the options for the merge:
+	 * 
+	 * - `arrays` : How arrays are merged. One of 'replace' (the default) for the source's array to replace the target's,
+	 *   'concat' to append the source array's elements to the target array's elements, or 'union' to only append the elements 
+	 *   which are not already in the target's array.
+	 * - `strategies` : An object of functions, keyed by property name, which provide the merged value for the properties of
+	 *   that name (at any depth). Each is called with the target's value, the source's value, and the property name. Ex:
+	 *   
+	 *       Class.merge( {}, { cls: 'btn' }, { cls: 'btn-primary' }, { 
+	 *           strategies: { cls: function( targetValue, sourceValue ) { return targetValue + " " + sourceValue; } } 
+	 *       } );
+	 *       // { cls: 'btn btn-primary' }
+	 * 
+	 * Note that this means that a last source which happens to have only these properties (ex: `{ arrays: 'concat' }` from 
+	 * user data) is taken as the options, and is not merged. When the sources are not known in advance, use {@link #mergeWith}, 
+	 * which takes the options as its first argument instead.
+	 * 
+	 * @static
+	 * @method merge
+	 * @param {Object} target The receiver of the properties.
+	 * @param {Object...} sources One or more objects to merge into the `target`, with later sources taking precedence. Null or 
+	 *   undefined sources are skipped.
+	 * @param {Object} [options] The options for the merge, as described above.
+	 * @return {Object} The `target` object.
+	 */
+	Class.merge = function( target ) {
+		var sources = Array.prototype.slice.call( arguments, 1 ),
+		    options = {};
+		
+		if( sources.length > 1 && isMergeOptions( sources[ sources.length - 1 ] ) ) {
+			options = sources.pop();
+		}
+		return target ? mergeObjects( target, sources, options ) : target;
+	};
+	
+	
+	/**
+	 * Deep merges one or more source objects into the `target` object, like {@link #merge}, but with the options for the merge
+	 * provided as the first argument. Unlike with {@link #merge}, the last source is never mistaken for the options. Ex:
+	 * 
+	 *     Class.mergeWith( { arrays: 'concat' }, {}, defaults, untrustedInput );
+	 * 
+	 * @static
+	 * @method mergeWith
+	 * @param {Object} options The options for the merge (`arrays` and `strategies`). See {@link #merge}. 
+	 * @param {Object} target The receiver of the properties.
+	 * @param {Object...} sources One or more objects to merge into the `target`, with later sources taking precedence. Null or 
+	 *   undefined sources are skipped.
+	 * @return {Object} The `target` object.
+	 */
+	Class.mergeWith = function( options, target ) {
+		var sources = Array.prototype.slice.call( arguments, 2 );
+		return target ? mergeObjects( target, sources, options || {} ) : target;
+	};
+	
+	
+	/**
+	 * Applies the own enumerable properties of `config` to `target` (usually an instance being constructed), like {@link #apply},
+	 * but safely for a `config` which comes from untrusted input (ex: the result of `JSON.parse()` on a request body). In safe mode
+	 * (the default), the following keys are rejected:
+	 * 
+	 * - The unsafe keys `__proto__`, `constructor`, and `prototype`, which could otherwise replace the target's prototype, or
+	 *   shadow its `constructor`. (reason: 'unsafe')
+	 * - Keys which name a method of the target, which would otherwise be shadowed by the config's value. (reason: 'method')
+	 * - With the `declaredOnly` option, keys which are not declared by the target's class: either as a member of its prototype (not
+	 *   including the members of Object.prototype), or as a config in its `config` section. (reason: 'undeclared')
+	 * 
+	 * Rejected keys are skipped, or with the `strict` option, cause an error to be thrown (before any properties are applied). 
+	 * Either way, each is reported to the `onReject` function if one is provided. Ex:
+	 * 
+	 *     var User = Class( {
+	 *         name : "",
+	 *         email : "",
+	 *         
+	 *         constructor : function( data ) {
+	 *             Class.applyConfig( this, data, { 
+	 *                 declaredOnly : true, 
+	 *                 onReject : function( key, reason ) { console.warn( "Ignored '" + key + "' (" + reason + ")" ); }
+	 *             } );
+	 *         }
+	 *     } );
+	 *     
+	 *     new User( JSON.parse( '{ "name": "Bob", "isAdmin": true, "__proto__": { "isAdmin": true } }' ) );
+	 *     // warns: Ignored 'isAdmin' (undeclared), and Ignored '__proto__' (unsafe)
+	 * 
+	 * Note that only the top-level keys of the `config` are checked.
+	 * 
+	 * @static
+	 * @method applyConfig
+	 * @param {Object} target The receiver of the properties.
+	 * @param {Object} config The source of the properties. May be null or undefined, in which case nothing is applied.
+	 * @param {Object} [options] An object which may have the following properties:
+	 * @param {Boolean} [options.safe=true] False to apply all of the properties of the `config` (like {@link #apply}, but only
+	 *   applying its own properties).
+	 * @param {Boolean} [options.declaredOnly=false] True to reject keys which are not declared by the target's class.
+	 * @param {Boolean} [options.strict=false] True to throw an error if any keys are rejected, instead of skipping them.
+	 * @param {Function} [options.onReject] A function which is called with the key (a string or symbol) and the reason ('unsafe',
+	 *   'method', or 'undeclared') for each rejected key.
+	 * @return {Object} The `target` object.
+	 */
+	Class.applyConfig = function( target, config, options ) {
+		options = options || {};
+		if( !target || !config ) {
+			return target;
+		}
+		
+		var safe = ( options.safe !== false ),
+		    proto = Object.getPrototypeOf ? Object.getPrototypeOf( target ) : target.constructor && target.constructor.prototype,
+		    declaredConfigs = ( target.constructor && target.constructor.__Class_config ) || {},
+		    keys = getOwnKeys( config ),
+		    accepted = [],
+		    rejected = [],
+		    i, len;
+		
+		for( i = 0, len = keys.length; i < len; i++ ) {
+			var key = keys[ i ],
+			    reason = null;
+			
+			if( !Object.prototype.propertyIsEnumerable.call( config, key ) ) {
+				continue;
+			}
+			
+			if( safe ) {
+				if( key === '__proto__' || key === 'constructor' || key === 'prototype' ) {
+					reason = 'unsafe';
+				} else if( !findAccessor( target, key ) && typeof target[ key ] === 'function' ) {
+					reason = 'method';
+				} else if( options.declaredOnly && !isDeclaredMember( proto, key ) && !Object.prototype.hasOwnProperty.call( declaredConfigs, key ) ) {
+					reason = 'undeclared';
+				}
+			}
+			
+			if( reason ) {
+				rejected.push( key );
+				if( options.onReject ) {
+					options.onReject( key, reason );
+				}
+			} else {
+				accepted.push( key );
+			}
+		}
+		
+		if( rejected.length && options.strict ) {
+			var keyNames = [];
+			for( i = 0, len = rejected.length; i < len; i++ ) {
+				keyNames.push( "'" + String( rejected[ i ] ) + "'" );
+			}
+			throw new Error( "Class.applyConfig(): The config has unsafe or undeclared key(s): " + keyNames.join( ", " ) );
+		}
+		
+		for( i = 0, len = accepted.length; i < len; i++ ) {
+			target[ accepted[ i ] ] = config[ accepted[ i ] ];  // assigned (as with apply()), so that the setters of accessor properties are called
+		}
+		return target;
+	};
+	
+	
+	/**
+	 * Converts a value which may contain instances of classes created with {@link #extend} into a JSON compatible form, which
+	 * records the class of each instance so that it may be recreated by {@link #revive}. Ex:
+	 * 
+	 *     var Person = Class( {
+	 *         className : 'app.Person',
+	 *         'transient' : [ 'cache' ],  // not serialized
+	 *         
+	 *         constructor : function( name ) { this.name = name; this.born = new Date(); this.cache = {}; }
+	 *     } );
+	 *     
+	 *     var json = Class.stringify( new Person( "Bob" ) );  // '{"$class":"app.Person","$data":{"name":"Bob","born":{"$date":"..."}}}'
+	 *     var person = Class.revive( json );  // a Person instance, with the `name` and `born` (a Date) properties
+	 * 
+	 * The value's objects are converted as follows:
+	 * 
+	 * - An instance of a Class.js class becomes `{ $class: className, $data: state }`, where the state is the value returned by
+	 *   its `serialize()` method if it has one, or otherwise its own enumerable properties (excluding methods, and those named in
+	 *   the `transient` arrays of its class and superclasses). Its class must have a `className`, as that is how it is revived.
+	 * - A Date becomes `{ $date: isoString }`.
+	 * - A Map becomes `{ $map: [ [ key, value ], ... ] }`, and a Set becomes `{ $set: [ value, ... ] }`.
+	 * - An object which is referenced more than once in the value (including in cycles) is given an ID where it first occurs 
+	 *   (`{ $id: id, $array: [...] }` for an array, `{ $id: id, $object: {...} }` for a plain object, or an `$id` property for an
+	 *   instance, Map, or Set), and its other occurrences become `{ $ref: id }`.
+	 * - A plain object with properties that begin with `$` becomes `{ $object: {...} }`, so that they are not mistaken for the 
+	 *   above.
+	 * - Any other object which has a `toJSON()` method is converted from the method's return value, and otherwise from its own
+	 *   enumerable properties (its class is not recorded).
+	 * 
+	 * @static
+	 * @method serialize
+	 * @param {Mixed} value
+	 * @return {Mixed} The JSON compatible form of the value.
+	 */
+	Class.serialize = function( value ) {
+		var context = { objects: createObjectIndex(), states: [], refCounts: [], ids: [], nextId: 1 };
+		
+		collectReferences( value, context );
+		return serializeValue( value, context );
+	};
+	
+	
+	/**
+	 * Converts a value which may contain instances of classes created with {@link #extend} into a JSON string, which may be 
+	 * revived with {@link #revive}. This is equivalent to `JSON.stringify( Class.serialize( value ), null, space )`. See 
+	 * {@link #serialize} for details.
+	 * 
+	 * @static
+	 * @method stringify
+	 * @param {Mixed} value
+	 * @param {Number/String} [space] The indentation for the JSON, as with `JSON.stringify()`.
+	 * @return {String}
+	 */
+	Class.stringify = function( value, space ) {
+		return JSON.stringify( Class.serialize( value ), null, space );
+	};
+	
+	
+	/**
+	 * Recreates a value which was serialized with {@link #serialize} or {@link #stringify}, including its instances of classes,
+	 * Dates, and its shared and cyclic references.
+	 * 
+	 * Each instance is created by instantiating its class (found by its `className`) with no arguments, or with the `construct: false`
+	 * option, without running its constructor (by creating an object with the class's prototype). The instances of a class which
+	 * has a required config (see {@link #requiredConfig}) are always created without running its constructor, as it would 
+	 * otherwise throw an error for the missing config. Its state is then restored by its
+	 * `deserialize( state )` method if it has one, or otherwise by assigning the state's properties to the instance (skipping the 
+	 * keys `__proto__`, `constructor`, and `prototype`, and keys which would shadow a method). If the class is defined with 
+	 * `sealInstances` or `freezeInstances`, the instance is sealed or frozen once its state has been restored. The instance of
+	 * a singleton class is always retrieved with its `getInstance()` method. Ex:
+	 * 
+	 *     var Point = Class( {
+	 *         className : 'geo.Point',
+	 *         
+	 *         constructor : function( x, y ) { this.x = x; this.y = y; },
+	 *         
+	 *         serialize : function() { return [ this.x, this.y ]; },
+	 *         deserialize : function( state ) { this.x = state[ 0 ]; this.y = state[ 1 ]; }
+	 *     } );
+	 *     
+	 *     var point = Class.revive( Class.stringify( new Point( 1, 2 ) ), { construct: false } );
+	 * 
+	 * An error is thrown if an instance's class is not registered (i.e. no class with its `className` has been created), if 
+	 * the value has a reference to an unknown `$id`, or if a property of an already sealed or frozen instance (ex: that of a 
+	 * singleton class) may not be restored.
+	 * 
+	 * @static
+	 * @method revive
+	 * @param {String/Mixed} json The JSON string, or its already parsed value.
+	 * @param {Object} [options] An object which may have the following properties:
+	 * @param {Boolean} [options.construct=true] False to create instances without running their class's constructor.
+	 * @return {Mixed} The revived value.
+	 */
+	Class.revive = function( json, options ) {
+		var value = ( typeof json === 'string' ) ? JSON.parse( json ) : json;
+		
+		return reviveValue( value, { refs: {}, construct: !options || options.construct !== false } );
+	};
+	
+	
+	/**
+	 * Creates a "reviver" function for `JSON.parse()`, which revives the parsed value with {@link #revive}. Ex:
+	 * 
+	 *     var person = JSON.parse( json, Class.reviver() );
+	 * 
+	 * @static
+	 * @method reviver
+	 * @param {Object} [options] The options for {@link #revive}.
+	 * @return {Function}
+	 */
+	Class.reviver = function( options ) {
+		var revivedHolders = [],  // the holders of the values which have been revived as the root value so far, and those values
+		    revivedValues = [],
+		    ids = {};             // the `$id`s of the objects provided to the reviver so far
+		
+		return function( key, value ) {
+			if( key === '$id' ) {
+				ids[ value ] = true;
+			}
+			
+			// If a value which was revived as the root value turns out to be nested (as its holder is itself a value in the JSON), 
+			// put its parsed form back in place, as it is revived along with the actual root value
+			var index = arrayIndexOf( revivedHolders, value );
+			if( index !== -1 ) {
+				value[ '' ] = revivedValues[ index ];
+			}
+			
+			// The value is revived as a whole once JSON.parse() reaches the root value (the last to be provided to the reviver), which 
+			// is the only property of its holder object (`this`). This way, references may be resolved to any object in the value.
+			// A nested object whose only key is "" looks the same, and so is revived as well (and put back later, as above).
+			var isRoot = ( key === '' && this[ '' ] === value );
+			for( var prop in this ) {
+				if( prop !== '' && this.hasOwnProperty( prop ) ) { isRoot = false; }
+			}
+			if( !isRoot ) {
+				return value;
+			}
+			
+			var revived;
+			try {
+				revived = Class.revive( value, options );
+			} catch( e ) {
+				if( refersToOuterObject( value, ids ) ) {
+					return value;  // the value is nested, and refers to an object outside of it
+				}
+				throw e;
+			}
+			revivedHolders.push( this );
+			revivedValues.push( value );
+			return revived;
+		};
+	};
+	
+	
+	/**
+	 * Creates a copy of a value. An object is copied by creating a new object with the same prototype (and so the same class), 
+	 * without running its constructor, and copying its own properties (with their descriptors, so that accessors remain accessors).
+	 * Arrays, Dates, RegExps, Maps, and Sets are copied as such, and a copy of a sealed or frozen object is sealed or frozen as well
+	 * (the copy of an instance of a class defined with `sealInstances` or `freezeInstances` being locked as a new instance would be,
+	 * so that its methods may still call their overridden methods). The instance of a singleton class is not copied, and is returned itself.
 	 * 
-	 *     var Animal = Class.create( {
-	 *         // class definition here
+	 * With the `deep` option, the values of the properties (and the elements of arrays, Maps, and Sets) are cloned as well, 
+	 * including nested class instances. Objects which are referenced more than once (including in cycles) are cloned once, so that
+	 * the copy has the same structure of references.
+	 * 
+	 * A class may provide its own `clone()` method, which is then used to clone its instances (including nested instances, with the
+	 * `deep` option). This method may call `Class.clone( this, { skipHook: true } )` to do the default cloning (without calling the 
+	 * method again), and then adjust the copy. Ex:
+	 * 
+	 *     var Document = Class( {
+	 *         constructor : function() { this.id = nextId++; this.sections = []; },
+	 *         
+	 *         clone : function() {
+	 *             var copy = Class.clone( this, { deep: true, skipHook: true } );
+	 *             copy.id = nextId++;  // a copy is a new document
+	 *             return copy;
+	 *         }
 	 *     } );
+	 *     
+	 *     var doc2 = Class.clone( doc1 );  // or doc1.clone()
 	 * 
 	 * @static
-	 * @method create
-	 * @param {Object} classDefinition The class definition. See the `overrides` parameter of {@link #extend}.
+	 * @method clone
+	 * @param {Mixed} value The value to clone. Primitive values are returned as is.
+	 * @param {Object} [options] An object which may have the following properties:
+	 * @param {Boolean} [options.deep=false] True to clone the values of the properties as well.
+	 * @param {Boolean} [options.skipHook=false] True to not use the `clone()` method of the `value` itself (but still use those of
+	 *   nested instances). This is for a `clone()` method which does the default cloning.
+	 * @return {Mixed} The copy.
 	 */
-	Class.create = function( classDefinition ) {
-		return Class.extend( Object, classDefinition );
+	Class.clone = function( value, options ) {
+		options = options || {};
+		return cloneValue( value, { deep: !!options.deep, skipHookFor: options.skipHook ? value : undefined, originals: createObjectIndex(), copies: [] } );
 	};
 	
 	
 	/**
-	 * Utility to copy all the properties of `config` to `obj`.
-	 *
+	 * Determines if two values are structurally equal. Primitive values are compared with `===` (except that NaN is equal to NaN). 
+	 * Objects are equal if they are of the same class, and their own enumerable properties (excluding the `transient` properties
+	 * of their class, see {@link #extend}) are equal, compared recursively. Arrays are compared element by element, Dates by their
+	 * time, Maps and Sets by their keys (which are compared by identity, as in the Map or Set itself) and values, and cyclic 
+	 * references are handled.
+	 * 
+	 * By default, the objects must be of exactly the same class. With the `exactClass: false` option, the class of one may instead 
+	 * be a subclass of the other's (see {@link #isSubclassOf}).
+	 * 
+	 * A class may provide its own `equals( other )` method, which is then used to compare its instances (when they are the first
+	 * argument, or nested in it). This method may call `Class.equals( this, other, { skipHook: true } )` to do the default comparison.
+	 * A class which provides an `equals()` method should also provide a `hashCode()` method, so that equal instances have the same hash code (see {@link #hash}). Ex:
+	 * 
+	 *     var Money = Class( {
+	 *         constructor : function( amount, currency ) { this.amount = amount; this.currency = currency; this.formatted = null; },
+	 *         
+	 *         equals : function( other ) {
+	 *             return other instanceof Money && this.amount === other.amount && this.currency === other.currency;
+	 *         },
+	 *         hashCode : function() {
+	 *             return Class.hash( [ this.amount, this.currency ] );
+	 *         }
+	 *     } );
+	 * 
 	 * @static
-	 * @method apply
-	 * @param {Object} obj The receiver of the properties
-	 * @param {Object} config The source of the properties
-	 * @param {Object} defaults A different object that will also be applied for default values
-	 * @return {Object} returns obj
+	 * @method equals
+	 * @param {Mixed} a
+	 * @param {Mixed} b
+	 * @param {Object} [options] An object which may have the following properties:
+	 * @param {Boolean} [options.exactClass=true] False to allow the class of one object to be a subclass of the other's.
+	 * @param {Boolean} [options.skipHook=false] True to not use the `equals()` method of `a` itself (but still use those of nested 
+	 *   instances). This is for an `equals()` method which does the default comparison.
+	 * @return {Boolean} True if the values are equal, false otherwise.
 	 */
-	Class.apply = function( o, c, defaults ) {
-		if( defaults ) {
-			Class.apply( o, defaults );  // no "this" reference for friendly out of scope calls
-		}
-		if( o && c && typeof c == 'object' ) {
-			for( var p in c ) {
-				o[ p ] = c[ p ];
-			}
-		}
-		return o;
+	Class.equals = function( a, b, options ) {
+		options = options || {};
+		return valuesEqual( a, b, { exactClass: options.exactClass !== false, skipHookFor: options.skipHook ? a : undefined, as: [], bs: [] } );
 	};
 	
 	
 	/**
-	 * Utility to copy all the properties of `config` to `obj`, if they don't already exist on `obj`.
-	 *
+	 * Computes a hash code (a 32-bit integer) for a value, which is consistent with {@link #equals}: values which are equal have the
+	 * same hash code (although values which are not equal may also have the same hash code). An object's hash code is computed from
+	 * the hash codes of its own state (as compared by {@link #equals}), unless its class provides its own `hashCode()` method (which
+	 * may call `Class.hash( this, { skipHook: true } )` for the default hash code).
+	 * 
+	 * This may be used to look up values by their structure in a Map, by keying the Map by the hash codes, and checking for 
+	 * collisions with {@link #equals}. Ex:
+	 * 
+	 *     var buckets = new Map();
+	 *     function add( value ) {
+	 *         var hash = Class.hash( value ),
+	 *             bucket = buckets.get( hash ) || [];
+	 *         
+	 *         if( !bucket.some( function( existing ) { return Class.equals( existing, value ); } ) ) {
+	 *             bucket.push( value );
+	 *         }
+	 *         buckets.set( hash, bucket );
+	 *     }
+	 * 
 	 * @static
-	 * @method applyIf
-	 * @param {Object} obj The receiver of the properties
-	 * @param {Object} config The source of the properties
-	 * @return {Object} returns obj
+	 * @method hash
+	 * @param {Mixed} value
+	 * @param {Object} [options] An object which may have the following properties:
+	 * @param {Boolean} [options.skipHook=false] True to not use the `hashCode()` method of the `value` itself (but still use those
+	 *   of nested instances). This is for a `hashCode()` method which computes the default hash code.
+	 * @return {Number} The hash code.
 	 */
-	Class.applyIf = function( o, c ) {
-		if( o ) {
-			for( var p in c ) {
-				if( typeof o[ p ] === 'undefined' ) {
-					o[ p ] = c[ p ];
-				}
-			}
-		}
-		return o;
+	Class.hash = function( value, options ) {
+		return hashValue( value, { stack: [], skipHookFor: ( options && options.skipHook ) ? value : undefined } );
 	};
 	
 	
@@ -229,13 +3165,197 @@ var Class = (function() {
 	 * subclass. Ex:
 	 * 
 	 *     var AbstractClass = Class( {
+	 *         abstractClass : true,
+	 *         
 	 *         myMethod : Class.abstractMethod
 	 *     } );
+	 * 
+	 * It may also be called with the name of the method to create an abstract method marker, which names the method and the
+	 * class that declared it in its error if it is called, and in the errors for concrete classes which do not implement it. Ex:
+	 * 
+	 *     var Widget = Class( {
+	 *         className : 'Widget',
+	 *         abstractClass : true,
+	 *         
+	 *         render : Class.abstractMethod( 'render' )  // if called: "Abstract method 'render' of class 'Widget' must be implemented in subclass"
+	 *     } );
+	 * 
+	 * Abstract methods may also be declared in `statics` and `inheritedStatics`. A concrete class may not have any abstract static 
+	 * methods, and so a concrete subclass must implement those that it inherits (in its own `statics` or `inheritedStatics`).
+	 * 
+	 * @static
+	 * @method abstractMethod
+	 * @param {String} [methodName] The name of the method, to create an abstract method marker.
+	 * @return {Function} The abstract method marker, if `methodName` was provided.
 	 */
-	Class.abstractMethod = function() {
+	Class.abstractMethod = function( methodName ) {
+		// Create a marker when called as `Class.abstractMethod( 'name' )` (or as a plain function). When called as a method of an 
+		// object (i.e. an abstract method that was not implemented), throw the error instead.
+		if( typeof methodName === 'string' && ( this === Class || this === globalObj || this === undefined ) ) {
+			return createAbstractMethod( methodName );
+		}
 		throw new Error( "method must be implemented in subclass" );
 	};
 	
+	
+	/**
+	 * Marks a method as one which calls the method that it overrides (with `this._super()`, `this.callSuper()`, or 
+	 * `this.applySuper()`). Methods are normally detected as doing so by searching their source text for these calls, but this 
+	 * does not work for methods that are created by `bind()` or another function wrapper, that have been renamed by a minifier, 
+	 * or that make the call dynamically. Ex:
+	 * 
+	 *     var Dog = Animal.extend( {
+	 *         // logCalls() returns a wrapper function, which doesn't itself contain the this._super() call
+	 *         eat : Class.superCalling( logCalls( function( food ) {
+	 *             this.callSuper( food );
+	 *         } ) )
+	 *     } );
+	 * 
+	 * @static
+	 * @method superCalling
+	 * @param {Function} fn The method.
+	 * @return {Function} The same `fn`, for convenience.
+	 */
+	Class.superCalling = function( fn ) {
+		fn.__Class_superCalling = true;
+		return fn;
+	};
+	
+	
+	/**
+	 * Marks a method as final, so that it may not be overridden by subclasses, or replaced with {@link #override}. An error is
+	 * thrown by {@link #extend} for a subclass which defines a member with the same name (and by {@link #override}). Ex:
+	 * 
+	 *     var Component = Class( {
+	 *         className : 'Component',
+	 *         
+	 *         render : Class.finalMethod( function() {
+	 *             this.onRender();
+	 *         } ),
+	 *         
+	 *         onRender : function() {}
+	 *     } );
+	 *     
+	 *     var Button = Component.extend( {
+	 *         className : 'Button',
+	 *         
+	 *         render : function() {}  // Error: "Cannot override final method 'render' of class 'Component' in class 'Button'"
+	 *     } );
+	 * 
+	 * Methods may also be declared as final by listing their names in the special `finals` property of a class definition. See
+	 * {@link #extend}.
+	 * 
+	 * @static
+	 * @method finalMethod
+	 * @param {Function} fn The method.
+	 * @return {Function} The same `fn`, for convenience.
+	 */
+	Class.finalMethod = function( fn ) {
+		fn.__Class_finalMethod = true;
+		return fn;
+	};
+	
+	
+	/**
+	 * Set to true to enable debug mode, which performs extra checks to catch common mistakes. Currently, this checks that
+	 * `this._super()` and `this.applySuper()` are called with a single array (or arguments object) of arguments, and throws an 
+	 * error otherwise (instead of silently dropping the arguments). 
+	 * 
+	 * @static
+	 * @property debug
+	 * @type Boolean
+	 */
+	Class.debug = false;
+	
+	
+	/**
+	 * In JavaScript implementations that support `Symbol.hasInstance` (ES2015), the `instanceof` operator recognizes mixins for 
+	 * classes created with {@link #extend}, and for classes used as mixins. That is, `obj instanceof MixinClass` is true when the
+	 * object's class has `MixinClass` as a mixin (the same as {@link #isInstanceOf}). Ex:
+	 * 
+	 *     var Duck = Class( {
+	 *         mixins : [ Observable ]
+	 *     } );
+	 *     
+	 *     new Duck() instanceof Observable;  // true
+	 * 
+	 * Set this to false to opt out of this, in which case the `instanceof` operator has its standard behavior, and classes that are
+	 * created (or used as mixins) while it is false are not modified. {@link #isInstanceOf} recognizes mixins in any case, and 
+	 * should be used if older JavaScript implementations must be supported.
+	 * 
+	 * @static
+	 * @property instanceofMixins
+	 * @type Boolean
+	 */
+	Class.instanceofMixins = true;
+	
+	
+	/**
+	 * A special value which can be referenced from the `config` section of a class definition to specify that a config 
+	 * is required. An error is thrown if a value is not provided for the config when the class is instantiated. Ex:
+	 * 
+	 *     var Person = Class( {
+	 *         config : {
+	 *             name : Class.requiredConfig,
+	 *             age : 0
+	 *         }
+	 *     } );
+	 *     
+	 *     new Person( { age: 21 } );  // error: The required config 'name' was not provided
+	 * 
+	 * See {@link #extend} for details on the `config` section.
+	 * 
+	 * @static
+	 * @property requiredConfig
+	 * @type Object
+	 */
+	Class.requiredConfig = {};
+	
+	
+	/**
+	 * Creates an interface: a named list of methods which a class declares that it implements by listing the interface
+	 * in the special `implements` property of its definition. When the class is created by {@link #extend}, an error
+	 * is thrown if the class (if it is not abstract) does not provide all of the interface's methods. Unlike
+	 * {@link #abstractMethod abstract methods}, a class may implement any number of interfaces, regardless of its
+	 * superclass. A single interface may be provided as `implements` instead of an array, and an error is thrown for any item of 
+	 * `implements` which is not an interface. Ex:
+	 *
+	 *     var List = Class.interface( {
+	 *         name : 'List',
+	 *         methods : [ 'add', 'remove' ]
+	 *     } );
+	 *
+	 *     var ArrayList = Class( {
+	 *         'implements' : [ List ],
+	 *
+	 *         add : function( item ) { ... },
+	 *         remove : function( item ) { ... }
+	 *     } );
+	 *
+	 *     Class.isInstanceOf( new ArrayList(), List );   // true
+	 *     Class.implementsInterface( ArrayList, List );  // true
+	 *
+	 * Note: `interface` and `implements` are reserved words in older JavaScript implementations (ES3), so use
+	 * `Class[ 'interface' ]` and `'implements'` (quoted) if targeting them.
+	 *
+	 * @static
+	 * @method interface
+	 * @param {Object} config An object with the following properties:
+	 * @param {String} config.name The name of the interface, which is used in error messages.
+	 * @param {String[]} config.methods The names of the methods that classes which implement the interface must provide.
+	 * @return {Class.Interface} The interface object, to be specified in the `implements` array of class definitions.
+	 */
+	Class[ 'interface' ] = function( config ) {
+		if( !config || typeof config.name !== 'string' || !config.name ) {
+			throw new Error( "Class.interface() requires a `name` for the interface" );
+		}
+		if( Object.prototype.toString.call( config.methods ) !== '[object Array]' ) {
+			throw new Error( "Class.interface() requires a `methods` array for interface '" + config.name + "'" );
+		}
+		
+		return new Interface( config.name, config.methods.slice( 0 ) );
+	};
+	
 		
 	/**
 	 * Extends one class to create a subclass of it based on a passed object literal (`overrides`), and optionally any mixin 
@@ -259,8 +3379,8 @@ var Class = (function() {
 	 *     MyComponent = Class.extend( MySuperclass, {
 	 *         
 	 *         constructor : function( config ) {
-	 *             // apply the properties of the config object to this instance
-	 *             Class.apply( this, config );
+	 *             // apply the properties of the config object to this instance (skipping any unsafe keys)
+	 *             Class.applyConfig( this, config );
 	 *             
 	 *             // Call superclass constructor
 	 *             MyComponent.superclass.constructor.call( this );
@@ -290,13 +3410,13 @@ var Class = (function() {
 	 *         
 	 *         constructor : function( config ) {
 	 *             // apply the properties of the config to the object
-	 *             Class.apply( this, config );
+	 *             Class.applyConfig( this, config );
 	 *             
 	 *             // Call superclass constructor
 	 *             MyComponent.superclass.constructor.call( this );
 	 *             
-	 *             // Call the mixin's constructor
-	 *             MyMixin.constructor.call( this );
+	 *             // Call the mixin's constructor (or, set `autoInitMixins: true` to have it called automatically)
+	 *             MyMixin.call( this );
 	 *             
 	 *             // Your postprocessing here
 	 *         },
@@ -307,15 +3427,181 @@ var Class = (function() {
 	 *         
 	 *         // method that overrides or extends a mixin's method
 	 *         mixinMethod : function() {
-	 *             // call the mixin's method, if desired
-	 *             MyMixin.prototype.mixinMethod.call( this );
+	 *             // call the mixin's method, if desired (equivalent to `MyMixin.prototype.mixinMethod.apply( this, arguments )`)
+	 *             this.callMixin( MyMixin, 'mixinMethod', arguments );
 	 *             
 	 *             // post processing
 	 *         }
 	 *         
 	 *     } );
 	 * 
-	 * Note that calling superclass methods can be done with either the [Class].superclass or [Class].__super__ property.
+	 * If the class is defined with `autoInitMixins: true`, the constructors of its mixins are called automatically (in the order 
+	 * that they are declared, and with the arguments provided to the class's constructor) when the class is instantiated, before 
+	 * the class's constructor implementation runs. This setting is inherited by subclasses, and the constructors of the mixins of 
+	 * superclasses are called first. Each mixin's constructor is only called once per instance, even if the mixin is included 
+	 * by more than one class in the hierarchy. A mixin which was itself created with Class.js also applies its own `config` (and
+	 * initializes its own `autoInitMixins`) when its constructor is called for the class's instance.
+	 * 
+	 * If more than one mixin provides a member with the same name (which the class doesn't define itself), the mixin defined later
+	 * in the `mixins` array takes precedence. To instead have an error thrown for these conflicts, set `strictMixins: true` in the 
+	 * class definition. Conflicts can be resolved by defining the member in the class itself, or by using the object form of a 
+	 * `mixins` entry to `exclude` members of a mixin, and/or `alias` them under different names (so that both implementations 
+	 * can be kept). For example:
+	 * 
+	 *     MyComponent = Class.extend( Class.util.Observable, {
+	 *         strictMixins : true,
+	 *         mixins : [ 
+	 *             { mixin: Renderable, alias: { render: 'renderMarkup' }, exclude: [ 'render' ] },  // Renderable's render() becomes renderMarkup()
+	 *             Draggable  // Draggable's render() is applied as render()
+	 *         ]
+	 *     } );
+	 * 
+	 * Note that calling superclass methods can be done with either the [Class].superclass or [Class].__super__ property. Methods
+	 * which override a superclass method may also call it with `this._super( args )` or `this.applySuper( args )` (which accept an 
+	 * array or `arguments` object), or `this.callSuper( a, b, c )` (which accepts individual arguments).
+	 * These methods are detected from their source text, so a method that calls its superclass method in a way that cannot be
+	 * detected (for example, one which is created by a function wrapper) should be marked with {@link #superCalling}.
+	 * 
+	 * A class may be given a name with the special `className` property. A named class is registered, so that it may be retrieved 
+	 * by its name with {@link #get} (and instantiated by its name with {@link #create}), and is assigned to its namespace off of the
+	 * global object, creating the namespace objects as needed. For example:
+	 * 
+	 *     Class( {
+	 *         className : 'app.model.User'
+	 *     } );
+	 *     
+	 *     app.model.User === Class.get( 'app.model.User' );  // true
+	 *     Class.getName( app.model.User );                   // 'app.model.User'
+	 * 
+	 * Registering a class with a name that is already registered replaces the previous class (and logs a warning to the console).
+	 * 
+	 * A class which is defined with `'final': true` may not be extended, and the methods named in the special `finals` array (along 
+	 * with those marked with {@link #finalMethod}) may not be overridden by subclasses. The methods in `finals` may be the class's own,
+	 * inherited, or provided by a mixin. For example:
+	 * 
+	 *     var Component = Class( {
+	 *         finals : [ 'render' ],
+	 *         
+	 *         render : function() { ... }
+	 *     } );
+	 *     
+	 *     var Button = Component.extend( {
+	 *         'final' : true  // `final` is a reserved word in older JavaScript implementations, so it should be quoted
+	 *     } );
+	 * 
+	 * The instances of a class which is defined with `sealInstances: true` are sealed with `Object.seal()` once they have been 
+	 * constructed, so that they may not accidentally gain new properties (ex: from a misspelled property name), and those of a class 
+	 * defined with `freezeInstances: true` are frozen with `Object.freeze()`. This is done after the constructor of the class being
+	 * instantiated (and so the whole constructor chain) has run, and so the constructors may still initialize the instance. These 
+	 * options are inherited by subclasses, which may set them to `false` to turn them off. Note that the instances of a native ES2015 
+	 * subclass (i.e. `class X extends MyClass {}`) are not sealed or frozen, as its constructor runs after the Class.js constructor.
+	 * 
+	 * A class which is defined with `freezePrototype: true` has its prototype frozen with `Object.freeze()` once the class has been
+	 * created (after its mixins have been applied, and its `onClassExtended` method has run). Its methods then may not be replaced, 
+	 * and {@link #override} (as well as {@link #before}, {@link #after}, and {@link #around}) throws an error for the class. Note that
+	 * an instance property which has a default value on a frozen prototype may not then be assigned on an instance (as the prototype's
+	 * property is read-only), and so such properties should instead be initialized in the constructor.
+	 * 
+	 * A class which is defined with `singleton: true` has a single instance, which is created when the class is created, and is
+	 * returned by this method instead of the class. The class may be retrieved from the instance's `constructor` property, and 
+	 * has a static `getInstance()` method which returns the instance. With `singleton: 'lazy'`, the class is returned instead, and 
+	 * its instance is created when `getInstance()` is first called. The instance is created after the class's `onClassExtended` 
+	 * method has run, and with no constructor arguments (so its `config` defaults are used). A singleton class is final (i.e. it 
+	 * may not be extended), and may not be instantiated with `new`. For example:
+	 * 
+	 *     var settings = Class( {
+	 *         singleton : true,
+	 *         mixins : [ Observable ],
+	 *         
+	 *         get : function( name ) { ... }
+	 *     } );
+	 *     
+	 *     settings.get( 'theme' );
+	 *     settings.constructor.getInstance() === settings;  // true
+	 * 
+	 * A class definition may list the names of the instance properties which are not to be serialized by {@link #serialize} (ex: 
+	 * caches, or references to DOM elements) in its `transient` array. These are added to those of the superclass. Ex:
+	 * 
+	 *     var View = Class( {
+	 *         className : 'app.View',
+	 *         'transient' : [ 'el' ]  // `transient` is a reserved word in older JavaScript implementations, so it should be quoted
+	 *     } );
+	 * 
+	 * Instead of applying a config object to the instance in the constructor by hand (as above), the configs that the class accepts
+	 * may be declared in the special `config` section, with their default values. The `config` section is merged with the `config` 
+	 * sections of the superclasses (with the subclass's defaults taking precedence), and the constructor of the class being 
+	 * instantiated applies the configs before the constructor implementation runs: each config is set from the object passed as 
+	 * the first argument to the constructor, or from its default value otherwise. A getter and setter method is generated for 
+	 * each config, which call the optional `apply` and `update` hooks. For example:
+	 * 
+	 *     var Person = Class( {
+	 *         config : {
+	 *             name : Class.requiredConfig,  // an error is thrown if a `name` is not provided
+	 *             age : 0
+	 *         },
+	 *         
+	 *         // Optional hook, which is called by the generated setAge() method before the value is set. It may 
+	 *         // validate/transform the value, and returns the value to set (or undefined to not set it).
+	 *         applyAge : function( newAge, oldAge ) {
+	 *             if( newAge < 0 ) throw new Error( "invalid age" );
+	 *             return newAge;
+	 *         },
+	 *         
+	 *         // Optional hook, which is called by the generated setAge() method after the value has changed
+	 *         updateAge : function( newAge, oldAge ) {
+	 *             console.log( "age changed from " + oldAge + " to " + newAge );
+	 *         }
+	 *     } );
+	 *     
+	 *     var person = new Person( { name: "Bob", age: 21 } );
+	 *     person.getName();   // "Bob"
+	 *     person.setAge( 22 ); // logs "age changed from 21 to 22"
+	 * 
+	 * Object-valued members of a class definition normally replace the superclass's values. The special `mergeMembers` property
+	 * instead deep merges them (with {@link #merge}) with the superclass's values, when both are plain objects or arrays. This 
+	 * applies to the prototype members, `inheritedStatics`, and `config` defaults of the definition. `mergeMembers` is either
+	 * `true` to merge all such members, an array of the names of the members to merge, or an object with the `members` to merge
+	 * (`true` or an array), and the `arrays` and `strategies` options for {@link #merge}. It is not inherited by subclasses. Ex:
+	 * 
+	 *     var Grid = Class( {
+	 *         defaults : { pageSize: 25, sortable: true }
+	 *     } );
+	 *     
+	 *     var UserGrid = Grid.extend( {
+	 *         mergeMembers : [ 'defaults' ],
+	 *         defaults : { pageSize: 50 }
+	 *     } );
+	 *     
+	 *     UserGrid.prototype.defaults;  // { pageSize: 50, sortable: true }
+	 * 
+	 * In JavaScript implementations that support ES5 getters/setters, accessor properties in the `overrides` (ex: `get name() {...}`)
+	 * are defined as accessors on the subclass's prototype, and may call `this._super()` to invoke the superclass's getter, or 
+	 * `this._super( [ value ] )` to invoke the superclass's setter. Accessors may also be declared in the special `properties` section:
+	 * 
+	 *     var Person = Class( {
+	 *         properties : {
+	 *             name : {
+	 *                 'default' : "Unknown",
+	 *                 set : function( name ) { this._name = name.toUpperCase(); }  // the getter is generated, and returns this._name
+	 *             },
+	 *             
+	 *             greeting : {
+	 *                 get : function() { return "Hi, " + this.name; }
+	 *             }
+	 *         }
+	 *     } );
+	 * 
+	 * A getter or setter that is not provided in a `properties` entry is generated, and reads or writes the property's value in a 
+	 * "backing" property of the same name with a leading underscore (`_name` in the example above). The `default` value, if provided, 
+	 * is placed on the prototype under the backing property's name.
+	 * 
+	 * The `superclass` may be a native ES2015 class (i.e. one created with the `class` syntax), whose constructor is called with
+	 * `Reflect.construct()`, and the class being instantiated as `new.target`. The properties that it assigns are copied to the new 
+	 * object, but note that its private fields (ex: `#count`) and the internal state of a built-in class (ex: Map) are not available.
+	 * Classes created by this method may also be extended with the `class` syntax (ex: `class X extends MyClass {}`). The mixins and
+	 * `config` of a native subclass are initialized when it is instantiated, and its `onClassExtended` static method (if it is one of 
+	 * the `inheritedStatics`) is run when it is first instantiated or extended. Note that a native subclass inherits all of the static 
+	 * properties of its superclass, including those in the `statics` section.
 	 *
 	 * @static
 	 * @method extend
@@ -326,11 +3612,179 @@ var Class = (function() {
 	 *   `constructor`, which is used to define the constructor function of the new subclass. If this property is *not* specified,
 	 *   a constructor function is generated and returned which just calls the superclass's constructor, passing on its parameters.
 	 *   **It is essential that you call the superclass constructor in any provided constructor.** See example code.
-	 * @return {Function} The subclass constructor from the `overrides` parameter, or a generated one if not provided.
+	 * @return {Function/Object} The subclass constructor from the `overrides` parameter, or a generated one if not provided. If the
+	 *   class is an eagerly created singleton (`singleton: true`), its instance is returned instead.
 	 */
 	Class.extend = (function() {
 		// Set up some private vars that will be used with the extend() method
-		var superclassMethodCallRegex = /xyz/.test( function(){ var a = "xyz"; } ) ? /\b_super\b/ : /.*/;  // a regex to see if the _super() method is called within a function, for JS implementations that allow a function's text to be converted to a string. Note, need to keep the "xyz" as a string, so minifiers don't re-write it. 
+		
+		// Functions which create the getter and setter for a property in the `properties` section of a class definition which
+		// doesn't provide its own getter or setter. These read/write the value of the given "backing" property.
+		var createBackingGetter = function( backingProp ) {
+			return function() { return this[ backingProp ]; };
+		};
+		var createBackingSetter = function( backingProp ) {
+			return function( value ) {
+				if( this.hasOwnProperty( backingProp ) ) {
+					this[ backingProp ] = value;
+				} else {
+					setProperty( this, backingProp, value );  // the default value may be on a frozen prototype (see `freezePrototype`)
+				}
+			};
+		};
+		
+		// Applies the `config` of a class to a new instance. The value for each config is taken from the object provided to the 
+		// constructor (`configValues`), or otherwise from the class's defaults (`configDefs`), and is set with the config's setter
+		// method (so that any `apply` and `update` hooks are run). A default which is an array or plain object is copied (deeply), 
+		// so that instances don't share (and modify) the same one.
+		var initConfig = function( instance, configDefs, configValues ) {
+			configValues = isObject( configValues ) ? configValues : {};
+			
+			for( var name in configDefs ) {
+				if( configDefs.hasOwnProperty( name ) ) {
+					var provided = Object.prototype.hasOwnProperty.call( configValues, name ),
+					    value = provided ? configValues[ name ] : configDefs[ name ];
+					if( value === Class.requiredConfig ) {
+						var className = Class.getName( instance.constructor );
+						throw new Error( "The required config '" + name + "' was not provided" + ( className ? " to class '" + className + "'" : "" ) );
+					}
+					if( !provided ) {
+						value = isArray( value ) ? mergeArrays( [], value, {} ) : isPlainObject( value ) ? mergeObjects( {}, [ value ], {} ) : value;
+					}
+					
+					instance[ 'set' + capitalize( name ) ]( value );
+				}
+			}
+		};
+		
+		// Creates the getter and setter methods for a config (ex: getName() and setName() for the 'name' config) on a class's 
+		// prototype, unless the class defines them itself. The setter calls the optional `apply` hook (ex: applyName()) with
+		// the new and old values, which may return a different value to set (or undefined to cancel setting the value), and
+		// then the optional `update` hook (ex: updateName()) if the value has changed.
+		var createConfigAccessors = function( proto, name ) {
+			var suffix = capitalize( name ),
+			    getterName = 'get' + suffix,
+			    setterName = 'set' + suffix,
+			    applyName = 'apply' + suffix,
+			    updateName = 'update' + suffix;
+			
+			if( !proto.hasOwnProperty( getterName ) ) {
+				setProperty( proto, getterName, function() {
+					return this[ name ];
+				} );
+			}
+			
+			if( !proto.hasOwnProperty( setterName ) ) {
+				setProperty( proto, setterName, function( value ) {
+					var oldValue = this[ name ];
+					
+					if( typeof this[ applyName ] === 'function' ) {
+						value = this[ applyName ]( value, oldValue );
+					}
+					if( value !== undefined ) {
+						this[ name ] = value;
+						
+						if( value !== oldValue && typeof this[ updateName ] === 'function' ) {
+							this[ updateName ]( value, oldValue );
+						}
+					}
+					return this;
+				} );
+			}
+		};
+		
+		// Determines if the members collected from two mixins by applyMixins() (below) are the same member, in which case 
+		// they are not in conflict (ex: two mixins that inherit the same method from a common base class)
+		var isSameMixinMember = function( member1, member2 ) {
+			var accessor1 = findAccessor( member1.source, member1.prop ),
+			    accessor2 = findAccessor( member2.source, member2.prop );
+			
+			if( accessor1 || accessor2 ) {
+				return !!accessor1 && !!accessor2 && accessor1.get === accessor2.get && accessor1.set === accessor2.set;
+			}
+			return member1.source[ member1.prop ] === member2.source[ member2.prop ];
+		};
+		
+		// Describes a mixin for error messages, using its class name if it has one, or otherwise its index in the `mixins` array
+		var describeMixin = function( member ) {
+			return Class.getName( member.mixin ) || "mixins[" + member.index + "]";
+		};
+		
+		// Applies the methods/properties of the mixins to the prototype of a new class. Each entry of the `mixins` array is
+		// either a mixin class, or an object of the form `{ mixin: MixinClass, exclude: [ ... ], alias: { ... } }`. Members that 
+		// the class already has are not overwritten, and if more than one mixin provides a member, the later mixin takes 
+		// precedence (or if `strict` is true, an error is thrown). Where each applied member came from (its `mixin` class, and its 
+		// `prop` name in the mixin) is recorded in the `appliedMembers` map, keyed by the member's name. Returns the array of the 
+		// mixin classes.
+		var applyMixins = function( proto, mixins, strict, appliedMembers ) {
+			var mixinClasses = [],
+			    members = {},  // map of the name of each member to apply, to an object which describes where it comes from
+			    name, i, len;
+			
+			for( i = 0, len = mixins.length; i < len; i++ ) {
+				var entry = ( typeof mixins[ i ] === 'function' ) ? { mixin: mixins[ i ] } : mixins[ i ],
+				    mixinPrototype = entry.mixin.prototype,
+				    exclude = entry.exclude || [],
+				    alias = entry.alias || {},
+				    mixinMembers = {};
+				
+				var memberNames = getMemberNames( mixinPrototype );
+				for( var j = 0, numMembers = memberNames.length; j < numMembers; j++ ) {
+					if( !arrayContains( exclude, memberNames[ j ] ) ) {
+						mixinMembers[ memberNames[ j ] ] = memberNames[ j ];
+					}
+				}
+				for( name in alias ) {
+					if( alias.hasOwnProperty( name ) ) {
+						if( !( name in mixinPrototype ) ) {
+							throw new Error( "Cannot alias member '" + name + "' of mixin " + describeMixin( { mixin: entry.mixin, index: i } ) + ", as the mixin does not have it" );
+						}
+						mixinMembers[ alias[ name ] ] = name;
+					}
+				}
+				
+				for( name in mixinMembers ) {
+					var member = { mixin: entry.mixin, index: i, source: mixinPrototype, prop: mixinMembers[ name ] },
+					    existingMember = members.hasOwnProperty( name ) ? members[ name ] : null;
+					
+					// Keep track of any mixins which provide a different member with the same name, which is a conflict
+					member.conflicts = existingMember ? existingMember.conflicts.slice( 0 ) : [];
+					if( existingMember && !isSameMixinMember( existingMember, member ) ) {
+						member.conflicts.push( existingMember );
+					}
+					members[ name ] = member;  // later mixins take precedence
+				}
+				
+				mixinClasses.push( entry.mixin );
+				installHasInstance( entry.mixin );  // so that `instanceof` recognizes the mixin
+			}
+			
+			for( name in members ) {
+				// Do not overwrite properties that already exist on the prototype (including accessor properties, which
+				// are checked for separately so that their getters aren't invoked)
+				if( !findAccessor( proto, name ) && typeof proto[ name ] === 'undefined' ) {
+					if( strict && members[ name ].conflicts.length ) {
+						throw new Error( "Mixin conflict: member '" + name + "' is provided by both " + describeMixin( members[ name ].conflicts[ 0 ] ) + 
+						                 " and " + describeMixin( members[ name ] ) + ". Define it in the class, or use `exclude` or `alias` in the mixin entries to resolve it." );
+					}
+					copyProperty( proto, members[ name ].source, members[ name ].prop, name );
+					appliedMembers[ name ] = members[ name ];
+				}
+			}
+			return mixinClasses;
+		};
+		
+		// callMixin() function which is attached to the prototypes of subclasses. Calls the method `methodName` of the mixin 
+		// class `mixin` in the scope of the object, with the array (or arguments object) of arguments `args`.
+		var callMixin = function( mixin, methodName, args ) {
+			if( !Class.hasMixin( this.constructor, mixin ) ) {
+				throw new Error( "callMixin(): The object's class does not have the provided mixin" );
+			}
+			if( typeof mixin.prototype[ methodName ] !== 'function' ) {
+				throw new Error( "callMixin(): The mixin does not have a method named '" + methodName + "'" );
+			}
+			return mixin.prototype[ methodName ].apply( this, args || [] );
+		};
 		
 		// inline override() function which is attached to subclass constructor functions
 		var inlineOverride = function( obj ) {
@@ -348,6 +3802,18 @@ var Class = (function() {
 				superclass = Object;
 			}
 			
+			if( isBuiltInClass( superclass ) ) {
+				throw new Error( "Cannot extend the built-in class" + ( superclass.name ? " '" + superclass.name + "'" : "" ) + " with Class.extend(), as its " +
+				                 "instances can only be created by its own constructor. Extend it with the `class` syntax instead (ex: `class MyMap extends Map {}`)" );
+			}
+			
+			
+			// If the superclass is a native ES2015 subclass of a Class.js class (i.e. `class X extends MyClass {}`), initialize
+			// it first (if it hasn't been already), so that its `onClassExtended` method runs before the new subclass's
+			if( !superclass.hasOwnProperty( '__Class' ) && getNearestClass( superclass ) ) {
+				initNativeSubclass( superclass );
+			}
+			
 			
 			var subclass,           // the actual subclass's constructor function which will be created. This ends up being a wrapper for the subclassCtorImplFn, which the user defines
 			    subclassCtorImplFn, // the actual implementation of the subclass's constructor, which the user defines
@@ -355,6 +3821,9 @@ var Class = (function() {
 			    subclassPrototype,
 			    superclassPrototype = superclass.prototype,
 			    abstractClass = !!overrides.abstractClass,
+			    singletonInstance,          // the instance of the class, if it is a singleton (see `singleton`)
+			    creatingSingleton = false,  // true while the instance of a singleton class is being created
+			    instanceLock,               // 'seal' or 'freeze' if the class's instances are to be sealed or frozen (see `sealInstances` and `freezeInstances`)
 			    prop;
 			
 			
@@ -362,11 +3831,79 @@ var Class = (function() {
 			// applied to the subclass's prototype when we copy all of the 'overrides' properties there
 			var statics = overrides.statics,
 			    inheritedStatics = overrides.inheritedStatics,
-			    mixins = overrides.mixins;
+			    mixins = overrides.mixins,
+			    interfaces = overrides[ 'implements' ],  // `implements` is a reserved word in older JS implementations, so using bracket notation
+			    properties = overrides.properties,
+			    config = overrides.config,
+			    className = overrides.className,
+			    strictMixins = !!overrides.strictMixins,
+			    finalClass = !!overrides[ 'final' ],  // `final` is a reserved word in older JS implementations, so using bracket notation
+			    finals = overrides.finals || [],
+			    singleton = overrides.singleton,
+			    freezeInstances = overrides.freezeInstances,
+			    sealInstances = overrides.sealInstances,
+			    freezePrototype = !!overrides.freezePrototype,
+			    mergeMembers = overrides.mergeMembers,
+			    transientProps = overrides[ 'transient' ];  // `transient` is a reserved word in older JS implementations, so using bracket notation
+			
+			delete overrides.statics;
+			delete overrides.inheritedStatics;
+			delete overrides.mixins;
+			delete overrides[ 'implements' ];
+			delete overrides.properties;
+			delete overrides.config;
+			delete overrides.className;
+			delete overrides.strictMixins;
+			delete overrides[ 'final' ];
+			delete overrides.finals;
+			delete overrides.singleton;
+			delete overrides.freezeInstances;
+			delete overrides.sealInstances;
+			delete overrides.freezePrototype;
+			delete overrides.mergeMembers;
+			delete overrides[ 'transient' ];
+			
+			// Deep merge the object-valued members listed in `mergeMembers` with the superclass's values for them
+			if( mergeMembers ) {
+				mergeMembers = isPlainObject( mergeMembers ) ? Class.apply( { members: true }, mergeMembers ) : { members: mergeMembers };
+				
+				mergeSuperclassValues( overrides, superclassPrototype, mergeMembers );
+				if( inheritedStatics ) {
+					inheritedStatics = mergeSuperclassValues( Class.assign( {}, inheritedStatics ), superclass.__Class_inheritedStatics || {}, mergeMembers );
+				}
+				if( config ) {
+					config = mergeSuperclassValues( Class.assign( {}, config ), superclass.__Class_config || {}, mergeMembers );
+				}
+			}
+			
+			// A single interface may be provided as the `implements` of the class, instead of an array of them. Check that each is an 
+			// interface, as anything else (ex: a class) would be silently ignored, or cause an obscure error when the class is checked
+			if( interfaces ) {
+				interfaces = isArray( interfaces ) ? interfaces.slice( 0 ) : [ interfaces ];
+				for( var j = 0, numInterfaces = interfaces.length; j < numInterfaces; j++ ) {
+					if( !( interfaces[ j ] instanceof Interface ) ) {
+						throw new Error( "The `implements` of " + ( className ? "class '" + className + "'" : "the class being created" ) + 
+						                 " must only contain interfaces created with Class.interface(), but item " + j + " is not an interface" );
+					}
+				}
+			}
+			
+			// Check that the superclass is not final, and that the new subclass does not override any of its final methods (whether
+			// they are defined as methods, or as accessor properties in the `properties` section)
+			if( superclass.hasOwnProperty( '__Class_final' ) ) {
+				throw finalClassError( superclass );
+			}
+			var memberNames = [];
+			for( prop in overrides ) {
+				if( overrides.hasOwnProperty( prop ) ) { memberNames.push( prop ); }
+			}
+			for( prop in properties ) {
+				if( properties.hasOwnProperty( prop ) ) { memberNames.push( prop ); }
+			}
+			checkFinalMethods( superclass, memberNames, className );
 			
-			delete overrides.statics;
-			delete overrides.inheritedStatics;
-			delete overrides.mixins;
+			// Find the methods that are marked as final, before they may be wrapped (below)
+			finals = finals.concat( getFinalMethodNames( overrides ) );
 			
 			// --------------------------
 			
@@ -374,38 +3911,67 @@ var Class = (function() {
 			// method for methods that can call their associated superclass method. This should happen before defining the new subclass,
 			// so that the constructor function can be wrapped as well.
 			
-			// A function which wraps methods of the new subclass that can call their superclass method
-			var createSuperclassCallingMethod = function( fnName, fn ) {
-				return function() {
-					var tmpSuper = this._super,  // store any current _super reference, so we can "pop it off the stack" when the method returns
-					    scope = this;
-					
-					// Add the new _super() method that points to the superclass's method
-					this._super = function( args ) {  // args is an array (or arguments object) of arguments
-						return superclassPrototype[ fnName ].apply( scope, args || [] );
-					};
-					
-					// Now call the target method
-					var returnVal = fn.apply( this, arguments );
-					
-					// And finally, restore the old _super reference, as we leave the stack context
-					this._super = tmpSuper;
-					
-					return returnVal;
-				};
+			// A function which wraps methods of the new subclass that can call their superclass method. If `accessorType` is
+			// provided (either 'get' or 'set'), `fn` is a getter or setter, and the superclass's getter or setter is called instead.
+			var createSuperclassCallingMethod = function( fnName, fn, accessorType ) {
+				return createSuperCallingMethod( fn, function( scope, args ) {
+					if( accessorType ) {
+						return callSuperclassAccessor( scope, fnName, accessorType, args );
+					} else if( fnName === 'constructor' ) {
+						return callConstructor( superclassPrototype.constructor, scope, args );  // may be a native ES2015 class
+					}
+					return superclassPrototype[ fnName ].apply( scope, args || [] );
+				} );
+			};
+			
+			
+			// Calls the superclass's getter or setter (`accessorType`) for the property `propName`. If the superclass has a plain 
+			// property instead of an accessor, the getter simply returns its value.
+			var callSuperclassAccessor = function( scope, propName, accessorType, args ) {
+				var descriptor = findAccessor( superclassPrototype, propName );
+				
+				if( descriptor && descriptor[ accessorType ] ) {
+					return descriptor[ accessorType ].apply( scope, args || [] );
+				} else if( accessorType === 'get' ) {
+					return superclassPrototype[ propName ];
+				}
+			};
+			
+			// A function which creates the property descriptor for an accessor (getter/setter) property of the new subclass, wrapping 
+			// the getter and/or setter if they can call their superclass getter/setter
+			var createAccessorDescriptor = function( propName, get, set ) {
+				if( propName in superclassPrototype ) {
+					if( get && callsSuper( get ) ) {
+						get = createSuperclassCallingMethod( propName, get, 'get' );
+					}
+					if( set && callsSuper( set ) ) {
+						set = createSuperclassCallingMethod( propName, set, 'set' );
+					}
+				}
+				return { get: get, set: set, enumerable: true, configurable: true };
 			};
 			
 			
 			// Wrap all methods that use this._super() in the function that will allow this behavior (defined above), except
 			// for the special 'constructor' property, which needs to be handled differently for IE (done below).
-			for( prop in overrides ) {
-				if( 
+			var overridesKeys = getOwnKeys( overrides );  // includes symbol-keyed members, ex: Symbol.iterator
+			for( var k = 0, numKeys = overridesKeys.length; k < numKeys; k++ ) {
+				prop = overridesKeys[ k ];
+				
+				// Accessor (getter/setter) properties are redefined with wrapped getters/setters. Note that we must not read
+				// their values here, as that would invoke the getter on the `overrides` object.
+				var accessorDescriptor = overrides.hasOwnProperty( prop ) && findAccessor( overrides, prop );
+				if( accessorDescriptor ) {
+					Object.defineProperty( overrides, prop, createAccessorDescriptor( prop, accessorDescriptor.get, accessorDescriptor.set ) );
+					
+				} else if( 
 				    prop !== 'constructor' &&                               // We process the constructor separately, below (which is needed for IE, because IE8 and probably all versions below it won't enumerate it in a for-in loop, for whatever reason...)
 				    overrides.hasOwnProperty( prop ) &&                     // Make sure the property is on the overrides object itself (not a prototype object)
 				    typeof overrides[ prop ] === 'function' &&              // Make sure the override property is a function (method)
+				    !findAccessor( superclassPrototype, prop ) &&           // Make sure the superclass's property is not an accessor, which we must not invoke here
 				    typeof superclassPrototype[ prop ] === 'function' &&    // Make sure the superclass has the same named function (method)
 				    !overrides[ prop ].hasOwnProperty( '__Class' ) &&       // We don't want to wrap a constructor function of another class being provided as a prototype property to the class being created
-				    superclassMethodCallRegex.test( overrides[ prop ] )     // And check to see if the string "_super" exists within the override function
+				    callsSuper( overrides[ prop ] )                         // And check to see if the string "_super" exists within the override function (or it was marked with Class.superCalling())
 				) {
 					overrides[ prop ] = createSuperclassCallingMethod( prop, overrides[ prop ] );
 				}
@@ -417,7 +3983,7 @@ var Class = (function() {
 			    overrides.hasOwnProperty( 'constructor' ) &&  // make sure we don't get the constructor property from Object
 			    typeof overrides.constructor === 'function' && 
 			    typeof superclassPrototype.constructor === 'function' && 
-			    superclassMethodCallRegex.test( overrides.constructor )
+			    callsSuper( overrides.constructor )
 			) {
 				overrides.constructor = createSuperclassCallingMethod( 'constructor', overrides.constructor );
 			}
@@ -431,92 +3997,266 @@ var Class = (function() {
 				subclassCtorImplFn = overrides.constructor;
 				delete overrides.constructor;  // Remove 'constructor' property from overrides here, so we don't accidentally re-apply it to the subclass prototype when we copy all properties over
 			} else {
-				subclassCtorImplFn = ( superclass === Object ) ? function(){} : function() { return superclass.apply( this, arguments ); };   // create a "default constructor" that automatically calls the superclass's constructor, unless the superclass is Object (in which case we don't need to, as we already have a new object)
+				subclassCtorImplFn = ( superclass === Object ) ? function(){} : function() { return callConstructor( superclass, this, arguments ); };   // create a "default constructor" that automatically calls the superclass's constructor, unless the superclass is Object (in which case we don't need to, as we already have a new object)
 			}
 			
 			// Create the actual subclass's constructor, which tests to see if the class being instantiated is abstract,
 			// and if not, calls the subclassCtorFn implementation function
 			subclass = function() {
-				var proto = this.constructor.prototype;
-				if( proto.hasOwnProperty( 'abstractClass' ) && proto.abstractClass === true ) {
-					throw new Error( "Error: Cannot instantiate abstract class" );
+				var lockDeferred = deferInstanceLock;  // see createUnlockedInstance()
+				deferInstanceLock = false;
+				
+				if( isAbstractClass( this.constructor ) ) {
+					var className = Class.getName( this.constructor );
+					throw new Error( "Error: Cannot instantiate abstract class" + ( className ? " '" + className + "'" : "" ) );
+				}
+				if( singleton && !creatingSingleton ) {
+					var singletonName = Class.getName( subclass );
+					throw new Error( "Cannot instantiate singleton class" + ( singletonName ? " '" + singletonName + "'" : "" ) + ". Use its getInstance() method instead" );
+				}
+				
+				// If this is the class being instantiated (and not a superclass constructor that is being called by a subclass's 
+				// constructor, in which case the subclass has already done so), call the constructors of the mixins that are to be 
+				// automatically initialized (see `autoInitMixins`), and then apply the `config` of the class. This is also the case
+				// when a native ES2015 subclass of this class is being instantiated (i.e. `class X extends MyClass {}`), which must
+				// be initialized itself the first time (see initNativeSubclass()), and when this class is a mixin whose constructor
+				// is being called for an instance of the class that it was mixed into (which doesn't inherit from this class).
+				var instantiating = ( getNearestClass( this.constructor ) === subclass );
+				if( instantiating || !subclassPrototype.isPrototypeOf( this ) ) {
+					if( instantiating && this.constructor !== subclass ) {
+						initNativeSubclass( this.constructor );
+					}
+					
+					var mixinsToInit = subclass.__Class_mixinsToInit;
+					if( mixinsToInit ) {
+						for( var i = 0, len = mixinsToInit.length; i < len; i++ ) {
+							callConstructor( mixinsToInit[ i ], this, arguments );
+						}
+					}
+					
+					if( subclass.__Class_config ) {
+						initConfig( this, subclass.__Class_config, arguments[ 0 ] );
+					}
 				}
 				
 				// Call the actual constructor's implementation
-				return subclassCtorImplFn.apply( this, arguments );
+				var result = subclassCtorImplFn.apply( this, arguments );
+				
+				// If this is the class being instantiated, the whole constructor chain has now run, and so the instance may be sealed 
+				// or frozen (if the class is defined to). This isn't done for a native ES2015 subclass, as its constructor continues 
+				// to run after this one returns.
+				if( instanceLock && this.constructor === subclass && !lockDeferred ) {
+					lockInstance( this, instanceLock, subclass.__Class_backingProps );
+				}
+				return result;
 			};
 			
 			
 			F.prototype = superclassPrototype;
 			subclassPrototype = subclass.prototype = new F();  // set up prototype chain
-			subclassPrototype.constructor = subclass;          // fix constructor property
+			setProperty( subclassPrototype, 'constructor', subclass );  // fix constructor property. Note: setProperty() is used to set the prototype's properties, as the superclass's prototype may be frozen
 			subclass.superclass = subclass.__super__ = superclassPrototype;
 			subclass.__Class = true;  // a flag for testing if a given function is a class or not
+			installHasInstance( subclass );  // so that `instanceof` recognizes the class when it is used as a mixin
 			
 			// Attach new static methods to the subclass
-			subclass.override = function( overrides ) { Class.override( subclass, overrides ); };
-			subclass.extend = function( overrides ) { return Class.extend( subclass, overrides ); };
-			subclass.hasMixin = function( mixin ) { return Class.hasMixin( subclass, mixin ); };
+			subclass.override = function( overrides ) { Class.override( getCalledClass( this, subclass ), overrides ); };
+			subclass.extend = function( overrides ) { return Class.extend( getCalledClass( this, subclass ), overrides ); };
+			subclass.hasMixin = function( mixin ) { return Class.hasMixin( getCalledClass( this, subclass ), mixin ); };
+			subclass.implementsInterface = function( iface ) { return Class.implementsInterface( getCalledClass( this, subclass ), iface ); };
+			subclass.getSuperclasses = function() { return Class.getSuperclasses( getCalledClass( this, subclass ) ); };
+			subclass.getSubclasses = function( options ) { return Class.getSubclasses( getCalledClass( this, subclass ), options ); };
 			
 			// Attach new instance methods to the subclass
-			subclassPrototype.superclass = subclassPrototype.supr = function() { return superclassPrototype; };
-			subclassPrototype.override = inlineOverride;   // inlineOverride function defined above
-			subclassPrototype.hasMixin = function( mixin ) { return Class.hasMixin( this.constructor, mixin ); };
+			var getSuperclass = function() { return superclassPrototype; };
+			setProperty( subclassPrototype, 'superclass', getSuperclass );
+			setProperty( subclassPrototype, 'supr', getSuperclass );
+			setProperty( subclassPrototype, 'override', inlineOverride );   // inlineOverride function defined above
+			setProperty( subclassPrototype, 'hasMixin', function( mixin ) { return Class.hasMixin( this.constructor, mixin ); } );
+			setProperty( subclassPrototype, 'implementsInterface', function( iface ) { return Class.implementsInterface( this.constructor, iface ); } );
+			setProperty( subclassPrototype, 'callMixin', callMixin );       // callMixin function defined above
 			
 			// Finally, add the properties/methods defined in the "overrides" config (which is basically the subclass's 
 			// properties/methods) onto the subclass prototype now.
-			Class.override( subclass, overrides );
+			applyOverrides( subclass, overrides, false );
+			setAbstractMethodsClass( subclass, overrides );
 			
+			// Define the accessor properties declared in the `properties` section. Any getter or setter that is not provided
+			// reads or writes the property's value in a "backing" property named with a leading underscore (ex: '_name' for 
+			// the 'name' property), and the `default` value for the property is placed on the prototype under that name. The names
+			// of the backing properties (along with the superclass's) are stored, so that they may be added to sealed instances.
+			if( superclass.__Class_backingProps ) {
+				subclass.__Class_backingProps = superclass.__Class_backingProps.slice();
+			}
+			if( properties ) {
+				if( !supportsAccessors ) {
+					throw new Error( "The `properties` of a class definition require a JavaScript implementation that supports getters/setters (ES5)" );
+				}
+				
+				for( prop in properties ) {
+					if( properties.hasOwnProperty( prop ) ) {
+						var propertyDef = properties[ prop ],
+						    backingProp = '_' + prop;
+						
+						if( propertyDef.hasOwnProperty( 'default' ) ) {
+							setProperty( subclassPrototype, backingProp, propertyDef[ 'default' ] );  // `default` is a reserved word in older JS implementations
+						}
+						if( !propertyDef.set || propertyDef.hasOwnProperty( 'default' ) ) {
+							subclass.__Class_backingProps = ( subclass.__Class_backingProps || [] ).concat( backingProp );
+						}
+						Object.defineProperty( subclassPrototype, prop, createAccessorDescriptor( 
+							prop, 
+							propertyDef.get || createBackingGetter( backingProp ), 
+							propertyDef.set || createBackingSetter( backingProp ) 
+						) );
+					}
+				}
+			}
 			
-			// -----------------------------------
 			
-			// Check that if it is a concrete (i.e. non-abstract) class, that all abstract methods have been implemented
-			// (i.e. that the concrete class overrides any `Class.abstractMethod` functions from its superclass)
-			if( !abstractClass ) {
-				for( var methodName in subclassPrototype ) {
-					if( subclassPrototype[ methodName ] === Class.abstractMethod ) {  // NOTE: Do *not* filter out prototype properties; we want to test them
-						if( subclassPrototype.hasOwnProperty( methodName ) ) {
-							throw new Error( "The class being created has abstract method '" + methodName + "', but is not declared with 'abstractClass: true'" );
-						} else {
-							throw new Error( "The concrete subclass being created must implement abstract method: '" + methodName + "', or be declared abstract as well (using 'abstractClass: true')" );
-						}
+			// Merge the `config` of the class with the config of the superclass (so that the subclass's defaults take precedence), 
+			// and generate the getter and setter methods for any configs that are new to this class
+			if( config || superclass.__Class_config ) {
+				subclass.__Class_config = Class.assign( Class.assign( {}, superclass.__Class_config ), config );  // store the merged config (with the subclass's taking precedence) for instantiation, and for the next subclass
+				
+				for( prop in config ) {
+					if( config.hasOwnProperty( prop ) && !( superclass.__Class_config && superclass.__Class_config.hasOwnProperty( prop ) ) ) {
+						createConfigAccessors( subclassPrototype, prop );
 					}
 				}
 			}
 			
+			
 			// -----------------------------------
 			
 			// Now apply inherited statics to the class. Inherited statics from the superclass are first applied,
 			// and then all overrides (so that subclasses's inheritableStatics take precedence)
 			if( inheritedStatics || superclass.__Class_inheritedStatics ) {
-				inheritedStatics = Class.apply( {}, inheritedStatics, superclass.__Class_inheritedStatics );  // inheritedStatics takes precedence of the superclass's inherited statics
-				Class.apply( subclass, inheritedStatics );
+				inheritedStatics = Class.assign( Class.assign( {}, superclass.__Class_inheritedStatics ), inheritedStatics );  // inheritedStatics takes precedence of the superclass's inherited statics
+				Class.assign( subclass, inheritedStatics );
+				setAbstractMethodsClass( subclass, inheritedStatics );
 				subclass.__Class_inheritedStatics = inheritedStatics;  // store the inheritedStatics for the next subclass
 			}
 			
 			// Now apply statics to the class. These statics should override any inheritableStatics for the current subclass.
 			// However, the inheritableStatics will still affect subclasses of this subclass.
 			if( statics ) {
-				Class.apply( subclass, statics );
+				Class.assign( subclass, statics );
+				setAbstractMethodsClass( subclass, statics );
+				subclass.__Class_statics = statics;  // store the statics for the describe() method
 			}
 			
 			
 			// Handle mixins by applying their methods/properties to the subclass prototype. Methods defined by
 			// the class itself will not be overwritten, and the later defined mixins take precedence over earlier
-			// defined mixins. (Moving backwards through the mixins array to have the later mixin's methods/properties take priority)
+			// defined mixins (unless `strictMixins` is set, in which case that is an error)
 			if( mixins ) {
-				for( var i = mixins.length-1; i >= 0; i-- ) {
-					var mixinPrototype = mixins[ i ].prototype;
-					for( prop in mixinPrototype ) {
-						// Do not overwrite properties that already exist on the prototype
-						if( typeof subclassPrototype[ prop ] === 'undefined' ) {
-							subclassPrototype[ prop ] = mixinPrototype[ prop ];
+				// Store which mixin classes the subclass has (which is used in the hasMixin() method), and which mixin each of
+				// the members applied to the prototype came from (which is used in the describe() method)
+				subclass.__Class_mixinMembers = {};
+				subclass.mixins = applyMixins( subclassPrototype, mixins, strictMixins, subclass.__Class_mixinMembers );
+			}
+			
+			// Determine the mixins whose constructors are to be called automatically when the class is instantiated. These are
+			// the superclass's (so that they are called first), and then this class's own mixins if `autoInitMixins` is set
+			// (which may be inherited from the superclass). Each mixin is only included once, so that it is only initialized once.
+			var mixinsToInit = ( superclass.__Class_mixinsToInit || [] ).slice( 0 );
+			if( subclassPrototype.autoInitMixins === true && subclass.mixins ) {
+				for( var i = 0, len = subclass.mixins.length; i < len; i++ ) {
+					if( !arrayContains( mixinsToInit, subclass.mixins[ i ] ) ) {
+						mixinsToInit.push( subclass.mixins[ i ] );
+					}
+				}
+			}
+			if( mixinsToInit.length ) {
+				subclass.__Class_mixinsToInit = mixinsToInit;
+			}
+			
+			
+			// Store the names of the subclass's final methods (which may have been provided by its mixins), and whether the subclass
+			// itself is final. These are checked when it is extended, and by Class.override()
+			if( finals.length ) {
+				for( i = 0, len = finals.length; i < len; i++ ) {
+					if( findAccessor( subclassPrototype, finals[ i ] ) || typeof subclassPrototype[ finals[ i ] ] !== 'function' ) {
+						throw new Error( "Cannot declare '" + finals[ i ] + "' as a final method, as the class being created does not have a method with that name" );
+					}
+				}
+				subclass.__Class_finalMethods = finals;
+			}
+			if( finalClass || singleton ) {  // a singleton class is final, as a subclass would be a second instance of it
+				subclass.__Class_final = true;
+			}
+			
+			// Determine if the class's instances are to be sealed or frozen. This is inherited from the superclass, unless the class
+			// defines either option itself (in which case `false` may be used to turn it off)
+			if( freezeInstances !== undefined || sealInstances !== undefined ) {
+				instanceLock = freezeInstances ? 'freeze' : ( sealInstances ? 'seal' : null );
+			} else {
+				instanceLock = superclass.__Class_instanceLock || null;
+			}
+			if( instanceLock ) {
+				subclass.__Class_instanceLock = instanceLock;
+			}
+			
+			// Store the names of the properties which are not serialized by Class.serialize(), along with the superclass's
+			if( transientProps || superclass.__Class_transient ) {
+				subclass.__Class_transient = ( superclass.__Class_transient || [] ).concat( transientProps || [] );
+			}
+			
+			// If the class is a singleton, attach the static method which retrieves its instance, creating it the first time
+			if( singleton ) {
+				subclass.__Class_singleton = true;
+				subclass.getInstance = function() {
+					if( !singletonInstance ) {
+						if( creatingSingleton ) {
+							throw new Error( "getInstance() cannot be called while the instance of the singleton class is being created" );
+						}
+						
+						creatingSingleton = true;
+						try {
+							singletonInstance = new subclass();
+						} finally {
+							creatingSingleton = false;
 						}
 					}
+					return singletonInstance;
+				};
+			}
+			
+			
+			// Store which interfaces the subclass implements. This is used in the implementsInterface() method
+			if( interfaces ) {
+				subclass.interfaces = interfaces;
+			}
+			
+			// Check that if it is a concrete (i.e. non-abstract) class, that all abstract methods and abstract static methods have been 
+			// implemented (i.e. that the concrete class overrides any that it inherits from its superclass), and that it provides all of 
+			// the methods of the interfaces that it implements, including those declared by its superclasses and mixins. This is done 
+			// after the statics and mixins have been applied, as a mixin may provide some or all of an interface's methods.
+			if( !abstractClass ) {
+				checkConcreteClass( subclass, true );
+			}
+			
+			
+			// If the class has a name, register it (so that it can be retrieved with Class.get()), and assign it to its namespace
+			if( className ) {
+				if( classRegistry.hasOwnProperty( className ) && typeof console !== 'undefined' && console.warn ) {
+					console.warn( "Class.extend(): A class with the name '" + className + "' is already registered. It is being replaced." );
 				}
+				subclass.__Class_className = className;
+				classRegistry[ className ] = subclass;
+				assignToNamespace( className, subclass );
+			}
 			
-				// Store which mixin classes the subclass has. This is used in the hasMixin() method
-				subclass.mixins = mixins;
+			
+			// Register the subclass as a subclass of its superclass, and as a user of each of its mixins. These are used by the
+			// Class.getSubclasses() and Class.getMixinUsers() methods. A class which extends Object isn't registered as its subclass,
+			// as every base class would be (and, where WeakRef isn't supported, would then never be garbage collected)
+			if( superclass !== Object ) {
+				addToRegistry( subclassRegistry, superclass, subclass );
+			}
+			for( i = 0, len = ( subclass.mixins || [] ).length; i < len; i++ ) {
+				addToRegistry( mixinUserRegistry, subclass.mixins[ i ], subclass );
 			}
 			
 			
@@ -525,6 +4265,22 @@ var Class = (function() {
 				subclass.onClassExtended( subclass );
 			}
 			
+			// If the class is defined with `freezePrototype`, freeze its prototype now that its mixins and overrides have been 
+			// applied (and its onClassExtended method has run, which may still set up the prototype)
+			if( freezePrototype && Object.freeze ) {
+				Object.freeze( subclassPrototype );
+			}
+			
+			// If the class is an eagerly created singleton, create its instance now that the class is complete, and return the 
+			// instance instead of the class (which is also assigned to the class's namespace in place of the class)
+			if( singleton && singleton !== 'lazy' ) {
+				singletonInstance = subclass.getInstance();
+				if( className ) {
+					assignToNamespace( className, singletonInstance );
+				}
+				return singletonInstance;
+			}
+			
 			return subclass;
 		};
 	} )();
@@ -532,6 +4288,7 @@ var Class = (function() {
 
 	/**
 	 * Adds a list of functions to the prototype of an existing class, overwriting any existing methods with the same name.
+	 * Accessor (getter/setter) properties are copied as accessors, instead of having their current values copied.
 	 * Usage:
 	 * 
 	 *     Class.override( MyClass, {
@@ -543,6 +4300,27 @@ var Class = (function() {
 	 *         }
 	 *     } );
 	 * 
+	 * If a method being overridden has advice (see {@link #before}, {@link #after}, and {@link #around}), the advice is kept in 
+	 * place, and applies to the new method.
+	 * 
+	 * A method which calls `this._super()` (or `this.callSuper()` / `this.applySuper()`, see {@link #extend}) calls the method that 
+	 * it replaces, or the superclass's method if the class did not have its own method with the name. Ex:
+	 * 
+	 *     Class.override( MyClass, {
+	 *         save : function() {
+	 *             console.log( "saving" );
+	 *             return this._super( arguments );  // calls the previous MyClass.prototype.save()
+	 *         }
+	 *     } );
+	 * 
+	 * An error is thrown if the class's prototype is frozen (see `freezePrototype` in {@link #extend}), or if one of the overrides 
+	 * would replace a final method of the class (see {@link #finalMethod}). Methods in the overrides which are marked with 
+	 * {@link #finalMethod} become final methods of the class.
+	 * 
+	 * After the overrides have been applied, the class and its subclasses are checked with {@link #validate}, in case an override 
+	 * has made a concrete class invalid (ex: by adding an abstract method to it). If this check fails, the class's prototype is 
+	 * restored to its previous state before the error is rethrown. In all of these cases, none of the overrides are applied.
+	 * 
 	 * @static
 	 * @method override
 	 * @param {Object} origclass The class to override
@@ -551,12 +4329,198 @@ var Class = (function() {
 	 */
 	Class.override = function( origclass, overrides ) {
 		if( overrides ){
-			var p = origclass.prototype;
-			Class.apply( p, overrides );
+			if( isFrozenPrototype( origclass ) ) {
+				var className = Class.getName( origclass );
+				throw new Error( "Class.override(): Cannot override class" + ( className ? " '" + className + "'" : "" ) + ", as its prototype is frozen" );
+			}
+			
+			
+			// Check that none of the class's final methods are being replaced, and find any new final methods (before they may be 
+			// wrapped by applyOverrides())
+			var memberNames = [];
+			for( var name in overrides ) {
+				if( overrides.hasOwnProperty( name ) ) { memberNames.push( name ); }
+			}
+			checkFinalMethods( origclass, memberNames, Class.getName( origclass ) );
+			var finalMethodNames = getFinalMethodNames( overrides ),
+			    overriddenMembers = getOwnKeys( overrides );
 			if( isIE && overrides.hasOwnProperty( 'toString' ) ) {
-				p.toString = overrides.toString;
+				overriddenMembers.push( 'toString' );  // not enumerated by old IE
+			}
+			
+			var restoreMembers = saveMembers( origclass.prototype, overriddenMembers );
+			applyOverrides( origclass, overrides, true );
+			var declaredAbstractMethods = setAbstractMethodsClass( origclass, overrides );
+			
+			// Re-check the class and its subclasses (those created by Class.js, as other classes were never checked to begin with).
+			// If an override has made one of them invalid, the overrides are undone.
+			var classes = [ origclass ].concat( Class.getSubclasses( origclass, { deep: true } ) );
+			try {
+				for( var i = 0, len = classes.length; i < len; i++ ) {
+					if( classes[ i ].hasOwnProperty( '__Class' ) ) {
+						Class.validate( classes[ i ] );
+					}
+				}
+			} catch( e ) {
+				restoreMembers();
+				for( i = 0, len = declaredAbstractMethods.length; i < len; i++ ) {
+					delete declaredAbstractMethods[ i ].__Class_declaringClass;
+				}
+				throw e;
+			}
+			
+			if( finalMethodNames.length ) {
+				origclass.__Class_finalMethods = ( origclass.hasOwnProperty( '__Class_finalMethods' ) ? origclass.__Class_finalMethods : [] ).concat( finalMethodNames );
+			}
+		}
+	};
+	
+	
+	/**
+	 * Checks that a class is still valid after it has been modified. If the class is concrete (i.e. not declared with 
+	 * `abstractClass: true`), this checks that it has no abstract methods or abstract static methods (see {@link #abstractMethod}), 
+	 * and that it implements all of the methods of its interfaces. These are checked when a class is created, and again by 
+	 * {@link #override}, but this may be used after a class has been modified in other ways (ex: by deleting a method from its 
+	 * prototype). Ex:
+	 * 
+	 *     delete MyClass.prototype.render;
+	 *     Class.validate( MyClass );  // throws an error if `render` was the implementation of an abstract method
+	 * 
+	 * @static
+	 * @method validate
+	 * @param {Function} jsClass
+	 * @throws {Error} If the class is not valid.
+	 */
+	Class.validate = function( jsClass ) {
+		if( !isAbstractClass( jsClass ) ) {
+			checkConcreteClass( jsClass, false );
+		}
+	};
+	
+	
+	/**
+	 * Adds "before" advice to a method of a class. The `fn` is called before the method, with the same `this` reference and
+	 * arguments. The method may be one that the class inherits from a superclass, in which case only the class (and its 
+	 * subclasses) are affected. Ex:
+	 * 
+	 *     var handle = Class.before( MyClass, 'save', function( options ) {
+	 *         console.log( "saving with options: ", options );
+	 *     } );
+	 *     
+	 *     // later, if desired
+	 *     handle.remove();
+	 * 
+	 * Each piece of advice added to a method is layered over the advice that was previously added to it. So "before" advice that
+	 * is added later runs before advice added earlier, and "after" advice that is added later runs after advice added earlier.
+	 * Advice added to a superclass's method also runs when a subclass calls it with `this._super()`. Advice may not be added to a
+	 * final method (see {@link #finalMethod}), as with overriding it.
+	 * 
+	 * @static
+	 * @method before
+	 * @param {Function} jsClass The class whose method to advise.
+	 * @param {String} methodName The name of the method.
+	 * @param {Function} fn The advice function.
+	 * @return {Object} A handle with a `remove()` method, which removes the advice.
+	 */
+	Class.before = function( jsClass, methodName, fn ) {
+		return addAdvice( jsClass, methodName, 'before', fn );
+	};
+	
+	
+	/**
+	 * Adds "after" advice to a method of a class. The `fn` is called after the method returns, with the same `this` reference, 
+	 * and is passed the method's return value and the array of arguments that the method was called with. The method's return
+	 * value is not changed by the advice. See {@link #before} for more details.
+	 * 
+	 *     Class.after( MyClass, 'save', function( returnValue, args ) {
+	 *         console.log( "saved" );
+	 *     } );
+	 * 
+	 * @static
+	 * @method after
+	 * @param {Function} jsClass The class whose method to advise.
+	 * @param {String} methodName The name of the method.
+	 * @param {Function} fn The advice function.
+	 * @return {Object} A handle with a `remove()` method, which removes the advice.
+	 */
+	Class.after = function( jsClass, methodName, fn ) {
+		return addAdvice( jsClass, methodName, 'after', fn );
+	};
+	
+	
+	/**
+	 * Adds "around" advice to a method of a class. The `fn` is called instead of the method, with the same `this` reference, 
+	 * and is passed a `proceed` function and the array of arguments that the method was called with. Calling `proceed()` calls 
+	 * the method (or the previously added advice) and returns its return value. `proceed()` may be passed an array of arguments
+	 * to call the method with different arguments. The return value of `fn` is the return value of the method call. See 
+	 * {@link #before} for more details.
+	 * 
+	 *     Class.around( MyClass, 'getTotal', function( proceed, args ) {
+	 *         var total = proceed();  // call the original method with the original arguments
+	 *         return Math.round( total );
+	 *     } );
+	 * 
+	 * @static
+	 * @method around
+	 * @param {Function} jsClass The class whose method to advise.
+	 * @param {String} methodName The name of the method.
+	 * @param {Function} fn The advice function.
+	 * @return {Object} A handle with a `remove()` method, which removes the advice.
+	 */
+	Class.around = function( jsClass, methodName, fn ) {
+		return addAdvice( jsClass, methodName, 'around', fn );
+	};
+	
+	
+	/**
+	 * Retrieves a function which calls the superclass's implementation of a method for an object, without modifying the object
+	 * (unlike `this._super()`, which is only valid while the method that uses it is running, and is replaced on the object for each 
+	 * method call). This makes it safe to use in asynchronous callbacks. The returned function accepts the arguments to pass to the 
+	 * superclass method as individual arguments (unlike `this._super()`, which accepts an array). Ex:
+	 * 
+	 *     var MyComponent = MySuperclass.extend( {
+	 *         load : function( url ) {
+	 *             var superLoad = Class.superOf( this, 'load' );
+	 *             
+	 *             setTimeout( function() {
+	 *                 superLoad( url );  // calls MySuperclass.prototype.load with `this` set to the object
+	 *             }, 100 );
+	 *         }
+	 *     } );
+	 * 
+	 * Note: `this._super` may also be captured in a variable while the method is running (ex: `var _super = this._super;`), and 
+	 * called later.
+	 * 
+	 * By default, the superclass method is found relative to the most derived class of the object which implements the method. If
+	 * calling this from a class that has subclasses which also implement the method, provide that class as the `fromClass` argument.
+	 * 
+	 * @static
+	 * @method superOf
+	 * @param {Object} obj The object (instance).
+	 * @param {String} methodName The name of the method.
+	 * @param {Function} [fromClass] The class whose superclass's method should be called.
+	 * @return {Function} A function which calls the superclass's method in the scope of `obj`, and returns its return value.
+	 */
+	Class.superOf = function( obj, methodName, fromClass ) {
+		var currentClass = fromClass || obj.constructor,
+		    superProto;
+		
+		// If no `fromClass` was provided, find the most derived class that implements the method
+		if( !fromClass ) {
+			while( currentClass && !currentClass.prototype.hasOwnProperty( methodName ) ) {
+				superProto = getSuperclassPrototype( currentClass );
+				currentClass = superProto && superProto.constructor;
 			}
 		}
+		
+		superProto = currentClass && getSuperclassPrototype( currentClass );
+		if( !superProto || typeof superProto[ methodName ] !== 'function' ) {
+			throw new Error( "superOf(): No superclass method '" + methodName + "' was found" );
+		}
+		
+		return function() {
+			return superProto[ methodName ].apply( obj, arguments );
+		};
 	};
 	
 
@@ -567,14 +4531,25 @@ var Class = (function() {
 	 * or if the `jsClass` is a mixin on the `obj`. For more information about classes and mixins, see the
 	 * {@link #extend} method.
 	 * 
+	 * An {@link #interface} may also be provided as the `jsClass`, in which case this method returns true if
+	 * the `obj`'s class implements it (see {@link #implementsInterface}). The instance of a singleton class (which {@link #extend}
+	 * returns for a class defined with `singleton: true`) may also be provided, in which case its class is tested for.
+	 * 
 	 * @static
 	 * @method isInstanceOf
 	 * @param {Mixed} obj The object (instance) to test.
-	 * @param {Function} jsClass The class (constructor function) of which to see if the `obj` is an instance of, or has a mixin of.
+	 * @param {Function/Class.Interface} jsClass The class (constructor function) of which to see if the `obj` is an instance of, 
+	 *   or has a mixin of. May also be an interface.
 	 * @return {Boolean} True if the obj is an instance of the jsClass (it is a direct instance of it, 
-	 *   it inherits from it, or the jsClass is a mixin of it)
+	 *   it inherits from it, the jsClass is a mixin of it, or the jsClass is an interface that it implements)
 	 */
 	Class.isInstanceOf = function( obj, jsClass ) {
+		if( jsClass instanceof Interface ) {
+			return isObject( obj ) && Class.implementsInterface( obj.constructor, jsClass );
+		}
+		if( isObject( jsClass ) && typeof jsClass.constructor === 'function' && jsClass.constructor.hasOwnProperty( '__Class_singleton' ) ) {
+			jsClass = jsClass.constructor;  // the instance of a singleton class (which Class.extend() returns) was provided, so test for its class
+		}
 		if( typeof jsClass !== 'function' ) {
 			throw new Error( "jsClass argument of isInstanceOf method expected a Function (constructor function) for a JavaScript class" );
 		}
@@ -621,11 +4596,12 @@ var Class = (function() {
 			return true;
 			
 		} else {
-			// Walk the prototype chain of `subclass`, looking for `superclass`
+			// Walk the prototype chain of `subclass`, looking for `superclass`. Note: getSuperclassPrototype() is used instead of the
+			// `__super__` property, as a native ES2015 subclass (i.e. `class X extends MyClass {}`) inherits `__super__` from its superclass
 			var currentClass = subclass,
-			    currentClassProto = currentClass.prototype;
+			    currentClassProto;
 			
-			while( ( currentClass = ( currentClassProto = currentClass.__super__ ) && currentClassProto.constructor ) ) {  // extra set of parens to get JSLint to stop complaining about an assignment inside a while expression
+			while( ( currentClass = ( currentClassProto = getSuperclassPrototype( currentClass ) ) && currentClassProto.constructor ) ) {  // extra set of parens to get JSLint to stop complaining about an assignment inside a while expression
 				if( currentClassProto.constructor === superclass ) {
 					return true;
 				}
@@ -650,13 +4626,13 @@ var Class = (function() {
 	Class.hasMixin = function( classToTest, mixinClass ) {
 		// Assign the mixinClass (the class we're looking for as a mixin) an ID if it doesn't yet have one. This is done
 		// here (instead of in extend()) so that any class can be used as a mixin, not just ones extended from Class.js)
-		var mixinClassId = mixinClass.__Class_classId;
+		var mixinClassId = mixinClass.hasOwnProperty( '__Class_classId' ) && mixinClass.__Class_classId;  // note: not inherited by a native ES2015 subclass
 		if( !mixinClassId ) {
 			mixinClassId = mixinClass.__Class_classId = ++classIdCounter;  // classIdCounter is from outer anonymous function of this class, and is used to assign a unique ID
 		}
 		
 		// Create a cache for quick re-lookups of the mixin on this class
-		var hasMixinCache = classToTest.__Class_hasMixinCache;
+		var hasMixinCache = classToTest.hasOwnProperty( '__Class_hasMixinCache' ) && classToTest.__Class_hasMixinCache;
 		if( !hasMixinCache ) {
 			hasMixinCache = classToTest.__Class_hasMixinCache = {};
 		}
@@ -667,8 +4643,8 @@ var Class = (function() {
 		
 		} else {
 			// No cached result from a previous call to this method for the mixin, do the lookup
-			var mixins = classToTest.mixins,
-			    superclass = ( classToTest.superclass || classToTest.__super__ );
+			var mixins = classToTest.hasOwnProperty( 'mixins' ) && classToTest.mixins,
+			    superclass = getSuperclassPrototype( classToTest );
 			
 			// Look for the mixin on the classToTest, if it has any
 			if( mixins ) {
@@ -692,7 +4668,266 @@ var Class = (function() {
 	};
 	
 	
+	
+	/**
+	 * Determines if a class implements a given {@link #interface}. This is true if the interface is listed in the
+	 * `implements` array of the class, or of any of its superclasses or mixins. Note: Most likely, you will want to 
+	 * use {@link #isInstanceOf} instead when testing an object (instance).
+	 * 
+	 * @static
+	 * @method implementsInterface
+	 * @param {Function} classToTest
+	 * @param {Class.Interface} iface The interface, created with {@link #interface}.
+	 * @return {Boolean} True if the `classToTest` implements the interface, false otherwise.
+	 */
+	Class.implementsInterface = function( classToTest, iface ) {
+		if( typeof classToTest !== 'function' ) {
+			return false;
+		}
+		return arrayContains( getInterfaces( classToTest ), iface );
+	};
+	
+	
+	/**
+	 * Retrieves the superclasses of a class, starting with its direct superclass, and then that class's superclass, and so on. 
+	 * `Object` is not included. Ex:
+	 * 
+	 *     var Animal = Class( {} );
+	 *     var Dog = Animal.extend( {} );
+	 *     var Poodle = Dog.extend( {} );
+	 *     
+	 *     Class.getSuperclasses( Poodle );  // [ Dog, Animal ]
+	 *     Poodle.getSuperclasses();         // [ Dog, Animal ] - the same, but called as a static method of the class
+	 * 
+	 * @static
+	 * @method getSuperclasses
+	 * @param {Function} jsClass
+	 * @return {Function[]}
+	 */
+	Class.getSuperclasses = function( jsClass ) {
+		var superclasses = [];
+		
+		for( var superProto = getSuperclassPrototype( jsClass ); superProto && superProto !== Object.prototype; superProto = getSuperclassPrototype( superProto.constructor ) ) {
+			superclasses.push( superProto.constructor );
+		}
+		return superclasses;
+	};
+	
+	
+	/**
+	 * Retrieves the subclasses of a class, in the order that they were created. By default, only the class's direct subclasses are
+	 * retrieved. Set the `deep` option to also retrieve the subclasses of those subclasses, and so on. Ex:
+	 * 
+	 *     var Animal = Class( {} );
+	 *     var Dog = Animal.extend( {} );
+	 *     var Cat = Animal.extend( {} );
+	 *     var Poodle = Dog.extend( {} );
+	 *     
+	 *     Class.getSubclasses( Animal );                    // [ Dog, Cat ]
+	 *     Class.getSubclasses( Animal, { deep: true } );    // [ Dog, Cat, Poodle ]
+	 *     Animal.getSubclasses( { deep: true } );           // [ Dog, Cat, Poodle ] - the same, but called as a static method of the class
+	 * 
+	 * Subclasses are registered by {@link #extend}, and so any class (including classes not created by Class.js) may be given. A native 
+	 * ES2015 subclass of a Class.js class (i.e. `class X extends MyClass {}`) is registered once it is first instantiated or extended, 
+	 * as there is no way to know about it before then. The classes which directly extend `Object` (i.e. which are created without 
+	 * a superclass) are not registered, and so the subclasses of `Object` are never retrieved.
+	 * 
+	 * Where the JavaScript implementation supports WeakRef, subclasses are only referenced weakly, and so retrieving them does not 
+	 * prevent classes which are otherwise no longer in use from being garbage collected.
+	 * 
+	 * @static
+	 * @method getSubclasses
+	 * @param {Function} jsClass
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.deep=false] True to also retrieve the subclasses of the subclasses, and so on.
+	 * @return {Function[]}
+	 */
+	Class.getSubclasses = function( jsClass, options ) {
+		var subclasses = getFromRegistry( subclassRegistry, jsClass );
+		
+		return ( options && options.deep ) ? addDescendants( subclasses ) : subclasses;
+	};
+	
+	
+	/**
+	 * Retrieves the classes which use a mixin (i.e. which have it in their `mixins`), in the order that they were created. By default, 
+	 * only the classes which use the mixin directly are retrieved. Set the `deep` option to also retrieve the subclasses of those 
+	 * classes (which inherit the mixin), and so on. Ex:
+	 * 
+	 *     var Observable = Class( {} );
+	 *     var Model = Class( { mixins: [ Observable ] } );
+	 *     var User = Model.extend( {} );
+	 *     
+	 *     Class.getMixinUsers( Observable );                  // [ Model ]
+	 *     Class.getMixinUsers( Observable, { deep: true } );  // [ Model, User ]
+	 * 
+	 * As with {@link #getSubclasses}, classes are only referenced weakly where the JavaScript implementation supports WeakRef.
+	 * 
+	 * @static
+	 * @method getMixinUsers
+	 * @param {Function} mixinClass
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.deep=false] True to also retrieve the subclasses of the classes which use the mixin, and so on.
+	 * @return {Function[]}
+	 */
+	Class.getMixinUsers = function( mixinClass, options ) {
+		var users = getFromRegistry( mixinUserRegistry, mixinClass );
+		
+		return ( options && options.deep ) ? addDescendants( users ) : users;
+	};
+	
+	
+	/**
+	 * Retrieves a description of a class: its superclasses, mixins, statics, and where each of its members was defined. This is
+	 * intended for tooling, debugging, and documentation generation. Ex:
+	 * 
+	 *     var Animal = Class( {
+	 *         abstractClass : true,
+	 *         
+	 *         eat : function() { ... },
+	 *         speak : Class.abstractMethod
+	 *     } );
+	 *     var Dog = Animal.extend( {
+	 *         mixins : [ Observable ],
+	 *         
+	 *         speak : function() { ... }
+	 *     } );
+	 *     
+	 *     var description = Class.describe( Dog );
+	 *     description.superclasses;       // [ Animal ]
+	 *     description.mixins;             // [ Observable ]
+	 *     description.members.speak;      // { kind: 'method', source: 'own', definedBy: Dog, inherited: false }
+	 *     description.members.eat;        // { kind: 'method', source: 'superclass', definedBy: Animal, inherited: true }
+	 *     description.members.fireEvent;  // { kind: 'method', source: 'mixin', definedBy: Observable, inherited: false }
+	 *     
+	 *     Class.describe( Animal ).abstractMethods;  // [ 'speak' ]
+	 * 
+	 * The members that Class.js adds to the prototypes of classes (ex: `superclass()` and `hasMixin()`) are not included.
+	 * 
+	 * @static
+	 * @method describe
+	 * @param {Function} jsClass The class (constructor function) to describe.
+	 * @return {Object} An object with the following properties:
+	 * @return {String} return.name The name of the class (see the `className` property in {@link #extend}), or null if it has none.
+	 * @return {Function[]} return.superclasses The superclasses of the class, starting with its direct superclass (not including Object).
+	 * @return {Function[]} return.mixins The class's own mixins.
+	 * @return {Function[]} return.inheritedMixins The mixins of the class's superclasses.
+	 * @return {Class.Interface[]} return.interfaces The interfaces that the class implements (see {@link #implementsInterface}).
+	 * @return {Object} return.statics The class's own `statics`.
+	 * @return {Object} return.inheritedStatics The class's `inheritedStatics`, including those that it inherits from its superclasses.
+	 * @return {Boolean} return.abstractClass True if the class is abstract.
+	 * @return {String[]} return.abstractMethods The names of the class's abstract methods (see {@link #abstractMethod}).
+	 * @return {String[]} return.abstractStatics The names of the class's abstract static methods.
+	 * @return {Boolean} return.finalClass True if the class is final (i.e. it may not be extended).
+	 * @return {String[]} return.finalMethods The names of the class's final methods, including those declared by its superclasses 
+	 *   (see {@link #finalMethod}).
+	 * @return {Object} return.members A map of the names of the class's prototype members to objects which describe them, with 
+	 *   the properties:
+	 *   
+	 *   - kind : 'method', 'accessor' (a getter/setter property), or 'property'
+	 *   - source : 'own' if the member was defined by the class itself, 'superclass' if it was defined by one of its superclasses, or 
+	 *     'mixin' if it came from a mixin (of the class, or of one of its superclasses)
+	 *   - definedBy : The class that defined the member (the class itself, one of its superclasses, or a mixin)
+	 *   - inherited : True if the member is inherited from one of the class's superclasses
+	 */
+	Class.describe = function( jsClass ) {
+		var proto = jsClass.prototype,
+		    superclasses = Class.getSuperclasses( jsClass ),
+		    inheritedMixins = [],
+		    abstractMethods = [],
+		    abstractStatics = [],
+		    finalMethods = [],
+		    members = {},
+		    classJsMembers = [ 'constructor', 'superclass', 'supr', 'override', 'hasMixin', 'implementsInterface', 'callMixin', 'abstractClass', 'autoInitMixins' ],
+		    i, len;
+		
+		// Retrieves the object that an object inherits from
+		var getPrototypeOf = function( obj ) {
+			return Object.getPrototypeOf ? Object.getPrototypeOf( obj ) : getSuperclassPrototype( obj.constructor );
+		};
+		
+		// Collect the mixins of the superclasses
+		for( var j = 0; j < superclasses.length; j++ ) {
+			var superMixins = superclasses[ j ].hasOwnProperty( 'mixins' ) ? superclasses[ j ].mixins : [];
+			
+			for( i = 0, len = superMixins.length; i < len; i++ ) {
+				if( !arrayContains( inheritedMixins, superMixins[ i ] ) ) {
+					inheritedMixins.push( superMixins[ i ] );
+				}
+			}
+		}
+		
+		// Describe each member, by finding the prototype in the chain that has it, and then if it was applied there by a mixin
+		var names = getMemberNames( proto );
+		for( i = 0, len = names.length; i < len; i++ ) {
+			var name = names[ i ];
+			if( arrayContains( classJsMembers, name ) ) {
+				continue;
+			}
+			
+			var owner = proto;
+			while( owner && !owner.hasOwnProperty( name ) ) {
+				owner = getPrototypeOf( owner );
+			}
+			if( !owner ) {
+				continue;
+			}
+			
+			var ownerClass = owner.constructor,
+			    accessor = findAccessor( owner, name ),
+			    appliedMembers = ownerClass.hasOwnProperty( '__Class_mixinMembers' ) ? ownerClass.__Class_mixinMembers : {},
+			    mixinMember = appliedMembers.hasOwnProperty( name ) ? appliedMembers[ name ] : null;
+			
+			// Make sure that the member applied from a mixin has not since been replaced (ex: by Class.override())
+			if( mixinMember ) {
+				var mixinAccessor = findAccessor( mixinMember.source, mixinMember.prop );
+				if( accessor || mixinAccessor ) {
+					mixinMember = ( accessor && mixinAccessor && accessor.get === mixinAccessor.get && accessor.set === mixinAccessor.set ) ? mixinMember : null;
+				} else {
+					mixinMember = ( owner[ name ] === mixinMember.source[ mixinMember.prop ] ) ? mixinMember : null;
+				}
+			}
+			
+			members[ name ] = {
+				kind : accessor ? 'accessor' : ( typeof owner[ name ] === 'function' ? 'method' : 'property' ),
+				source : mixinMember ? 'mixin' : ( owner === proto ? 'own' : 'superclass' ),
+				definedBy : mixinMember ? mixinMember.mixin : ownerClass,
+				inherited : owner !== proto
+			};
+			
+			if( !accessor && isAbstractMethod( owner[ name ] ) ) {
+				abstractMethods.push( name );
+			}
+			if( findFinalMethodClass( jsClass, name ) ) {
+				finalMethods.push( name );
+			}
+		}
+		
+		for( var staticName in jsClass ) {
+			if( isAbstractMethod( jsClass[ staticName ] ) ) {
+				abstractStatics.push( staticName );
+			}
+		}
+		
+		return {
+			name : Class.getName( jsClass ),
+			superclasses : superclasses,
+			mixins : jsClass.hasOwnProperty( 'mixins' ) ? jsClass.mixins.slice( 0 ) : [],
+			inheritedMixins : inheritedMixins,
+			interfaces : getInterfaces( jsClass ),
+			statics : Class.assign( {}, jsClass.hasOwnProperty( '__Class_statics' ) ? jsClass.__Class_statics : null ),
+			inheritedStatics : Class.assign( {}, jsClass.__Class_inheritedStatics ),
+			abstractClass : isAbstractClass( jsClass ),
+			abstractMethods : abstractMethods,
+			abstractStatics : abstractStatics,
+			finalClass : jsClass.hasOwnProperty( '__Class_final' ),
+			finalMethods : finalMethods,
+			members : members
+		};
+	};
+	
+	
 	return Class;
 	
-} )();
+} ) );
 
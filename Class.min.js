@@ -7,4 +7,4 @@
  * 
  * https://github.com/gregjacobs/Class.js
  */
-var Class=(function(){function a(f){return !!f&&Object.prototype.toString.call(f)==="[object Object]"}var e=false;if(typeof window!=="undefined"){var d=window.navigator.userAgent.toLowerCase();e=/msie/.test(d)&&!(/opera/.test(d))}var c=0;var b=function(f){return b.extend(Object,f)};b.create=function(f){return b.extend(Object,f)};b.apply=function(h,i,g){if(g){b.apply(h,g)}if(h&&i&&typeof i=="object"){for(var f in i){h[f]=i[f]}}return h};b.applyIf=function(g,h){if(g){for(var f in h){if(typeof g[f]==="undefined"){g[f]=h[f]}}}return g};b.abstractMethod=function(){throw new Error("method must be implemented in subclass")};b.extend=(function(){var g=/xyz/.test(function(){var h="xyz"})?/\b_super\b/:/.*/;var f=function(i){for(var h in i){this[h]=i[h]}};return function(w,u){if(arguments.length===1){u=w;w=Object}var m,l,x=function(){},k,j=w.prototype,q=!!u.abstractClass,h;var s=u.statics,n=u.inheritedStatics,p=u.mixins;delete u.statics;delete u.inheritedStatics;delete u.mixins;var r=function(y,i){return function(){var B=this._super,A=this;this._super=function(C){return j[y].apply(A,C||[])};var z=i.apply(this,arguments);this._super=B;return z}};for(h in u){if(h!=="constructor"&&u.hasOwnProperty(h)&&typeof u[h]==="function"&&typeof j[h]==="function"&&!u[h].hasOwnProperty("__Class")&&g.test(u[h])){u[h]=r(h,u[h])}}if(u.hasOwnProperty("constructor")&&typeof u.constructor==="function"&&typeof j.constructor==="function"&&g.test(u.constructor)){u.constructor=r("constructor",u.constructor)}if(u.constructor!==Object){l=u.constructor;delete u.constructor}else{l=(w===Object)?function(){}:function(){return w.apply(this,arguments)}}m=function(){var i=this.constructor.prototype;if(i.hasOwnProperty("abstractClass")&&i.abstractClass===true){throw new Error("Error: Cannot instantiate abstract class")}return l.apply(this,arguments)};x.prototype=j;k=m.prototype=new x();k.constructor=m;m.superclass=m.__super__=j;m.__Class=true;m.override=function(i){b.override(m,i)};m.extend=function(i){return b.extend(m,i)};m.hasMixin=function(i){return b.hasMixin(m,i)};k.superclass=k.supr=function(){return j};k.override=f;k.hasMixin=function(i){return b.hasMixin(this.constructor,i)};b.override(m,u);if(!q){for(var t in k){if(k[t]===b.abstractMethod){if(k.hasOwnProperty(t)){throw new Error("The class being created has abstract method '"+t+"', but is not declared with 'abstractClass: true'")}else{throw new Error("The concrete subclass being created must implement abstract method: '"+t+"', or be declared abstract as well (using 'abstractClass: true')")}}}}if(n||w.__Class_inheritedStatics){n=b.apply({},n,w.__Class_inheritedStatics);b.apply(m,n);m.__Class_inheritedStatics=n}if(s){b.apply(m,s)}if(p){for(var o=p.length-1;o>=0;o--){var v=p[o].prototype;for(h in v){if(typeof k[h]==="undefined"){k[h]=v[h]}}}m.mixins=p}if(typeof m.onClassExtended==="function"){m.onClassExtended(m)}return m}})();b.override=function(f,h){if(h){var g=f.prototype;b.apply(g,h);if(e&&h.hasOwnProperty("toString")){g.toString=h.toString}}};b.isInstanceOf=function(g,f){if(typeof f!=="function"){throw new Error("jsClass argument of isInstanceOf method expected a Function (constructor function) for a JavaScript class")}if(!a(g)){return false}else{if(g instanceof f){return true}else{if(b.hasMixin(g.constructor,f)){return true}else{return false}}}};b.isSubclassOf=function(f,i){if(typeof f!=="function"||typeof i!=="function"){return false}else{if(f===i){return true}else{var g=f,h=g.prototype;while((g=(h=g.__super__)&&h.constructor)){if(h.constructor===i){return true}}}}return false};b.hasMixin=function(h,j){var g=j.__Class_classId;if(!g){g=j.__Class_classId=++c}var o=h.__Class_hasMixinCache;if(!o){o=h.__Class_hasMixinCache={}}if(g in o){return o[g]}else{var l=h.mixins,n=(h.superclass||h.__super__);if(l){for(var k=0,m=l.length;k<m;k++){if(l[k]===j){return(o[g]=true)}}}if(n&&n.constructor&&n.constructor!==Object){var f=b.hasMixin(n.constructor,j);return(o[g]=f)}else{return(o[g]=false)}}};return b})();
\ No newline at end of file
+!function(t,e){"function"==typeof define&&define.amd?define([],e):"object"==typeof module&&module.exports?module.exports=e():t.Class=e()}(this,function(){function t(t){return!!t&&"[object Object]"===Object.prototype.toString.call(t)}function e(t){return"[object Array]"===Object.prototype.toString.call(t)}function r(e){if(!t(e))return!1;if(Object.getPrototypeOf){var r=Object.getPrototypeOf(e);return r===Object.prototype||null===r}return e.constructor===Object}var n=!1;if("undefined"!=typeof window){var o=window.navigator.userAgent.toLowerCase();n=/msie/.test(o)&&!/opera/.test(o)}var s=0,a={},i=function(){return this}(),c="undefined"!=typeof Reflect&&"function"==typeof Reflect.construct,f=!1,u="function"==typeof Symbol&&"symbol"==typeof Symbol.hasInstance,l="function"==typeof WeakMap&&"function"==typeof WeakRef,p="function"==typeof Map,h=ot(),y=ot();function d(t,e){for(var r=t.split("."),n=i,o=0,s=r.length-1;o<s;o++)n=n[r[o]]||(n[r[o]]={});n[r[r.length-1]]=e}var _=function(t,e){this.name=t,this.methods=e};function g(t){return t.charAt(0).toUpperCase()+t.substring(1)}function v(t){for(var e=[],r=[t];r.length;){var n,o,s=r.shift(),a=s.interfaces,i=s.mixins,c=I(s);if(a)for(n=0,o=a.length;n<o;n++)O(e,a[n])||e.push(a[n]);i&&r.push.apply(r,i),c&&c.constructor&&c.constructor!==Object&&r.push(c.constructor)}return e}function b(t,e){for(var r=0,n=t.length;r<n;r++)if(t[r]===e)return r;return-1}function O(t,e){return-1!==b(t,e)}_.prototype.toString=function(){return"Interface '"+this.name+"'"};var w=function(){try{var t={};return Object.defineProperty(t,"x",{get:function(){return 1}}),1===t.x}catch(t){return!1}}();function m(t,e){if(w)for(;t;t=Object.getPrototypeOf(t)){var r=Object.getOwnPropertyDescriptor(t,e);if(r)return r.get||r.set?r:null}return null}function C(t,e,r,n){var o=m(e,r);n=n||r,o?Object.defineProperty(t,n,{get:o.get,set:o.set,enumerable:!0,configurable:!0}):j(t,n,e[r])}function P(t,e){if(w)for(;t;t=Object.getPrototypeOf(t)){var r=Object.getOwnPropertyDescriptor(t,e);if(r)return!1===r.writable}return!1}function j(t,e,r){m(t,e)||P(t,e)?Object.defineProperty(t,e,{value:r,writable:!0,enumerable:!0,configurable:!0}):t[e]=r}function x(t){if(!Object.getOwnPropertyNames){var e=[];for(var r in t)t.hasOwnProperty(r)&&e.push(r);return e}var n=Object.getOwnPropertyNames(t);return Object.getOwnPropertySymbols?n.concat(Object.getOwnPropertySymbols(t)):n}function S(t,n,o,s){var a=o.arrays||"replace",i="replace"===a?[]:t.slice(0);(s=s||{sources:[],copies:[]}).sources.push(n),s.copies.push(i);for(var c=0,f=n.length;c<f;c++){var u=n[c];"union"===a&&O(i,u)||i.push(e(u)||r(u)?M([],u,o,s):u)}return s.sources.pop(),s.copies.pop(),i}function M(t,n,o,s){var a=b(s.sources,n);return-1!==a?s.copies[a]:e(n)?S(e(t)?t:[],n,o,s):E(r(t)?Et.assign({},t):{},[n],o,s)}function E(t,n,o,s){var a=o.strategies||{};s=s||{sources:[],copies:[]};for(var i=0,c=n.length;i<c;i++){var f=n[i],u=f?x(f):[];s.sources.push(f),s.copies.push(t);for(var l=0,p=u.length;l<p;l++){var h=u[l];if("__proto__"!==h&&Object.prototype.propertyIsEnumerable.call(f,h)){var y=f[h],d=t[h];Object.prototype.hasOwnProperty.call(a,h)?t[h]=a[h](d,y,h):e(y)||r(y)?t[h]=M(d,y,o,s):void 0!==y&&(t[h]=y)}}s.sources.pop(),s.copies.pop()}return t}function k(t,e){for(;t&&t!==Object.prototype;t=Object.getPrototypeOf?Object.getPrototypeOf(t):null)if(Object.prototype.hasOwnProperty.call(t,e))return!0;return!1}function $(t,n,o){for(var s=x(t),a=o.strategies||{},i=0,c=s.length;i<c;i++){var f=s[i];if((!0===o.members||O(o.members,f))&&!m(t,f)&&!m(n,f)&&f in n&&(Object.prototype.hasOwnProperty.call(a,f)||(e(t[f])||r(t[f]))&&(e(n[f])||r(n[f])))){var u={},l={};u[f]=n[f],l[f]=t[f],t[f]=E(u,[l],o)[f]}}return t}function I(t){return t.hasOwnProperty("__super__")?t.__super__:Object.getPrototypeOf&&Object.getPrototypeOf(t.prototype)||null}var N=/xyz/.test(function(){})?/\b(?:_super|callSuper|applySuper)\b/:/.*/;function z(t){return!0===t.__Class_superCalling||N.test(t)}function T(t,e){return function(){var r=this._super,n=this.callSuper,o=this.applySuper,s=this;this._super=this.applySuper=function(t){return Et.debug&&function(t){var e=t[0];if(t.length>1||void 0!==e&&(!e||"object"!=typeof e||"number"!=typeof e.length))throw new Error("this._super() and this.applySuper() accept a single array (or arguments object) of arguments. Use this.callSuper() to provide the arguments individually.")}(arguments),e(s,t)},this.callSuper=function(){return e(s,arguments)};try{return t.apply(this,arguments)}finally{this._super=r,this.callSuper=n,this.applySuper=o}}}function D(t,e){var r=t.hasOwnProperty(e)&&!m(t,e)?t[e]:null;return r&&r.__Class_advice||null}function A(t,e,r,n){var o=t.prototype;if(m(o,e)||"function"!=typeof o[e])throw new Error("Cannot add "+r+" advice to '"+e+"', as it is not a method of the class");if(rt(t,[e],Et.getName(t)),Y(t))throw new Error("Cannot add "+r+" advice to '"+e+"', as the class's prototype is frozen");var s=D(o,e);if(!s){s={original:o.hasOwnProperty(e)?o[e]:null,advice:[]};var a=function(){var r=this,n=I(t),o=s.advice.slice(0),a=function(t,i){if(t<0)return(s.original||n[e]).apply(r,i);var c,f=o[t].fn;switch(o[t].type){case"before":return f.apply(r,i),a(t-1,i);case"after":return c=a(t-1,i),f.call(r,c,i),c;case"around":return f.call(r,function(e){return a(t-1,e||i)},i)}};return a(o.length-1,Array.prototype.slice.call(arguments))};a.__Class_advice=s,j(o,e,a)}var i={type:r,fn:n};return s.advice.push(i),{remove:function(){for(var t=s.advice,r=0,n=t.length;r<n;r++)if(t[r]===i){t.splice(r,1);break}0===t.length&&o[e]&&o[e].__Class_advice===s&&(s.original?j(o,e,s.original):delete o[e])}}}function F(t,e,r){var n=t.prototype;if(r.hasOwnProperty("__Class")||m(n,e)||!z(r))return r;var o=D(n,e),s=o?!o.original:!n.hasOwnProperty(e),a=o?o.original:n[e],i=I(t);return"function"!=typeof(s?i&&i[e]:a)?r:T(r,function(t,r){return(s?i[e]:a).apply(t,r||[])})}function R(t,e,r){for(var o=t.prototype,s=x(e),a=0,i=s.length;a<i;a++){var c=s[a],f=!m(e,c)&&"function"==typeof e[c],u=f&&r?F(t,c,e[c]):null,l=D(o,c);l&&f?l.original=u||e[c]:u?j(o,c,u):C(o,e,c)}n&&e.hasOwnProperty("toString")&&(o.toString=r?F(t,"toString",e.toString):e.toString)}function q(t){return c&&"function"==typeof t&&/^class\b/.test(Function.prototype.toString.call(t))}function H(t,e,r){if(!q(t))return t.apply(e,r||[]);for(var n=Reflect.construct(t,r||[],e.constructor),o=Object.getOwnPropertyNames(n).concat(Object.getOwnPropertySymbols(n)),s=0,a=o.length;s<a;s++)Object.defineProperty(e,o[s],Object.getOwnPropertyDescriptor(n,o[s]))}function J(t){for(var e=t.prototype;e;e=Object.getPrototypeOf?Object.getPrototypeOf(e):null)if(e.constructor&&e.constructor.hasOwnProperty("__Class"))return e.constructor;return null}function L(t){if(!t.hasOwnProperty("__Class_nativeSubclassInit")){var e=I(t).constructor;if(e.hasOwnProperty("__Class")||L(e),e.hasOwnProperty("__Class_final"))throw tt(e);rt(e,Object.getOwnPropertyNames(t.prototype),t.name||null),t.__Class_nativeSubclassInit=!0,st(h,e,t);var r=t.onClassExtended,n=t.__Class_inheritedStatics;"function"==typeof r&&(t.hasOwnProperty("onClassExtended")||n&&n.onClassExtended===r)&&t.onClassExtended(t)}}function W(t){var e,r=[];for(e in t)r.push(e);for(;t&&c;t=Object.getPrototypeOf(t))if(t.hasOwnProperty("constructor")&&q(t.constructor))for(var n=Object.getOwnPropertyNames(t),o=0,s=n.length;o<s;o++)"constructor"===n[o]||O(r,n[o])||r.push(n[o]);return r}function U(t,e){return"function"==typeof t&&t!==e&&e.prototype.isPrototypeOf(t.prototype)?t:e}function B(t){return!!Function.prototype[Symbol.hasInstance].call(this,t)||Et.instanceofMixins&&null!==t&&("object"==typeof t||"function"==typeof t)&&"function"==typeof t.constructor&&function(t,r){var n=t.prototype;if(!n||"object"!=typeof n)return!1;for(;n&&n!==Object.prototype;n=Object.getPrototypeOf(n)){var o=Object.prototype.hasOwnProperty.call(n,"constructor")&&n.constructor;if("function"==typeof o&&Object.prototype.hasOwnProperty.call(o,"mixins")&&e(o.mixins)&&O(o.mixins,r))return!0}return!1}(t.constructor,this)}function G(t){u&&Et.instanceofMixins&&t[Symbol.hasInstance]===Function.prototype[Symbol.hasInstance]&&Object.defineProperty(t,Symbol.hasInstance,{value:B,configurable:!0})}function K(t){return t===Et.abstractMethod||"function"==typeof t&&t.hasOwnProperty("__Class_abstractMethod")}function Q(t,e){var r=[];for(var n in e)if(e.hasOwnProperty(n)&&!m(e,n)){var o=e[n];K(o)&&o!==Et.abstractMethod&&!o.__Class_declaringClass&&(o.__Class_declaringClass=t,r.push(o))}return r}function V(t){var e=t.prototype;return e.hasOwnProperty("abstractClass")&&!0===e.abstractClass}function X(t,e){var r,n,o,s=t.prototype,a=I(t),i=a&&a.constructor,c=Et.getName(t),f=W(s),u=function(t,r,n,o){var s=n.__Class_declaringClass&&Et.getName(n.__Class_declaringClass),a=s?" (declared by '"+s+"')":"";return e?o?new Error("The concrete subclass being created must implement "+t+": '"+r+"'"+a+", or be declared abstract as well (using 'abstractClass: true')"):new Error("The class being created has "+t+" '"+r+"', but is not declared with 'abstractClass: true'"):new Error((c?"Class '"+c+"'":"The class")+" has "+t+" '"+r+"'"+a+", but is not declared with 'abstractClass: true'")};for(n=0,o=f.length;n<o;n++)if(!m(s,r=f[n])&&K(s[r]))throw u("abstract method",r,s[r],!s.hasOwnProperty(r));for(r in t)if(K(t[r]))throw u("abstract static method",r,t[r],!!i&&i[r]===t[r]);var l=v(t);for(n=0,o=l.length;n<o;n++)for(var p=l[n].methods,h=0,y=p.length;h<y;h++)if("function"!=typeof s[p[h]])throw e?new Error("The concrete class being created must implement method '"+p[h]+"' of interface '"+l[n].name+"', or be declared abstract (using 'abstractClass: true')"):new Error((c?"Class '"+c+"'":"The class")+" does not implement method '"+p[h]+"' of interface '"+l[n].name+"', but is not declared with 'abstractClass: true'")}function Y(t){return!!Object.isFrozen&&Object.isFrozen(t.prototype)}function Z(t,e,r){if(w&&Object.freeze){if("seal"===e){for(var n=0,o=(r||[]).length;n<o;n++)t.hasOwnProperty(r[n])||j(t,r[n],t[r[n]]);for(var s in t)t.hasOwnProperty(s)||"abstractClass"===s||m(t,s)||"function"==typeof t[s]||j(t,s,t[s])}for(var a=["_super","callSuper","applySuper"],i={},c=function(e){i[e]=t[e],Object.defineProperty(t,e,{get:function(){return i[e]},set:function(t){i[e]=t},enumerable:!1,configurable:!1})},f=0;f<a.length;f++)c(a[f]);"freeze"===e?Object.freeze(t):Object.seal(t)}}function tt(t){var e=Et.getName(t);return new Error("Cannot extend final class"+(e?" '"+e+"'":""))}function et(t,e){for(var r=[t].concat(Et.getSuperclasses(t)),n=0,o=r.length;n<o;n++)if(r[n].hasOwnProperty("__Class_finalMethods")&&O(r[n].__Class_finalMethods,e))return r[n];return null}function rt(t,e,r){for(var n=0,o=e.length;n<o;n++){var s=et(t,e[n]);if(s){var a=Et.getName(s);throw new Error("Cannot override final method '"+e[n]+"'"+(a?" of class '"+a+"'":"")+(r&&r!==a?" in class '"+r+"'":""))}}}function nt(t){var e=[];for(var r in t)t.hasOwnProperty(r)&&!m(t,r)&&"function"==typeof t[r]&&t[r].hasOwnProperty("__Class_finalMethod")&&e.push(r);return e}function ot(){return l?{map:new WeakMap}:{keys:[],lists:[]}}function st(t,e,r){if(l){var n=t.map.get(e);n||t.map.set(e,n=[]);for(var o=0;o<n.length;o++)n[o].deref()||n.splice(o--,1);n.push(new WeakRef(r))}else{var s=b(t.keys,e);-1===s&&(s=t.keys.push(e)-1,t.lists.push([])),t.lists[s].push(r)}}function at(t,e){if(!l){var r=b(t.keys,e);return-1===r?[]:t.lists[r].slice(0)}for(var n=t.map.get(e)||[],o=[],s=0;s<n.length;s++){var a=n[s].deref();a?o.push(a):n.splice(s--,1)}return o}function it(t){for(var e=0;e<t.length;e++)for(var r=at(h,t[e]),n=0,o=r.length;n<o;n++)O(t,r[n])||t.push(r[n]);return t}function ct(t,e){var r={};for(var n in t)t.hasOwnProperty(n)&&"function"!=typeof t[n]&&!O(e,n)&&(r[n]=t[n]);return r}function ft(){return p?{map:new Map}:{objects:[]}}function ut(t,e){if(p){var r=t.map.size;return t.map.set(e,r),r}return t.objects.push(e)-1}function lt(t,e){if(p){var r=t.map.get(e);return void 0===r?-1:r}return b(t.objects,e)}function pt(t,n){if(t&&"object"==typeof t&&!(t instanceof Date)){var o=lt(n.objects,t);if(-1===o){var s=function(t){if(e(t))return{kind:"array",data:t};var n=!r(t)&&"function"==typeof t.constructor&&t.constructor.prototype&&J(t.constructor);if(n){var o=Et.getName(t.constructor);if(!o)throw new Error("Class.serialize(): Cannot serialize an instance of "+(t.constructor===n?"a":"a native subclass of a")+" class which has no `className`, as it could not be revived");return"function"==typeof t.serialize?{kind:"instance",className:o,data:t.serialize()}:{kind:"instance",className:o,data:ct(t,t.constructor.__Class_transient||[])}}if(p&&t instanceof Map){var s=[];return t.forEach(function(t,e){s.push([e,t])}),{kind:"map",data:s}}if("function"==typeof Set&&t instanceof Set){var a=[];return t.forEach(function(t){a.push(t)}),{kind:"set",data:a}}return r(t)||"function"!=typeof t.toJSON?{kind:"object",data:r(t)?t:ct(t,[])}:{kind:"json",data:t.toJSON()}}(t);if(ut(n.objects,t),n.states.push(s),n.refCounts.push(1),"array"===s.kind||"map"===s.kind||"set"===s.kind)for(var a=0,i=s.data.length;a<i;a++)pt(s.data[a],n);else if("json"===s.kind)pt(s.data,n);else if(s.data&&"object"==typeof s.data)if("instance"===s.kind)pt(s.data,n);else for(var c in s.data)s.data.hasOwnProperty(c)&&pt(s.data[c],n)}else n.refCounts[o]++}}function ht(t,e){if("function"!=typeof t){if(!t||"object"!=typeof t)return t;if(t instanceof Date)return{$date:isNaN(t.getTime())?null:t.toISOString()};var r,n=lt(e.objects,t),o=e.states[n];if("json"===o.kind)return ht(o.data,e);if(e.ids[n])return{$ref:e.ids[n]};e.refCounts[n]>1&&(r=e.ids[n]=e.nextId++);var s,a,i,c,f=!!r;switch(o.kind){case"instance":return s={$class:o.className},r&&(s.$id=r),s.$data=ht(o.data,e),s;case"array":case"map":case"set":for(s=[],a=0,i=o.data.length;a<i;a++){var u=ht(o.data[a],e);s.push(void 0===u?null:u)}if("array"===o.kind)return r?{$id:r,$array:s}:s;var l=r?{$id:r}:{};return l["$"+o.kind]=s,l;default:for(c in s={},o.data)if(o.data.hasOwnProperty(c)&&"__proto__"!==c){var p=ht(o.data[c],e);void 0!==p&&(s[c]=p,f=f||"$"===c.charAt(0))}return f?r?{$id:r,$object:s}:{$object:s}:s}}}function yt(r,n){var o,s,a,i=function(){};if(e(r)){for(a=[],o=0,s=r.length;o<s;o++)a.push(yt(r[o],n));return a}if(!t(r))return r;if(r.hasOwnProperty("$ref")){if(!n.refs.hasOwnProperty(r.$ref))throw new Error("Class.revive(): Reference to unknown object $id "+r.$ref);return n.refs[r.$ref]}if(r.hasOwnProperty("$date"))return new Date(null===r.$date?NaN:r.$date);if(r.hasOwnProperty("$class")){var c=Et.get(r.$class);if(!c)throw new Error("Class.revive(): No class named '"+r.$class+"' is registered");var u=c.hasOwnProperty("__Class_singleton"),l=!u&&c.__Class_instanceLock;u?a=Et.create(r.$class):n.construct&&!function(t){var e=t.__Class_config;for(var r in e)if(e.hasOwnProperty(r)&&e[r]===Et.requiredConfig)return!0;return!1}(c)?a=function(t){f=!0;try{return Et.create(t)}finally{f=!1}}(r.$class):(i.prototype=c.prototype,a=new i),r.hasOwnProperty("$id")&&(n.refs[r.$id]=a);var p=yt(r.$data,n);return"function"==typeof a.deserialize?a.deserialize(p):function(e,r){if(t(r))for(var n in r)if(r.hasOwnProperty(n)&&"__proto__"!==n&&"constructor"!==n&&"prototype"!==n&&(m(e,n)||"function"!=typeof e[n])){if(!dt(e,n))throw new Error("Class.revive(): Cannot restore property '"+n+"', as the object is sealed or frozen");!e.hasOwnProperty(n)&&P(e,n)?j(e,n,r[n]):e[n]=r[n]}}(a,p),l&&Z(a,l,c.__Class_backingProps),a}if(r.hasOwnProperty("$array")){for(a=[],r.hasOwnProperty("$id")&&(n.refs[r.$id]=a),o=0,s=r.$array.length;o<s;o++)a.push(yt(r.$array[o],n));return a}if(r.hasOwnProperty("$map")||r.hasOwnProperty("$set")){var h=r.hasOwnProperty("$map"),y=h?r.$map:r.$set;for(a=h?new Map:new Set,r.hasOwnProperty("$id")&&(n.refs[r.$id]=a),o=0,s=y.length;o<s;o++)h?a.set(yt(y[o][0],n),yt(y[o][1],n)):a.add(yt(y[o],n));return a}for(var d in a={},r.hasOwnProperty("$object")&&(r.hasOwnProperty("$id")&&(n.refs[r.$id]=a),r=r.$object),r)r.hasOwnProperty(d)&&"__proto__"!==d&&(a[d]=yt(r[d],n));return a}function dt(t,e){return!(w&&!m(t,e))||(t.hasOwnProperty(e)?!P(t,e):Object.isExtensible(t))}function _t(t,e,n){return t!==n.skipHookFor&&!r(t)&&"function"==typeof t[e]}function gt(t){var e=!r(t)&&t.constructor&&t.constructor.__Class_transient||[],n=[];for(var o in t)t.hasOwnProperty(o)&&!O(e,o)&&n.push(o);return n}function vt(t,r){if(!t||"object"!=typeof t)return t;var n,o,s,a=lt(r.originals,t);if(-1!==a)return r.copies[a];if("function"==typeof t.constructor&&t.constructor.hasOwnProperty("__Class_singleton"))return t;if(_t(t,"clone",r))return t.clone();if(t instanceof Date)n=new Date(t.getTime());else if(t instanceof RegExp)n=new RegExp(t.source,String(t).slice(String(t).lastIndexOf("/")+1));else if(e(t))n=[];else if("function"==typeof Map&&t instanceof Map)n=new Map;else if("function"==typeof Set&&t instanceof Set)n=new Set;else{var i=function(){};i.prototype=Object.getPrototypeOf?Object.getPrototypeOf(t):t.constructor.prototype,n=new i}ut(r.originals,t),r.copies.push(n);var c=function(t){return r.deep?vt(t,r):t};if(e(t))for(o=0,s=t.length;o<s;o++)n.push(c(t[o]));else"function"==typeof Map&&t instanceof Map?t.forEach(function(t,e){n.set(c(e),c(t))}):"function"==typeof Set&&t instanceof Set&&t.forEach(function(t){n.add(c(t))});var f="function"==typeof t.constructor&&t.constructor.hasOwnProperty("__Class")?t.constructor:null,u=f&&f.__Class_instanceLock;return Et.assign(n,t,function(o){if(e(t)&&"string"==typeof o&&("length"===o||String(o>>>0)===o))return!1;if("_super"===o||"callSuper"===o||"applySuper"===o)return!1;if(w){var s=Object.getOwnPropertyDescriptor(t,o);if(!s.get&&!s.set&&r.deep)return s.value=vt(s.value,r),Object.defineProperty(n,o,s),!1}else if(r.deep)return n[o]=vt(t[o],r),!1;return!0}),u&&Object.isSealed&&Object.isSealed(t)?Z(n,u,f.__Class_backingProps):Object.isFrozen&&Object.isFrozen(t)?Object.freeze(n):Object.isSealed&&Object.isSealed(t)&&Object.seal(n),n}function bt(t,r,n){if(t===r||t!=t&&r!=r)return!0;if(!t||!r||"object"!=typeof t||"object"!=typeof r)return!1;if(_t(t,"equals",n))return!!t.equals(r);var o=Object.getPrototypeOf?Object.getPrototypeOf(t):t.constructor.prototype,s=Object.getPrototypeOf?Object.getPrototypeOf(r):r.constructor.prototype;if(!(o===s||!n.exactClass&&o&&s&&(Et.isSubclassOf(o.constructor,s.constructor)||Et.isSubclassOf(s.constructor,o.constructor))))return!1;if(e(t)!==e(r))return!1;for(var a=0,i=n.as.length;a<i;a++)if(n.as[a]===t&&n.bs[a]===r)return!0;n.as.push(t),n.bs.push(r);try{return function(t,r,n){var o,s,a;if(t instanceof Date)return bt(t.getTime(),r.getTime(),n);if(t instanceof RegExp)return String(t)===String(r);if(e(t)){if(t.length!==r.length)return!1;for(o=0,s=t.length;o<s;o++)if(!bt(t[o],r[o],n))return!1}else if("function"==typeof Map&&t instanceof Map||"function"==typeof Set&&t instanceof Set){if(t.size!==r.size)return!1;if(a=!0,t.forEach(function(t,e){a=a&&r.has(e)&&(r instanceof Set||bt(t,r.get(e),n))}),!a)return!1}var i=gt(t),c=gt(r);if(i.length!==c.length)return!1;for(o=0,s=i.length;o<s;o++)if(!O(c,i[o])||!bt(t[i[o]],r[i[o]],n))return!1;return!0}(t,r,n)}finally{n.as.pop(),n.bs.pop()}}function Ot(t){for(var e=0,r=0,n=t.length;r<n;r++)e=31*e+t.charCodeAt(r)|0;return e}function wt(t,r){if(!t||"object"!=typeof t)return"function"==typeof t?1:Ot(typeof t+":"+String(t));if(_t(t,"hashCode",r))return 0|t.hashCode();if(O(r.stack,t))return 0;var n,o,s;r.stack.push(t);try{if(t instanceof Date)return wt(t.getTime(),r);if(t instanceof RegExp)return Ot(String(t));if(n=e(t)?1:2,e(t))for(o=0,s=t.length;o<s;o++)n=31*n+wt(t[o],r)|0;else"function"==typeof Map&&t instanceof Map&&t.forEach(function(t){n=n+wt(t,r)|0});var a=gt(t);for(o=0,s=a.length;o<s;o++)n=n+(Ot(a[o])^wt(t[a[o]],r))|0;return n}finally{r.stack.pop()}}var mt,Ct,Pt,jt,xt,St,Mt,Et=function(t){return Et.extend(Object,t)};return Et.create=function(t){if("string"==typeof t){var e=Et.get(t);if(!e)throw new Error("Class.create(): No class is registered with the name '"+t+"'");return e.hasOwnProperty("__Class_singleton")?e.getInstance():function(t,e){if(c)return Reflect.construct(t,e);var r=function(){};r.prototype=t.prototype;var n=new r,o=t.apply(n,e);return null===o||"object"!=typeof o&&"function"!=typeof o?n:o}(e,Array.prototype.slice.call(arguments,1))}return Et.extend(Object,t)},Et.get=function(t){return a.hasOwnProperty(t)?a[t]:null},Et.getName=function(t){return t&&t.hasOwnProperty("__Class_className")?t.__Class_className:null},Et.getAll=function(){return Et.apply({},a)},Et.apply=function(t,e,r){if(r&&Et.apply(t,r),t&&e&&"object"==typeof e)for(var n in e)t[n]=e[n];return t},Et.applyIf=function(t,e){if(t)for(var r in e)void 0!==t[r]&&null!==t[r]||(t[r]=e[r]);return t},Et.assign=function(t,e,r){if(t&&e)for(var n=x(e),o=0,s=n.length;o<s;o++){var a=n[o];r&&!r(a,e)||(w?Object.defineProperty(t,a,Object.getOwnPropertyDescriptor(e,a)):t[a]=e[a])}return t},Et.merge=function(e){var n=Array.prototype.slice.call(arguments,1),o={};return n.length>1&&function(e){if(!r(e))return!1;for(var n=x(e),o=0,s=n.length;o<s;o++)if("arrays"===n[o]){if(!O(["replace","concat","union"],e.arrays))return!1}else{if("strategies"!==n[o])return!1;if(!t(e.strategies))return!1}return s>0}(n[n.length-1])&&(o=n.pop()),e?E(e,n,o):e},Et.mergeWith=function(t,e){var r=Array.prototype.slice.call(arguments,2);return e?E(e,r,t||{}):e},Et.applyConfig=function(t,e,r){if(!t||!e)return t;var n,o,s=!1!==(r=r||{}).safe,a=Object.getPrototypeOf?Object.getPrototypeOf(t):t.constructor&&t.constructor.prototype,i=t.constructor&&t.constructor.__Class_config||{},c=x(e),f=[],u=[];for(n=0,o=c.length;n<o;n++){var l=c[n],p=null;Object.prototype.propertyIsEnumerable.call(e,l)&&(s&&("__proto__"===l||"constructor"===l||"prototype"===l?p="unsafe":m(t,l)||"function"!=typeof t[l]?!r.declaredOnly||k(a,l)||Object.prototype.hasOwnProperty.call(i,l)||(p="undeclared"):p="method"),p?(u.push(l),r.onReject&&r.onReject(l,p)):f.push(l))}if(u.length&&r.strict){var h=[];for(n=0,o=u.length;n<o;n++)h.push("'"+String(u[n])+"'");throw new Error("Class.applyConfig(): The config has unsafe or undeclared key(s): "+h.join(", "))}for(n=0,o=f.length;n<o;n++)t[f[n]]=e[f[n]];return t},Et.serialize=function(t){var e={objects:ft(),states:[],refCounts:[],ids:[],nextId:1};return pt(t,e),ht(t,e)},Et.stringify=function(t,e){return JSON.stringify(Et.serialize(t),null,e)},Et.revive=function(t,e){return yt("string"==typeof t?JSON.parse(t):t,{refs:{},construct:!e||!1!==e.construct})},Et.reviver=function(t){var e=[],r=[],n={};return function(o,s){"$id"===o&&(n[s]=!0);var a=b(e,s);-1!==a&&(s[""]=r[a]);var i,c=""===o&&this[""]===s;for(var f in this)""!==f&&this.hasOwnProperty(f)&&(c=!1);if(!c)return s;try{i=Et.revive(s,t)}catch(t){if(function(t,e){var r=Object.prototype.hasOwnProperty,n={},o=[],s=function(t){if(t&&"object"==typeof t)for(var e in r.call(t,"$id")&&(n[t.$id]=!0),r.call(t,"$ref")&&o.push(t.$ref),t)r.call(t,e)&&s(t[e])};s(t);for(var a=0,i=o.length;a<i;a++)if(!r.call(n,o[a])&&r.call(e,o[a]))return!0;return!1}(s,n))return s;throw t}return e.push(this),r.push(s),i}},Et.clone=function(t,e){return vt(t,{deep:!!(e=e||{}).deep,skipHookFor:e.skipHook?t:void 0,originals:ft(),copies:[]})},Et.equals=function(t,e,r){return bt(t,e,{exactClass:!1!==(r=r||{}).exactClass,skipHookFor:r.skipHook?t:void 0,as:[],bs:[]})},Et.hash=function(t,e){return wt(t,{stack:[],skipHookFor:e&&e.skipHook?t:void 0})},Et.abstractMethod=function(t){if("string"==typeof t&&(this===Et||this===i||void 0===this))return function(t){var e=function(){var r=e.__Class_declaringClass&&Et.getName(e.__Class_declaringClass);throw new Error("Abstract method '"+t+"'"+(r?" of class '"+r+"'":"")+" must be implemented in subclass")};return e.__Class_abstractMethod=t,e.__Class_declaringClass=null,e}(t);throw new Error("method must be implemented in subclass")},Et.superCalling=function(t){return t.__Class_superCalling=!0,t},Et.finalMethod=function(t){return t.__Class_finalMethod=!0,t},Et.debug=!1,Et.instanceofMixins=!0,Et.requiredConfig={},Et.interface=function(t){if(!t||"string"!=typeof t.name||!t.name)throw new Error("Class.interface() requires a `name` for the interface");if("[object Array]"!==Object.prototype.toString.call(t.methods))throw new Error("Class.interface() requires a `methods` array for interface '"+t.name+"'");return new _(t.name,t.methods.slice(0))},Et.extend=(mt=function(t){return function(){return this[t]}},Ct=function(t){return function(e){this.hasOwnProperty(t)?this[t]=e:j(this,t,e)}},Pt=function(t,e){var r=g(e),n="get"+r,o="set"+r,s="apply"+r,a="update"+r;t.hasOwnProperty(n)||j(t,n,function(){return this[e]}),t.hasOwnProperty(o)||j(t,o,function(t){var r=this[e];return"function"==typeof this[s]&&(t=this[s](t,r)),void 0!==t&&(this[e]=t,t!==r&&"function"==typeof this[a]&&this[a](t,r)),this})},jt=function(t,e){var r=m(t.source,t.prop),n=m(e.source,e.prop);return r||n?!!r&&!!n&&r.get===n.get&&r.set===n.set:t.source[t.prop]===e.source[e.prop]},xt=function(t){return Et.getName(t.mixin)||"mixins["+t.index+"]"},St=function(t,e,r){if(!Et.hasMixin(this.constructor,t))throw new Error("callMixin(): The object's class does not have the provided mixin");if("function"!=typeof t.prototype[e])throw new Error("callMixin(): The mixin does not have a method named '"+e+"'");return t.prototype[e].apply(this,r||[])},Mt=function(t){for(var e in t)this[e]=t[e]},function(n,o){if(1===arguments.length&&(o=n,n=Object),"function"==typeof(s=n)&&s!==Object&&s.prototype&&s!==Error&&!(s.prototype instanceof Error)&&/\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(s)))throw new Error("Cannot extend the built-in class"+(n.name?" '"+n.name+"'":"")+" with Class.extend(), as its instances can only be created by its own constructor. Extend it with the `class` syntax instead (ex: `class MyMap extends Map {}`)");var s;!n.hasOwnProperty("__Class")&&J(n)&&L(n);var i,c,u,l,p,v,b=function(){},P=n.prototype,M=!!o.abstractClass,k=!1,I=o.statics,N=o.inheritedStatics,D=o.mixins,A=o.implements,F=o.properties,q=o.config,B=o.className,K=!!o.strictMixins,Y=!!o.final,et=o.finals||[],ot=o.singleton,at=o.freezeInstances,it=o.sealInstances,ct=!!o.freezePrototype,ft=o.mergeMembers,ut=o.transient;if(delete o.statics,delete o.inheritedStatics,delete o.mixins,delete o.implements,delete o.properties,delete o.config,delete o.className,delete o.strictMixins,delete o.final,delete o.finals,delete o.singleton,delete o.freezeInstances,delete o.sealInstances,delete o.freezePrototype,delete o.mergeMembers,delete o.transient,ft&&(ft=r(ft)?Et.apply({members:!0},ft):{members:ft},$(o,P,ft),N&&(N=$(Et.assign({},N),n.__Class_inheritedStatics||{},ft)),q&&(q=$(Et.assign({},q),n.__Class_config||{},ft))),A)for(var lt=0,pt=(A=e(A)?A.slice(0):[A]).length;lt<pt;lt++)if(!(A[lt]instanceof _))throw new Error("The `implements` of "+(B?"class '"+B+"'":"the class being created")+" must only contain interfaces created with Class.interface(), but item "+lt+" is not an interface");if(n.hasOwnProperty("__Class_final"))throw tt(n);var ht=[];for(v in o)o.hasOwnProperty(v)&&ht.push(v);for(v in F)F.hasOwnProperty(v)&&ht.push(v);rt(n,ht,B),et=et.concat(nt(o));for(var yt=function(t,e,r){return T(e,function(e,n){return r?dt(e,t,r,n):"constructor"===t?H(P.constructor,e,n):P[t].apply(e,n||[])})},dt=function(t,e,r,n){var o=m(P,e);return o&&o[r]?o[r].apply(t,n||[]):"get"===r?P[e]:void 0},_t=function(t,e,r){return t in P&&(e&&z(e)&&(e=yt(t,e,"get")),r&&z(r)&&(r=yt(t,r,"set"))),{get:e,set:r,enumerable:!0,configurable:!0}},gt=x(o),vt=0,bt=gt.length;vt<bt;vt++){v=gt[vt];var Ot=o.hasOwnProperty(v)&&m(o,v);Ot?Object.defineProperty(o,v,_t(v,Ot.get,Ot.set)):"constructor"!==v&&o.hasOwnProperty(v)&&"function"==typeof o[v]&&!m(P,v)&&"function"==typeof P[v]&&!o[v].hasOwnProperty("__Class")&&z(o[v])&&(o[v]=yt(v,o[v]))}o.hasOwnProperty("constructor")&&"function"==typeof o.constructor&&"function"==typeof P.constructor&&z(o.constructor)&&(o.constructor=yt("constructor",o.constructor)),o.constructor!==Object?(c=o.constructor,delete o.constructor):c=n===Object?function(){}:function(){return H(n,this,arguments)},i=function(){var n=f;if(f=!1,V(this.constructor)){var o=Et.getName(this.constructor);throw new Error("Error: Cannot instantiate abstract class"+(o?" '"+o+"'":""))}if(ot&&!k){var s=Et.getName(i);throw new Error("Cannot instantiate singleton class"+(s?" '"+s+"'":"")+". Use its getInstance() method instead")}var a=J(this.constructor)===i;if(a||!u.isPrototypeOf(this)){a&&this.constructor!==i&&L(this.constructor);var l=i.__Class_mixinsToInit;if(l)for(var h=0,y=l.length;h<y;h++)H(l[h],this,arguments);i.__Class_config&&function(n,o,s){for(var a in s=t(s)?s:{},o)if(o.hasOwnProperty(a)){var i=Object.prototype.hasOwnProperty.call(s,a),c=i?s[a]:o[a];if(c===Et.requiredConfig){var f=Et.getName(n.constructor);throw new Error("The required config '"+a+"' was not provided"+(f?" to class '"+f+"'":""))}i||(c=e(c)?S([],c,{}):r(c)?E({},[c],{}):c),n["set"+g(a)](c)}}(this,i.__Class_config,arguments[0])}var d=c.apply(this,arguments);return p&&this.constructor===i&&!n&&Z(this,p,i.__Class_backingProps),d},b.prototype=P,j(u=i.prototype=new b,"constructor",i),i.superclass=i.__super__=P,i.__Class=!0,G(i),i.override=function(t){Et.override(U(this,i),t)},i.extend=function(t){return Et.extend(U(this,i),t)},i.hasMixin=function(t){return Et.hasMixin(U(this,i),t)},i.implementsInterface=function(t){return Et.implementsInterface(U(this,i),t)},i.getSuperclasses=function(){return Et.getSuperclasses(U(this,i))},i.getSubclasses=function(t){return Et.getSubclasses(U(this,i),t)};var wt=function(){return P};if(j(u,"superclass",wt),j(u,"supr",wt),j(u,"override",Mt),j(u,"hasMixin",function(t){return Et.hasMixin(this.constructor,t)}),j(u,"implementsInterface",function(t){return Et.implementsInterface(this.constructor,t)}),j(u,"callMixin",St),R(i,o,!1),Q(i,o),n.__Class_backingProps&&(i.__Class_backingProps=n.__Class_backingProps.slice()),F){if(!w)throw new Error("The `properties` of a class definition require a JavaScript implementation that supports getters/setters (ES5)");for(v in F)if(F.hasOwnProperty(v)){var kt=F[v],$t="_"+v;kt.hasOwnProperty("default")&&j(u,$t,kt.default),kt.set&&!kt.hasOwnProperty("default")||(i.__Class_backingProps=(i.__Class_backingProps||[]).concat($t)),Object.defineProperty(u,v,_t(v,kt.get||mt($t),kt.set||Ct($t)))}}if(q||n.__Class_config)for(v in i.__Class_config=Et.assign(Et.assign({},n.__Class_config),q),q)!q.hasOwnProperty(v)||n.__Class_config&&n.__Class_config.hasOwnProperty(v)||Pt(u,v);(N||n.__Class_inheritedStatics)&&(N=Et.assign(Et.assign({},n.__Class_inheritedStatics),N),Et.assign(i,N),Q(i,N),i.__Class_inheritedStatics=N),I&&(Et.assign(i,I),Q(i,I),i.__Class_statics=I),D&&(i.__Class_mixinMembers={},i.mixins=function(t,e,r,n){var o,s,a,i=[],c={};for(s=0,a=e.length;s<a;s++){for(var f="function"==typeof e[s]?{mixin:e[s]}:e[s],u=f.mixin.prototype,l=f.exclude||[],p=f.alias||{},h={},y=W(u),d=0,_=y.length;d<_;d++)O(l,y[d])||(h[y[d]]=y[d]);for(o in p)if(p.hasOwnProperty(o)){if(!(o in u))throw new Error("Cannot alias member '"+o+"' of mixin "+xt({mixin:f.mixin,index:s})+", as the mixin does not have it");h[p[o]]=o}for(o in h){var g={mixin:f.mixin,index:s,source:u,prop:h[o]},v=c.hasOwnProperty(o)?c[o]:null;g.conflicts=v?v.conflicts.slice(0):[],v&&!jt(v,g)&&g.conflicts.push(v),c[o]=g}i.push(f.mixin),G(f.mixin)}for(o in c)if(!m(t,o)&&void 0===t[o]){if(r&&c[o].conflicts.length)throw new Error("Mixin conflict: member '"+o+"' is provided by both "+xt(c[o].conflicts[0])+" and "+xt(c[o])+". Define it in the class, or use `exclude` or `alias` in the mixin entries to resolve it.");C(t,c[o].source,c[o].prop,o),n[o]=c[o]}return i}(u,D,K,i.__Class_mixinMembers));var It=(n.__Class_mixinsToInit||[]).slice(0);if(!0===u.autoInitMixins&&i.mixins)for(var Nt=0,zt=i.mixins.length;Nt<zt;Nt++)O(It,i.mixins[Nt])||It.push(i.mixins[Nt]);if(It.length&&(i.__Class_mixinsToInit=It),et.length){for(Nt=0,zt=et.length;Nt<zt;Nt++)if(m(u,et[Nt])||"function"!=typeof u[et[Nt]])throw new Error("Cannot declare '"+et[Nt]+"' as a final method, as the class being created does not have a method with that name");i.__Class_finalMethods=et}for((Y||ot)&&(i.__Class_final=!0),(p=void 0!==at||void 0!==it?at?"freeze":it?"seal":null:n.__Class_instanceLock||null)&&(i.__Class_instanceLock=p),(ut||n.__Class_transient)&&(i.__Class_transient=(n.__Class_transient||[]).concat(ut||[])),ot&&(i.__Class_singleton=!0,i.getInstance=function(){if(!l){if(k)throw new Error("getInstance() cannot be called while the instance of the singleton class is being created");k=!0;try{l=new i}finally{k=!1}}return l}),A&&(i.interfaces=A),M||X(i,!0),B&&(a.hasOwnProperty(B)&&"undefined"!=typeof console&&console.warn&&console.warn("Class.extend(): A class with the name '"+B+"' is already registered. It is being replaced."),i.__Class_className=B,a[B]=i,d(B,i)),n!==Object&&st(h,n,i),Nt=0,zt=(i.mixins||[]).length;Nt<zt;Nt++)st(y,i.mixins[Nt],i);return"function"==typeof i.onClassExtended&&i.onClassExtended(i),ct&&Object.freeze&&Object.freeze(u),ot&&"lazy"!==ot?(l=i.getInstance(),B&&d(B,l),l):i}),Et.override=function(t,e){if(e){if(Y(t)){var r=Et.getName(t);throw new Error("Class.override(): Cannot override class"+(r?" '"+r+"'":"")+", as its prototype is frozen")}var o=[];for(var s in e)e.hasOwnProperty(s)&&o.push(s);rt(t,o,Et.getName(t));var a=nt(e),i=x(e);n&&e.hasOwnProperty("toString")&&i.push("toString");var c=function(t,e){for(var r=[],n=0,o=e.length;n<o;n++){var s=e[n],a=D(t,s),i=t.hasOwnProperty(s);r.push({prop:s,own:i,descriptor:i&&w?Object.getOwnPropertyDescriptor(t,s):null,value:i&&!w?t[s]:void 0,advice:a,original:a&&a.original})}return function(){for(var e=r.length-1;e>=0;e--){var n=r[e];n.descriptor?Object.defineProperty(t,n.prop,n.descriptor):n.own?t[n.prop]=n.value:delete t[n.prop],n.advice&&(n.advice.original=n.original)}}}(t.prototype,i);R(t,e,!0);var f=Q(t,e),u=[t].concat(Et.getSubclasses(t,{deep:!0}));try{for(var l=0,p=u.length;l<p;l++)u[l].hasOwnProperty("__Class")&&Et.validate(u[l])}catch(t){for(c(),l=0,p=f.length;l<p;l++)delete f[l].__Class_declaringClass;throw t}a.length&&(t.__Class_finalMethods=(t.hasOwnProperty("__Class_finalMethods")?t.__Class_finalMethods:[]).concat(a))}},Et.validate=function(t){V(t)||X(t,!1)},Et.before=function(t,e,r){return A(t,e,"before",r)},Et.after=function(t,e,r){return A(t,e,"after",r)},Et.around=function(t,e,r){return A(t,e,"around",r)},Et.superOf=function(t,e,r){var n,o=r||t.constructor;if(!r)for(;o&&!o.prototype.hasOwnProperty(e);)o=(n=I(o))&&n.constructor;if(!(n=o&&I(o))||"function"!=typeof n[e])throw new Error("superOf(): No superclass method '"+e+"' was found");return function(){return n[e].apply(t,arguments)}},Et.isInstanceOf=function(e,r){if(r instanceof _)return t(e)&&Et.implementsInterface(e.constructor,r);if(t(r)&&"function"==typeof r.constructor&&r.constructor.hasOwnProperty("__Class_singleton")&&(r=r.constructor),"function"!=typeof r)throw new Error("jsClass argument of isInstanceOf method expected a Function (constructor function) for a JavaScript class");return!!t(e)&&(e instanceof r||!!Et.hasMixin(e.constructor,r))},Et.isSubclassOf=function(t,e){if("function"!=typeof t||"function"!=typeof e)return!1;if(t===e)return!0;for(var r,n=t;n=(r=I(n))&&r.constructor;)if(r.constructor===e)return!0;return!1},Et.hasMixin=function(t,e){var r=e.hasOwnProperty("__Class_classId")&&e.__Class_classId;r||(r=e.__Class_classId=++s);var n=t.hasOwnProperty("__Class_hasMixinCache")&&t.__Class_hasMixinCache;if(n||(n=t.__Class_hasMixinCache={}),r in n)return n[r];var o=t.hasOwnProperty("mixins")&&t.mixins,a=I(t);if(o)for(var i=0,c=o.length;i<c;i++)if(o[i]===e)return n[r]=!0;if(a&&a.constructor&&a.constructor!==Object){var f=Et.hasMixin(a.constructor,e);return n[r]=f}return n[r]=!1},Et.implementsInterface=function(t,e){return"function"==typeof t&&O(v(t),e)},Et.getSuperclasses=function(t){for(var e=[],r=I(t);r&&r!==Object.prototype;r=I(r.constructor))e.push(r.constructor);return e},Et.getSubclasses=function(t,e){var r=at(h,t);return e&&e.deep?it(r):r},Et.getMixinUsers=function(t,e){var r=at(y,t);return e&&e.deep?it(r):r},Et.describe=function(t){for(var e,r,n=t.prototype,o=Et.getSuperclasses(t),s=[],a=[],i=[],c=[],f={},u=["constructor","superclass","supr","override","hasMixin","implementsInterface","callMixin","abstractClass","autoInitMixins"],l=function(t){return Object.getPrototypeOf?Object.getPrototypeOf(t):I(t.constructor)},p=0;p<o.length;p++){var h=o[p].hasOwnProperty("mixins")?o[p].mixins:[];for(e=0,r=h.length;e<r;e++)O(s,h[e])||s.push(h[e])}var y=W(n);for(e=0,r=y.length;e<r;e++){var d=y[e];if(!O(u,d)){for(var _=n;_&&!_.hasOwnProperty(d);)_=l(_);if(_){var g=_.constructor,b=m(_,d),w=g.hasOwnProperty("__Class_mixinMembers")?g.__Class_mixinMembers:{},C=w.hasOwnProperty(d)?w[d]:null;if(C){var P=m(C.source,C.prop);C=b||P?b&&P&&b.get===P.get&&b.set===P.set?C:null:_[d]===C.source[C.prop]?C:null}f[d]={kind:b?"accessor":"function"==typeof _[d]?"method":"property",source:C?"mixin":_===n?"own":"superclass",definedBy:C?C.mixin:g,inherited:_!==n},!b&&K(_[d])&&a.push(d),et(t,d)&&c.push(d)}}}for(var j in t)K(t[j])&&i.push(j);return{name:Et.getName(t),superclasses:o,mixins:t.hasOwnProperty("mixins")?t.mixins.slice(0):[],inheritedMixins:s,interfaces:v(t),statics:Et.assign({},t.hasOwnProperty("__Class_statics")?t.__Class_statics:null),inheritedStatics:Et.assign({},t.__Class_inheritedStatics),abstractClass:V(t),abstractMethods:a,abstractStatics:i,finalClass:t.hasOwnProperty("__Class_final"),finalMethods:c,members:f}},Et});
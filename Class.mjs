@@ -0,0 +1,57 @@
+/*!
+ * Class.js
+ * Version 0.3.1
+ *
+ * Copyright(c) 2012 Gregory Jacobs.
+ * MIT Licensed. http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/gregjacobs/Class.js
+ */
+/**
+ * ES module entry point for Class.js, for module loaders and bundlers which support importing CommonJS modules (such as Node.js,
+ * webpack, and Rollup). Class is the default export, and its static methods are also available as named exports. Ex:
+ *
+ *     import Class, { extend, isInstanceOf } from 'class.js';
+ *
+ * Note that `Class.interface()` is only available from the default export, as `interface` is a reserved word.
+ */
+import Class from './Class.js';
+
+export default Class;
+
+export var create = Class.create;
+export var get = Class.get;
+export var getName = Class.getName;
+export var getAll = Class.getAll;
+export var apply = Class.apply;
+export var applyIf = Class.applyIf;
+export var assign = Class.assign;
+export var merge = Class.merge;
+export var mergeWith = Class.mergeWith;
+export var applyConfig = Class.applyConfig;
+export var serialize = Class.serialize;
+export var stringify = Class.stringify;
+export var revive = Class.revive;
+export var reviver = Class.reviver;
+export var clone = Class.clone;
+export var equals = Class.equals;
+export var hash = Class.hash;
+export var abstractMethod = Class.abstractMethod;
+export var superCalling = Class.superCalling;
+export var finalMethod = Class.finalMethod;
+export var requiredConfig = Class.requiredConfig;
+export var extend = Class.extend;
+export var override = Class.override;
+export var before = Class.before;
+export var after = Class.after;
+export var around = Class.around;
+export var superOf = Class.superOf;
+export var isInstanceOf = Class.isInstanceOf;
+export var isSubclassOf = Class.isSubclassOf;
+export var hasMixin = Class.hasMixin;
+export var implementsInterface = Class.implementsInterface;
+export var describe = Class.describe;
+export var validate = Class.validate;
+export var getSuperclasses = Class.getSuperclasses;
+export var getSubclasses = Class.getSubclasses;
+export var getMixinUsers = Class.getMixinUsers;
@@ -1,2 +1,2 @@
-:: Note: You must have Java installed, and the Java executable must be in your PATH variable.
-java -jar ..\vendor\webappbuilder\WebAppBuilder.jar
\ No newline at end of file
+:: Note: You must have Node.js installed, and must have run `npm install` in the root directory.
+node buildSource.js
\ No newline at end of file
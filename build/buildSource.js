@@ -0,0 +1,21 @@
+/*
+ * Builds the distribution files Class.js and Class.min.js (in the root directory) from src/Class.js, prepending the license
+ * text from build.json. Run with `npm run build` (from the root directory), after `npm install`.
+ */
+var fs = require( 'fs' ),
+    path = require( 'path' ),
+    terser = require( 'terser' );
+
+var rootDir = path.join( __dirname, '..' ),
+    buildConfig = ( new Function( "return " + fs.readFileSync( path.join( __dirname, 'build.json' ), 'utf8' ) ) )(),  // build.json is not strict JSON
+    licenseComment = "/*!\n" + buildConfig.licenseText.split( "\n" ).map( function( line ) { return " * " + line; } ).join( "\n" ) + "\n */\n",
+    source = licenseComment + fs.readFileSync( path.join( rootDir, 'src', 'Class.js' ), 'utf8' ) + "\n\n";
+
+fs.writeFileSync( path.join( rootDir, 'Class.js' ), source );
+
+terser.minify( source, { output: { comments: /^!/ } } ).then( function( result ) {
+	fs.writeFileSync( path.join( rootDir, 'Class.min.js' ), result.code + "\n" );
+} ).catch( function( err ) {
+	console.error( err );
+	process.exitCode = 1;
+} );
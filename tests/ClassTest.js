@@ -1,4 +1,4 @@
-/*global jQuery, Ext, Y, tests, Class */
+/*global window, jQuery, Ext, Y, tests, Class */
 /*jslint evil:true */
 Ext.test.Session.addSuite( {
 	
@@ -174,6 +174,498 @@ Ext.test.Session.addSuite( {
 				}, 'Test that the reference of the object is changed');
 				
 				Y.Assert.isNull(Class.applyIf(null, {}), 'Test null first argument');
+				
+				var o5 = Class.applyIf({
+					foo: null,
+					bar: undefined,
+					baz: 0
+				}, {
+					foo: 1,
+					bar: 2,
+					baz: 3
+				});
+				Y.ObjectAssert.hasKeys(o5, {
+					foo: 1,
+					bar: 2,
+					baz: 0
+				}, 'Test that null and undefined properties are filled, but other falsy properties are not');
+			}
+		},
+		
+		
+		/*
+		 * Test assign()
+		 */
+		{
+			name : "Test assign()",
+			
+			setUp : function() {
+				this.symbolsSupported = typeof Symbol === 'function' && typeof Symbol.iterator === 'symbol';
+			},
+			
+			
+			"assign() should copy the own properties of the source, and not its inherited properties" : function() {
+				var proto = { inherited: 1 },
+				    source = Class.apply( Object.create( proto ), { a: 1, b: 2 } );
+				
+				var target = Class.assign( {}, source );
+				Y.Assert.areSame( 1, target.a );
+				Y.Assert.areSame( 2, target.b );
+				Y.Assert.isFalse( 'inherited' in target, "The inherited property should not have been copied" );
+			},
+			
+			
+			"assign() should copy accessor properties as accessors, without invoking their getters" : function() {
+				var getterCalls = 0,
+				    source = {};
+				Object.defineProperty( source, 'fullName', {
+					get : function() { getterCalls++; return this.first + " " + this.last; },
+					enumerable : true,
+					configurable : true
+				} );
+				
+				var target = Class.assign( { first: "Bob", last: "Smith" }, source );
+				Y.Assert.areSame( 0, getterCalls, "The getter should not have been invoked while copying" );
+				Y.Assert.areSame( "Bob Smith", target.fullName, "The getter should have been copied, and run against the target" );
+				Y.Assert.isFunction( Object.getOwnPropertyDescriptor( target, 'fullName' ).get );
+			},
+			
+			
+			"assign() should copy non-enumerable properties, preserving their descriptors" : function() {
+				var source = {};
+				Object.defineProperty( source, 'hidden', { value: 42, enumerable: false, writable: false, configurable: true } );
+				
+				var target = Class.assign( {}, source ),
+				    descriptor = Object.getOwnPropertyDescriptor( target, 'hidden' );
+				Y.Assert.areSame( 42, target.hidden );
+				Y.Assert.isFalse( descriptor.enumerable );
+				Y.Assert.isFalse( descriptor.writable );
+			},
+			
+			
+			"assign() should copy symbol-keyed properties" : function() {
+				if( !this.symbolsSupported ) { return; }
+				
+				var source = {},
+				    iterator = function() {};
+				source[ Symbol.iterator ] = iterator;
+				
+				var target = Class.assign( {}, source );
+				Y.Assert.areSame( iterator, target[ Symbol.iterator ] );
+			},
+			
+			
+			"assign() should only copy the properties accepted by the filter function" : function() {
+				var source = { a: 1, _b: 2, c: 3 },
+				    filterArgs = [];
+				
+				var target = Class.assign( {}, source, function( key, src ) {
+					filterArgs.push( src );
+					return key.charAt( 0 ) !== '_';
+				} );
+				Y.Assert.areSame( 1, target.a );
+				Y.Assert.areSame( 3, target.c );
+				Y.Assert.isFalse( '_b' in target, "The filtered out property should not have been copied" );
+				Y.Assert.areSame( source, filterArgs[ 0 ], "The source object should have been provided to the filter function" );
+			},
+			
+			
+			"assign() should return the target, and handle null or undefined arguments" : function() {
+				var target = {};
+				Y.Assert.areSame( target, Class.assign( target, { a: 1 } ) );
+				Y.Assert.areSame( target, Class.assign( target, null ) );
+				Y.Assert.areSame( target, Class.assign( target, undefined ) );
+				Y.Assert.isNull( Class.assign( null, { a: 1 } ) );
+			},
+			
+			
+			"Symbol-keyed methods should be able to be defined in a class definition, and call their superclass method" : function() {
+				if( !this.symbolsSupported ) { return; }
+				
+				var overrides = {
+					items : null,
+					constructor : function( items ) { this.items = items; }
+				};
+				overrides[ Symbol.iterator ] = function() {
+					var items = this.items, i = 0;
+					return { next : function() { return ( i < items.length ) ? { value: items[ i++ ], done: false } : { value: undefined, done: true }; } };
+				};
+				var Collection = Class( overrides );
+				
+				var subOverrides = {};
+				subOverrides[ Symbol.iterator ] = function() {
+					this.items = this.items.concat( [ "sub" ] );
+					return this._super( arguments );
+				};
+				var SubCollection = Collection.extend( subOverrides );
+				
+				var iter = new SubCollection( [ "a" ] )[ Symbol.iterator ](),
+				    values = [];
+				for( var result = iter.next(); !result.done; result = iter.next() ) {
+					values.push( result.value );
+				}
+				Y.ArrayAssert.itemsAreSame( [ "a", "sub" ], values, "The symbol-keyed method should have been able to call its superclass method" );
+			},
+			
+			
+			"Symbol-keyed methods should be able to be added with Class.override()" : function() {
+				if( !this.symbolsSupported ) { return; }
+				
+				var Money = Class( {
+					constructor : function( amount ) { this.amount = amount; }
+				} );
+				var overrides = {};
+				overrides[ Symbol.toPrimitive ] = function( hint ) { return ( hint === 'string' ) ? "$" + this.amount : this.amount; };
+				Class.override( Money, overrides );
+				
+				var money = new Money( 5 );
+				Y.Assert.areSame( 7, money + 2 );
+				Y.Assert.areSame( "$5", String( money ) );
+			},
+			
+			
+			"Accessor, non-enumerable, and symbol-keyed statics and inheritedStatics should be applied with their descriptors" : function() {
+				var statics = {},
+				    inheritedStatics = { count : 0 };
+				Object.defineProperty( statics, 'instanceName', { get : function() { return "Single"; }, enumerable : true, configurable : true } );
+				Object.defineProperty( inheritedStatics, 'hiddenStatic', { value : "hidden", enumerable : false, configurable : true, writable : true } );
+				if( this.symbolsSupported ) {
+					inheritedStatics[ Symbol.iterator ] = function() {};
+				}
+				
+				var MyClass = Class( {
+					statics : statics,
+					inheritedStatics : inheritedStatics
+				} );
+				var MySubClass = MyClass.extend( {} );
+				
+				Y.Assert.isFunction( Object.getOwnPropertyDescriptor( MyClass, 'instanceName' ).get, "The static accessor should have been copied as an accessor" );
+				Y.Assert.areSame( "Single", MyClass.instanceName );
+				Y.Assert.areSame( "hidden", MySubClass.hiddenStatic, "The non-enumerable inherited static should have been inherited" );
+				if( this.symbolsSupported ) {
+					Y.Assert.areSame( inheritedStatics[ Symbol.iterator ], MySubClass[ Symbol.iterator ], "The symbol-keyed inherited static should have been inherited" );
+				}
+			}
+		},
+		
+		
+		/*
+		 * Test merge()
+		 */
+		{
+			name : "Test merge()",
+			
+			
+			"merge() should deep merge the sources into the target, with later sources taking precedence" : function() {
+				var target = { a: 1, nested: { b: 1, c: 1 } };
+				
+				var result = Class.merge( target, { nested: { c: 2, d: { e: 1 } } }, { nested: { d: { f: 2 } }, g: 3 } );
+				Y.Assert.areSame( target, result, "The target should have been returned" );
+				Y.Assert.areSame( 1, result.a );
+				Y.Assert.areSame( 3, result.g );
+				Y.Assert.areSame( 1, result.nested.b );
+				Y.Assert.areSame( 2, result.nested.c );
+				Y.ObjectAssert.areEqual( { e: 1, f: 2 }, result.nested.d );
+			},
+			
+			
+			"merge() should not modify the nested objects of the target or the sources" : function() {
+				var defaults = { format: { date: 'Y-m-d' } },
+				    source = { format: { currency: 'EUR', symbols: { eur: '€' } } };
+				
+				var result = Class.merge( {}, defaults, source );
+				Y.ObjectAssert.areEqual( { date: 'Y-m-d' }, defaults.format, "The first source's nested object should not have been modified" );
+				Y.Assert.isUndefined( defaults.format.currency );
+				Y.Assert.areNotSame( source.format, result.format, "The nested object should have been copied" );
+				Y.Assert.areNotSame( source.format.symbols, result.format.symbols, "The deeply nested object should have been copied" );
+				Y.Assert.areSame( 'Y-m-d', result.format.date );
+				Y.Assert.areSame( 'EUR', result.format.currency );
+			},
+			
+			
+			"merge() should skip undefined source values and null sources, and copy class instances by reference" : function() {
+				var MyClass = Class( {} ),
+				    instance = new MyClass();
+				
+				var result = Class.merge( { a: 1, b: { c: 1 } }, null, { a: undefined, b: instance }, undefined );
+				Y.Assert.areSame( 1, result.a, "The undefined value should not have been merged" );
+				Y.Assert.areSame( instance, result.b, "The class instance should have replaced the target's value, by reference" );
+			},
+			
+			
+			"merge() should replace arrays by default, or concatenate or union them with the `arrays` option" : function() {
+				var target = { list: [ 1, 2 ] };
+				
+				Y.ArrayAssert.itemsAreSame( [ 2, 3 ], Class.merge( {}, target, { list: [ 2, 3 ] } ).list, "The array should have been replaced by default" );
+				Y.ArrayAssert.itemsAreSame( [ 1, 2, 2, 3 ], Class.merge( {}, target, { list: [ 2, 3 ] }, { arrays: 'concat' } ).list );
+				Y.ArrayAssert.itemsAreSame( [ 1, 2, 3 ], Class.merge( {}, target, { list: [ 2, 3 ] }, { arrays: 'union' } ).list );
+				Y.ArrayAssert.itemsAreSame( [ 1, 2 ], target.list, "The target's array should not have been modified" );
+			},
+			
+			
+			"merge() should use the `strategies` option's functions to merge the properties of the same name, at any depth" : function() {
+				var joinClasses = function( targetValue, sourceValue, key ) {
+					Y.Assert.areSame( 'cls', key );
+					return targetValue ? targetValue + " " + sourceValue : sourceValue;
+				};
+				
+				var result = Class.merge( {}, { cls: 'btn', icon: { cls: 'icon' } }, { cls: 'btn-primary', icon: { cls: 'icon-large' } }, { strategies: { cls: joinClasses } } );
+				Y.Assert.areSame( 'btn btn-primary', result.cls );
+				Y.Assert.areSame( 'icon icon-large', result.icon.cls );
+			},
+			
+			
+			"merge() should treat a last argument which is not only `arrays` and `strategies` as a source" : function() {
+				var result = Class.merge( {}, { a: 1 }, { arrays: 'concat', b: 2 } );
+				Y.Assert.areSame( 'concat', result.arrays );
+				Y.Assert.areSame( 2, result.b );
+				
+				var result2 = Class.merge( {}, { arrays: 'union' } );
+				Y.Assert.areSame( 'union', result2.arrays, "A single source should never be treated as the options" );
+			},
+			
+			
+			"merge() should handle cyclic references in the sources, giving the result the same cycles" : function() {
+				var a = { name: "a" };
+				a.self = a;
+				a.child = { parent: a, list: [] };
+				a.child.list.push( a.child.list, a );
+				
+				var result = Class.merge( {}, a );
+				Y.Assert.areSame( "a", result.name );
+				Y.Assert.areSame( result, result.self, "The cycle to the source itself should refer to the target" );
+				Y.Assert.areNotSame( a.child, result.child, "The nested object should have been copied" );
+				Y.Assert.areSame( result, result.child.parent );
+				Y.Assert.areSame( result.child.list, result.child.list[ 0 ], "The cyclic array should have been copied with its cycle" );
+				Y.Assert.areSame( result, result.child.list[ 1 ] );
+				
+				var nested = Class.merge( {}, { wrapper: a } );
+				Y.Assert.areSame( nested.wrapper, nested.wrapper.self, "A cycle in a nested source should refer to its merged copy" );
+			},
+			
+			
+			"merge() should take a last source with only valid `arrays` or `strategies` properties as the options, but mergeWith() should not" : function() {
+				var data = { arrays: 'concat' };
+				
+				var result = Class.merge( {}, { list: [ 1 ] }, { list: [ 2 ] }, data );
+				Y.Assert.isUndefined( result.arrays, "The last source should have been taken as the options" );
+				Y.ArrayAssert.itemsAreSame( [ 1, 2 ], result.list );
+				
+				var result2 = Class.mergeWith( {}, {}, { list: [ 1 ] }, { list: [ 2 ] }, data );
+				Y.Assert.areSame( 'concat', result2.arrays, "The last source should have been merged" );
+				Y.ArrayAssert.itemsAreSame( [ 2 ], result2.list, "The default options should have been used" );
+				
+				var result3 = Class.mergeWith( { arrays: 'union' }, {}, { list: [ 1, 2 ] }, { list: [ 2, 3 ] } );
+				Y.ArrayAssert.itemsAreSame( [ 1, 2, 3 ], result3.list, "The provided options should have been used" );
+			},
+			
+			
+			"merge() should skip the own `__proto__` properties of the sources" : function() {
+				var result = Class.merge( {}, JSON.parse( '{ "a": 1, "__proto__": { "polluted": true }, "nested": { "__proto__": { "polluted": true } } }' ) );
+				
+				Y.Assert.areSame( 1, result.a );
+				Y.Assert.areSame( Object.prototype, Object.getPrototypeOf( result ), "The target's prototype should not have been replaced" );
+				Y.Assert.areSame( Object.prototype, Object.getPrototypeOf( result.nested ), "The nested object's prototype should not have been replaced" );
+				Y.Assert.isUndefined( result.polluted );
+				Y.Assert.isUndefined( ( {} ).polluted, "Object.prototype should not have been modified" );
+			},
+			
+			
+			"`mergeMembers: true` should deep merge all object-valued members of a class definition with the superclass's values" : function() {
+				var Grid = Class( {
+					defaults : { pageSize: 25, sortable: true },
+					columns : [ 'id' ],
+					title : "Grid"
+				} );
+				var UserGrid = Grid.extend( {
+					mergeMembers : true,
+					defaults : { pageSize: 50 },
+					columns : [ 'name' ],
+					title : "Users"
+				} );
+				
+				Y.ObjectAssert.areEqual( { pageSize: 50, sortable: true }, UserGrid.prototype.defaults );
+				Y.ArrayAssert.itemsAreSame( [ 'name' ], UserGrid.prototype.columns, "Arrays should be replaced by default" );
+				Y.Assert.areSame( "Users", UserGrid.prototype.title );
+				Y.ObjectAssert.areEqual( { pageSize: 25, sortable: true }, Grid.prototype.defaults, "The superclass's value should not have been modified" );
+				Y.Assert.isFalse( UserGrid.prototype.hasOwnProperty( 'mergeMembers' ), "The special property should not have been applied to the prototype" );
+			},
+			
+			
+			"`mergeMembers` should only merge the listed members, and should not be inherited" : function() {
+				var Base = Class( {
+					defaults : { a: 1 },
+					options : { a: 1 }
+				} );
+				var Sub = Base.extend( {
+					mergeMembers : [ 'defaults' ],
+					defaults : { b: 2 },
+					options : { b: 2 }
+				} );
+				var SubSub = Sub.extend( {
+					defaults : { c: 3 }
+				} );
+				
+				Y.ObjectAssert.areEqual( { a: 1, b: 2 }, Sub.prototype.defaults );
+				Y.ObjectAssert.areEqual( { b: 2 }, Sub.prototype.options, "The member which is not listed should not have been merged" );
+				Y.ObjectAssert.areEqual( { c: 3 }, SubSub.prototype.defaults, "`mergeMembers` should not have been inherited" );
+			},
+			
+			
+			"`mergeMembers` should accept the `arrays` and `strategies` options, and apply to inheritedStatics and config" : function() {
+				var Component = Class( {
+					cls : 'component',
+					plugins : [ 'tooltip' ],
+					
+					inheritedStatics : {
+						events : { click: true }
+					},
+					config : {
+						style : { color: 'black' }
+					}
+				} );
+				var Button = Component.extend( {
+					mergeMembers : {
+						arrays : 'union',
+						strategies : { cls : function( superValue, value ) { return superValue + " " + value; } }
+					},
+					cls : 'button',
+					plugins : [ 'tooltip', 'ripple' ],
+					
+					inheritedStatics : {
+						events : { press: true }
+					},
+					config : {
+						style : { fontSize: 12 }
+					}
+				} );
+				
+				Y.Assert.areSame( 'component button', Button.prototype.cls );
+				Y.ArrayAssert.itemsAreSame( [ 'tooltip', 'ripple' ], Button.prototype.plugins );
+				Y.ObjectAssert.areEqual( { click: true, press: true }, Button.events );
+				Y.ObjectAssert.areEqual( { color: 'black', fontSize: 12 }, new Button().getStyle() );
+				Y.ObjectAssert.areEqual( { color: 'black' }, new Component().getStyle(), "The superclass's config should not have been modified" );
+			}
+		},
+		
+		
+		/*
+		 * Test applyConfig()
+		 */
+		{
+			name : "Test applyConfig()",
+			
+			_should : {
+				error : {
+					"applyConfig() should throw an error listing the rejected keys with the `strict` option, without applying any properties" :
+						"Class.applyConfig(): The config has unsafe or undeclared key(s): '__proto__', 'extra'"
+				}
+			},
+			
+			setUp : function() {
+				this.User = Class( {
+					name : "",
+					email : "",
+					
+					config : {
+						role : "user"
+					},
+					
+					getDisplayName : function() { return this.name; }
+				} );
+			},
+			
+			
+			"applyConfig() should apply the own properties of the config, and return the target" : function() {
+				var target = {},
+				    config = Class.apply( Object.create( { inherited: 1 } ), { a: 1, b: 2 } );
+				
+				Y.Assert.areSame( target, Class.applyConfig( target, config ) );
+				Y.Assert.areSame( 1, target.a );
+				Y.Assert.areSame( 2, target.b );
+				Y.Assert.isFalse( 'inherited' in target, "The config's inherited property should not have been applied" );
+				
+				Y.Assert.areSame( target, Class.applyConfig( target, null ), "A null config should be ignored" );
+				Y.Assert.isNull( Class.applyConfig( null, { a: 1 } ) );
+			},
+			
+			
+			"applyConfig() should skip the `__proto__`, `constructor`, and `prototype` keys of untrusted input" : function() {
+				var user = new this.User(),
+				    config = JSON.parse( '{ "name": "Bob", "__proto__": { "isAdmin": true }, "constructor": "evil", "prototype": {} }' );
+				
+				Class.applyConfig( user, config );
+				Y.Assert.areSame( "Bob", user.name );
+				Y.Assert.areSame( this.User.prototype, Object.getPrototypeOf( user ), "The instance's prototype should not have been replaced" );
+				Y.Assert.isUndefined( user.isAdmin );
+				Y.Assert.areSame( this.User, user.constructor, "The constructor should not have been shadowed" );
+				Y.Assert.isFalse( user.hasOwnProperty( 'prototype' ) );
+				Y.Assert.isUndefined( Object.prototype.isAdmin, "Object.prototype should not have been modified" );
+			},
+			
+			
+			"applyConfig() should skip keys which would shadow a method of the target" : function() {
+				var user = new this.User();
+				
+				Class.applyConfig( user, { getDisplayName: "not a function", name: "Bob" } );
+				Y.Assert.areSame( "Bob", user.getDisplayName(), "The method should not have been shadowed" );
+			},
+			
+			
+			"applyConfig() should only apply keys declared by the class with the `declaredOnly` option" : function() {
+				var Admin = this.User.extend( { permissions : null } ),
+				    admin = new Admin();
+				
+				Class.applyConfig( admin, { name: "Bob", permissions: [ 'all' ], role: "admin", isAdmin: true, toString: "x" }, { declaredOnly: true } );
+				Y.Assert.areSame( "Bob", admin.name, "The superclass's member should have been applied" );
+				Y.ArrayAssert.itemsAreSame( [ 'all' ], admin.permissions );
+				Y.Assert.areSame( "admin", admin.role, "The config declared in the `config` section should have been applied" );
+				Y.Assert.isUndefined( admin.isAdmin, "The undeclared key should not have been applied" );
+				Y.Assert.isFalse( admin.hasOwnProperty( 'toString' ), "Object.prototype's members should not be considered declared" );
+			},
+			
+			
+			"applyConfig() should report each rejected key and its reason to the `onReject` function" : function() {
+				var rejected = [];
+				
+				Class.applyConfig( new this.User(), JSON.parse( '{ "__proto__": {}, "getDisplayName": 1, "extra": 1, "name": "Bob" }' ), {
+					declaredOnly : true,
+					onReject : function( key, reason ) { rejected.push( key + ":" + reason ); }
+				} );
+				Y.ArrayAssert.itemsAreSame( [ "__proto__:unsafe", "getDisplayName:method", "extra:undeclared" ], rejected );
+			},
+			
+			
+			"applyConfig() should throw an error listing the rejected keys with the `strict` option, without applying any properties" : function() {
+				var user = new this.User();
+				
+				try {
+					Class.applyConfig( user, JSON.parse( '{ "name": "Bob", "__proto__": {}, "extra": 1 }' ), { declaredOnly: true, strict: true } );
+				} finally {
+					Y.Assert.areSame( "", user.name, "No properties should have been applied" );
+				}
+			},
+			
+			
+			"applyConfig() should apply all of the own properties with `safe: false`" : function() {
+				var target = {};
+				
+				Class.applyConfig( target, { constructor: "value", prototype: 1 }, { safe: false, declaredOnly: true } );
+				Y.Assert.areSame( "value", target.constructor );
+				Y.Assert.areSame( 1, target.prototype );
+			},
+			
+			
+			"applyConfig() should call the setters of accessor properties" : function() {
+				if( !Object.defineProperty ) { return; }
+				
+				var Person = Class( {
+					properties : {
+						name : { set : function( name ) { this._name = name.toUpperCase(); } }
+					}
+				} );
+				var person = Class.applyConfig( new Person(), { name: "bob" }, { declaredOnly: true } );
+				Y.Assert.areSame( "BOB", person.name );
 			}
 		},
 		
@@ -644,60 +1136,321 @@ Ext.test.Session.addSuite( {
 						} );
 						
 						Y.Assert.areSame( InnerClass, OuterSubClass.prototype.innerClass, "The 'innerClass' on OuterClass's prototype should be the exact InnerClass constructor function reference, not a this._super() wrapping function (or anything else...)" );
-					}
-				},
-				
-				
-				
-				/*
-				 * Test extend() statics functionality
-				 */
-				{
-					name: 'Test extend() statics functionality',
+					},
 					
-					"extend() should add static properties defined in `statics`" : function() {
-						var MyClass = Class.extend( Object, {
-							statics : {
-								staticFn1 : function() {},
-								staticFn2 : function() {}
+					
+					// --------------------------------
+					
+					// Test callSuper() and applySuper(), and the checking of _super()'s arguments in debug mode
+					
+					"callSuper() should call the superclass method with individual arguments, and applySuper() with an array of arguments" : function() {
+						var MyClass = Class( {
+							constructor : function( a, b ) {
+								this.ctorArgs = a + "," + b;
+							},
+							method : function( a, b, c ) {
+								return a + "," + b + "," + c;
+							}
+						} );
+						var MySubClass = MyClass.extend( {
+							constructor : function( a, b ) {
+								this.callSuper( a, b );
+							},
+							method : function( a, b, c ) {
+								return this.callSuper( a, b, c ) + "|" + this.applySuper( arguments ) + "|" + this.applySuper( [ c, b, a ] );
 							}
 						} );
 						
-						Y.Assert.isFunction( MyClass.staticFn1 );
-						Y.Assert.isFunction( MyClass.staticFn2 );
+						var instance = new MySubClass( 1, 2 );
+						Y.Assert.areSame( "1,2", instance.ctorArgs, "callSuper() should have called the superclass constructor" );
+						Y.Assert.areSame( "1,2,3|1,2,3|3,2,1", instance.method( 1, 2, 3 ) );
+						Y.Assert.isUndefined( instance.callSuper, "callSuper should have been restored after the method call" );
+						Y.Assert.isUndefined( instance.applySuper, "applySuper should have been restored after the method call" );
 					},
 					
 					
-					"The static properties defined in `statics` should not be inherited to subclasses" : function() {
-						var MyClass = Class.extend( Object, {
-							statics : {
-								staticFn : function() {}
-							}
+					"In debug mode, _super() and applySuper() should throw an error when not provided a single array of arguments" : function() {
+						var MyClass = Class( {
+							method : function( a ) { return a; }
+						} );
+						var MySubClass = MyClass.extend( {
+							method : function( a, b ) { return this._super( a, b ); }   // mistake: individual args
+						} );
+						var MySubClass2 = MyClass.extend( {
+							method : function( a ) { return this.applySuper( a ); }      // mistake: non-array argument
+						} );
+						var MySubClass3 = MyClass.extend( {
+							method : function( a ) { return this._super( [ a ] ); }      // correct usage
 						} );
-						var MySubClass = MyClass.extend( {} );
 						
-						Y.Assert.isFunction( MyClass.staticFn );
-						Y.Assert.isUndefined( MySubClass.staticFn );
+						var originalDebug = Class.debug;
+						try {
+							Class.debug = true;
+							Y.Assert.areSame( 1, new MySubClass3().method( 1 ), "Correct usage should not throw an error in debug mode" );
+							
+							var expectedMessage = "this._super() and this.applySuper() accept a single array (or arguments object) of arguments. " +
+							                      "Use this.callSuper() to provide the arguments individually.";
+							try {
+								new MySubClass().method( 1, 2 );
+								Y.Assert.fail( "An error should have been thrown for _super() with individual arguments" );
+							} catch( e ) {
+								Y.Assert.areSame( expectedMessage, e.message );
+							}
+							try {
+								new MySubClass2().method( 1 );
+								Y.Assert.fail( "An error should have been thrown for applySuper() with a non-array argument" );
+							} catch( e2 ) {
+								Y.Assert.areSame( expectedMessage, e2.message );
+							}
+						} finally {
+							Class.debug = originalDebug;
+						}
 					},
 					
 					
-					"The static methods defined in `statics` should have their `this` reference set to their class when executed" : function() {
-						var thisReference;
-						
+					// --------------------------------
+					
+					// Test Class.superCalling(), and _super in methods added by Class.override()
+					
+					"A method marked with Class.superCalling() should be able to call its superclass method, even if the call can't be detected from its source text" : function() {
 						var MyClass = Class( {
-							statics : {
-								staticMethod : function() {
-									thisReference = this;
-								}
-							}
+							method : function( a ) { return "super" + a; }
 						} );
 						
-						// Execute the function
-						MyClass.staticMethod();
+						// A function wrapper, which doesn't itself contain a _super call
+						var wrap = function( fn ) {
+							return function() { return fn.apply( this, arguments ); };
+						};
+						var superMethodName = "call" + "Super";  // dynamically built call
 						
-						Y.Assert.areSame( MyClass, thisReference );
-					}
-				},
+						var MySubClass = MyClass.extend( {
+							method : Class.superCalling( wrap( function( a ) {
+								return this[ superMethodName ]( a ) + "|sub";
+							} ) )
+						} );
+						
+						Y.Assert.areSame( "super1|sub", new MySubClass().method( 1 ) );
+					},
+					
+					
+					"Class.superCalling() should return the function that it was provided" : function() {
+						var fn = function() {};
+						Y.Assert.areSame( fn, Class.superCalling( fn ) );
+					},
+					
+					
+					"A method added with Class.override() should call the method that it replaced with this._super()" : function() {
+						var MyClass = Class( {
+							method : function( a ) { return "original" + a; }
+						} );
+						
+						Class.override( MyClass, {
+							method : function( a ) { return this._super( [ a ] ) + "|override1"; }
+						} );
+						MyClass.override( {  // the static override() method
+							method : function( a ) { return this.callSuper( a ) + "|override2"; }
+						} );
+						
+						var instance = new MyClass();
+						Y.Assert.areSame( "original1|override1|override2", instance.method( 1 ) );
+						Y.Assert.isUndefined( instance._super, "_super should have been restored after the method call" );
+					},
+					
+					
+					"A method added with Class.override() should call the superclass method with this._super() if the class did not have its own method" : function() {
+						var MyClass = Class( {
+							method : function( a ) { return "superclass" + a; }
+						} );
+						var MySubClass = MyClass.extend( {} );
+						
+						Class.override( MySubClass, {
+							method : function( a ) { return this.callSuper( a ) + "|override"; }
+						} );
+						Y.Assert.areSame( "superclass1|override", new MySubClass().method( 1 ) );
+						
+						// The superclass method should be looked up when called, so that later overrides to the superclass are used
+						Class.override( MyClass, {
+							method : function( a ) { return "superclassOverride" + a; }
+						} );
+						Y.Assert.areSame( "superclassOverride1|override", new MySubClass().method( 1 ) );
+					},
+					
+					
+					"A method added with Class.override() that calls this._super() should not be wrapped if there is no method to call" : function() {
+						var MyClass = Class( {} ),
+						    method = function() { return this._super(); };
+						
+						Class.override( MyClass, { method: method } );
+						Y.Assert.areSame( method, MyClass.prototype.method );
+					},
+					
+					
+					"A method marked with Class.superCalling() and added with Class.override() should call the method that it replaced" : function() {
+						var MyClass = Class( {
+							method : function() { return "original"; }
+						} );
+						var superMethodName = "_su" + "per";
+						
+						Class.override( MyClass, {
+							method : Class.superCalling( function() { return this[ superMethodName ]() + "|override"; } )
+						} );
+						Y.Assert.areSame( "original|override", new MyClass().method() );
+					}
+				},
+				
+				
+				
+				/*
+				 * Test the safety of superclass method calling with _super (exceptions, re-entrancy, async), and Class.superOf()
+				 */
+				{
+					name : "Test _super safety and superOf()",
+					
+					
+					"this._super should be restored when the method throws an error" : function() {
+						var MyClass = Class( {
+							method : function() { throw new Error( "superclass error" ); },
+							otherMethod : function() {}
+						} );
+						var MySubClass = MyClass.extend( {
+							method : function() { return this._super(); },
+							otherMethod : function() {
+								var superBefore = this._super;
+								try {
+									this.method();
+								} catch( e ) {}
+								return superBefore === this._super;
+							}
+						} );
+						
+						var instance = new MySubClass();
+						try {
+							instance.method();
+							Y.Assert.fail( "An error should have been thrown by the superclass method" );
+						} catch( e ) {
+							Y.Assert.areSame( "superclass error", e.message );
+						}
+						Y.Assert.isUndefined( instance._super, "this._super should have been restored after the error" );
+						Y.Assert.isTrue( instance.otherMethod(), "this._super should have been restored for the calling method after the error" );
+					},
+					
+					
+					"this._super should work for nested and re-entrant (recursive) method calls" : function() {
+						var MyClass = Class( {
+							countdown : function( n ) { return "base" + n; },
+							describe : function() { return "MyClass"; }
+						} );
+						var MySubClass = MyClass.extend( {
+							countdown : function( n ) {
+								var result = ( n > 0 ) ? this.countdown( n - 1 ) + "," : "";   // re-entrant call
+								return result + this.describe() + ":" + this._super( [ n ] );   // nested call to another wrapped method before _super
+							},
+							describe : function() { return "Sub(" + this._super() + ")"; }
+						} );
+						
+						Y.Assert.areSame( "Sub(MyClass):base0,Sub(MyClass):base1,Sub(MyClass):base2", new MySubClass().countdown( 2 ) );
+					},
+					
+					
+					"A captured this._super, and the function returned by Class.superOf(), should call the superclass method asynchronously" : function() {
+						var results = [];
+						
+						var MyClass = Class( {
+							method : function( a, b ) { results.push( "superclass:" + a + "," + b + ":" + ( this === instance ) ); }
+						} );
+						var MySubClass = MyClass.extend( {
+							method : function( a, b ) {
+								var _super = this._super,
+								    superMethod = Class.superOf( this, 'method' );
+								
+								setTimeout( function() {
+									_super( [ a, b ] );
+									superMethod( a, b );
+								}, 10 );
+							}
+						} );
+						
+						var instance = new MySubClass();
+						instance.method( 1, 2 );
+						
+						this.wait( function() {
+							Y.Assert.areSame( "superclass:1,2:true|superclass:1,2:true", results.join( "|" ) );
+						}, 100 );
+					},
+					
+					
+					"Class.superOf() should find the superclass method relative to the given class, or to the most derived class that implements the method" : function() {
+						var MyClass = Class( {
+							method : function() { return "MyClass"; }
+						} );
+						var MySubClass = MyClass.extend( {
+							method : function() { return "MySubClass"; }
+						} );
+						var MySubSubClass = MySubClass.extend( {} );
+						var instance = new MySubSubClass();
+						
+						Y.Assert.areSame( "MyClass", Class.superOf( instance, 'method' )(), "The method should have been found relative to MySubClass, which implements it" );
+						Y.Assert.areSame( "MySubClass", Class.superOf( instance, 'method', MySubSubClass )(), "The method should have been found relative to the provided class" );
+						
+						try {
+							Class.superOf( instance, 'nonExistentMethod' );
+							Y.Assert.fail( "An error should have been thrown for a method that does not exist" );
+						} catch( e ) {
+							Y.Assert.areSame( "superOf(): No superclass method 'nonExistentMethod' was found", e.message );
+						}
+					}
+				},
+				
+				
+				/*
+				 * Test extend() statics functionality
+				 */
+				{
+					name: 'Test extend() statics functionality',
+					
+					"extend() should add static properties defined in `statics`" : function() {
+						var MyClass = Class.extend( Object, {
+							statics : {
+								staticFn1 : function() {},
+								staticFn2 : function() {}
+							}
+						} );
+						
+						Y.Assert.isFunction( MyClass.staticFn1 );
+						Y.Assert.isFunction( MyClass.staticFn2 );
+					},
+					
+					
+					"The static properties defined in `statics` should not be inherited to subclasses" : function() {
+						var MyClass = Class.extend( Object, {
+							statics : {
+								staticFn : function() {}
+							}
+						} );
+						var MySubClass = MyClass.extend( {} );
+						
+						Y.Assert.isFunction( MyClass.staticFn );
+						Y.Assert.isUndefined( MySubClass.staticFn );
+					},
+					
+					
+					"The static methods defined in `statics` should have their `this` reference set to their class when executed" : function() {
+						var thisReference;
+						
+						var MyClass = Class( {
+							statics : {
+								staticMethod : function() {
+									thisReference = this;
+								}
+							}
+						} );
+						
+						// Execute the function
+						MyClass.staticMethod();
+						
+						Y.Assert.areSame( MyClass, thisReference );
+					}
+				},
 				
 				
 				
@@ -924,575 +1677,3669 @@ Ext.test.Session.addSuite( {
 						
 						Y.Assert.isTrue( myInstance.hasMixin( Mixin ), "myInstance should have the mixin 'Mixin'" );
 						Y.Assert.isFalse( myInstance.hasMixin( SomeOtherMixin ), "myInstance should *not* have the mixin 'SomeOtherMixin'" );
-					}
-				},
-				
-				
-				/*
-				 * Test extend() 'abstractClass' functionality
-				 */
-				{
-					name: "Test extend() 'abstractClass' functionality",
-					
-					_should : {
-						error : {
-							"A class created with `abstractClass: true` should not be able to be instantiated when declared with no constructor" : 
-								"Error: Cannot instantiate abstract class",
-							"A class created with `abstractClass: true` should not be able to be instantiated when declared with its own constructor" :
-								"Error: Cannot instantiate abstract class",
-							
-							"extend() should throw an error for a class with abstract methods that is not declared with abstractClass: true" :
-								"The class being created has abstract method 'abstractMethod', but is not declared with 'abstractClass: true'",
-							"extend() should throw an error if a concrete class does not implement all abstract methods from its superclass" :
-								"The concrete subclass being created must implement abstract method: 'abstractMethod2', or be declared abstract as well (using 'abstractClass: true')"
-						}
 					},
 					
-					// ---------------------------
 					
-					// Test abstract classes themselves
+					// --------------------------------
 					
+					// Test mixin conflict resolution (strictMixins, and the `exclude` and `alias` options of mixin entries)
 					
-					"A class created with `abstractClass: true` should not be able to be instantiated when declared with no constructor" : function() {
-						var AbstractClass = Class( {
-							abstractClass: true
+					"extend() should accept mixin entries in the object form, and `exclude` the given members of the mixin" : function() {
+						var Mixin = Class.extend( Object, {
+							method1 : function() {},
+							method2 : function() {}
 						} );
 						
-						var instance = new AbstractClass();
-						Y.Assert.fail( "The test should have thrown an error when attempting to instantiate an abstract class" );
+						var MyClass = Class.extend( Object, {
+							mixins : [ { mixin: Mixin, exclude: [ 'method2' ] } ]
+						} );
+						
+						Y.Assert.areSame( Mixin.prototype.method1, MyClass.prototype.method1, "method1 should have been applied from the mixin" );
+						Y.Assert.isUndefined( MyClass.prototype.method2, "method2 should have been excluded" );
+						Y.Assert.isTrue( MyClass.hasMixin( Mixin ), "hasMixin() should recognize a mixin provided in the object form" );
 					},
 					
-					"A class created with `abstractClass: true` should not be able to be instantiated when declared with its own constructor" : function() {
-						var AbstractClass = Class( {
-							abstractClass: true,
-							
-							// Declare own constructor
-							constructor : function() {}
+					
+					"extend() should `alias` the given members of a mixin, keeping both implementations of a conflicting member" : function() {
+						var Mixin1 = Class.extend( Object, {
+							render : function() { return "Mixin1"; }
+						} );
+						var Mixin2 = Class.extend( Object, {
+							render : function() { return "Mixin2"; }
 						} );
 						
-						var instance = new AbstractClass();
-						Y.Assert.fail( "The test should have thrown an error when attempting to instantiate an abstract class" );
+						var MyClass = Class.extend( Object, {
+							strictMixins : true,
+							mixins : [ { mixin: Mixin1, alias: { render: 'mixin1Render' }, exclude: [ 'render' ] }, Mixin2 ]
+						} );
+						
+						var instance = new MyClass();
+						Y.Assert.areSame( "Mixin1", instance.mixin1Render(), "Mixin1's render() should have been aliased to mixin1Render()" );
+						Y.Assert.areSame( "Mixin2", instance.render(), "Mixin2's render() should have been applied as render()" );
+						Y.Assert.isUndefined( MyClass.prototype.strictMixins, "The `strictMixins` property should not have been applied to the prototype" );
 					},
 					
 					
-					"A subclass of an abstract class (which doesn't define its own constructor) should be able to be instantiated" : function() {
-						var AbstractClass = Class( {
-							abstractClass: true
+					"extend() should keep the original member when aliasing it without excluding it" : function() {
+						var Mixin = Class.extend( Object, {
+							render : function() {}
 						} );
-						var ConcreteClass = AbstractClass.extend( {
-							
+						
+						var MyClass = Class.extend( Object, {
+							mixins : [ { mixin: Mixin, alias: { render: 'mixinRender' } } ]
 						} );
 						
-						var instance = new ConcreteClass();
+						Y.Assert.areSame( Mixin.prototype.render, MyClass.prototype.render );
+						Y.Assert.areSame( Mixin.prototype.render, MyClass.prototype.mixinRender );
 					},
 					
 					
-					"A subclass of an abstract class (which *does* define its own constructor) should be able to be instantiated" : function() {
-						var abstractClassConstructorCallCount = 0;
+					"extend() should throw an error when aliasing a member that the mixin does not have" : function() {
+						var Mixin = Class.extend( Object, {} );
 						
-						var AbstractClass = Class( {
-							abstractClass: true,
-							
-							constructor : function() {
-								abstractClassConstructorCallCount++;
-							}
+						try {
+							Class.extend( Object, {
+								mixins : [ { mixin: Mixin, alias: { render: 'mixinRender' } } ]
+							} );
+							Y.Assert.fail( "An error should have been thrown" );
+						} catch( e ) {
+							Y.Assert.areSame( "Cannot alias member 'render' of mixin mixins[0], as the mixin does not have it", e.message );
+						}
+					},
+					
+					
+					"extend() with `strictMixins: true` should throw an error when more than one mixin provides the same member" : function() {
+						var Mixin1 = Class.extend( Object, {
+							className : 'MixinConflictTest.Mixin1',
+							render : function() {}
 						} );
-						var ConcreteClass = AbstractClass.extend( {
-							
+						var Mixin2 = Class.extend( Object, {
+							render : function() {}
 						} );
 						
-						var instance = new ConcreteClass();
-						Y.Assert.areSame( 1, abstractClassConstructorCallCount, "The abstract class's constructor should have been called exactly once" );
+						try {
+							Class.extend( Object, {
+								strictMixins : true,
+								mixins : [ Mixin1, Mixin2 ]
+							} );
+							Y.Assert.fail( "An error should have been thrown" );
+						} catch( e ) {
+							Y.Assert.areSame( "Mixin conflict: member 'render' is provided by both MixinConflictTest.Mixin1 and mixins[1]. Define it in the class, or use `exclude` or `alias` in the mixin entries to resolve it.", e.message );
+						}
 					},
 					
 					
-					"An abstract class's constructor should be able to be executed from the concrete class" : function() {
-						var abstractClassConstructorCallCount = 0;
-						
-						var AbstractClass = Class( {
-							abstractClass : true,
-							
-							constructor : function() {
-								abstractClassConstructorCallCount++;
-							}
+					"extend() with `strictMixins: true` should not throw an error for conflicts resolved by the class, or for the same member provided by more than one mixin" : function() {
+						var sharedMethod = function() {};
+						var Mixin1 = Class.extend( Object, {
+							render : function() {},
+							shared : sharedMethod
+						} );
+						var Mixin2 = Class.extend( Object, {
+							render : function() {},
+							shared : sharedMethod
 						} );
 						
-						var ConcreteClass = AbstractClass.extend( {
-							constructor : function() {
-								this._super( arguments );
-							}
+						var renderMethod = function() {};
+						var MyClass = Class.extend( Object, {
+							strictMixins : true,
+							mixins : [ Mixin1, Mixin2 ],
+							
+							render : renderMethod
 						} );
 						
-						var instance = new ConcreteClass();
-						Y.Assert.areSame( 1, abstractClassConstructorCallCount, "The abstract class's constructor should have been called exactly once" );
+						Y.Assert.areSame( renderMethod, MyClass.prototype.render, "The class's own render() method should have been kept" );
+						Y.Assert.areSame( sharedMethod, MyClass.prototype.shared, "The shared method should have been applied" );
 					},
 					
 					
-					// ------------------------------
-					
+					// --------------------------------
 					
-					// Test classes with abstract methods
+					// Test automatic mixin initialization (autoInitMixins), and the callMixin() method
 					
-					"extend() should throw an error for a class with abstract methods that is not declared with abstractClass: true" : function() {
-						var ConcreteClass = Class( {
-							concreteMethod : function() {},
-							abstractMethod : Class.abstractMethod
+					"extend() with `autoInitMixins: true` should call the mixins' constructors in declared order, before the class's constructor" : function() {
+						var calls = [];
+						
+						var Mixin1 = Class.extend( Object, {
+							constructor : function( arg ) { calls.push( "Mixin1:" + arg ); }
+						} );
+						var Mixin2 = Class.extend( Object, {
+							constructor : function( arg ) { calls.push( "Mixin2:" + arg ); }
 						} );
 						
-						Y.Assert.fail( "Test should have thrown an error for a concrete class with an abstract method" );
+						var MyClass = Class.extend( Object, {
+							autoInitMixins : true,
+							mixins : [ Mixin1, Mixin2 ],
+							
+							constructor : function( arg ) { calls.push( "MyClass:" + arg ); }
+						} );
+						
+						new MyClass( 1 );
+						Y.Assert.areSame( "Mixin1:1,Mixin2:1,MyClass:1", calls.join( "," ) );
 					},
 					
-					"extend() should throw an error if a concrete class does not implement all abstract methods from its superclass" : function() {
-						var AbstractClass = Class( {
-							abstractClass : true,
+					
+					"extend() should not call the mixins' constructors automatically without `autoInitMixins: true`" : function() {
+						var mixinConstructorCallCount = 0;
+						
+						var Mixin = Class.extend( Object, {
+							constructor : function() { mixinConstructorCallCount++; }
+						} );
+						var MyClass = Class.extend( Object, {
+							mixins : [ Mixin ]
+						} );
+						
+						new MyClass();
+						Y.Assert.areSame( 0, mixinConstructorCallCount );
+					},
+					
+					
+					"Mixin constructors should be called once per instance across a hierarchy, with the superclass's mixins first" : function() {
+						var calls = [];
+						
+						var Mixin1 = Class.extend( Object, {
+							constructor : function() { calls.push( "Mixin1" ); }
+						} );
+						var Mixin2 = Class.extend( Object, {
+							constructor : function() { calls.push( "Mixin2" ); }
+						} );
+						
+						var MyClass = Class.extend( Object, {
+							autoInitMixins : true,
+							mixins : [ Mixin1 ]
+						} );
+						var MySubClass = MyClass.extend( {
+							mixins : [ Mixin2, Mixin1 ],  // note: Mixin1 is also a mixin of the superclass
 							
-							concreteMethod : function() {},
-							abstractMethod1 : Class.abstractMethod,
-							abstractMethod2 : Class.abstractMethod
+							constructor : function() {
+								this._super( arguments );
+							}
 						} );
+						var MySubSubClass = MySubClass.extend( {} );
 						
-						var ConcreteClass = AbstractClass.extend( {
-							// *** Only implement 1 of the 2 abstract methods
-							abstractMethod1 : function(){}
+						new MySubSubClass();
+						Y.Assert.areSame( "Mixin1,Mixin2", calls.join( "," ), "Each mixin's constructor should have been called exactly once" );
+					},
+					
+					
+					"A mixin created with Class.js should have its own config and mixins initialized when `autoInitMixins` calls its constructor" : function() {
+						var calls = [];
+						
+						var InnerMixin = Class.extend( Object, {
+							constructor : function() { calls.push( "InnerMixin" ); }
+						} );
+						var ColorMixin = Class.extend( Object, {
+							autoInitMixins : true,
+							mixins : [ InnerMixin ],
+							config : {
+								color : 'red'
+							}
+						} );
+						var MyClass = Class.extend( Object, {
+							autoInitMixins : true,
+							mixins : [ ColorMixin ]
 						} );
 						
-						Y.Assert.fail( "Test should have thrown an error for a concrete class with an abstract method (abstractMethod2 not implemented)" );
+						Y.Assert.areSame( 'red', new MyClass().getColor(), "The mixin's config default should have been applied" );
+						Y.Assert.areSame( 'blue', new MyClass( { color : 'blue' } ).getColor(), "The config value provided to the constructor should have been applied" );
+						Y.Assert.areSame( "InnerMixin,InnerMixin", calls.join( "," ), "The mixin's own mixin should have been initialized for each instance" );
 					},
 					
-					"extend() should allow a properly defined abstract class with abstract methods, and a concrete class with the abstract methods implemented" : function() {
-						var AbstractClass = Class( {
-							abstractClass : true,
+					
+					"callMixin() should call a mixin's method that the class overrides, in the scope of the object" : function() {
+						var Mixin = Class.extend( Object, {
+							getName : function( prefix ) { return prefix + this.name; }
+						} );
+						
+						var MyClass = Class.extend( Object, {
+							mixins : [ Mixin ],
+							name : "Bob",
 							
-							concreteMethod : function() {},
-							abstractMethod1 : Class.abstractMethod,
-							abstractMethod2 : Class.abstractMethod
+							getName : function() {
+								return this.callMixin( Mixin, 'getName', arguments ) + "!";
+							}
 						} );
 						
-						var ConcreteClass = AbstractClass.extend( {
-							// Implement both of the abstract methods
-							abstractMethod1 : function(){},
-							abstractMethod2 : function(){}
+						Y.Assert.areSame( "Mr. Bob!", new MyClass().getName( "Mr. " ) );
+					},
+					
+					
+					"callMixin() should throw an error if the class does not have the mixin, or the mixin does not have the method" : function() {
+						var Mixin = Class.extend( Object, {} );
+						var OtherMixin = Class.extend( Object, { method : function() {} } );
+						var instance = new ( Class.extend( Object, { mixins : [ Mixin ] } ) )();
+						
+						try {
+							instance.callMixin( OtherMixin, 'method' );
+							Y.Assert.fail( "An error should have been thrown for a mixin that the class does not have" );
+						} catch( e ) {
+							Y.Assert.areSame( "callMixin(): The object's class does not have the provided mixin", e.message );
+						}
+						
+						try {
+							instance.callMixin( Mixin, 'method' );
+							Y.Assert.fail( "An error should have been thrown for a method that the mixin does not have" );
+						} catch( e2 ) {
+							Y.Assert.areSame( "callMixin(): The mixin does not have a method named 'method'", e2.message );
+						}
+					}
+				},
+				
+				
+				/*
+				 * Test extend() accessor (getter/setter) properties functionality
+				 */
+				{
+					name: 'Test extend() accessor properties functionality',
+					
+					
+					"extend() should define accessor properties from the class definition as accessors on the prototype (not copy their values)" : function() {
+						var getterCallCount = 0,
+						    overrides = {};
+						
+						Object.defineProperty( overrides, 'name', {
+							get : function() { getterCallCount++; return this._name; },
+							set : function( value ) { this._name = value; },
+							enumerable : true,
+							configurable : true
 						} );
 						
-						// This test should simply not error -- both abstract methods have been implemented by ConcreteClass
+						var MyClass = Class( overrides );
+						Y.Assert.areSame( 0, getterCallCount, "The getter should not have been invoked while creating the class" );
+						
+						var instance = new MyClass();
+						instance.name = "Bob";
+						Y.Assert.areSame( "Bob", instance.name, "The accessor should have been used" );
+						Y.Assert.areSame( "Bob", instance._name, "The setter should have been used" );
+						Y.Assert.areSame( 1, getterCallCount, "The getter should have been invoked once" );
 					},
 					
 					
-					"extend() should allow a hierarchy of properly defined abstract classes with abstract methods, and a concrete class with the abstract methods implemented" : function() {
-						var AbstractClass = Class( {
-							abstractClass : true,
-							
-							concreteMethod : function() {},
+					"A subclass's getter/setter should be able to call the superclass's getter/setter with this._super()" : function() {
+						var MyClass = Class( {
+							properties : {
+								name : {
+									get : function() { return this._name; },
+									set : function( value ) { this._name = value; }
+								}
+							}
+						} );
+						
+						var subclassOverrides = {};
+						Object.defineProperty( subclassOverrides, 'name', {
+							get : function() { return "Mr. " + this._super(); },
+							set : function( value ) { this._super( [ value.toUpperCase() ] ); },
+							enumerable : true,
+							configurable : true
+						} );
+						var MySubClass = MyClass.extend( subclassOverrides );
+						
+						var instance = new MySubClass();
+						instance.name = "bob";
+						Y.Assert.areSame( "BOB", instance._name, "The superclass setter should have been called with the subclass's value" );
+						Y.Assert.areSame( "Mr. BOB", instance.name, "The superclass getter should have been called from the subclass getter" );
+					},
+					
+					
+					"extend() should define the accessors in the `properties` section, generating any getters/setters that are not provided" : function() {
+						var MyClass = Class( {
+							properties : {
+								name : {
+									'default' : "Unknown",
+									set : function( value ) { this._name = value.toUpperCase(); }
+								},
+								greeting : {
+									get : function() { return "Hi, " + this.name; }
+								}
+							}
+						} );
+						
+						Y.Assert.isUndefined( MyClass.prototype.properties, "The `properties` section should not have been applied to the prototype" );
+						
+						var instance = new MyClass();
+						Y.Assert.areSame( "Unknown", instance.name, "The default value should have been returned by the generated getter" );
+						Y.Assert.areSame( "Hi, Unknown", instance.greeting );
+						
+						instance.name = "bob";
+						Y.Assert.areSame( "BOB", instance.name, "The provided setter should have been used, with the generated getter" );
+						Y.Assert.areSame( "Hi, BOB", instance.greeting );
+						
+						instance.greeting = "Hello";
+						Y.Assert.areSame( "Hello", instance._greeting, "The generated setter should have written the backing property" );
+					},
+					
+					
+					"Getters in the `properties` section should be able to call a superclass's getter, or get the value of a superclass's plain property, with this._super()" : function() {
+						var MyClass = Class( {
+							size : 10,
 							
-							// 2 abstract methods
-							abstractMethod1 : Class.abstractMethod,
-							abstractMethod2 : Class.abstractMethod
+							properties : {
+								name : { 'default' : "bob" }
+							}
+						} );
+						var MySubClass = MyClass.extend( {
+							properties : {
+								name : {
+									get : function() { return this._super().toUpperCase(); }
+								},
+								size : {
+									get : function() { return this._super() * 2; }
+								}
+							}
 						} );
 						
-						var AbstractSubclass = AbstractClass.extend( {
-							abstractClass : true,
+						var instance = new MySubClass();
+						Y.Assert.areSame( "BOB", instance.name, "The superclass's getter should have been called" );
+						Y.Assert.areSame( 20, instance.size, "The superclass's plain property value should have been returned by this._super()" );
+					},
+					
+					
+					"Accessors should not be invoked when applying mixins or checking for abstract methods" : function() {
+						var MyMixin = Class( {
+							properties : {
+								mixinProp : {
+									get : function() { throw new Error( "mixinProp getter should not have been invoked" ); }
+								}
+							}
+						} );
+						var MyClass = Class( {
+							mixins : [ MyMixin ],
 							
-							// Implement one of the abstract methods
-							abstractMethod1 : function() {}
+							properties : {
+								classProp : {
+									get : function() { throw new Error( "classProp getter should not have been invoked" ); }
+								}
+							}
 						} );
+						var MySubClass = MyClass.extend( {} );
 						
-						var ConcreteClass = AbstractSubclass.extend( {
-							// Implement the other abstract method
-							abstractMethod2 : function(){}
+						Y.Assert.isFunction( Object.getOwnPropertyDescriptor( MyClass.prototype, 'mixinProp' ).get, "The mixin's accessor should have been copied as an accessor" );
+					},
+					
+					
+					"Class.override() should copy accessors as accessors, and not invoke an inherited setter when overriding with a plain value" : function() {
+						var setterCallCount = 0;
+						var MyClass = Class( {
+							properties : {
+								name : {
+									set : function() { setterCallCount++; }
+								}
+							}
 						} );
+						var MySubClass = MyClass.extend( {} );
 						
-						// This test should simply not error -- abstractMethod1 implemented by AbstractSubclass, and abstractMethod2 implemented by ConcreteClass
+						MySubClass.override( { name : "plain value" } );
+						Y.Assert.areSame( 0, setterCallCount, "The superclass's setter should not have been invoked" );
+						Y.Assert.areSame( "plain value", new MySubClass().name );
+						
+						var overrides = {};
+						Object.defineProperty( overrides, 'upperName', {
+							get : function() { return this.name.toUpperCase(); },
+							enumerable : true,
+							configurable : true
+						} );
+						Class.override( MySubClass, overrides );
+						Y.Assert.areSame( "PLAIN VALUE", new MySubClass().upperName, "The getter should have been copied as an accessor" );
 					}
 				},
 				
 				
 				/*
-				 * Test extend() onClassExtended functionality
+				 * Test extend() config functionality
 				 */
 				{
-					name: 'Test extend() onClassExtended',
+					name: 'Test extend() config functionality',
+					
+					_should : {
+						error : {
+							"The constructor should throw an error if a required config is not provided" :
+								"The required config 'name' was not provided"
+						}
+					},
 					
 					
-					"onClassExtended(), if it exists as a static, should be executed after all other extend functionality has completed" : function() {
-						var onClassExtendedCallCount = 0;
+					"The constructor should apply the configs passed to it, or their defaults, before the constructor implementation runs" : function() {
+						var nameInConstructor;
 						
-						var MyMixin = Class( {
-							mixinInstanceMethod : function() {}
+						var MyClass = Class( {
+							config : {
+								name : "Default Name",
+								size : 10
+							},
+							
+							constructor : function() {
+								nameInConstructor = this.name;
+							}
 						} );
 						
+						var instance = new MyClass( { name : "Bob", unknownConfig : 1 } );
+						Y.Assert.areSame( "Bob", nameInConstructor, "The config should have been applied before the constructor implementation ran" );
+						Y.Assert.areSame( "Bob", instance.name, "The provided config value should have been applied" );
+						Y.Assert.areSame( 10, instance.size, "The default config value should have been applied" );
+						Y.Assert.isUndefined( instance.unknownConfig, "A config that is not declared should not have been applied" );
+						Y.Assert.isUndefined( MyClass.prototype.config, "The `config` section should not have been applied to the prototype" );
+						
+						var instance2 = new MyClass();
+						Y.Assert.areSame( "Default Name", instance2.name, "The default config value should have been applied when no configs were provided" );
+					},
+					
+					
+					"The constructor should accept a config object without Object.prototype, or with a `hasOwnProperty` key" : function() {
 						var MyClass = Class( {
-							statics : {
-								onClassExtended : function( newClass ) {
-									onClassExtendedCallCount++;
-									
-									// ASSERTS CONTINUE HERE
-									Y.Assert.isFunction( newClass.someStaticMethod, "someStaticMethod should exist as a static method by this point" );
-									Y.Assert.isFunction( newClass.someInheritedStaticMethod, "someInheritedStaticMethod should exist as a static method by this point" );
-									Y.Assert.isFunction( newClass.prototype.mixinInstanceMethod, "mixinInstanceMethod should exist as an instance method by this point" );
-								},
-								
-								someStaticMethod : function() {}
+							config : {
+								name : "Default Name"
+							}
+						} );
+						
+						var configs = Object.create( null );
+						configs.name = "Bob";
+						Y.Assert.areSame( "Bob", new MyClass( configs ).name, "The config should have been applied from an object with a null prototype" );
+						
+						var instance = new MyClass( JSON.parse( '{ "name": "Alice", "hasOwnProperty": 1 }' ) );
+						Y.Assert.areSame( "Alice", instance.name, "The config should have been applied from an object with a `hasOwnProperty` key" );
+					},
+					
+					
+					"Each instance should get its own copy of an array or plain object config default" : function() {
+						var MyClass = Class( {
+							config : {
+								items : [],
+								options : { nested : { a : 1 } }
+							}
+						} );
+						
+						var a = new MyClass(),
+						    b = new MyClass();
+						a.getItems().push( 1 );
+						a.getOptions().nested.a = 2;
+						
+						Y.ArrayAssert.isEmpty( b.getItems(), "The other instance's array should not have been modified" );
+						Y.Assert.areSame( 1, b.getOptions().nested.a, "The other instance's nested object should not have been modified" );
+						
+						var items = [ 5 ];
+						Y.Assert.areSame( items, new MyClass( { items: items } ).getItems(), "A provided value should not be copied" );
+					},
+					
+					
+					"The configs should be merged down the inheritance chain, with subclass defaults taking precedence, and only be applied once" : function() {
+						var setNameCallCount = 0;
+						
+						var MyClass = Class( {
+							config : {
+								name : "Superclass Name",
+								size : 10
 							},
 							
-							inheritedStatics : {
-								someInheritedStaticMethod : function() {}
+							applyName : function( name ) {
+								setNameCallCount++;
+								return name;
+							}
+						} );
+						var MySubClass = MyClass.extend( {
+							config : {
+								size : 20,
+								color : "red"
 							},
 							
-							mixins : [ MyMixin ]
+							constructor : function() {
+								this._super( arguments );
+							}
 						} );
 						
-						Y.Assert.areSame( 1, onClassExtendedCallCount );  // to make sure the function actually runs
-						// NOTE: Asserts continue inside onClassExtended
+						var instance = new MySubClass( { color : "blue" } );
+						Y.Assert.areSame( "Superclass Name", instance.name, "The superclass's default should have been applied" );
+						Y.Assert.areSame( 20, instance.size, "The subclass's default should have taken precedence" );
+						Y.Assert.areSame( "blue", instance.color, "The provided config value should have been applied" );
+						Y.Assert.areSame( 1, setNameCallCount, "The configs should have only been applied once, even though the superclass constructor was called" );
+						
+						var superInstance = new MyClass();
+						Y.Assert.areSame( 10, superInstance.size, "The subclass's default should not have affected the superclass" );
+						Y.Assert.isUndefined( superInstance.color, "The subclass's config should not have affected the superclass" );
 					},
 					
 					
-					"onClassExtended(), if it exists as an inherited static, should be executed for all subclasses" : function() {
-						var onClassExtendedCallCount = 0,
-						    currentClassPassedIn;
+					"extend() should generate getter and setter methods for each config, without overwriting methods defined by the class" : function() {
+						var getSize = function() { return 42; };
+						var MyClass = Class( {
+							config : {
+								name : "Bob",
+								size : 10
+							},
+							
+							getSize : getSize
+						} );
+						
+						var instance = new MyClass();
+						Y.Assert.areSame( "Bob", instance.getName() );
+						Y.Assert.areSame( instance, instance.setName( "Joe" ), "The setter should return the instance, for chaining" );
+						Y.Assert.areSame( "Joe", instance.getName() );
+						Y.Assert.areSame( getSize, MyClass.prototype.getSize, "The class's own getSize() method should not have been overwritten" );
+						Y.Assert.isFunction( MyClass.prototype.setSize, "The setSize() method should have been generated" );
+					},
+					
+					
+					"The generated setters should call the apply hook to transform the value, and the update hook when the value changes" : function() {
+						var updates = [];
 						
 						var MyClass = Class( {
-							inheritedStatics : {
-								onClassExtended : function( newClass ) {
-									onClassExtendedCallCount++;
-									currentClassPassedIn = newClass;
-								}
+							config : {
+								name : "bob"
+							},
+							
+							applyName : function( newName, oldName ) {
+								return ( newName === "ignore me" ) ? undefined : newName.toUpperCase();
+							},
+							updateName : function( newName, oldName ) {
+								updates.push( oldName + "->" + newName );
 							}
 						} );
 						
-						Y.Assert.areSame( 1, onClassExtendedCallCount, "onClassExtended should have been called exactly once at this point" );
-						Y.Assert.areSame( MyClass, currentClassPassedIn, "onClassExtended should have been passed the new class" );
+						var instance = new MyClass();
+						Y.Assert.areSame( "BOB", instance.getName(), "The apply hook should have transformed the default value" );
 						
+						instance.setName( "joe" );
+						instance.setName( "JOE" );        // same value after the apply hook, should not call the update hook
+						instance.setName( "ignore me" );  // undefined returned from the apply hook, should not set the value
+						Y.Assert.areSame( "JOE", instance.getName() );
+						Y.Assert.areSame( "undefined->BOB,BOB->JOE", updates.join( "," ), "The update hook should have only been called when the value changed" );
+					},
+					
+					
+					"The constructor should throw an error if a required config is not provided" : function() {
+						var MyClass = Class( {
+							config : {
+								name : Class.requiredConfig
+							}
+						} );
 						
-						// Now create a subclass, without an explicit onClassExtended function. It should be used from the superclass
-						var MySubClass = MyClass.extend( {} );
+						var instance = new MyClass( { name : "Bob" } );
+						Y.Assert.areSame( "Bob", instance.name, "Initial condition: should be able to instantiate the class when the required config is provided" );
 						
-						Y.Assert.areSame( 2, onClassExtendedCallCount, "onClassExtended should have been called exactly twice at this point" );
-						Y.Assert.areSame( MySubClass, currentClassPassedIn, "onClassExtended should have been passed the new subclass" );
+						new MyClass( {} );
+						Y.Assert.fail( "The test should have thrown an error when a required config was not provided" );
 					}
-				}
-			]
-		},
-		
-		
-		/*
-		 * Test isInstanceOf()
+				},
+				
+				
+				/*
+				 * Test extend() 'abstractClass' functionality
+				 */
+				{
+					name: "Test extend() 'abstractClass' functionality",
+					
+					_should : {
+						error : {
+							"A class created with `abstractClass: true` should not be able to be instantiated when declared with no constructor" : 
+								"Error: Cannot instantiate abstract class",
+							"A class created with `abstractClass: true` should not be able to be instantiated when declared with its own constructor" :
+								"Error: Cannot instantiate abstract class",
+							
+							"extend() should throw an error for a class with abstract methods that is not declared with abstractClass: true" :
+								"The class being created has abstract method 'abstractMethod', but is not declared with 'abstractClass: true'",
+							"extend() should throw an error if a concrete class does not implement all abstract methods from its superclass" :
+								"The concrete subclass being created must implement abstract method: 'abstractMethod2', or be declared abstract as well (using 'abstractClass: true')",
+							
+							"Calling an abstract method marker should throw an error naming the method and its declaring class" :
+								"Abstract method 'render' of class 'AbstractClassTest.Widget' must be implemented in subclass",
+							"extend() should name the declaring class of an abstract method marker that a concrete subclass does not implement" :
+								"The concrete subclass being created must implement abstract method: 'render' (declared by 'AbstractClassTest.Widget2'), or be declared abstract as well (using 'abstractClass: true')",
+							"extend() should throw an error for a class with abstract static methods that is not declared with abstractClass: true" :
+								"The class being created has abstract static method 'create', but is not declared with 'abstractClass: true'",
+							"extend() should throw an error if a concrete class does not implement an abstract static method from its superclass's inheritedStatics" :
+								"The concrete subclass being created must implement abstract static method: 'create', or be declared abstract as well (using 'abstractClass: true')",
+							"Class.override() should throw an error if it adds an abstract method to a concrete class" :
+								"Class 'AbstractClassTest.Concrete' has abstract method 'render' (declared by 'AbstractClassTest.Concrete'), but is not declared with 'abstractClass: true'",
+							"Class.override() should throw an error if it adds an abstract method to an abstract class that a concrete subclass does not implement" :
+								"The class has abstract method 'render', but is not declared with 'abstractClass: true'",
+							"Class.validate() should throw an error for a concrete class which no longer implements an abstract method" :
+								"The class has abstract method 'render' (declared by 'AbstractClassTest.Widget3'), but is not declared with 'abstractClass: true'",
+							"Class.validate() should throw an error for a concrete class which no longer implements a method of an interface" :
+								"The class does not implement method 'render' of interface 'Renderable', but is not declared with 'abstractClass: true'"
+						}
+					},
+					
+					tearDown : function() {
+						delete window.AbstractClassTest;
+					},
+					
+					// ---------------------------
+					
+					// Test abstract classes themselves
+					
+					
+					"A class created with `abstractClass: true` should not be able to be instantiated when declared with no constructor" : function() {
+						var AbstractClass = Class( {
+							abstractClass: true
+						} );
+						
+						var instance = new AbstractClass();
+						Y.Assert.fail( "The test should have thrown an error when attempting to instantiate an abstract class" );
+					},
+					
+					"A class created with `abstractClass: true` should not be able to be instantiated when declared with its own constructor" : function() {
+						var AbstractClass = Class( {
+							abstractClass: true,
+							
+							// Declare own constructor
+							constructor : function() {}
+						} );
+						
+						var instance = new AbstractClass();
+						Y.Assert.fail( "The test should have thrown an error when attempting to instantiate an abstract class" );
+					},
+					
+					
+					"A subclass of an abstract class (which doesn't define its own constructor) should be able to be instantiated" : function() {
+						var AbstractClass = Class( {
+							abstractClass: true
+						} );
+						var ConcreteClass = AbstractClass.extend( {
+							
+						} );
+						
+						var instance = new ConcreteClass();
+					},
+					
+					
+					"A subclass of an abstract class (which *does* define its own constructor) should be able to be instantiated" : function() {
+						var abstractClassConstructorCallCount = 0;
+						
+						var AbstractClass = Class( {
+							abstractClass: true,
+							
+							constructor : function() {
+								abstractClassConstructorCallCount++;
+							}
+						} );
+						var ConcreteClass = AbstractClass.extend( {
+							
+						} );
+						
+						var instance = new ConcreteClass();
+						Y.Assert.areSame( 1, abstractClassConstructorCallCount, "The abstract class's constructor should have been called exactly once" );
+					},
+					
+					
+					"An abstract class's constructor should be able to be executed from the concrete class" : function() {
+						var abstractClassConstructorCallCount = 0;
+						
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							constructor : function() {
+								abstractClassConstructorCallCount++;
+							}
+						} );
+						
+						var ConcreteClass = AbstractClass.extend( {
+							constructor : function() {
+								this._super( arguments );
+							}
+						} );
+						
+						var instance = new ConcreteClass();
+						Y.Assert.areSame( 1, abstractClassConstructorCallCount, "The abstract class's constructor should have been called exactly once" );
+					},
+					
+					
+					// ------------------------------
+					
+					
+					// Test classes with abstract methods
+					
+					"extend() should throw an error for a class with abstract methods that is not declared with abstractClass: true" : function() {
+						var ConcreteClass = Class( {
+							concreteMethod : function() {},
+							abstractMethod : Class.abstractMethod
+						} );
+						
+						Y.Assert.fail( "Test should have thrown an error for a concrete class with an abstract method" );
+					},
+					
+					"extend() should throw an error if a concrete class does not implement all abstract methods from its superclass" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							concreteMethod : function() {},
+							abstractMethod1 : Class.abstractMethod,
+							abstractMethod2 : Class.abstractMethod
+						} );
+						
+						var ConcreteClass = AbstractClass.extend( {
+							// *** Only implement 1 of the 2 abstract methods
+							abstractMethod1 : function(){}
+						} );
+						
+						Y.Assert.fail( "Test should have thrown an error for a concrete class with an abstract method (abstractMethod2 not implemented)" );
+					},
+					
+					"extend() should allow a properly defined abstract class with abstract methods, and a concrete class with the abstract methods implemented" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							concreteMethod : function() {},
+							abstractMethod1 : Class.abstractMethod,
+							abstractMethod2 : Class.abstractMethod
+						} );
+						
+						var ConcreteClass = AbstractClass.extend( {
+							// Implement both of the abstract methods
+							abstractMethod1 : function(){},
+							abstractMethod2 : function(){}
+						} );
+						
+						// This test should simply not error -- both abstract methods have been implemented by ConcreteClass
+					},
+					
+					
+					"extend() should allow a hierarchy of properly defined abstract classes with abstract methods, and a concrete class with the abstract methods implemented" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							concreteMethod : function() {},
+							
+							// 2 abstract methods
+							abstractMethod1 : Class.abstractMethod,
+							abstractMethod2 : Class.abstractMethod
+						} );
+						
+						var AbstractSubclass = AbstractClass.extend( {
+							abstractClass : true,
+							
+							// Implement one of the abstract methods
+							abstractMethod1 : function() {}
+						} );
+						
+						var ConcreteClass = AbstractSubclass.extend( {
+							// Implement the other abstract method
+							abstractMethod2 : function(){}
+						} );
+						
+						// This test should simply not error -- abstractMethod1 implemented by AbstractSubclass, and abstractMethod2 implemented by ConcreteClass
+					},
+					
+					
+					// ---------------------------
+					
+					// Test abstract method markers, and abstract static methods
+					
+					
+					"Class.abstractMethod() should create a distinct abstract method marker when called with a method name" : function() {
+						var marker = Class.abstractMethod( 'render' );
+						
+						Y.Assert.isFunction( marker );
+						Y.Assert.areNotSame( Class.abstractMethod, marker );
+						Y.Assert.areNotSame( marker, Class.abstractMethod( 'render' ), "Each call should create a new marker" );
+					},
+					
+					
+					"Calling an abstract method marker should throw an error naming the method and its declaring class" : function() {
+						var Widget = Class( {
+							className : 'AbstractClassTest.Widget',
+							abstractClass : true,
+							
+							render : Class.abstractMethod( 'render' )
+						} );
+						var ConcreteWidget = Widget.extend( {
+							render : function() { this._super( arguments ); }
+						} );
+						
+						new ConcreteWidget().render();
+					},
+					
+					
+					"Calling Class.abstractMethod as an unimplemented method should still throw an error, even with a string argument" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							method : Class.abstractMethod
+						} );
+						var ConcreteClass = AbstractClass.extend( {
+							method : function( arg ) { return this._super( arguments ); }
+						} );
+						
+						try {
+							new ConcreteClass().method( 'arg' );
+							Y.Assert.fail( "An error should have been thrown" );
+						} catch( e ) {
+							Y.Assert.areSame( "method must be implemented in subclass", e.message );
+						}
+					},
+					
+					
+					"extend() should name the declaring class of an abstract method marker that a concrete subclass does not implement" : function() {
+						var Widget = Class( {
+							className : 'AbstractClassTest.Widget2',
+							abstractClass : true,
+							
+							render : Class.abstractMethod( 'render' )
+						} );
+						Widget.extend( {} );
+					},
+					
+					
+					"extend() should throw an error for a class with abstract static methods that is not declared with abstractClass: true" : function() {
+						Class( {
+							statics : {
+								create : Class.abstractMethod( 'create' )
+							}
+						} );
+					},
+					
+					
+					"extend() should throw an error if a concrete class does not implement an abstract static method from its superclass's inheritedStatics" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							inheritedStatics : {
+								create : Class.abstractMethod
+							}
+						} );
+						AbstractClass.extend( {} );
+					},
+					
+					
+					"extend() should allow a concrete class to implement an inherited abstract static method in its statics or inheritedStatics" : function() {
+						var create = function() {};
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							statics : {
+								fromJson : Class.abstractMethod( 'fromJson' )
+							},
+							inheritedStatics : {
+								create : Class.abstractMethod( 'create' )
+							}
+						} );
+						var ConcreteClass1 = AbstractClass.extend( {
+							statics : { create : create }
+						} );
+						var ConcreteClass2 = AbstractClass.extend( {
+							inheritedStatics : { create : create }
+						} );
+						
+						Y.Assert.areSame( create, ConcreteClass1.create );
+						Y.Assert.areSame( create, ConcreteClass2.create );
+						Y.Assert.isUndefined( ConcreteClass1.fromJson, "The abstract class's own `statics` should not have been inherited" );
+					},
+					
+					
+					"Calling an unimplemented abstract static method should throw an error" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							inheritedStatics : {
+								create : Class.abstractMethod
+							}
+						} );
+						
+						try {
+							AbstractClass.create( 'arg' );
+							Y.Assert.fail( "An error should have been thrown" );
+						} catch( e ) {
+							Y.Assert.areSame( "method must be implemented in subclass", e.message );
+						}
+					},
+					
+					
+					"Class.override() should throw an error if it adds an abstract method to a concrete class" : function() {
+						var Concrete = Class( {
+							className : 'AbstractClassTest.Concrete'
+						} );
+						
+						Class.override( Concrete, {
+							render : Class.abstractMethod( 'render' )
+						} );
+					},
+					
+					
+					"Class.override() should throw an error if it adds an abstract method to an abstract class that a concrete subclass does not implement" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true
+						} );
+						var ImplementingClass = AbstractClass.extend( {
+							render : function() {}
+						} );
+						var ConcreteClass = AbstractClass.extend( {} );
+						
+						Class.override( AbstractClass, {
+							render : Class.abstractMethod
+						} );
+					},
+					
+					
+					"Class.override() should not apply any of the overrides if they make the class or a subclass invalid" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							getName : function() { return "original"; }
+						} );
+						var ConcreteClass = AbstractClass.extend( {} );
+						var renderMarker = Class.abstractMethod( 'render' );
+						
+						try {
+							Class.override( AbstractClass, {
+								getName : function() { return "overridden"; },
+								newMethod : function() {},
+								render : renderMarker
+							} );
+							Y.Assert.fail( "An error should have been thrown" );
+						} catch( e ) {
+							Y.Assert.areNotSame( "An error should have been thrown", e.message );
+						}
+						
+						Y.Assert.areSame( "original", new ConcreteClass().getName(), "The overridden method should have been restored" );
+						Y.Assert.isFalse( AbstractClass.prototype.hasOwnProperty( 'newMethod' ), "The new method should have been removed" );
+						Y.Assert.isFalse( AbstractClass.prototype.hasOwnProperty( 'render' ), "The abstract method should have been removed" );
+						Y.Assert.isUndefined( renderMarker.__Class_declaringClass, "The abstract method should not be recorded as declared by the class" );
+						Class.validate( ConcreteClass );  // should not error
+					},
+					
+					
+					"Class.override() should restore an advised method's original if the overrides are rejected" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							getName : function() { return "original"; }
+						} );
+						var ConcreteClass = AbstractClass.extend( {} );
+						Class.around( AbstractClass, 'getName', function( proceed ) { return proceed() + "!"; } );
+						
+						try {
+							Class.override( AbstractClass, {
+								getName : function() { return "overridden"; },
+								render : Class.abstractMethod
+							} );
+						} catch( e ) {}
+						
+						Y.Assert.areSame( "original!", new ConcreteClass().getName() );
+					},
+					
+					
+					"Class.override() should allow adding an abstract method to an abstract class whose subclasses implement it" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true
+						} );
+						var ConcreteClass = AbstractClass.extend( {
+							render : function() {}
+						} );
+						
+						Class.override( AbstractClass, {
+							render : Class.abstractMethod( 'render' )
+						} );
+						
+						// This test should simply not error
+					},
+					
+					
+					"Class.validate() should throw an error for a concrete class which no longer implements an abstract method" : function() {
+						var Widget = Class( {
+							className : 'AbstractClassTest.Widget3',
+							abstractClass : true,
+							
+							render : Class.abstractMethod( 'render' )
+						} );
+						var ConcreteWidget = Widget.extend( {
+							render : function() {}
+						} );
+						Class.validate( ConcreteWidget );  // initial condition: should not error
+						
+						delete ConcreteWidget.prototype.render;
+						Class.validate( ConcreteWidget );
+					},
+					
+					
+					"Class.validate() should throw an error for a concrete class which no longer implements a method of an interface" : function() {
+						var Renderable = Class[ 'interface' ]( { name: 'Renderable', methods: [ 'render' ] } );
+						var Widget = Class( {
+							'implements' : [ Renderable ],
+							
+							render : function() {}
+						} );
+						
+						delete Widget.prototype.render;
+						Class.validate( Widget );
+					},
+					
+					
+					"Class.validate() should not throw an error for an abstract class" : function() {
+						var AbstractClass = Class( {
+							abstractClass : true,
+							
+							render : Class.abstractMethod( 'render' )
+						} );
+						
+						Class.validate( AbstractClass );
+						
+						// This test should simply not error
+					}
+				},
+				
+				
+				/*
+				 * Test extend() 'implements' functionality
+				 */
+				{
+					name: "Test extend() 'implements' functionality",
+					
+					_should : {
+						error : {
+							"extend() should throw an error if a concrete class does not implement all of the methods of an interface" :
+								"The concrete class being created must implement method 'remove' of interface 'List', or be declared abstract (using 'abstractClass: true')",
+							"extend() should throw an error if a concrete subclass does not implement all of the methods of an interface declared by its abstract superclass" :
+								"The concrete class being created must implement method 'remove' of interface 'List', or be declared abstract (using 'abstractClass: true')",
+							"Class.interface() should throw an error if no name is provided" :
+								"Class.interface() requires a `name` for the interface",
+							"Class.interface() should throw an error if no methods array is provided" :
+								"Class.interface() requires a `methods` array for interface 'List'",
+							"extend() should throw an error if `implements` has an item which is not an interface" :
+								"The `implements` of class 'ImplementsTest.MyList' must only contain interfaces created with Class.interface(), but item 1 is not an interface",
+							"extend() should throw an error if `implements` is a single value which is not an interface" :
+								"The `implements` of the class being created must only contain interfaces created with Class.interface(), but item 0 is not an interface"
+						}
+					},
+					
+					
+					setUp : function() {
+						this.List = Class[ 'interface' ]( {
+							name : 'List',
+							methods : [ 'add', 'remove' ]
+						} );
+					},
+					
+					
+					// ---------------------------
+					
+					
+					"extend() should not throw an error if a class implements all of the methods of an interface" : function() {
+						var MyList = Class( {
+							'implements' : [ this.List ],
+							
+							add : function() {},
+							remove : function() {}
+						} );
+						
+						Y.Assert.areSame( this.List, MyList.interfaces[ 0 ], "The interface should have been stored on the class" );
+						Y.Assert.isUndefined( MyList.prototype[ 'implements' ], "The `implements` property should not have been applied to the prototype" );
+					},
+					
+					
+					"extend() should accept a single interface as `implements`, and check it" : function() {
+						var List = this.List;
+						var MyList = Class( {
+							'implements' : List,
+							
+							add : function() {},
+							remove : function() {}
+						} );
+						Y.ArrayAssert.itemsAreSame( [ List ], MyList.interfaces, "The interface should have been stored on the class in an array" );
+						Y.Assert.isTrue( Class.implementsInterface( MyList, List ) );
+						
+						try {
+							Class( { 'implements' : List, add : function() {} } );
+							Y.Assert.fail( "An error should have been thrown for the missing method" );
+						} catch( e ) {
+							Y.Assert.areSame( "The concrete class being created must implement method 'remove' of interface 'List', or be declared abstract (using 'abstractClass: true')", e.message );
+						}
+					},
+					
+					
+					"extend() should throw an error if `implements` has an item which is not an interface" : function() {
+						var SomeClass = Class( {} );
+						Class( {
+							className : 'ImplementsTest.MyList',
+							'implements' : [ this.List, SomeClass ],
+							
+							add : function() {},
+							remove : function() {}
+						} );
+					},
+					
+					
+					"extend() should throw an error if `implements` is a single value which is not an interface" : function() {
+						Class( { 'implements' : { name: 'List', methods: [] } } );
+					},
+					
+					
+					"extend() should throw an error if a concrete class does not implement all of the methods of an interface" : function() {
+						var MyList = Class( {
+							'implements' : [ this.List ],
+							
+							add : function() {}
+						} );
+						
+						Y.Assert.fail( "The test should have thrown an error when a concrete class does not implement an interface method" );
+					},
+					
+					
+					"extend() should not throw an error for an abstract class which does not implement all of the methods of an interface" : function() {
+						var AbstractList = Class( {
+							abstractClass : true,
+							'implements' : [ this.List ],
+							
+							add : function() {}
+						} );
+						
+						// This test should simply not error
+					},
+					
+					
+					"extend() should throw an error if a concrete subclass does not implement all of the methods of an interface declared by its abstract superclass" : function() {
+						var AbstractList = Class( {
+							abstractClass : true,
+							'implements' : [ this.List ]
+						} );
+						var MyList = AbstractList.extend( {
+							add : function() {}
+						} );
+						
+						Y.Assert.fail( "The test should have thrown an error when a concrete subclass does not implement an interface method" );
+					},
+					
+					
+					"extend() should allow methods of an interface to be provided by the superclass and by mixins" : function() {
+						var Superclass = Class( {
+							add : function() {}
+						} );
+						var RemoveMixin = Class( {
+							remove : function() {}
+						} );
+						var MyList = Superclass.extend( {
+							'implements' : [ this.List ],
+							mixins : [ RemoveMixin ]
+						} );
+						
+						// This test should simply not error
+					},
+					
+					
+					"Class.interface() should throw an error if no name is provided" : function() {
+						Class[ 'interface' ]( { methods : [] } );
+						
+						Y.Assert.fail( "The test should have thrown an error when no name was provided" );
+					},
+					
+					
+					"Class.interface() should throw an error if no methods array is provided" : function() {
+						Class[ 'interface' ]( { name : 'List' } );
+						
+						Y.Assert.fail( "The test should have thrown an error when no methods were provided" );
+					},
+					
+					
+					// --------------------------------
+					
+					// Test setting up the implementsInterface() method both as a static method, and an instance method
+					
+					"extend() should have set up the static and instance implementsInterface() methods" : function() {
+						var OtherInterface = Class[ 'interface' ]( { name : 'Other', methods : [] } );
+						var MyList = Class( {
+							'implements' : [ this.List ],
+							
+							add : function() {},
+							remove : function() {}
+						} );
+						var myList = new MyList();
+						
+						Y.Assert.isTrue( MyList.implementsInterface( this.List ), "MyList should implement List" );
+						Y.Assert.isFalse( MyList.implementsInterface( OtherInterface ), "MyList should *not* implement OtherInterface" );
+						Y.Assert.isTrue( myList.implementsInterface( this.List ), "myList should implement List" );
+						Y.Assert.isFalse( myList.implementsInterface( OtherInterface ), "myList should *not* implement OtherInterface" );
+					}
+				},
+				
+				
+				/*
+				 * Test extend() onClassExtended functionality
+				 */
+				{
+					name: 'Test extend() onClassExtended',
+					
+					
+					"onClassExtended(), if it exists as a static, should be executed after all other extend functionality has completed" : function() {
+						var onClassExtendedCallCount = 0;
+						
+						var MyMixin = Class( {
+							mixinInstanceMethod : function() {}
+						} );
+						
+						var MyClass = Class( {
+							statics : {
+								onClassExtended : function( newClass ) {
+									onClassExtendedCallCount++;
+									
+									// ASSERTS CONTINUE HERE
+									Y.Assert.isFunction( newClass.someStaticMethod, "someStaticMethod should exist as a static method by this point" );
+									Y.Assert.isFunction( newClass.someInheritedStaticMethod, "someInheritedStaticMethod should exist as a static method by this point" );
+									Y.Assert.isFunction( newClass.prototype.mixinInstanceMethod, "mixinInstanceMethod should exist as an instance method by this point" );
+								},
+								
+								someStaticMethod : function() {}
+							},
+							
+							inheritedStatics : {
+								someInheritedStaticMethod : function() {}
+							},
+							
+							mixins : [ MyMixin ]
+						} );
+						
+						Y.Assert.areSame( 1, onClassExtendedCallCount );  // to make sure the function actually runs
+						// NOTE: Asserts continue inside onClassExtended
+					},
+					
+					
+					"onClassExtended(), if it exists as an inherited static, should be executed for all subclasses" : function() {
+						var onClassExtendedCallCount = 0,
+						    currentClassPassedIn;
+						
+						var MyClass = Class( {
+							inheritedStatics : {
+								onClassExtended : function( newClass ) {
+									onClassExtendedCallCount++;
+									currentClassPassedIn = newClass;
+								}
+							}
+						} );
+						
+						Y.Assert.areSame( 1, onClassExtendedCallCount, "onClassExtended should have been called exactly once at this point" );
+						Y.Assert.areSame( MyClass, currentClassPassedIn, "onClassExtended should have been passed the new class" );
+						
+						
+						// Now create a subclass, without an explicit onClassExtended function. It should be used from the superclass
+						var MySubClass = MyClass.extend( {} );
+						
+						Y.Assert.areSame( 2, onClassExtendedCallCount, "onClassExtended should have been called exactly twice at this point" );
+						Y.Assert.areSame( MySubClass, currentClassPassedIn, "onClassExtended should have been passed the new subclass" );
+					}
+				}
+			]
+		},
+		
+		
+		/*
+		 * Test isInstanceOf()
+		 */
+		{
+			name : "Test isInstanceOf()",
+			
+			"isInstanceOf() should return false for any primitive type" : function() {
+				Y.Assert.isFalse( Class.isInstanceOf( undefined, Object ), "isInstanceOf should have returned false when given undefined" );
+				Y.Assert.isFalse( Class.isInstanceOf( null, Object ), "isInstanceOf should have returned false when given null" );
+				Y.Assert.isFalse( Class.isInstanceOf( 1, Object ), "isInstanceOf should have returned false when given a number" );
+				Y.Assert.isFalse( Class.isInstanceOf( "hi", Object ), "isInstanceOf should have returned false when given a string" );
+				Y.Assert.isFalse( Class.isInstanceOf( true, Object ), "isInstanceOf should have returned false when given a boolean" );
+			},
+			
+			
+			"isInstanceOf() should return true when testing an anonymous object with the Object constructor" : function() {
+				Y.Assert.isTrue( Class.isInstanceOf( {}, Object ), "isInstanceOf should have returned true" );
+			},
+			
+			
+			"isInstanceOf() should return true when testing an object of a class" : function() {
+				var MyClass = Class.extend( Object, { 
+					constructor : function() {}
+				} );
+				
+				var myInstance = new MyClass();
+				
+				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyClass ), "Should have been true. myInstance is an instance of MyClass" );
+			},
+			
+			
+			"isInstanceOf() should return true when testing an object that is a subclass of a given class" : function() {
+				var MyClass = Class.extend( Object, { 
+					constructor : function() {}
+				} );
+				var MySubClass = Class.extend( MyClass, {
+					constructor : function() {}
+				} );
+				
+				var myInstance = new MySubClass();
+				
+				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyClass ), "Should have been true. myInstance is an instance of MySubClass, which inherits from MyClass" );
+			},
+			
+			
+			"isInstanceOf() should return false when testing an object that is not an instance of a given class" : function() {
+				var MyClass = Class.extend( Object, { 
+					constructor : function() {}
+				} );
+				
+				var SomeOtherClass = Class.extend( Object, {
+					constructor : function() {}
+				} );
+				
+				var myInstance = new SomeOtherClass();
+				
+				Y.Assert.isFalse( Class.isInstanceOf( myInstance, MyClass ), "Should have been false. myInstance is not an instance of MyClass" );
+			},
+			
+			
+			"isInstanceOf() should return true when testing an object that has a given mixin class" : function() {
+				var MyMixinClass = Class.extend( Object, {
+					constructor : function() {}
+				} );
+				
+				var MyClass = Class.extend( Object, {
+					mixins: [ MyMixinClass ], 
+					constructor : function() {}
+				} );
+				
+				var myInstance = new MyClass();
+				
+				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyMixinClass ), "Should have been true. myInstance has the mixin MyMixinClass" );
+			},
+			
+			
+			"isInstanceOf() should return true when testing an object that has a given mixin class implemented in its superclass" : function() {
+				var MyMixinClass = Class.extend( Object, {
+					constructor : function() {}
+				} );
+				
+				var MyClass = Class.extend( Object, {
+					mixins : [ MyMixinClass ], 
+					constructor : function() {}
+				} );
+				var MySubClass = Class.extend( MyClass, { 
+					constructor : function() {}
+				} );
+				
+				var myInstance = new MySubClass();
+				
+				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyMixinClass ), "Should have been true. myInstance has the mixin MyMixinClass through its superclass" );
+			},
+			
+			
+			"isInstanceOf() should return true when testing an object that has a given mixin class implemented in its superclass's superclass" : function() {
+				var MyMixinClass = Class.extend( Object, {
+					constructor : function() {}
+				} );
+				
+				var MyClass = Class.extend( Object, {
+					mixins : [ MyMixinClass ], 
+					constructor : function() {}
+				} );
+				var MySubClass = Class.extend( MyClass, { 
+					constructor : function() {}
+				} );
+				var MySubSubClass = Class.extend( MySubClass, { 
+					constructor : function() {}
+				} );
+				
+				var myInstance = new MySubSubClass();
+				
+				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyMixinClass ), "Should have been true. myInstance has the mixin MyMixinClass through its superclass's superclass" );
+			},
+			
+			
+			"isInstanceOf() should return true when testing an object whose class implements a given interface" : function() {
+				var MyInterface = Class[ 'interface' ]( { name : 'MyInterface', methods : [ 'method' ] } );
+				var OtherInterface = Class[ 'interface' ]( { name : 'OtherInterface', methods : [] } );
+				
+				var MyClass = Class.extend( Object, {
+					'implements' : [ MyInterface ],
+					method : function() {}
+				} );
+				var MySubClass = Class.extend( MyClass, {} );
+				
+				Y.Assert.isTrue( Class.isInstanceOf( new MyClass(), MyInterface ), "Should have been true. MyClass implements MyInterface" );
+				Y.Assert.isTrue( Class.isInstanceOf( new MySubClass(), MyInterface ), "Should have been true. MySubClass implements MyInterface through its superclass" );
+				Y.Assert.isFalse( Class.isInstanceOf( new MyClass(), OtherInterface ), "Should have been false. MyClass does not implement OtherInterface" );
+				Y.Assert.isFalse( Class.isInstanceOf( "hi", MyInterface ), "Should have been false for a primitive" );
+			}
+		},
+		
+		
+		/*
+		 * Test isSubclassOf()
+		 */
+		{
+			name : "Test isSubclassOf()",
+			
+			
+			setUp : function() {
+				this.Superclass = Class( {} );
+				this.Subclass = this.Superclass.extend( {} );
+				this.SubSubclass = this.Subclass.extend( {} );
+			},
+			
+			
+			"isSubclassOf() should return false if either of the argument values are falsy" : function() {
+				Y.Assert.isFalse( Class.isSubclassOf( undefined, this.Superclass ), "should be false with undefined first arg" );
+				Y.Assert.isFalse( Class.isSubclassOf( this.Superclass, undefined ), "should be false with undefined second arg" );
+				Y.Assert.isFalse( Class.isSubclassOf( undefined, undefined ), "should be false with both args undefined" );
+			},
+			
+			
+			"isSubclassOf() should return true the given classes are equal" : function() {
+				Y.Assert.isTrue( Class.isSubclassOf( this.Superclass, this.Superclass ), "should be true - Superclass is the same class as itself" );
+				Y.Assert.isTrue( Class.isSubclassOf( this.Subclass, this.Subclass ), "should be true - Subclass is the same class as itself" );
+			},
+			
+			"isSubclassOf() should return true if the subclass is derived from (i.e. extends) superclass" : function() {
+				Y.Assert.isTrue( Class.isSubclassOf( this.Subclass, this.Superclass ), "should be true - Subclass is derived from (i.e. extends) Superclass" );
+				Y.Assert.isTrue( Class.isSubclassOf( this.SubSubclass, this.Superclass ), "should be true - SubSubclass is derived from (i.e. extends) Superclass" );
+				Y.Assert.isTrue( Class.isSubclassOf( this.SubSubclass, this.Subclass ), "should be true - SubSubclass is derived from (i.e. extends) Subclass" );
+			},
+			
+			
+			"isSubclassOf() should return false if the subclass is *not* derived from superclass" : function() {
+				Y.Assert.isFalse( Class.isSubclassOf( this.Superclass, this.Subclass ), "should be false - Superclass is *not* derived from Subclass" );
+				Y.Assert.isFalse( Class.isSubclassOf( this.Subclass, this.SubSubclass ), "should be false - Subclass is *not* derived from SubSubclass" );
+			}
+		},
+		
+		
+		/*
+		 * Test hasMixin()
+		 */
+		{
+			name: "Test hasMixin()",
+			
+			setUp : function() {
+				var me = this;
+				
+				// Hijack the static hasMixin() method on the Class object, so we can determine how many times it is called
+				// (to figure out if caching is working)
+				me.originalHasMixinMethod = Class.hasMixin;
+				
+				me.hasMixinCallCount = 0;
+				Class.hasMixin = function( classToTest, mixinClass ) {
+					me.hasMixinCallCount++;
+					return me.originalHasMixinMethod( classToTest, mixinClass );
+				};
+			},
+			
+			tearDown : function() {
+				Class.hasMixin = this.originalHasMixinMethod;
+			},
+			
+			
+			// ---------------------------------
+			
+			
+			"hasMixin() should check the class for a given mixin" : function() {
+				var Mixin = Class.extend( Object, {} );
+				var SomeOtherMixin = Class.extend( Object, {} );
+				
+				var MyClass = Class.extend( Object, {	
+					mixins : [ Mixin ]
+				} );
+				
+				Y.Assert.isTrue( Class.hasMixin( MyClass, Mixin ), "MyClass should have the mixin 'Mixin'" );
+				Y.Assert.isFalse( Class.hasMixin( MyClass, SomeOtherMixin ), "MyClass should *not* have the mixin 'SomeOtherMixin'" );
+			},
+			
+			
+			
+			"hasMixin() should check the class and all of its superclasses for a given mixin" : function() {
+				var Mixin = Class.extend( Object, {} );
+				var SomeOtherMixin = Class.extend( Object, {} );
+				var SomeOtherMixin2 = Class.extend( Object, {} );
+				var NobodyHasThisMixin = Class.extend( Object, {} );
+				
+				var MySuperBaseClass = Class.extend( Object, {
+					mixins : [ Mixin ]
+				} );
+				var MyBaseClass = Class.extend( MySuperBaseClass, {
+					mixins : [ SomeOtherMixin ]
+				} );
+				var MyClass = Class.extend( MyBaseClass, {
+					mixins : [ SomeOtherMixin2 ]
+				} );
+				
+				// Looping tests twice. First iteration tests the lookup, second tests that caching is working correctly (i.e. has not skewed the result)
+				for( var i = 0; i <= 1; i++ ) {
+					var pass = ( i === 0 ) ? "initial" : "cached"; 
+					Y.Assert.isTrue( Class.hasMixin( MyClass, Mixin ), "MyClass should have the mixin 'Mixin' from its superclass's superclass. pass = " + pass );
+					Y.Assert.isTrue( Class.hasMixin( MyClass, SomeOtherMixin ), "MyClass should have the mixin 'SomeOtherMixin' on its superclass. pass = " + pass );
+					Y.Assert.isTrue( Class.hasMixin( MyClass, SomeOtherMixin2 ), "MyClass should have the mixin 'SomeOtherMixin2' on itself. pass = " + pass );
+					Y.Assert.isFalse( Class.hasMixin( MyClass, NobodyHasThisMixin ), "MyClass should *not* have the mixin 'NobodyHasThisMixin'. pass = " + pass );
+				}
+			},
+			
+			
+			
+			"hasMixin() should work with mixins and classes defined by regular functions (not using extend())" : function() {
+				var Mixin = function() {};
+				var SomeOtherMixin = function() {};
+				var NobodyHasThisMixin = function() {};
+				
+				var MySuperBaseClass = function() {};
+				var MyBaseClass = Class.extend( MySuperBaseClass, {
+					mixins : [ Mixin ]
+				} );
+				var MyClass = Class.extend( MyBaseClass, {
+					mixins : [ SomeOtherMixin ]
+				} );
+				
+				// Looping tests twice. First iteration tests the lookup, second tests that caching is working correctly
+				for( var i = 0; i <= 1; i++ ) {
+					var pass = ( i === 0 ) ? "initial" : "cached"; 
+					Y.Assert.isTrue( Class.hasMixin( MyClass, Mixin ), "MyClass should have the mixin 'Mixin' from its superclass. pass = " + pass );
+					Y.Assert.isTrue( Class.hasMixin( MyClass, SomeOtherMixin ), "MyClass should have the mixin 'SomeOtherMixin' on itself. pass = " + pass );
+					Y.Assert.isFalse( Class.hasMixin( MyClass, NobodyHasThisMixin ), "MyClass should *not* have the mixin 'NobodyHasThisMixin'. pass = " + pass );
+				}
+			},
+			
+			
+			// ---------------------------------
+			
+			// Test hasMixin() caching
+			
+			
+			"hasMixin() should assign an id to the mixinClass when the class is provided to hasMixin(), for use with caching if it doesn't already have one" : function() {
+				var MyMixinClass = Class.extend( Object, {
+					constructor : function() {}
+				} );
+				
+				var MyClass = Class.extend( Object, {
+					mixins : [ MyMixinClass ], 
+					constructor : function() {}
+				} );
+				
+				Y.Assert.isUndefined( MyMixinClass.__Class_classId, "Initial condition: MyClass should not yet have a __Class_classId" );
+				
+				// Now call the hasMixin() function, and check for the classId
+				Class.hasMixin( MyClass, MyMixinClass );
+				Y.Assert.isNumber( MyMixinClass.__Class_classId, "MyClass should now have a numeric __Class_classId" );
+			},
+			
+			
+			"hasMixin() should create a cache hashmap on the classToTest when the class is provided to hasMixin(), and it should not be re-created during subsequent calls" : function() {
+				var MyMixinClass = Class.extend( Object, {
+					constructor : function() {}
+				} );
+				
+				var MyClass = Class.extend( Object, {
+					mixins : [ MyMixinClass ], 
+					constructor : function() {}
+				} );
+				
+				Y.Assert.isUndefined( MyClass.__Class_hasMixinCache, "Initial condition: MyClass should not yet have a hasMixinCache" );
+				
+				// Now call the hasMixin() function, and check for the hasMixinCache
+				Class.hasMixin( MyClass, MyMixinClass );
+				var hasMixinCache = MyClass.__Class_hasMixinCache;
+				Y.Assert.isObject( hasMixinCache, "MyClass should now have a hasMixinCache" );
+				
+				// Now call the hasMixin() function again, and check that it still has the same hasMixinCache
+				Class.hasMixin( MyClass, MyMixinClass );
+				Y.Assert.areSame( hasMixinCache, MyClass.__Class_hasMixinCache, "The has mixin cache should not have been re-created into a new object with a subsequent call to hasMixin()" );	
+			},
+			
+			
+			"hasMixin()'s caching should work" : function() {
+				var MyMixinClass = Class.extend( Object, {
+					constructor : function() {}
+				} );
+				
+				var MyClass = Class.extend( Object, {
+					mixins : [ MyMixinClass ], 
+					constructor : function() {}
+				} );
+				var MySubClass = Class.extend( MyClass, { 
+					constructor : function() {}
+				} );
+				
+				
+				// Upon the first call to hasMixin(), the hasMixinCallCount should be 2, as the superclass had to be checked
+				Class.hasMixin( MySubClass, MyMixinClass );
+				Y.Assert.areSame( 2, this.hasMixinCallCount, "Initial condition: There should have been 2 calls to hasMixin(), as the superclass had to be checked" );
+				
+				// Now when called again, the hasMixinCallCount should only increase by 1 (putting it at 3), as the result of checking
+				// the superclass should have been cached
+				Class.hasMixin( MySubClass, MyMixinClass );
+				Y.Assert.areSame( 3, this.hasMixinCallCount, "There should have only been 3 calls to hasMixin() (one more than on last use of it), as the result from the superclass now should have been cached" );
+			}
+		},
+		
+		
+		/*
+		 * Test implementsInterface()
+		 */
+		{
+			name: "Test implementsInterface()",
+			
+			setUp : function() {
+				this.Interface1 = Class[ 'interface' ]( { name : 'Interface1', methods : [ 'method1' ] } );
+				this.Interface2 = Class[ 'interface' ]( { name : 'Interface2', methods : [ 'method2' ] } );
+				this.Interface3 = Class[ 'interface' ]( { name : 'Interface3', methods : [] } );
+			},
+			
+			
+			"implementsInterface() should check the class, its superclasses, and its mixins for a given interface" : function() {
+				var MyMixin = Class( {
+					'implements' : [ this.Interface2 ],
+					method2 : function() {}
+				} );
+				var MyBaseClass = Class( {
+					'implements' : [ this.Interface1 ],
+					method1 : function() {}
+				} );
+				var MyClass = MyBaseClass.extend( {
+					mixins : [ MyMixin ]
+				} );
+				
+				Y.Assert.isTrue( Class.implementsInterface( MyBaseClass, this.Interface1 ), "MyBaseClass should implement Interface1" );
+				Y.Assert.isFalse( Class.implementsInterface( MyBaseClass, this.Interface2 ), "MyBaseClass should *not* implement Interface2" );
+				Y.Assert.isTrue( Class.implementsInterface( MyClass, this.Interface1 ), "MyClass should implement Interface1 through its superclass" );
+				Y.Assert.isTrue( Class.implementsInterface( MyClass, this.Interface2 ), "MyClass should implement Interface2 through its mixin" );
+				Y.Assert.isFalse( Class.implementsInterface( MyClass, this.Interface3 ), "MyClass should *not* implement Interface3" );
+			},
+			
+			
+			"implementsInterface() should return false for a class not created with extend(), or a non-function" : function() {
+				Y.Assert.isFalse( Class.implementsInterface( function() {}, this.Interface1 ), "should be false for a plain constructor function" );
+				Y.Assert.isFalse( Class.implementsInterface( undefined, this.Interface1 ), "should be false for undefined" );
+			}
+		},
+		
+		
+		/*
+		 * Test the class registry (className, get(), getName(), getAll(), and create() with a class name)
+		 */
+		{
+			name: "Test class registry",
+			
+			_should : {
+				error : {
+					"create() should throw an error if no class is registered with the given name" :
+						"Class.create(): No class is registered with the name 'ClassRegistryTest.NotRegistered'"
+				}
+			},
+			
+			setUp : function() {
+				var me = this;
+				
+				// Hijack console.warn(), so we can determine if a warning was logged for duplicate registrations
+				me.originalConsole = window.console;
+				me.warnings = [];
+				window.console = { warn : function( msg ) { me.warnings.push( msg ); } };
+			},
+			
+			tearDown : function() {
+				window.console = this.originalConsole;
+				delete window.ClassRegistryTest;
+			},
+			
+			
+			"A class with a `className` should be registered, and retrievable by name with get()" : function() {
+				var User = Class( {
+					className : 'ClassRegistryTest.model.User'
+				} );
+				
+				Y.Assert.areSame( User, Class.get( 'ClassRegistryTest.model.User' ), "get() should have returned the class" );
+				Y.Assert.areSame( 'ClassRegistryTest.model.User', Class.getName( User ), "getName() should have returned the class's name" );
+				Y.Assert.areSame( User, Class.getAll()[ 'ClassRegistryTest.model.User' ], "getAll() should have included the class" );
+				Y.Assert.isUndefined( User.prototype.className, "The `className` property should not have been applied to the prototype" );
+			},
+			
+			
+			"get() and getName() should return null for unregistered names and unnamed classes" : function() {
+				var MyClass = Class( {} );
+				var MySubClass = Class( { className : 'ClassRegistryTest.Named' } ).extend( {} );
+				
+				Y.Assert.isNull( Class.get( 'ClassRegistryTest.NotRegistered' ), "get() should have returned null for an unregistered name" );
+				Y.Assert.isNull( Class.getName( MyClass ), "getName() should have returned null for an unnamed class" );
+				Y.Assert.isNull( Class.getName( MySubClass ), "getName() should have returned null for an unnamed subclass of a named class" );
+			},
+			
+			
+			"A class with a `className` should be assigned to its namespace, creating the namespace objects" : function() {
+				var User = Class( {
+					className : 'ClassRegistryTest.model.User'
+				} );
+				var Product = Class( {
+					className : 'ClassRegistryTest.model.Product'
+				} );
+				
+				Y.Assert.areSame( User, window.ClassRegistryTest.model.User, "The User class should have been assigned to its namespace" );
+				Y.Assert.areSame( Product, window.ClassRegistryTest.model.Product, "The Product class should have been assigned to the existing namespace" );
+			},
+			
+			
+			"Registering a class with a name that is already registered should replace the class, and log a warning" : function() {
+				var User = Class( { className : 'ClassRegistryTest.Duplicate' } );
+				Y.Assert.areSame( 0, this.warnings.length, "Initial condition: there should be no warnings" );
+				
+				var User2 = Class( { className : 'ClassRegistryTest.Duplicate' } );
+				Y.Assert.areSame( 1, this.warnings.length, "A warning should have been logged" );
+				Y.Assert.areSame( User2, Class.get( 'ClassRegistryTest.Duplicate' ), "The new class should have replaced the old one" );
+			},
+			
+			
+			"create() should instantiate a class by name, passing the rest of the arguments to its constructor" : function() {
+				var User = Class( {
+					className : 'ClassRegistryTest.model.User',
+					
+					constructor : function( name, age ) {
+						this.name = name;
+						this.age = age;
+					}
+				} );
+				
+				var user = Class.create( 'ClassRegistryTest.model.User', "Bob", 21 );
+				Y.Assert.isInstanceOf( User, user, "The instance should be an instance of the User class" );
+				Y.Assert.areSame( "Bob", user.name );
+				Y.Assert.areSame( 21, user.age );
+			},
+			
+			
+			"create() should throw an error if no class is registered with the given name" : function() {
+				Class.create( 'ClassRegistryTest.NotRegistered' );
+				
+				Y.Assert.fail( "The test should have thrown an error for an unregistered class name" );
+			},
+			
+			
+			"Errors for instantiating an abstract class, and for missing required configs, should include the class's name" : function() {
+				var AbstractClass = Class( {
+					className : 'ClassRegistryTest.AbstractClass',
+					abstractClass : true
+				} );
+				var ConfigClass = Class( {
+					className : 'ClassRegistryTest.ConfigClass',
+					config : { name : Class.requiredConfig }
+				} );
+				
+				try {
+					new AbstractClass();
+					Y.Assert.fail( "An error should have been thrown for instantiating an abstract class" );
+				} catch( e ) {
+					Y.Assert.areSame( "Error: Cannot instantiate abstract class 'ClassRegistryTest.AbstractClass'", e.message );
+				}
+				
+				try {
+					new ConfigClass();
+					Y.Assert.fail( "An error should have been thrown for a missing required config" );
+				} catch( e ) {
+					Y.Assert.areSame( "The required config 'name' was not provided to class 'ClassRegistryTest.ConfigClass'", e.message );
+				}
+			}
+		},
+		
+		
+		/*
+		 * Test before(), after(), and around() (method advice)
+		 */
+		{
+			name : "Test before(), after(), and around()",
+			
+			_should : {
+				error : {
+					"Adding advice to a method that the class does not have should throw an error" :
+						"Cannot add before advice to 'nonExistentMethod', as it is not a method of the class"
+				}
+			},
+			
+			setUp : function() {
+				var calls = this.calls = [];
+				
+				this.MyClass = Class( {
+					method : function( a, b ) {
+						calls.push( "method:" + a + "," + b );
+						return a + b;
+					}
+				} );
+			},
+			
+			
+			"before() should call the advice before the method, with the same `this` reference and arguments" : function() {
+				var calls = this.calls,
+				    thisRef;
+				
+				Class.before( this.MyClass, 'method', function( a, b ) {
+					thisRef = this;
+					calls.push( "before:" + a + "," + b );
+				} );
+				
+				var instance = new this.MyClass();
+				Y.Assert.areSame( 3, instance.method( 1, 2 ), "The method's return value should not have been changed" );
+				Y.Assert.areSame( "before:1,2|method:1,2", calls.join( "|" ) );
+				Y.Assert.areSame( instance, thisRef, "The advice should have been called in the scope of the instance" );
+			},
+			
+			
+			"after() should call the advice after the method, with the return value and arguments" : function() {
+				var calls = this.calls;
+				
+				Class.after( this.MyClass, 'method', function( returnVal, args ) {
+					calls.push( "after:" + returnVal + ":" + args.join( "," ) );
+				} );
+				
+				Y.Assert.areSame( 3, new this.MyClass().method( 1, 2 ), "The method's return value should not have been changed" );
+				Y.Assert.areSame( "method:1,2|after:3:1,2", calls.join( "|" ) );
+			},
+			
+			
+			"around() should call the advice instead of the method, with a function to proceed to the method with the original or new arguments" : function() {
+				var calls = this.calls;
+				
+				Class.around( this.MyClass, 'method', function( proceed, args ) {
+					calls.push( "around:" + args.join( "," ) );
+					return proceed() * 10 + proceed( [ 5, 5 ] );
+				} );
+				
+				Y.Assert.areSame( 40, new this.MyClass().method( 1, 2 ), "The return value of the around advice should have been returned" );
+				Y.Assert.areSame( "around:1,2|method:1,2|method:5,5", calls.join( "|" ) );
+			},
+			
+			
+			"Advice should be layered, with the most recently added advice on the outside" : function() {
+				var calls = this.calls;
+				
+				Class.before( this.MyClass, 'method', function() { calls.push( "before1" ); } );
+				Class.after( this.MyClass, 'method', function() { calls.push( "after1" ); } );
+				Class.around( this.MyClass, 'method', function( proceed ) { calls.push( "around-start" ); var r = proceed(); calls.push( "around-end" ); return r; } );
+				Class.before( this.MyClass, 'method', function() { calls.push( "before2" ); } );
+				Class.after( this.MyClass, 'method', function() { calls.push( "after2" ); } );
+				
+				new this.MyClass().method( 1, 2 );
+				Y.Assert.areSame( "before2|around-start|before1|method:1,2|after1|around-end|after2", calls.join( "|" ) );
+			},
+			
+			
+			"The handles returned should remove the advice, restoring the original method when all advice is removed" : function() {
+				var calls = this.calls,
+				    originalMethod = this.MyClass.prototype.method;
+				
+				var handle1 = Class.before( this.MyClass, 'method', function() { calls.push( "before1" ); } );
+				var handle2 = Class.before( this.MyClass, 'method', function() { calls.push( "before2" ); } );
+				
+				handle2.remove();
+				new this.MyClass().method( 1, 2 );
+				Y.Assert.areSame( "before1|method:1,2", calls.join( "|" ), "Only the first advice should have been called" );
+				
+				handle1.remove();
+				Y.Assert.areSame( originalMethod, this.MyClass.prototype.method, "The original method should have been restored" );
+			},
+			
+			
+			"Advice on an inherited method should only affect the class it was added to (and its subclasses), and be removable" : function() {
+				var calls = this.calls;
+				var MySubClass = this.MyClass.extend( {} );
+				var MySubSubClass = MySubClass.extend( {} );
+				
+				var handle = Class.before( MySubClass, 'method', function() { calls.push( "before" ); } );
+				
+				new this.MyClass().method( 1, 2 );
+				new MySubSubClass().method( 3, 4 );
+				Y.Assert.areSame( "method:1,2|before|method:3,4", calls.join( "|" ) );
+				
+				handle.remove();
+				Y.Assert.isFalse( MySubClass.prototype.hasOwnProperty( 'method' ), "The advised method should have been removed from the subclass's prototype" );
+			},
+			
+			
+			"Advice on a superclass's method should run when a subclass calls it with this._super()" : function() {
+				var calls = this.calls;
+				var MySubClass = this.MyClass.extend( {
+					method : function( a, b ) {
+						calls.push( "subclass method" );
+						return this._super( [ a, b ] );
+					}
+				} );
+				
+				Class.around( this.MyClass, 'method', function( proceed ) {
+					calls.push( "around" );
+					return proceed();
+				} );
+				
+				Y.Assert.areSame( 3, new MySubClass().method( 1, 2 ) );
+				Y.Assert.areSame( "subclass method|around|method:1,2", calls.join( "|" ) );
+			},
+			
+			
+			"Overriding an advised method with Class.override() should keep the advice in place" : function() {
+				var calls = this.calls;
+				
+				Class.before( this.MyClass, 'method', function() { calls.push( "before" ); } );
+				Class.override( this.MyClass, {
+					method : function() { calls.push( "new method" ); }
+				} );
+				
+				new this.MyClass().method();
+				Y.Assert.areSame( "before|new method", calls.join( "|" ) );
+			},
+			
+			
+			"Adding advice to a final method should throw the same error as overriding it, and leave the method unchanged" : function() {
+				var Base = Class( {
+					className : 'AdviceTest.Base',
+					
+					method : Class.finalMethod( function() { return 1; } )
+				} );
+				var Sub = Base.extend( { className : 'AdviceTest.Sub' } );
+				var adviceFns = {
+					before : function() {},
+					after  : function() {},
+					around : function() { return 2; }
+				};
+				
+				for( var type in adviceFns ) {
+					try {
+						Class[ type ]( Base, 'method', adviceFns[ type ] );
+						Y.Assert.fail( "An error should have been thrown for " + type + " advice" );
+					} catch( e ) {
+						Y.Assert.areSame( "Cannot override final method 'method' of class 'AdviceTest.Base'", e.message );
+					}
+					
+					try {
+						Class[ type ]( Sub, 'method', adviceFns[ type ] );
+						Y.Assert.fail( "An error should have been thrown for " + type + " advice on the subclass's inherited method" );
+					} catch( e2 ) {
+						Y.Assert.areSame( "Cannot override final method 'method' of class 'AdviceTest.Base' in class 'AdviceTest.Sub'", e2.message );
+					}
+				}
+				
+				Y.Assert.areSame( 1, new Base().method() );
+				Y.Assert.areSame( 1, new Sub().method() );
+			},
+			
+			
+			"Adding advice to a method that the class does not have should throw an error" : function() {
+				Class.before( this.MyClass, 'nonExistentMethod', function() {} );
+				
+				Y.Assert.fail( "The test should have thrown an error" );
+			}
+		},
+		
+		
+		
+		/*
+		 * Test interoperability with native ES2015 classes (i.e. the `class` syntax)
+		 */
+		{
+			name : "Test native ES2015 class interop",
+			
+			setUp : function() {
+				// Native classes are created from source strings, so that this file may still be parsed by older browsers. Each test
+				// returns early if they are not supported.
+				try {
+					this.nativeClassesSupported = !!( new Function( "return class {};" ) )() && typeof Reflect !== 'undefined';
+				} catch( e ) {
+					this.nativeClassesSupported = false;
+				}
+				
+				// Creates a native class from `source` (ex: "class extends Base {}"), with `Base` available to it
+				this.defineClass = function( source, Base ) {
+					return ( new Function( "Base", "return " + source + ";" ) )( Base );
+				};
+			},
+			
+			
+			"Class.extend() should be able to extend a native class, calling its constructor with _super() or the default constructor" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var NativeClass = this.defineClass( 
+					"class { constructor( a, b ) { this.sum = a + b; } getSum() { return this.sum; } }"
+				);
+				
+				var MyClass = Class.extend( NativeClass, {
+					constructor : function( a, b ) {
+						this._super( [ a, b ] );
+						this.initialized = true;
+					},
+					getSum : function() {
+						return this._super() * 10;
+					}
+				} );
+				var instance = new MyClass( 1, 2 );
+				
+				Y.Assert.areSame( 3, instance.sum, "The native class's constructor should have been called" );
+				Y.Assert.isTrue( instance.initialized );
+				Y.Assert.areSame( 30, instance.getSum(), "The native class's method should have been called with this._super()" );
+				Y.Assert.isTrue( instance instanceof NativeClass );
+				Y.Assert.isTrue( Class.isSubclassOf( MyClass, NativeClass ) );
+				
+				// A class which uses the default constructor
+				var MyClass2 = Class.extend( NativeClass, {} );
+				Y.Assert.areSame( 7, new MyClass2( 3, 4 ).sum, "The default constructor should have called the native class's constructor" );
+			},
+			
+			
+			"Class.extend() should throw an error for a built-in class, but still extend Object and the Error classes" : function() {
+				if( typeof Map === 'undefined' ) { return; }
+				
+				try {
+					Class.extend( Map, {} );
+					Y.Assert.fail( "An error should have been thrown for extending Map" );
+				} catch( e ) {
+					Y.Assert.areSame( 0, e.message.indexOf( "Cannot extend the built-in class 'Map' with Class.extend()" ), "Unexpected error message: " + e.message );
+				}
+				
+				Y.Assert.isTrue( new ( Class.extend( Object, {} ) )() instanceof Object );
+				Y.Assert.isTrue( new ( Class.extend( TypeError, {} ) )() instanceof TypeError );
+				
+				// A native subclass of a built-in class may still be extended
+				if( !this.nativeClassesSupported ) { return; }
+				var MyMap = Class.extend( this.defineClass( "class extends Base {}", Map ), {} );
+				Y.Assert.isTrue( new MyMap() instanceof Map );
+			},
+			
+			
+			"The native class's constructor should receive the class being instantiated as `new.target`" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var NativeClass = this.defineClass( "class { constructor() { this.target = new.target; } }" );
+				var MyClass = Class.extend( NativeClass, {} );
+				var MySubClass = MyClass.extend( {} );
+				
+				Y.Assert.areSame( MySubClass, new MySubClass().target );
+			},
+			
+			
+			"A native class should be able to be used as a mixin that is automatically initialized" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var NativeMixin = this.defineClass( "class { constructor() { this.mixinInitialized = true; } mixinMethod() { return 'mixin'; } }" );
+				var MyClass = Class( {
+					mixins : [ NativeMixin ],
+					autoInitMixins : true
+				} );
+				var instance = new MyClass();
+				
+				Y.Assert.isTrue( instance.mixinInitialized, "The native mixin's constructor should have been called" );
+				Y.Assert.areSame( 'mixin', instance.mixinMethod() );
+				Y.Assert.isTrue( Class.isInstanceOf( instance, NativeMixin ) );
+			},
+			
+			
+			"Class.create() should be able to instantiate a named class with a native superclass" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var NativeClass = this.defineClass( "class { constructor( name ) { this.name = name; } }" );
+				Class.extend( NativeClass, { className: 'NativeInteropTest.MyClass' } );
+				
+				try {
+					Y.Assert.areSame( "Bob", Class.create( 'NativeInteropTest.MyClass', "Bob" ).name );
+				} finally {
+					delete window.NativeInteropTest;
+				}
+			},
+			
+			
+			"A native subclass of a class should have its mixins and config initialized, and work with isInstanceOf()" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var Mixin = Class( {
+					constructor : function() { this.mixinCalls = ( this.mixinCalls || 0 ) + 1; }
+				} );
+				var MyClass = Class( {
+					mixins : [ Mixin ],
+					autoInitMixins : true,
+					config : { name: "default" }
+				} );
+				var NativeSubClass = this.defineClass( "class extends Base { constructor( cfg ) { super( cfg ); this.nativeInitialized = true; } }", MyClass );
+				var instance = new NativeSubClass( { name: "Bob" } );
+				
+				Y.Assert.areSame( 1, instance.mixinCalls, "The mixin's constructor should have been called once" );
+				Y.Assert.areSame( "Bob", instance.getName(), "The config should have been initialized" );
+				Y.Assert.isTrue( instance.nativeInitialized );
+				
+				Y.Assert.isTrue( Class.isInstanceOf( instance, MyClass ) );
+				Y.Assert.isTrue( Class.isInstanceOf( instance, Mixin ) );
+				Y.Assert.isTrue( Class.isSubclassOf( NativeSubClass, MyClass ) );
+				Y.Assert.isTrue( NativeSubClass.hasMixin( Mixin ) );
+			},
+			
+			
+			"A native subclass of a mixin should not be considered the same mixin" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var Mixin = Class( {} );
+				var MyClass = Class( { mixins: [ Mixin ] } );
+				Y.Assert.isTrue( Class.hasMixin( MyClass, Mixin ) );  // assigns an ID to Mixin
+				
+				var NativeMixinSubClass = this.defineClass( "class extends Base {}", Mixin );
+				Y.Assert.isFalse( Class.hasMixin( MyClass, NativeMixinSubClass ) );
+			},
+			
+			
+			"A native subclass should run an inherited onClassExtended() once, and the static methods called on it should operate on it" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var extendedClasses = [];
+				var MyClass = Class( {
+					inheritedStatics : {
+						onClassExtended : function( newClass ) { extendedClasses.push( newClass ); }
+					}
+				} );
+				var NativeSubClass = this.defineClass( "class extends Base {}", MyClass );
+				
+				new NativeSubClass();
+				new NativeSubClass();
+				Y.Assert.areSame( 2, extendedClasses.length, "onClassExtended() should have been called for MyClass, and once for NativeSubClass" );
+				Y.Assert.areSame( NativeSubClass, extendedClasses[ 1 ] );
+				
+				var MySubClass = NativeSubClass.extend( {} );
+				Y.Assert.areSame( NativeSubClass, MySubClass.__super__.constructor, "NativeSubClass.extend() should have extended NativeSubClass" );
+				Y.Assert.areSame( MySubClass, extendedClasses[ 2 ] );
+				Y.Assert.isTrue( new MySubClass() instanceof NativeSubClass );
+			},
+			
+			
+			"Class.extend() should initialize a native subclass that is being extended, before the new class" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var extendedClasses = [];
+				var MyClass = Class( {
+					inheritedStatics : {
+						onClassExtended : function( newClass ) { extendedClasses.push( newClass ); }
+					}
+				} );
+				var NativeSubClass = this.defineClass( "class extends Base {}", MyClass );
+				var MySubClass = Class.extend( NativeSubClass, {} );
+				
+				Y.Assert.areSame( 3, extendedClasses.length );
+				Y.Assert.areSame( NativeSubClass, extendedClasses[ 1 ] );
+				Y.Assert.areSame( MySubClass, extendedClasses[ 2 ] );
+			},
+			
+			
+			"A non-inherited static onClassExtended() should not be run for a native subclass" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var extendedClasses = [];
+				var MyClass = Class( {
+					statics : {
+						onClassExtended : function( newClass ) { extendedClasses.push( newClass ); }
+					}
+				} );
+				var NativeSubClass = this.defineClass( "class extends Base {}", MyClass );
+				new NativeSubClass();
+				
+				Y.Assert.areSame( 1, extendedClasses.length, "onClassExtended() should have only been called for MyClass" );
+			}
+		},
+		
+		
+		
+		/*
+		 * Test the `instanceof` operator's recognition of mixins (Symbol.hasInstance)
 		 */
 		{
-			name : "Test isInstanceOf()",
+			name : "Test instanceof with mixins",
+			
+			setUp : function() {
+				this.hasInstanceSupported = typeof Symbol === 'function' && typeof Symbol.hasInstance === 'symbol';
+			},
+			
+			tearDown : function() {
+				Class.instanceofMixins = true;
+			},
+			
+			
+			"instanceof should recognize a mixin of the object's class, or of one of its superclasses" : function() {
+				if( !this.hasInstanceSupported ) { return; }
+				
+				var Mixin = Class( {} ),
+				    OtherMixin = Class( {} );
+				var MyClass = Class( { mixins: [ Mixin ] } );
+				var MySubClass = MyClass.extend( {} );
+				
+				Y.Assert.isTrue( new MyClass() instanceof Mixin );
+				Y.Assert.isTrue( new MySubClass() instanceof Mixin );
+				Y.Assert.isFalse( new MyClass() instanceof OtherMixin );
+				Y.Assert.isTrue( new MySubClass() instanceof MyClass, "instanceof should still recognize superclasses" );
+				Y.Assert.isFalse( null instanceof Mixin );
+				Y.Assert.isFalse( Object.create( null ) instanceof Mixin );
+			},
+			
+			
+			"instanceof should recognize a mixin that was not created with Class.js" : function() {
+				if( !this.hasInstanceSupported ) { return; }
+				
+				var Mixin = function() {};
+				Mixin.prototype.method = function() {};
+				var MyClass = Class( { mixins: [ Mixin ] } );
+				
+				Y.Assert.isTrue( new MyClass() instanceof Mixin );
+				Y.Assert.isFalse( {} instanceof Mixin );
+				Y.Assert.isTrue( new Mixin() instanceof Mixin, "The mixin's own instances should still be recognized" );
+			},
+			
+			
+			"instanceof should not modify the classes of the objects that it tests" : function() {
+				if( !this.hasInstanceSupported ) { return; }
+				
+				var Mixin = Class( {} ),
+				    Other = function() {};
+				
+				Y.Assert.isFalse( {} instanceof Mixin );
+				Y.Assert.isFalse( [] instanceof Mixin );
+				Y.Assert.isFalse( new Other() instanceof Mixin );
+				Y.ArrayAssert.isEmpty( Object.keys( Object ), "Object should not have been modified" );
+				Y.ArrayAssert.isEmpty( Object.keys( Array ), "Array should not have been modified" );
+				Y.ArrayAssert.isEmpty( Object.keys( Other ), "The object's class should not have been modified" );
+			},
+			
+			
+			"instanceof should return false for an object whose constructor has no prototype object" : function() {
+				if( !this.hasInstanceSupported ) { return; }
+				
+				var Mixin = Class( {} );
+				Y.Assert.isFalse( { constructor: function() {}.bind( null ) } instanceof Mixin );
+			},
+			
+			
+			"A class's own Symbol.hasInstance method should not be replaced" : function() {
+				if( !this.hasInstanceSupported ) { return; }
+				
+				var Mixin = function() {},
+				    customHasInstance = function() { return false; };
+				Object.defineProperty( Mixin, Symbol.hasInstance, { value: customHasInstance, configurable: true } );
+				Class( { mixins: [ Mixin ] } );
+				
+				Y.Assert.areSame( customHasInstance, Mixin[ Symbol.hasInstance ] );
+			},
+			
+			
+			"Setting Class.instanceofMixins to false should opt out of instanceof recognizing mixins" : function() {
+				if( !this.hasInstanceSupported ) { return; }
+				
+				var Mixin = Class( {} );
+				var MyClass = Class( { mixins: [ Mixin ] } );
+				var instance = new MyClass();
+				
+				Class.instanceofMixins = false;
+				Y.Assert.isFalse( instance instanceof Mixin, "The already-installed method should have the standard behavior" );
+				Y.Assert.isTrue( Class.isInstanceOf( instance, Mixin ), "isInstanceOf() should still recognize the mixin" );
+				
+				var PlainMixin = function() {};
+				Class( { mixins: [ PlainMixin ] } );
+				Y.Assert.isFalse( Object.prototype.hasOwnProperty.call( PlainMixin, Symbol.hasInstance ), "The class used as a mixin should not have been modified" );
+			}
+		},
+		
+		
+		{
+			/*
+			 * Test Class.describe()
+			 */
+			name : "Test Class.describe()",
+			
+			
+			"describe() should return the name, superclasses, and mixins of a class" : function() {
+				var Mixin1 = Class( { mixinMethod1 : function() {} } ),
+				    Mixin2 = Class( { mixinMethod2 : function() {} } );
+				var Animal = Class( { className: 'Animal', mixins: [ Mixin1 ] } );
+				var Mammal = Animal.extend( { mixins: [ Mixin1, Mixin2 ] } );
+				var Dog = Mammal.extend( { className: 'Dog', mixins: [ Mixin2 ] } );
+				
+				var description = Class.describe( Dog );
+				Y.Assert.areSame( 'Dog', description.name );
+				Y.ArrayAssert.itemsAreSame( [ Mammal, Animal ], description.superclasses );
+				Y.ArrayAssert.itemsAreSame( [ Mixin2 ], description.mixins );
+				Y.ArrayAssert.itemsAreSame( [ Mixin1, Mixin2 ], description.inheritedMixins, "The inherited mixins should not have been duplicated" );
+				
+				Y.Assert.isNull( Class.describe( Mammal ).name );
+				Y.Assert.areSame( 0, Class.describe( Animal ).superclasses.length );
+			},
+			
+			
+			"describe() should separate a class's own statics from its inherited statics" : function() {
+				var method1 = function() {},
+				    method2 = function() {};
+				var SuperClass = Class( {
+					statics : { superStatic : 1 },
+					inheritedStatics : { method1 : method1 }
+				} );
+				var SubClass = SuperClass.extend( {
+					statics : { subStatic : 2 },
+					inheritedStatics : { method2 : method2 }
+				} );
+				
+				var description = Class.describe( SubClass );
+				Y.ObjectAssert.areEqual( { subStatic : 2 }, description.statics );
+				Y.Assert.isFalse( description.statics.hasOwnProperty( 'superStatic' ), "The superclass's statics should not have been included" );
+				Y.Assert.areSame( method1, description.inheritedStatics.method1 );
+				Y.Assert.areSame( method2, description.inheritedStatics.method2 );
+				
+				description.statics.subStatic = 3;
+				Y.Assert.areSame( 2, Class.describe( SubClass ).statics.subStatic, "The description should hold a copy of the statics" );
+			},
+			
+			
+			"describe() should report the abstract methods and abstract static methods of an abstract class, and the interfaces of a class" : function() {
+				var Iface = Class[ 'interface' ]( { name: 'Iface', methods: [ 'speak' ] } );
+				var Animal = Class( {
+					'implements' : [ Iface ],
+					abstractClass : true,
+					
+					inheritedStatics : {
+						create : Class.abstractMethod( 'create' )
+					},
+					
+					speak : Class.abstractMethod,
+					move : Class.abstractMethod( 'move' ),
+					eat : function() {}
+				} );
+				var Dog = Animal.extend( {
+					statics : {
+						create : function() {}
+					},
+					
+					speak : function() {},
+					move : function() {}
+				} );
+				
+				var description = Class.describe( Animal );
+				Y.Assert.isTrue( description.abstractClass );
+				Y.ArrayAssert.itemsAreSame( [ 'speak', 'move' ], description.abstractMethods );
+				Y.ArrayAssert.itemsAreSame( [ 'create' ], description.abstractStatics );
+				Y.ArrayAssert.itemsAreSame( [ Iface ], description.interfaces );
+				
+				description = Class.describe( Dog );
+				Y.Assert.isFalse( description.abstractClass );
+				Y.Assert.areSame( 0, description.abstractMethods.length );
+				Y.Assert.areSame( 0, description.abstractStatics.length );
+				Y.ArrayAssert.itemsAreSame( [ Iface ], description.interfaces );
+			},
+			
+			
+			"describe() should report where each member of a class was defined" : function() {
+				var Mixin = Class( { mixinMethod : function() {} } );
+				var Animal = Class( {
+					mixins : [ Mixin ],
+					
+					eat : function() {},
+					legs : 4
+				} );
+				var Dog = Animal.extend( {
+					bark : function() {},
+					eat : function() { this._super( arguments ); }
+				} );
+				
+				var members = Class.describe( Dog ).members;
+				Y.ObjectAssert.areEqual( { kind: 'method', source: 'own', definedBy: Dog, inherited: false }, members.bark );
+				Y.ObjectAssert.areEqual( { kind: 'method', source: 'own', definedBy: Dog, inherited: false }, members.eat );
+				Y.ObjectAssert.areEqual( { kind: 'property', source: 'superclass', definedBy: Animal, inherited: true }, members.legs );
+				Y.ObjectAssert.areEqual( { kind: 'method', source: 'mixin', definedBy: Mixin, inherited: true }, members.mixinMethod );
+				
+				Y.ObjectAssert.areEqual( { kind: 'method', source: 'mixin', definedBy: Mixin, inherited: false }, Class.describe( Animal ).members.mixinMethod );
+			},
+			
+			
+			"describe() should not include the members that Class.js adds to a class's prototype" : function() {
+				var members = Class.describe( Class( { method : function() {} } ) ).members;
+				
+				Y.ObjectAssert.ownsKeys( [ 'method' ], members );
+				var names = [ 'constructor', 'superclass', 'supr', 'override', 'hasMixin', 'implementsInterface', 'callMixin' ];
+				for( var i = 0; i < names.length; i++ ) {
+					Y.Assert.isFalse( members.hasOwnProperty( names[ i ] ), "'" + names[ i ] + "' should not have been included" );
+				}
+			},
+			
+			
+			"describe() should report a mixin's member as the class's own once it has been replaced by Class.override()" : function() {
+				var Mixin = Class( { mixinMethod : function() {} } );
+				var MyClass = Class( { mixins: [ Mixin ] } );
+				
+				Class.override( MyClass, { mixinMethod : function() {} } );
+				
+				Y.ObjectAssert.areEqual( { kind: 'method', source: 'own', definedBy: MyClass, inherited: false }, Class.describe( MyClass ).members.mixinMethod );
+			},
+			
+			
+			"describe() should report accessor properties, including those from a mixin under an alias" : function() {
+				if( !Object.defineProperty ) { return; }
+				
+				var Mixin = Class( {} );
+				Object.defineProperty( Mixin.prototype, 'value', { get: function() { return 1; }, enumerable: true, configurable: true } );
+				var MyClass = Class( {
+					mixins : [ { mixin: Mixin, alias: { value: 'mixinValue' } } ],
+					properties : {
+						fullName : { get: function() { return 'x'; } }
+					}
+				} );
+				
+				var members = Class.describe( MyClass ).members;
+				Y.ObjectAssert.areEqual( { kind: 'accessor', source: 'own', definedBy: MyClass, inherited: false }, members.fullName );
+				Y.ObjectAssert.areEqual( { kind: 'accessor', source: 'mixin', definedBy: Mixin, inherited: false }, members.mixinValue );
+			}
+		},
+		
+		
+		{
+			/*
+			 * Test class hierarchy introspection
+			 */
+			name : "Test class hierarchy introspection",
+			
+			setUp : function() {
+				try {
+					this.nativeClassesSupported = !!( new Function( "return class {};" ) )() && typeof Reflect !== 'undefined';
+				} catch( e ) {
+					this.nativeClassesSupported = false;
+				}
+			},
+			
+			
+			"getSuperclasses() should return the superclasses of a class, starting with its direct superclass" : function() {
+				var Animal = Class( {} );
+				var Dog = Animal.extend( {} );
+				var Poodle = Dog.extend( {} );
+				
+				Y.ArrayAssert.itemsAreSame( [ Dog, Animal ], Class.getSuperclasses( Poodle ) );
+				Y.ArrayAssert.itemsAreSame( [ Dog, Animal ], Poodle.getSuperclasses(), "The static method should return the same" );
+				Y.ArrayAssert.isEmpty( Animal.getSuperclasses() );
+			},
+			
+			
+			"getSubclasses() should return the direct subclasses of a class, in the order that they were created" : function() {
+				var Animal = Class( {} );
+				var Dog = Animal.extend( {} );
+				var Cat = Animal.extend( {} );
+				Dog.extend( {} );
+				
+				Y.ArrayAssert.itemsAreSame( [ Dog, Cat ], Class.getSubclasses( Animal ) );
+				Y.ArrayAssert.itemsAreSame( [ Dog, Cat ], Animal.getSubclasses(), "The static method should return the same" );
+				Y.ArrayAssert.isEmpty( Cat.getSubclasses() );
+			},
+			
+			
+			"getSubclasses() should return all of the descendant classes of a class with the `deep` option" : function() {
+				var Animal = Class( {} );
+				var Dog = Animal.extend( {} );
+				var Cat = Animal.extend( {} );
+				var Poodle = Dog.extend( {} );
+				var ToyPoodle = Poodle.extend( {} );
+				
+				Y.ArrayAssert.itemsAreSame( [ Dog, Cat, Poodle, ToyPoodle ], Class.getSubclasses( Animal, { deep: true } ) );
+				Y.ArrayAssert.itemsAreSame( [ Poodle, ToyPoodle ], Dog.getSubclasses( { deep: true } ) );
+			},
+			
+			
+			"getSubclasses() should return the subclasses of a class that was not created by Class.js" : function() {
+				var PlainClass = function() {};
+				var SubClass = Class.extend( PlainClass, {} );
+				
+				Y.ArrayAssert.itemsAreSame( [ SubClass ], Class.getSubclasses( PlainClass ) );
+				Y.ArrayAssert.isEmpty( Class.getSubclasses( function() {} ) );
+			},
+			
+			
+			"getSubclasses() should not register the classes created without a superclass as subclasses of Object" : function() {
+				var Animal = Class.extend( Object, {} );
+				var Dog = Animal.extend( {} );
+				
+				Y.ArrayAssert.isEmpty( Class.getSubclasses( Object ) );
+				Y.ArrayAssert.isEmpty( Class.getSubclasses( Object, { deep: true } ) );
+				Y.ArrayAssert.itemsAreSame( [ Dog ], Class.getSubclasses( Animal ), "The subclasses of the base classes should still be registered" );
+			},
+			
+			
+			"getSubclasses() should return a native ES2015 subclass once it has been instantiated" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var MyClass = Class( {} );
+				var NativeSubclass = ( new Function( "Base", "return class extends Base {};" ) )( MyClass );
+				
+				Y.ArrayAssert.isEmpty( MyClass.getSubclasses() );
+				new NativeSubclass();
+				Y.ArrayAssert.itemsAreSame( [ NativeSubclass ], MyClass.getSubclasses() );
+				Y.ArrayAssert.itemsAreSame( [ MyClass ], NativeSubclass.getSuperclasses(), "The inherited static method should be called for the native subclass" );
+				
+				new NativeSubclass();
+				Y.Assert.areSame( 1, MyClass.getSubclasses().length, "The native subclass should only have been registered once" );
+			},
+			
+			
+			"getMixinUsers() should return the classes that use a mixin, and their subclasses with the `deep` option" : function() {
+				var Observable = Class( {} ),
+				    Other = Class( {} );
+				var Model = Class( { mixins: [ Observable ] } );
+				var View = Class( { mixins: [ Other, { mixin: Observable, exclude: [] } ] } );
+				var User = Model.extend( {} );
+				
+				Y.ArrayAssert.itemsAreSame( [ Model, View ], Class.getMixinUsers( Observable ) );
+				Y.ArrayAssert.itemsAreSame( [ Model, View, User ], Class.getMixinUsers( Observable, { deep: true } ) );
+				Y.ArrayAssert.itemsAreSame( [ View ], Class.getMixinUsers( Other ) );
+				Y.ArrayAssert.isEmpty( Class.getMixinUsers( User ) );
+			},
+			
+			
+			"Subclasses should already be registered when the superclass's onClassExtended method runs" : function() {
+				var subclassesSeen = null;
+				var Plugin = Class( {
+					inheritedStatics : {
+						onClassExtended : function( newClass ) {
+							if( newClass !== Plugin && Plugin ) {
+								subclassesSeen = Plugin.getSubclasses();
+							}
+						}
+					}
+				} );
+				var MyPlugin = Plugin.extend( {} );
+				
+				Y.ArrayAssert.itemsAreSame( [ MyPlugin ], subclassesSeen );
+			}
+		},
+		
+		
+		{
+			/*
+			 * Test final classes and final methods
+			 */
+			name : "Test final classes and methods",
 			
-			"isInstanceOf() should return false for any primitive type" : function() {
-				Y.Assert.isFalse( Class.isInstanceOf( undefined, Object ), "isInstanceOf should have returned false when given undefined" );
-				Y.Assert.isFalse( Class.isInstanceOf( null, Object ), "isInstanceOf should have returned false when given null" );
-				Y.Assert.isFalse( Class.isInstanceOf( 1, Object ), "isInstanceOf should have returned false when given a number" );
-				Y.Assert.isFalse( Class.isInstanceOf( "hi", Object ), "isInstanceOf should have returned false when given a string" );
-				Y.Assert.isFalse( Class.isInstanceOf( true, Object ), "isInstanceOf should have returned false when given a boolean" );
+			_should : {
+				error : {
+					"extend() should throw an error when extending a final class" :
+						"Cannot extend final class 'FinalTest.Final'",
+					"extend() should throw an error when a subclass overrides a method marked with Class.finalMethod()" :
+						"Cannot override final method 'render' of class 'FinalTest.Component' in class 'FinalTest.Button'",
+					"extend() should throw an error when a subclass overrides a method named in `finals`, even with an accessor property" :
+						"Cannot override final method 'render'",
+					"extend() should throw an error when a subclass of a subclass overrides a final method" :
+						"Cannot override final method 'render' of class 'FinalTest.Base1'",
+					"extend() should throw an error when `finals` names a member that is not a method" :
+						"Cannot declare 'missing' as a final method, as the class being created does not have a method with that name",
+					"Class.override() should throw an error when replacing a final method" :
+						"Cannot override final method 'render' of class 'FinalTest.Base' in class 'FinalTest.Sub'",
+					"Class.override() should throw an error when replacing a final method of the class itself" :
+						"Cannot override final method 'render' of class 'FinalTest.Base2'"
+				}
+			},
+			
+			setUp : function() {
+				try {
+					this.nativeClassesSupported = !!( new Function( "return class {};" ) )() && typeof Reflect !== 'undefined';
+				} catch( e ) {
+					this.nativeClassesSupported = false;
+				}
+			},
+			
+			tearDown : function() {
+				delete window.FinalTest;
+			},
+			
+			
+			"extend() should throw an error when extending a final class" : function() {
+				var Final = Class( {
+					className : 'FinalTest.Final',
+					'final' : true
+				} );
+				
+				Y.Assert.isUndefined( Final.prototype[ 'final' ], "The `final` property should not have been applied to the prototype" );
+				new Final();  // should be able to be instantiated
+				Class.extend( Final, {} );
+			},
+			
+			
+			"A final class should still be able to be used as a mixin" : function() {
+				var FinalMixin = Class( {
+					'final' : true,
+					method : function() { return 1; }
+				} );
+				var MyClass = Class( { mixins: [ FinalMixin ] } );
+				
+				Y.Assert.areSame( 1, new MyClass().method() );
+			},
+			
+			
+			"extend() should throw an error when a subclass overrides a method marked with Class.finalMethod()" : function() {
+				var Component = Class( {
+					className : 'FinalTest.Component',
+					
+					render : Class.finalMethod( function() {} )
+				} );
+				Component.extend( {
+					className : 'FinalTest.Button',
+					
+					render : function() {}
+				} );
+			},
+			
+			
+			"extend() should throw an error when a subclass overrides a method named in `finals`, even with an accessor property" : function() {
+				var Component = Class( {
+					finals : [ 'render' ],
+					
+					render : function() {}
+				} );
+				Y.Assert.isUndefined( Component.prototype.finals, "The `finals` property should not have been applied to the prototype" );
+				
+				Component.extend( {
+					properties : {
+						render : { get: function() { return function() {}; } }
+					}
+				} );
+			},
+			
+			
+			"extend() should throw an error when a subclass of a subclass overrides a final method" : function() {
+				var Base = Class( {
+					className : 'FinalTest.Base1',
+					
+					render : Class.finalMethod( function() {} )
+				} );
+				var Sub = Base.extend( {} );
+				Sub.extend( {
+					render : function() {}
+				} );
+			},
+			
+			
+			"extend() should allow a final method that calls _super(), and final methods provided by mixins" : function() {
+				var Base = Class( {
+					render : function() { return "base"; }
+				} );
+				var Mixin = Class( {
+					mixinMethod : function() {}
+				} );
+				var Sub = Base.extend( {
+					mixins : [ Mixin ],
+					finals : [ 'mixinMethod' ],
+					
+					render : Class.finalMethod( function() { return this._super() + " sub"; } )
+				} );
+				
+				Y.Assert.areSame( "base sub", new Sub().render() );
+				Y.ArrayAssert.itemsAreEqual( [ 'mixinMethod', 'render' ], Class.describe( Sub ).finalMethods.sort() );
+			},
+			
+			
+			"extend() should throw an error when `finals` names a member that is not a method" : function() {
+				Class( {
+					finals : [ 'missing' ]
+				} );
+			},
+			
+			
+			"Class.override() should throw an error when replacing a final method" : function() {
+				var Base = Class( {
+					className : 'FinalTest.Base',
+					
+					render : Class.finalMethod( function() {} )
+				} );
+				var Sub = Base.extend( {
+					className : 'FinalTest.Sub'
+				} );
+				
+				Class.override( Sub, {
+					render : function() {}
+				} );
+			},
+			
+			
+			"Class.override() should throw an error when replacing a final method of the class itself" : function() {
+				var Base = Class( {
+					className : 'FinalTest.Base2',
+					
+					render : Class.finalMethod( function() {} )
+				} );
+				
+				Base.override( {
+					render : function() {}
+				} );
+			},
+			
+			
+			"Class.override() should not apply any of the overrides when one of them replaces a final method" : function() {
+				var render = Class.finalMethod( function() {} );
+				var Base = Class( { render : render } );
+				
+				var errorThrown = false;
+				try {
+					Class.override( Base, {
+						other : function() {},
+						render : function() {}
+					} );
+				} catch( e ) {
+					errorThrown = true;
+				}
+				
+				Y.Assert.isTrue( errorThrown, "An error should have been thrown" );
+				Y.Assert.areSame( render, Base.prototype.render );
+				Y.Assert.isUndefined( Base.prototype.other );
+			},
+			
+			
+			"Class.override() should make methods marked with Class.finalMethod() final" : function() {
+				var Base = Class( {} );
+				Class.override( Base, {
+					render : Class.finalMethod( function() {} )
+				} );
+				
+				try {
+					Base.extend( { render : function() {} } );
+					Y.Assert.fail( "An error should have been thrown" );
+				} catch( e ) {
+					Y.Assert.areSame( "Cannot override final method 'render'", e.message );
+				}
+			},
+			
+			
+			"A native ES2015 subclass of a final class, or which overrides a final method, should throw an error when instantiated" : function() {
+				if( !this.nativeClassesSupported ) { return; }
+				
+				var Final = Class( { 'final': true } ),
+				    Base = Class( { render: Class.finalMethod( function() {} ) } );
+				var NativeSubclass1 = ( new Function( "Base", "return class extends Base {};" ) )( Final ),
+				    NativeSubclass2 = ( new Function( "Base", "return class Button extends Base { render() {} };" ) )( Base );
+				
+				try {
+					new NativeSubclass1();
+					Y.Assert.fail( "An error should have been thrown for extending a final class" );
+				} catch( e ) {
+					Y.Assert.areSame( "Cannot extend final class", e.message );
+				}
+				try {
+					new NativeSubclass2();
+					Y.Assert.fail( "An error should have been thrown for overriding a final method" );
+				} catch( e ) {
+					Y.Assert.areSame( "Cannot override final method 'render' in class 'Button'", e.message );
+				}
+			}
+		},
+		
+		
+		{
+			/*
+			 * Test singleton classes
+			 */
+			name : "Test singleton classes",
+			
+			_should : {
+				error : {
+					"A singleton class should not be able to be instantiated with `new`" :
+						"Cannot instantiate singleton class 'SingletonTest.Settings'. Use its getInstance() method instead",
+					"A singleton class should not be able to be extended" :
+						"Cannot extend final class"
+				}
+			},
+			
+			tearDown : function() {
+				delete window.SingletonTest;
+			},
+			
+			
+			"extend() should return the instance of a singleton class, with the class available from getInstance()" : function() {
+				var settings = Class( {
+					singleton : true,
+					
+					constructor : function() {
+						this.theme = 'dark';
+					},
+					getTheme : function() { return this.theme; }
+				} );
+				
+				Y.Assert.isObject( settings );
+				Y.Assert.areSame( 'dark', settings.getTheme() );
+				Y.Assert.isFunction( settings.constructor.getInstance );
+				Y.Assert.areSame( settings, settings.constructor.getInstance() );
+				Y.Assert.isUndefined( settings.singleton, "The `singleton` property should not have been applied to the prototype" );
+			},
+			
+			
+			"A lazy singleton class should only be instantiated when getInstance() is first called" : function() {
+				var instantiations = 0;
+				var Settings = Class( {
+					singleton : 'lazy',
+					
+					constructor : function() { instantiations++; }
+				} );
+				
+				Y.Assert.isFunction( Settings, "extend() should have returned the class" );
+				Y.Assert.areSame( 0, instantiations );
+				
+				var settings = Settings.getInstance();
+				Y.Assert.areSame( 1, instantiations );
+				Y.Assert.areSame( settings, Settings.getInstance() );
+				Y.Assert.areSame( 1, instantiations, "The instance should only have been created once" );
+			},
+			
+			
+			"A singleton class should not be able to be instantiated with `new`" : function() {
+				var settings = Class( {
+					className : 'SingletonTest.Settings',
+					singleton : true
+				} );
+				
+				new settings.constructor();
+			},
+			
+			
+			"A singleton class should not be able to be extended" : function() {
+				var Settings = Class( { singleton : 'lazy' } );
+				
+				Settings.extend( {} );
+			},
+			
+			
+			"A singleton class should support statics, inheritedStatics, mixins, and a superclass" : function() {
+				var Mixin = Class( { mixinMethod : function() { return "mixin"; } } );
+				var Base = Class( {
+					inheritedStatics : { inheritedStatic : 1 },
+					baseMethod : function() { return "base"; }
+				} );
+				var settings = Base.extend( {
+					singleton : true,
+					mixins : [ Mixin ],
+					statics : { ownStatic : 2 }
+				} );
+				
+				Y.Assert.areSame( "mixin", settings.mixinMethod() );
+				Y.Assert.areSame( "base", settings.baseMethod() );
+				Y.Assert.areSame( 1, settings.constructor.inheritedStatic );
+				Y.Assert.areSame( 2, settings.constructor.ownStatic );
+			},
+			
+			
+			"A singleton class's onClassExtended method should run with the class, before the instance is created" : function() {
+				var events = [];
+				var Base = Class( {
+					inheritedStatics : {
+						onClassExtended : function( newClass ) {
+							events.push( typeof newClass === 'function' ? "onClassExtended" : "onClassExtended with an instance" );
+						}
+					},
+					constructor : function() {
+						events.push( "constructor" );
+					}
+				} );
+				events = [];
+				
+				Base.extend( { singleton : true } );
+				
+				Y.ArrayAssert.itemsAreSame( [ "onClassExtended", "constructor" ], events );
+			},
+			
+			
+			"Class.isInstanceOf() should accept the instance of a singleton class in place of the class" : function() {
+				var Mixin = Class( {} );
+				var Base = Class( {} );
+				var settings = Base.extend( {
+					singleton : true,
+					mixins : [ Mixin ]
+				} );
+				
+				Y.Assert.isTrue( Class.isInstanceOf( settings, settings ), "The instance should be an instance of its own class" );
+				Y.Assert.isTrue( Class.isInstanceOf( settings, settings.constructor ) );
+				Y.Assert.isTrue( Class.isInstanceOf( settings, Base ) );
+				Y.Assert.isTrue( Class.isInstanceOf( settings, Mixin ) );
+				Y.Assert.isFalse( Class.isInstanceOf( {}, settings ) );
+			},
+			
+			
+			"A named singleton's instance should be assigned to its namespace, and returned by Class.create()" : function() {
+				var settings = Class( {
+					className : 'SingletonTest.settings',
+					singleton : true
+				} );
+				
+				Y.Assert.areSame( settings, window.SingletonTest.settings, "The instance should have been assigned to the namespace" );
+				Y.Assert.areSame( settings.constructor, Class.get( 'SingletonTest.settings' ), "Class.get() should return the class" );
+				Y.Assert.areSame( settings, Class.create( 'SingletonTest.settings' ), "Class.create() should return the instance" );
+			}
+		},
+		
+		
+		{
+			/*
+			 * Test sealed and frozen instances, and frozen prototypes
+			 */
+			name : "Test sealed/frozen instances and frozen prototypes",
+			
+			_should : {
+				error : {
+					"Class.override() should throw an error for a class with a frozen prototype" :
+						"Class.override(): Cannot override class 'FreezeTest.Frozen', as its prototype is frozen",
+					"Adding advice to a method of a class with a frozen prototype should throw an error" :
+						"Cannot add before advice to 'method', as the class's prototype is frozen"
+				}
+			},
+			
+			setUp : function() {
+				this.freezeSupported = typeof Object.freeze === 'function';
+			},
+			
+			tearDown : function() {
+				delete window.FreezeTest;
+			},
+			
+			
+			"Instances of a class with `sealInstances` should be sealed after the constructor chain has run" : function() {
+				if( !this.freezeSupported ) { return; }
+				
+				var Base = Class( {
+					sealInstances : true,
+					
+					constructor : function() {
+						this.baseProp = 1;
+					}
+				} );
+				var Sub = Base.extend( {
+					constructor : function() {
+						this._super( arguments );
+						this.subProp = 2;  // should still be able to add properties after the superclass constructor has run
+					}
+				} );
+				var instance = new Sub();
+				
+				Y.Assert.areSame( 2, instance.subProp );
+				Y.Assert.isTrue( Object.isSealed( instance ) );
+				Y.Assert.isFalse( Object.isFrozen( instance ) );
+				
+				instance.baseProp = 3;
+				instance.typo = 4;
+				Y.Assert.areSame( 3, instance.baseProp, "Existing properties should still be writable" );
+				Y.Assert.isUndefined( instance.typo, "New properties should not have been added" );
+				Y.Assert.isTrue( Object.isSealed( new Base() ) );
+			},
+			
+			
+			"Instances of a class with `freezeInstances` should be frozen" : function() {
+				if( !this.freezeSupported ) { return; }
+				
+				var MyClass = Class( {
+					freezeInstances : true,
+					
+					constructor : function( value ) {
+						this.value = value;
+					}
+				} );
+				var instance = new MyClass( 1 );
+				
+				Y.Assert.isTrue( Object.isFrozen( instance ) );
+				instance.value = 2;
+				Y.Assert.areSame( 1, instance.value );
+				Y.Assert.isUndefined( MyClass.prototype.freezeInstances, "The `freezeInstances` property should not have been applied to the prototype" );
 			},
 			
 			
-			"isInstanceOf() should return true when testing an anonymous object with the Object constructor" : function() {
-				Y.Assert.isTrue( Class.isInstanceOf( {}, Object ), "isInstanceOf should have returned true" );
+			"A subclass should be able to turn off the inherited `sealInstances` option" : function() {
+				if( !this.freezeSupported ) { return; }
+				
+				var Base = Class( { sealInstances : true } );
+				var Sub = Base.extend( { sealInstances : false } );
+				var SubSub = Sub.extend( {} );
+				
+				Y.Assert.isFalse( Object.isSealed( new Sub() ) );
+				Y.Assert.isFalse( Object.isSealed( new SubSub() ) );
+			},
+			
+			
+			"The generated setters of a sealed class's `properties` should still be able to set the properties" : function() {
+				if( !this.freezeSupported ) { return; }
+				
+				var Base = Class( {
+					sealInstances : true,
+					
+					properties : {
+						name : { 'default' : "Unknown" },
+						size : {}
+					}
+				} );
+				var Sub = Base.extend( {
+					properties : {
+						color : { 'default' : "red" }
+					}
+				} );
+				
+				var instance = new Sub();
+				Y.Assert.isTrue( Object.isSealed( instance ) );
+				Y.Assert.areSame( "Unknown", instance.name, "The default value should have been kept" );
+				
+				instance.name = "Bob";
+				instance.size = 2;
+				instance.color = "blue";
+				Y.Assert.areSame( "Bob", instance.name );
+				Y.Assert.areSame( 2, instance.size );
+				Y.Assert.areSame( "blue", instance.color, "The subclass's property should have been set" );
+				Y.Assert.areSame( "Unknown", Base.prototype._name, "The default value on the prototype should not have been changed" );
+			},
+			
+			
+			"The data properties that a sealed instance inherits from its prototype should still be able to be set" : function() {
+				if( !this.freezeSupported ) { return; }
+				
+				var Counter = Class( {
+					sealInstances : true,
+					
+					count : 0,
+					increment : function() { this.count++; }
+				} );
+				var SubCounter = Counter.extend( {
+					step : 1
+				} );
+				
+				var counter = new SubCounter();
+				counter.increment();
+				counter.increment();
+				counter.step = 2;
+				Y.Assert.areSame( 2, counter.count, "The inherited property should have been incremented" );
+				Y.Assert.areSame( 2, counter.step );
+				Y.Assert.areSame( 0, Counter.prototype.count, "The prototype's value should not have been changed" );
+				Y.Assert.isFalse( counter.hasOwnProperty( 'increment' ), "Methods should not have been copied to the instance" );
+			},
+			
+			
+			"Methods which call _super() should still work on sealed and frozen instances" : function() {
+				if( !this.freezeSupported ) { return; }
+				
+				var Base = Class( {
+					getValue : function() { return 1; }
+				} );
+				var Sealed = Base.extend( {
+					sealInstances : true,
+					getValue : function() { return this._super() + 1; }
+				} );
+				var Frozen = Base.extend( {
+					freezeInstances : true,
+					getValue : function() { return this.callSuper() + 2; }
+				} );
+				
+				Y.Assert.areSame( 2, new Sealed().getValue() );
+				Y.Assert.areSame( 3, new Frozen().getValue() );
+				Y.Assert.areSame( 3, new Frozen().getValue(), "Should work when called a second time" );
+			},
+			
+			
+			"A class with `freezePrototype` should have its prototype frozen after its mixins have been applied" : function() {
+				if( !this.freezeSupported ) { return; }
+				
+				var Mixin = Class( { mixinMethod : function() {} } );
+				var Frozen = Class( {
+					freezePrototype : true,
+					mixins : [ Mixin ],
+					
+					method : function() {}
+				} );
+				
+				Y.Assert.isTrue( Object.isFrozen( Frozen.prototype ) );
+				Y.Assert.isFunction( Frozen.prototype.mixinMethod );
+				Y.Assert.isUndefined( Frozen.prototype.freezePrototype, "The `freezePrototype` property should not have been applied to the prototype" );
+			},
+			
+			
+			"A class with a frozen prototype should still be able to be extended, and have its methods overridden" : function() {
+				if( !this.freezeSupported ) { return; }
+				
+				var Frozen = Class( {
+					freezePrototype : true,
+					
+					config : { name : "" },
+					properties : {
+						size : { 'default' : 1 }
+					},
+					method : function() { return "frozen"; }
+				} );
+				var Sub = Frozen.extend( {
+					method : function() { return this._super() + " sub"; }
+				} );
+				var instance = new Sub( { name : "Bob" } );
+				
+				Y.Assert.areSame( Sub, instance.constructor, "The constructor property should have been set" );
+				Y.Assert.areSame( Frozen.prototype, instance.superclass(), "The superclass() method should have been set" );
+				Y.Assert.areSame( "frozen sub", instance.method() );
+				Y.Assert.areSame( "Bob", instance.getName() );
+				
+				instance.size = 2;
+				Y.Assert.areSame( 2, instance.size, "The accessor property's backing property should have been set on the instance" );
+				
+				var advice = [];
+				Class.before( Sub, 'method', function() { advice.push( "before" ); } );
+				instance.method();
+				Y.ArrayAssert.itemsAreSame( [ "before" ], advice, "Advice should be able to be added to a subclass's inherited method" );
+			},
+			
+			
+			"Class.override() should throw an error for a class with a frozen prototype" : function() {
+				if( !this.freezeSupported ) { throw new Error( "Class.override(): Cannot override class 'FreezeTest.Frozen', as its prototype is frozen" ); }
+				
+				var Frozen = Class( {
+					className : 'FreezeTest.Frozen',
+					freezePrototype : true
+				} );
+				
+				Class.override( Frozen, { method : function() {} } );
+			},
+			
+			
+			"Adding advice to a method of a class with a frozen prototype should throw an error" : function() {
+				if( !this.freezeSupported ) { throw new Error( "Cannot add before advice to 'method', as the class's prototype is frozen" ); }
+				
+				var Frozen = Class( {
+					freezePrototype : true,
+					method : function() {}
+				} );
+				
+				Class.before( Frozen, 'method', function() {} );
+			}
+		},
+		
+		
+		/*
+		 * Test serialize(), stringify(), revive(), and reviver()
+		 */
+		{
+			name : "Test serialization and revival",
+			
+			_should : {
+				error : {
+					"serialize() should throw an error for an instance of a class without a className" :
+						"Class.serialize(): Cannot serialize an instance of a class which has no `className`, as it could not be revived",
+					"revive() should throw an error for an unregistered class" :
+						"Class.revive(): No class named 'SerializeTest.Unknown' is registered",
+					"revive() should throw an error for a reference to an unknown object" :
+						"Class.revive(): Reference to unknown object $id 5",
+					"revive() should throw an error if it cannot restore the state of a frozen singleton instance" :
+						"Class.revive(): Cannot restore property 'a', as the object is sealed or frozen"
+				}
+			},
+			
+			tearDown : function() {
+				delete window.SerializeTest;
 			},
 			
 			
-			"isInstanceOf() should return true when testing an object of a class" : function() {
-				var MyClass = Class.extend( Object, { 
-					constructor : function() {}
+			"stringify() and revive() should recreate instances with their class and own state" : function() {
+				var Person = Class( {
+					className : 'SerializeTest.Person',
+					constructor : function( name ) { this.name = name; },
+					getName : function() { return this.name; }
 				} );
 				
-				var myInstance = new MyClass();
+				var json = Class.stringify( new Person( "Bob" ) );
+				Y.Assert.areSame( '{"$class":"SerializeTest.Person","$data":{"name":"Bob"}}', json );
 				
-				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyClass ), "Should have been true. myInstance is an instance of MyClass" );
+				var person = Class.revive( json );
+				Y.Assert.isInstanceOf( Person, person );
+				Y.Assert.areSame( "Bob", person.getName() );
 			},
 			
 			
-			"isInstanceOf() should return true when testing an object that is a subclass of a given class" : function() {
-				var MyClass = Class.extend( Object, { 
-					constructor : function() {}
+			"revive() should recreate nested instances, arrays, Dates, and plain objects" : function() {
+				var Item = Class( {
+					className : 'SerializeTest.Item',
+					constructor : function( name ) { this.name = name; }
 				} );
-				var MySubClass = Class.extend( MyClass, {
-					constructor : function() {}
+				var Order = Class( {
+					className : 'SerializeTest.Order',
+					constructor : function( items ) { this.items = items; this.placed = new Date( 1000 ); this.meta = { tags: [ 'a' ], $price: 5 }; }
 				} );
 				
-				var myInstance = new MySubClass();
-				
-				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyClass ), "Should have been true. myInstance is an instance of MySubClass, which inherits from MyClass" );
+				var order = Class.revive( Class.stringify( new Order( [ new Item( "x" ), new Item( "y" ) ] ) ) );
+				Y.Assert.isInstanceOf( Order, order );
+				Y.Assert.areSame( 2, order.items.length );
+				Y.Assert.isInstanceOf( Item, order.items[ 1 ] );
+				Y.Assert.areSame( "y", order.items[ 1 ].name );
+				Y.Assert.isInstanceOf( Date, order.placed );
+				Y.Assert.areSame( 1000, order.placed.getTime() );
+				Y.ArrayAssert.itemsAreSame( [ 'a' ], order.meta.tags );
+				Y.Assert.areSame( 5, order.meta.$price, "A property beginning with '$' should have been preserved" );
+				Y.Assert.isUndefined( order.meta.$object );
 			},
 			
 			
-			"isInstanceOf() should return false when testing an object that is not an instance of a given class" : function() {
-				var MyClass = Class.extend( Object, { 
-					constructor : function() {}
+			"revive() should restore shared and cyclic references" : function() {
+				var Node = Class( {
+					className : 'SerializeTest.Node',
+					constructor : function( name ) { this.name = name; this.children = []; this.parent = null; },
+					add : function( child ) { child.parent = this; this.children.push( child ); return this; }
 				} );
+				var shared = { value: 1 },
+				    root = new Node( "root" ).add( new Node( "a" ) ).add( new Node( "b" ) );
+				root.children[ 0 ].data = root.children[ 1 ].data = shared;
+				root.self = root;
 				
-				var SomeOtherClass = Class.extend( Object, {
-					constructor : function() {}
+				var revived = Class.revive( Class.serialize( root ) );
+				Y.Assert.areSame( revived, revived.self, "The cyclic reference should have been restored" );
+				Y.Assert.areSame( revived, revived.children[ 0 ].parent );
+				Y.Assert.areSame( revived, revived.children[ 1 ].parent );
+				Y.Assert.areSame( revived.children[ 0 ].data, revived.children[ 1 ].data, "The shared object should have been restored as one object" );
+				Y.Assert.areSame( 1, revived.children[ 0 ].data.value );
+				
+				var list = [ 1 ];
+				list.push( list );
+				var revivedList = Class.revive( Class.stringify( list ) );
+				Y.Assert.areSame( revivedList, revivedList[ 1 ], "The cyclic array should have been restored" );
+			},
+			
+			
+			"stringify() and revive() should preserve Maps and Sets, including the instances and references in them" : function() {
+				if( typeof Map !== 'function' || typeof Set !== 'function' ) { return; }
+				
+				var Item = Class( {
+					className : 'SerializeTest.Item2',
+					constructor : function( name ) { this.name = name; }
 				} );
+				var item = new Item( "x" ),
+				    map = new Map( [ [ "a", item ], [ 2, { n: 1 } ] ] ),
+				    set = new Set( [ item, "b" ] ),
+				    value = { map: map, set: set, sameMap: map };
+				map.set( "self", map );
 				
-				var myInstance = new SomeOtherClass();
+				var revived = Class.revive( Class.stringify( value ) );
+				Y.Assert.isInstanceOf( Map, revived.map );
+				Y.Assert.areSame( 3, revived.map.size );
+				Y.Assert.isInstanceOf( Item, revived.map.get( "a" ) );
+				Y.Assert.areSame( 1, revived.map.get( 2 ).n, "A non-string key should have been preserved" );
+				Y.Assert.areSame( revived.map, revived.map.get( "self" ), "The cyclic reference should have been restored" );
+				Y.Assert.areSame( revived.map, revived.sameMap, "The shared Map should have been restored as one object" );
 				
-				Y.Assert.isFalse( Class.isInstanceOf( myInstance, MyClass ), "Should have been false. myInstance is not an instance of MyClass" );
+				Y.Assert.isInstanceOf( Set, revived.set );
+				Y.Assert.areSame( 2, revived.set.size );
+				Y.Assert.isTrue( revived.set.has( revived.map.get( "a" ) ), "The instance should be shared between the Map and Set" );
+				Y.Assert.isTrue( revived.set.has( "b" ) );
 			},
 			
 			
-			"isInstanceOf() should return true when testing an object that has a given mixin class" : function() {
-				var MyMixinClass = Class.extend( Object, {
-					constructor : function() {}
+			"revive() should run constructors with no arguments by default, and not with `construct: false`" : function() {
+				var constructed = 0;
+				var Counter = Class( {
+					className : 'SerializeTest.Counter',
+					count : 0,
+					constructor : function() { constructed++; }
 				} );
+				var counter = new Counter();
+				counter.count = 5;
+				var json = Class.stringify( counter );
+				constructed = 0;
 				
-				var MyClass = Class.extend( Object, {
-					mixins: [ MyMixinClass ], 
-					constructor : function() {}
+				Class.revive( json );
+				Y.Assert.areSame( 1, constructed, "The constructor should have been run" );
+				
+				var revived = Class.revive( json, { construct: false } );
+				Y.Assert.areSame( 1, constructed, "The constructor should not have been run" );
+				Y.Assert.isInstanceOf( Counter, revived );
+				Y.Assert.areSame( 5, revived.count );
+			},
+			
+			
+			"revive() should revive instances of a class with a required config without running its constructor" : function() {
+				var constructed = 0;
+				var User = Class( {
+					className : 'SerializeTest.User',
+					config : {
+						name : Class.requiredConfig
+					},
+					constructor : function() { constructed++; }
 				} );
+				var json = Class.stringify( new User( { name: "Bob" } ) );
+				constructed = 0;
 				
-				var myInstance = new MyClass();
+				var user = Class.revive( json );
+				Y.Assert.isInstanceOf( User, user );
+				Y.Assert.areSame( "Bob", user.getName(), "The config's value should have been restored" );
+				Y.Assert.areSame( 0, constructed, "The constructor should not have been run" );
+			},
+			
+			
+			"Properties listed in `transient` (including the superclass's) should not be serialized" : function() {
+				var View = Class( {
+					className : 'SerializeTest.View',
+					'transient' : [ 'el' ],
+					constructor : function() { this.title = "t"; this.el = {}; this.cache = {}; this.handler = function() {}; }
+				} );
+				var ListView = View.extend( {
+					className : 'SerializeTest.ListView',
+					'transient' : [ 'cache' ]
+				} );
 				
-				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyMixinClass ), "Should have been true. myInstance has the mixin MyMixinClass" );
+				var data = Class.serialize( new ListView() ).$data;
+				Y.Assert.areSame( "t", data.title );
+				Y.Assert.isFalse( 'el' in data, "The superclass's transient property should not have been serialized" );
+				Y.Assert.isFalse( 'cache' in data, "The transient property should not have been serialized" );
+				Y.Assert.isFalse( 'handler' in data, "Methods should not have been serialized" );
+				Y.Assert.isFalse( ListView.prototype.hasOwnProperty( 'transient' ), "The special property should not have been applied to the prototype" );
 			},
 			
 			
-			"isInstanceOf() should return true when testing an object that has a given mixin class implemented in its superclass" : function() {
-				var MyMixinClass = Class.extend( Object, {
-					constructor : function() {}
+			"The `serialize` and `deserialize` methods of a class should be used to convert its state" : function() {
+				var Point = Class( {
+					className : 'SerializeTest.Point',
+					constructor : function( x, y ) { this.x = x; this.y = y; },
+					serialize : function() { return [ this.x, this.y ]; },
+					deserialize : function( state ) { this.x = state[ 0 ] * 1; this.y = state[ 1 ]; }
 				} );
 				
-				var MyClass = Class.extend( Object, {
-					mixins : [ MyMixinClass ], 
-					constructor : function() {}
+				var json = Class.stringify( { p: new Point( 1, 2 ) } );
+				Y.Assert.areSame( '{"p":{"$class":"SerializeTest.Point","$data":[1,2]}}', json );
+				
+				var point = Class.revive( json, { construct: false } ).p;
+				Y.Assert.isInstanceOf( Point, point );
+				Y.Assert.areSame( 1, point.x );
+				Y.Assert.areSame( 2, point.y );
+			},
+			
+			
+			"reviver() should create a JSON.parse() reviver which revives the parsed value" : function() {
+				var Tag = Class( {
+					className : 'SerializeTest.Tag',
+					constructor : function( name ) { this.name = name; }
 				} );
-				var MySubClass = Class.extend( MyClass, { 
-					constructor : function() {}
+				var tag = new Tag( "x" );
+				
+				var revived = JSON.parse( Class.stringify( { tags: [ tag, tag ], "": 1 } ), Class.reviver() );
+				Y.Assert.isInstanceOf( Tag, revived.tags[ 0 ] );
+				Y.Assert.areSame( revived.tags[ 0 ], revived.tags[ 1 ] );
+				Y.Assert.areSame( 1, revived[ "" ] );
+			},
+			
+			
+			"reviver() should revive nested objects whose only key is an empty string" : function() {
+				var Tag = Class( {
+					className : 'SerializeTest.Tag2',
+					constructor : function( name ) { this.name = name; }
 				} );
+				var tag = new Tag( "x" );
 				
-				var myInstance = new MySubClass();
+				var revived = JSON.parse( Class.stringify( { a: { "": tag }, b: { "": { "": [ tag ] } } } ), Class.reviver() );
+				Y.Assert.isInstanceOf( Tag, revived.a[ "" ], "The nested instance should have kept its class" );
+				Y.Assert.areSame( "x", revived.a[ "" ].name );
+				Y.Assert.areSame( revived.a[ "" ], revived.b[ "" ][ "" ][ 0 ], "The reference to the instance should have been restored" );
 				
-				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyMixinClass ), "Should have been true. myInstance has the mixin MyMixinClass through its superclass" );
+				var single = JSON.parse( Class.stringify( { "": tag } ), Class.reviver() );
+				Y.Assert.isInstanceOf( Tag, single[ "" ] );
 			},
 			
 			
-			"isInstanceOf() should return true when testing an object that has a given mixin class implemented in its superclass's superclass" : function() {
-				var MyMixinClass = Class.extend( Object, {
-					constructor : function() {}
-				} );
+			"revive() should not allow a __proto__ property to replace the prototype of an object or instance" : function() {
+				var Model = Class( { className : 'SerializeTest.Model' } );
 				
-				var MyClass = Class.extend( Object, {
-					mixins : [ MyMixinClass ], 
-					constructor : function() {}
+				var revived = Class.revive( '{ "obj": { "__proto__": { "polluted": true } }, "model": { "$class": "SerializeTest.Model", "$data": { "__proto__": { "polluted": true } } } }' );
+				Y.Assert.areSame( Object.prototype, Object.getPrototypeOf( revived.obj ) );
+				Y.Assert.areSame( Model.prototype, Object.getPrototypeOf( revived.model ) );
+				Y.Assert.isUndefined( revived.model.polluted );
+			},
+			
+			
+			"revive() should not restore `constructor`, `prototype`, or keys which would shadow a method" : function() {
+				var Model = Class( {
+					className : 'SerializeTest.Model2',
+					save : function() { return "saved"; }
 				} );
-				var MySubClass = Class.extend( MyClass, { 
-					constructor : function() {}
+				
+				var model = Class.revive( '{ "$class": "SerializeTest.Model2", "$data": { "constructor": 1, "prototype": 2, "save": 3, "name": "x" } }' );
+				Y.Assert.areSame( Model, model.constructor );
+				Y.Assert.isFalse( model.hasOwnProperty( 'prototype' ) );
+				Y.Assert.areSame( "saved", model.save() );
+				Y.Assert.areSame( "x", model.name );
+			},
+			
+			
+			"revive() should restore the state of instances of sealed and frozen classes before locking them" : function() {
+				if( !Object.freeze ) { return; }
+				
+				var Sealed = Class( {
+					className : 'SerializeTest.Sealed',
+					sealInstances : true,
+					constructor : function() { this.a = 0; }
 				} );
-				var MySubSubClass = Class.extend( MySubClass, { 
-					constructor : function() {}
+				var Frozen = Class( {
+					className : 'SerializeTest.Frozen',
+					freezeInstances : true,
+					constructor : function() { this.a = 0; }
 				} );
+				var json = '[ { "$class": "SerializeTest.Sealed", "$data": { "a": 1, "b": 2 } }, { "$class": "SerializeTest.Frozen", "$data": { "a": 1, "b": 2 } } ]';
 				
-				var myInstance = new MySubSubClass();
+				var options = [ {}, { construct: false } ];
+				for( var i = 0; i < options.length; i++ ) {
+					var revived = Class.revive( json, options[ i ] );
+					
+					Y.Assert.areSame( 1, revived[ 0 ].a );
+					Y.Assert.areSame( 2, revived[ 0 ].b, "The sealed instance's new property should have been restored" );
+					Y.Assert.isTrue( Object.isSealed( revived[ 0 ] ), "The instance should have been sealed" );
+					Y.Assert.areSame( 1, revived[ 1 ].a, "The frozen instance's property should have been restored" );
+					Y.Assert.areSame( 2, revived[ 1 ].b );
+					Y.Assert.isTrue( Object.isFrozen( revived[ 1 ] ), "The instance should have been frozen" );
+				}
 				
-				Y.Assert.isTrue( Class.isInstanceOf( myInstance, MyMixinClass ), "Should have been true. myInstance has the mixin MyMixinClass through its superclass's superclass" );
-			}
-		},
-		
-		
-		/*
-		 * Test isSubclassOf()
-		 */
-		{
-			name : "Test isSubclassOf()",
-			
-			
-			setUp : function() {
-				this.Superclass = Class( {} );
-				this.Subclass = this.Superclass.extend( {} );
-				this.SubSubclass = this.Subclass.extend( {} );
+				Y.Assert.isTrue( Object.isSealed( new Sealed() ), "Instances created afterwards should still be sealed" );
 			},
 			
 			
-			"isSubclassOf() should return false if either of the argument values are falsy" : function() {
-				Y.Assert.isFalse( Class.isSubclassOf( undefined, this.Superclass ), "should be false with undefined first arg" );
-				Y.Assert.isFalse( Class.isSubclassOf( this.Superclass, undefined ), "should be false with undefined second arg" );
-				Y.Assert.isFalse( Class.isSubclassOf( undefined, undefined ), "should be false with both args undefined" );
+			"revive() should throw an error if it cannot restore the state of a frozen singleton instance" : function() {
+				if( !Object.freeze ) { throw new Error( "Class.revive(): Cannot restore property 'a', as the object is sealed or frozen" ); }
+				
+				Class( {
+					className : 'SerializeTest.FrozenSingleton',
+					singleton : true,
+					freezeInstances : true,
+					a : 0
+				} );
+				Class.revive( '{ "$class": "SerializeTest.FrozenSingleton", "$data": { "a": 1 } }' );
 			},
 			
 			
-			"isSubclassOf() should return true the given classes are equal" : function() {
-				Y.Assert.isTrue( Class.isSubclassOf( this.Superclass, this.Superclass ), "should be true - Superclass is the same class as itself" );
-				Y.Assert.isTrue( Class.isSubclassOf( this.Subclass, this.Subclass ), "should be true - Subclass is the same class as itself" );
+			"serialize() should throw an error for an instance of a class without a className" : function() {
+				var Anonymous = Class( {} );
+				Class.serialize( { a: new Anonymous() } );
 			},
 			
-			"isSubclassOf() should return true if the subclass is derived from (i.e. extends) superclass" : function() {
-				Y.Assert.isTrue( Class.isSubclassOf( this.Subclass, this.Superclass ), "should be true - Subclass is derived from (i.e. extends) Superclass" );
-				Y.Assert.isTrue( Class.isSubclassOf( this.SubSubclass, this.Superclass ), "should be true - SubSubclass is derived from (i.e. extends) Superclass" );
-				Y.Assert.isTrue( Class.isSubclassOf( this.SubSubclass, this.Subclass ), "should be true - SubSubclass is derived from (i.e. extends) Subclass" );
+			
+			"revive() should throw an error for an unregistered class" : function() {
+				Class.revive( '{ "$class": "SerializeTest.Unknown", "$data": {} }' );
 			},
 			
 			
-			"isSubclassOf() should return false if the subclass is *not* derived from superclass" : function() {
-				Y.Assert.isFalse( Class.isSubclassOf( this.Superclass, this.Subclass ), "should be false - Superclass is *not* derived from Subclass" );
-				Y.Assert.isFalse( Class.isSubclassOf( this.Subclass, this.SubSubclass ), "should be false - Subclass is *not* derived from SubSubclass" );
+			"revive() should throw an error for a reference to an unknown object" : function() {
+				Class.revive( { a: { $ref: 5 } } );
 			}
 		},
 		
 		
 		/*
-		 * Test hasMixin()
+		 * Test clone(), equals(), and hash()
 		 */
 		{
-			name: "Test hasMixin()",
+			name : "Test clone(), equals(), and hash()",
 			
 			setUp : function() {
-				var me = this;
+				this.Point = Class( {
+					constructor : function( x, y ) { this.x = x; this.y = y; },
+					getX : function() { return this.x; }
+				} );
+			},
+			
+			
+			"clone() should create an object of the same class, without running the constructor, with a copy of its own state" : function() {
+				var constructed = 0;
+				var Person = Class( {
+					constructor : function( name ) { constructed++; this.name = name; this.tags = [ "a" ]; }
+				} );
+				var person = new Person( "Bob" );
 				
-				// Hijack the static hasMixin() method on the Class object, so we can determine how many times it is called
-				// (to figure out if caching is working)
-				me.originalHasMixinMethod = Class.hasMixin;
+				var copy = Class.clone( person );
+				Y.Assert.areNotSame( person, copy );
+				Y.Assert.isInstanceOf( Person, copy );
+				Y.Assert.areSame( 1, constructed, "The constructor should not have been run for the copy" );
+				Y.Assert.areSame( "Bob", copy.name );
+				Y.Assert.areSame( person.tags, copy.tags, "A shallow clone should share the property values" );
 				
-				me.hasMixinCallCount = 0;
-				Class.hasMixin = function( classToTest, mixinClass ) {
-					me.hasMixinCallCount++;
-					return me.originalHasMixinMethod( classToTest, mixinClass );
-				};
+				Y.Assert.areSame( 5, Class.clone( 5 ), "A primitive should be returned as is" );
+				Y.Assert.isNull( Class.clone( null ) );
 			},
 			
-			tearDown : function() {
-				Class.hasMixin = this.originalHasMixinMethod;
+			
+			"clone() with `deep` should clone nested instances, arrays, Dates, and plain objects" : function() {
+				var line = { start: new this.Point( 0, 0 ), points: [ new this.Point( 1, 2 ) ], created: new Date( 1000 ), meta: { label: "a" } };
+				
+				var copy = Class.clone( line, { deep: true } );
+				Y.Assert.areNotSame( line.start, copy.start );
+				Y.Assert.isInstanceOf( this.Point, copy.points[ 0 ] );
+				Y.Assert.areNotSame( line.points[ 0 ], copy.points[ 0 ] );
+				Y.Assert.areSame( 2, copy.points[ 0 ].y );
+				Y.Assert.areNotSame( line.created, copy.created );
+				Y.Assert.areSame( 1000, copy.created.getTime() );
+				Y.Assert.areNotSame( line.meta, copy.meta );
+				Y.Assert.areSame( "a", copy.meta.label );
 			},
 			
 			
-			// ---------------------------------
+			"clone() with `deep` should preserve shared and cyclic references" : function() {
+				var shared = { value: 1 },
+				    root = { a: shared, b: shared };
+				root.self = root;
+				
+				var copy = Class.clone( root, { deep: true } );
+				Y.Assert.areSame( copy, copy.self, "The cyclic reference should refer to the copy" );
+				Y.Assert.areNotSame( shared, copy.a );
+				Y.Assert.areSame( copy.a, copy.b, "The shared object should have been cloned once" );
+			},
 			
 			
-			"hasMixin() should check the class for a given mixin" : function() {
-				var Mixin = Class.extend( Object, {} );
-				var SomeOtherMixin = Class.extend( Object, {} );
+			"clone() should copy accessor properties as accessors, and seal or freeze the copy of a sealed or frozen object" : function() {
+				if( !Object.freeze ) { return; }
 				
-				var MyClass = Class.extend( Object, {	
-					mixins : [ Mixin ]
+				var Frozen = Class( {
+					freezeInstances : true,
+					constructor : function( value ) { this.value = value; }
 				} );
+				var copy = Class.clone( new Frozen( 1 ) );
+				Y.Assert.isTrue( Object.isFrozen( copy ) );
+				Y.Assert.areSame( 1, copy.value );
 				
-				Y.Assert.isTrue( Class.hasMixin( MyClass, Mixin ), "MyClass should have the mixin 'Mixin'" );
-				Y.Assert.isFalse( Class.hasMixin( MyClass, SomeOtherMixin ), "MyClass should *not* have the mixin 'SomeOtherMixin'" );
+				var withAccessor = {};
+				Object.defineProperty( withAccessor, 'now', { get : function() { return "computed"; }, enumerable : true, configurable : true } );
+				Y.Assert.isFunction( Object.getOwnPropertyDescriptor( Class.clone( withAccessor, { deep: true } ), 'now' ).get );
 			},
 			
 			
-			
-			"hasMixin() should check the class and all of its superclasses for a given mixin" : function() {
-				var Mixin = Class.extend( Object, {} );
-				var SomeOtherMixin = Class.extend( Object, {} );
-				var SomeOtherMixin2 = Class.extend( Object, {} );
-				var NobodyHasThisMixin = Class.extend( Object, {} );
+			"clone() should lock the copy of a sealed or frozen instance as a new instance, so that its overriding methods may still call _super()" : function() {
+				if( !Object.freeze ) { return; }
 				
-				var MySuperBaseClass = Class.extend( Object, {
-					mixins : [ Mixin ]
+				var Base = Class( {
+					constructor : function( value ) { this.value = value; },
+					getValue : function() { return this.value; }
 				} );
-				var MyBaseClass = Class.extend( MySuperBaseClass, {
-					mixins : [ SomeOtherMixin ]
+				var Sealed = Base.extend( {
+					sealInstances : true,
+					getValue : function() { return this._super() * 10; }
 				} );
-				var MyClass = Class.extend( MyBaseClass, {
-					mixins : [ SomeOtherMixin2 ]
+				var Frozen = Base.extend( {
+					freezeInstances : true,
+					getValue : function() { return this._super() + 1; }
 				} );
 				
-				// Looping tests twice. First iteration tests the lookup, second tests that caching is working correctly (i.e. has not skewed the result)
-				for( var i = 0; i <= 1; i++ ) {
-					var pass = ( i === 0 ) ? "initial" : "cached"; 
-					Y.Assert.isTrue( Class.hasMixin( MyClass, Mixin ), "MyClass should have the mixin 'Mixin' from its superclass's superclass. pass = " + pass );
-					Y.Assert.isTrue( Class.hasMixin( MyClass, SomeOtherMixin ), "MyClass should have the mixin 'SomeOtherMixin' on its superclass. pass = " + pass );
-					Y.Assert.isTrue( Class.hasMixin( MyClass, SomeOtherMixin2 ), "MyClass should have the mixin 'SomeOtherMixin2' on itself. pass = " + pass );
-					Y.Assert.isFalse( Class.hasMixin( MyClass, NobodyHasThisMixin ), "MyClass should *not* have the mixin 'NobodyHasThisMixin'. pass = " + pass );
-				}
+				var sealed = new Sealed( 1 ),
+				    sealedCopy = Class.clone( sealed );
+				Y.Assert.isTrue( Object.isSealed( sealedCopy ) );
+				Y.Assert.areNotSame( Object.getOwnPropertyDescriptor( sealed, '_super' ).get, Object.getOwnPropertyDescriptor( sealedCopy, '_super' ).get, 
+				                     "The copy's `_super` property should not store its value for the original" );
+				Y.Assert.areSame( 10, sealed.getValue() );
+				Y.Assert.areSame( 10, sealedCopy.getValue() );
+				
+				sealedCopy.value = 2;
+				Y.Assert.areSame( 20, sealedCopy.getValue() );
+				Y.Assert.areSame( 10, sealed.getValue(), "The original should not be affected by the copy" );
+				
+				var frozen = new Frozen( 1 ),
+				    frozenCopy = Class.clone( frozen, { deep: true } );
+				Y.Assert.isTrue( Object.isFrozen( frozenCopy ) );
+				Y.Assert.areSame( 2, frozen.getValue() );
+				Y.Assert.areSame( 2, frozenCopy.getValue() );
 			},
 			
 			
-			
-			"hasMixin() should work with mixins and classes defined by regular functions (not using extend())" : function() {
-				var Mixin = function() {};
-				var SomeOtherMixin = function() {};
-				var NobodyHasThisMixin = function() {};
-				
-				var MySuperBaseClass = function() {};
-				var MyBaseClass = Class.extend( MySuperBaseClass, {
-					mixins : [ Mixin ]
-				} );
-				var MyClass = Class.extend( MyBaseClass, {
-					mixins : [ SomeOtherMixin ]
+			"clone() should use the class's clone() method, which may call Class.clone() with `skipHook` for the default behavior" : function() {
+				var nextId = 1;
+				var Doc = Class( {
+					constructor : function() { this.id = nextId++; },
+					clone : function() {
+						var copy = Class.clone( this, { skipHook: true } );
+						copy.id = nextId++;
+						return copy;
+					}
 				} );
+				var doc = new Doc();
 				
-				// Looping tests twice. First iteration tests the lookup, second tests that caching is working correctly
-				for( var i = 0; i <= 1; i++ ) {
-					var pass = ( i === 0 ) ? "initial" : "cached"; 
-					Y.Assert.isTrue( Class.hasMixin( MyClass, Mixin ), "MyClass should have the mixin 'Mixin' from its superclass. pass = " + pass );
-					Y.Assert.isTrue( Class.hasMixin( MyClass, SomeOtherMixin ), "MyClass should have the mixin 'SomeOtherMixin' on itself. pass = " + pass );
-					Y.Assert.isFalse( Class.hasMixin( MyClass, NobodyHasThisMixin ), "MyClass should *not* have the mixin 'NobodyHasThisMixin'. pass = " + pass );
-				}
+				var copy = Class.clone( { doc: doc }, { deep: true } ).doc;
+				Y.Assert.isInstanceOf( Doc, copy );
+				Y.Assert.areSame( 2, copy.id, "The clone() method should have been used" );
+				Y.Assert.areSame( 3, doc.clone().id );
 			},
 			
 			
-			// ---------------------------------
-			
-			// Test hasMixin() caching
-			
-			
-			"hasMixin() should assign an id to the mixinClass when the class is provided to hasMixin(), for use with caching if it doesn't already have one" : function() {
-				var MyMixinClass = Class.extend( Object, {
-					constructor : function() {}
-				} );
-				
-				var MyClass = Class.extend( Object, {
-					mixins : [ MyMixinClass ], 
-					constructor : function() {}
+			"clone() should return the instance of a singleton class itself, including when it is nested" : function() {
+				var settings = Class( {  // an eagerly created singleton, which returns its instance
+					singleton : true,
+					constructor : function() { this.values = {}; }
 				} );
 				
-				Y.Assert.isUndefined( MyMixinClass.__Class_classId, "Initial condition: MyClass should not yet have a __Class_classId" );
+				Y.Assert.areSame( settings, Class.clone( settings ) );
+				Y.Assert.areSame( settings, Class.clone( settings, { deep: true } ) );
 				
-				// Now call the hasMixin() function, and check for the classId
-				Class.hasMixin( MyClass, MyMixinClass );
-				Y.Assert.isNumber( MyMixinClass.__Class_classId, "MyClass should now have a numeric __Class_classId" );
+				var holder = { settings: settings, list: [ settings ] },
+				    copy = Class.clone( holder, { deep: true } );
+				Y.Assert.areNotSame( holder, copy );
+				Y.Assert.areSame( settings, copy.settings, "The nested singleton instance should not have been copied" );
+				Y.Assert.areSame( settings, copy.list[ 0 ] );
 			},
 			
 			
-			"hasMixin() should create a cache hashmap on the classToTest when the class is provided to hasMixin(), and it should not be re-created during subsequent calls" : function() {
-				var MyMixinClass = Class.extend( Object, {
-					constructor : function() {}
-				} );
+			"equals() should compare the class and own state of objects recursively" : function() {
+				var Point = this.Point,
+				    Point3D = Point.extend( {} );
 				
-				var MyClass = Class.extend( Object, {
-					mixins : [ MyMixinClass ], 
-					constructor : function() {}
+				Y.Assert.isTrue( Class.equals( new Point( 1, 2 ), new Point( 1, 2 ) ) );
+				Y.Assert.isFalse( Class.equals( new Point( 1, 2 ), new Point( 1, 3 ) ) );
+				Y.Assert.isFalse( Class.equals( new Point( 1, 2 ), { x: 1, y: 2 } ), "Objects of different classes should not be equal" );
+				Y.Assert.isFalse( Class.equals( new Point( 1, 2 ), new Point3D( 1, 2 ) ), "A subclass instance should not be equal by default" );
+				Y.Assert.isTrue( Class.equals( new Point( 1, 2 ), new Point3D( 1, 2 ), { exactClass: false } ) );
+				Y.Assert.isTrue( Class.equals( { list: [ 1, { a: NaN } ], date: new Date( 5 ) }, { list: [ 1, { a: NaN } ], date: new Date( 5 ) } ) );
+				Y.Assert.isFalse( Class.equals( [ 1, 2 ], [ 1, 2, 3 ] ) );
+				Y.Assert.isFalse( Class.equals( { a: 1 }, { a: 1, b: undefined } ) );
+				Y.Assert.isFalse( Class.equals( 1, "1" ) );
+			},
+			
+			
+			"equals() should ignore transient properties, and handle cyclic references" : function() {
+				var Node = Class( {
+					'transient' : [ 'cache' ],
+					constructor : function( name ) { this.name = name; this.cache = {}; this.self = this; }
 				} );
 				
-				Y.Assert.isUndefined( MyClass.__Class_hasMixinCache, "Initial condition: MyClass should not yet have a hasMixinCache" );
-				
-				// Now call the hasMixin() function, and check for the hasMixinCache
-				Class.hasMixin( MyClass, MyMixinClass );
-				var hasMixinCache = MyClass.__Class_hasMixinCache;
-				Y.Assert.isObject( hasMixinCache, "MyClass should now have a hasMixinCache" );
-				
-				// Now call the hasMixin() function again, and check that it still has the same hasMixinCache
-				Class.hasMixin( MyClass, MyMixinClass );
-				Y.Assert.areSame( hasMixinCache, MyClass.__Class_hasMixinCache, "The has mixin cache should not have been re-created into a new object with a subsequent call to hasMixin()" );	
+				Y.Assert.isTrue( Class.equals( new Node( "a" ), new Node( "a" ) ) );
+				Y.Assert.isFalse( Class.equals( new Node( "a" ), new Node( "b" ) ) );
 			},
 			
 			
-			"hasMixin()'s caching should work" : function() {
-				var MyMixinClass = Class.extend( Object, {
-					constructor : function() {}
+			"equals() and hash() should use the class's equals() and hashCode() methods" : function() {
+				var Money = Class( {
+					constructor : function( amount, currency ) { this.amount = amount; this.currency = currency; this.formatted = Math.random(); },
+					equals : function( other ) { return other instanceof Money && this.amount === other.amount && this.currency === other.currency; },
+					hashCode : function() { return Class.hash( [ this.amount, this.currency ] ); }
 				} );
 				
-				var MyClass = Class.extend( Object, {
-					mixins : [ MyMixinClass ], 
-					constructor : function() {}
-				} );
-				var MySubClass = Class.extend( MyClass, { 
-					constructor : function() {}
+				Y.Assert.isTrue( Class.equals( new Money( 5, "USD" ), new Money( 5, "USD" ) ) );
+				Y.Assert.isTrue( Class.equals( [ new Money( 5, "USD" ) ], [ new Money( 5, "USD" ) ] ), "The equals() method should be used for nested instances" );
+				Y.Assert.isFalse( Class.equals( new Money( 5, "USD" ), new Money( 5, "EUR" ) ) );
+				Y.Assert.areSame( Class.hash( new Money( 5, "USD" ) ), Class.hash( new Money( 5, "USD" ) ) );
+				Y.Assert.areSame( Class.hash( [ 5, "USD" ] ), Class.hash( new Money( 5, "USD" ) ) );
+				
+				var Default = Class( {
+					constructor : function( value ) { this.value = value; },
+					equals : function( other ) { return Class.equals( this, other, { skipHook: true } ); }
 				} );
+				Y.Assert.isTrue( new Default( 1 ).equals( new Default( 1 ) ), "The equals() method should be able to call Class.equals() for the default comparison" );
+				Y.Assert.isFalse( new Default( 1 ).equals( new Default( 2 ) ) );
+			},
+			
+			
+			"hash() should return the same 32-bit integer for equal values" : function() {
+				var hash = Class.hash( { b: [ 1, "x" ], a: new this.Point( 1, 2 ) } );
 				
+				Y.Assert.areSame( hash, Class.hash( { a: new this.Point( 1, 2 ), b: [ 1, "x" ] } ), "Property order should not affect the hash" );
+				Y.Assert.areSame( hash | 0, hash );
+				Y.Assert.areNotSame( Class.hash( [ 1, 2 ] ), Class.hash( [ 2, 1 ] ) );
+				Y.Assert.areNotSame( Class.hash( "a" ), Class.hash( "b" ) );
 				
-				// Upon the first call to hasMixin(), the hasMixinCallCount should be 2, as the superclass had to be checked
-				Class.hasMixin( MySubClass, MyMixinClass );
-				Y.Assert.areSame( 2, this.hasMixinCallCount, "Initial condition: There should have been 2 calls to hasMixin(), as the superclass had to be checked" );
+				var cyclic = { name: "a" };
+				cyclic.self = cyclic;
+				Y.Assert.isNumber( Class.hash( cyclic ) );
 				
-				// Now when called again, the hasMixinCallCount should only increase by 1 (putting it at 3), as the result of checking
-				// the superclass should have been cached
-				Class.hasMixin( MySubClass, MyMixinClass );
-				Y.Assert.areSame( 3, this.hasMixinCallCount, "There should have only been 3 calls to hasMixin() (one more than on last use of it), as the result from the superclass now should have been cached" );
+				var Salted = Class( {
+					constructor : function( value ) { this.value = value; },
+					hashCode : function() { return Class.hash( this, { skipHook: true } ) ^ 42; }
+				} );
+				Y.Assert.areSame( Class.hash( new Salted( 1 ), { skipHook: true } ) ^ 42, Class.hash( new Salted( 1 ) ), "The hashCode() method should be able to call Class.hash() for the default hash code" );
 			}
 		}
 	]
@@ -0,0 +1,43 @@
+/*
+ * Tests the package's entry points, as a consumer of the package loads them: `require( 'class.js' )` (the UMD build, Class.js),
+ * and `import ... from 'class.js'` (the ES module, Class.mjs). Run with `npm run test:modules`.
+ */
+import assert from 'assert';
+import fs from 'fs';
+import { createRequire } from 'module';
+import DefaultClass, { extend, isInstanceOf, assign, serialize, revive } from 'class.js';
+
+var require = createRequire( import.meta.url ),
+    RequiredClass = require( 'class.js' );
+
+
+// The build (Class.js) must be up to date with the source (src/Class.js)
+var builtSource = fs.readFileSync( new URL( '../../Class.js', import.meta.url ), 'utf8' ),
+    source = fs.readFileSync( new URL( '../../src/Class.js', import.meta.url ), 'utf8' );
+assert.ok( builtSource.indexOf( source ) !== -1, "Class.js is out of date with src/Class.js. Run `npm run build`." );
+
+
+// require() and import should both provide the same, working, Class function
+assert.strictEqual( typeof RequiredClass, 'function', "require( 'class.js' ) should return the Class function" );
+assert.strictEqual( DefaultClass, RequiredClass, "The default export should be the Class function" );
+
+var Animal = RequiredClass( {
+	constructor : function( name ) { this.name = name; },
+	getName : function() { return this.name; }
+} );
+var Dog = extend( Animal, {} );
+assert.strictEqual( new Dog( "Rex" ).getName(), "Rex" );
+assert.ok( isInstanceOf( new Dog( "Rex" ), Animal ) );
+
+
+// Each of the static methods of Class should be a named export of the ES module
+var esModule = await import( 'class.js' );
+for( var name in RequiredClass ) {
+	if( RequiredClass.hasOwnProperty( name ) && typeof RequiredClass[ name ] === 'function' && name !== 'interface' && name.indexOf( '__' ) !== 0 ) {
+		assert.strictEqual( esModule[ name ], RequiredClass[ name ], "The ES module should export `" + name + "`" );
+	}
+}
+assert.strictEqual( assign, RequiredClass.assign );
+assert.strictEqual( revive( serialize( [ 1, { a: 2 } ] ) )[ 1 ].a, 2 );
+
+console.log( "Entry point tests passed" );
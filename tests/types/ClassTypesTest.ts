@@ -0,0 +1,251 @@
+/*
+ * Type tests for Class.d.ts. These are checked by compiling them with the TypeScript compiler (`tsc -p tests/types`), and are
+ * not run. Lines marked with `@ts-expect-error` must produce a type error.
+ */
+import Class = require( '../../Class' );
+import DefaultClass, { extend, isInstanceOf } from '../../Class';
+
+
+// Asserts that the type of a value is exactly the `Expected` type (and not, for example, `any`). Ex: `typeOf( x ).is<string>( true );`
+type Equals<A, B> = ( <T>() => T extends A ? 1 : 2 ) extends ( <T>() => T extends B ? 1 : 2 ) ? true : false;
+declare function typeOf<T>( value: T ): { is<Expected>( result: Equals<T, Expected> ): void };
+
+
+// --------------------------------
+
+// Creating classes, and `this` within their methods
+
+var Animal = Class( {
+	constructor : function( name: string ) {
+		this.name = name;
+	},
+	
+	name : "",
+	
+	getName : function() {
+		return this.name;
+	},
+	
+	statics : {
+		create : function( name: string ) { return new Animal( name ); }
+	},
+	
+	inheritedStatics : {
+		kingdom : "Animalia"
+	}
+} );
+
+var animal = new Animal( "Lassie" );
+typeOf( animal.name ).is<string>( true );
+typeOf( animal.getName() ).is<string>( true );
+typeOf( Animal.kingdom ).is<string>( true );
+typeOf( Animal.create( "Bolt" ) ).is<typeof animal>( true );
+
+// @ts-expect-error: The constructor requires a string argument
+new Animal( 1 );
+
+
+// --------------------------------
+
+// Extending classes, _super(), and inherited statics
+
+var Dog = Animal.extend( {
+	bark : function( times: number ) {
+		return "Woof".repeat( times );
+	},
+	
+	getName : function() {
+		return "Dog: " + this._super( arguments );
+	}
+} );
+
+var dog = new Dog( "Lassie" );  // the superclass's constructor arguments
+typeOf( dog.name ).is<string>( true );
+typeOf( dog.bark( 2 ) ).is<string>( true );
+typeOf( dog.getName() ).is<string>( true );
+typeOf( Dog.kingdom ).is<string>( true );
+typeOf( animal.getName ).is<typeof Dog.superclass.getName>( true );
+typeOf( Dog.hasMixin( Animal ) ).is<boolean>( true );
+
+// @ts-expect-error: non-inherited statics are not available on the subclass
+Dog.create( "Bolt" );
+
+var Puppy = Class.extend( Dog, {
+	constructor : function( name: string, age: number ) {
+		this.callSuper( name );
+		this.age = age;
+	},
+	age : 0
+} );
+var puppy = new Puppy( "Bolt", 1 );
+typeOf( puppy.age ).is<number>( true );
+typeOf( puppy.bark( 1 ) ).is<string>( true );
+typeOf( puppy.hasMixin( Animal ) ).is<boolean>( true );
+
+// @ts-expect-error: Puppy's constructor requires an age
+new Puppy( "Bolt" );
+
+
+// --------------------------------
+
+// Mixins
+
+var Observable = Class( {
+	fireEvent : function( eventName: string ) { return eventName.length > 0; }
+} );
+var Serializable = Class( {
+	serialize : function() { return JSON.stringify( this ); }
+} );
+
+var Duck = Class( {
+	mixins : [ Observable, { mixin: Serializable, exclude: [] } ],
+	
+	quack : function() {
+		return this.fireEvent( 'quack' );
+	}
+} );
+var duck = new Duck();
+typeOf( duck.quack() ).is<boolean>( true );
+typeOf( duck.fireEvent( 'x' ) ).is<boolean>( true );
+typeOf( duck.serialize() ).is<string>( true );
+typeOf( duck.callMixin( Observable, 'fireEvent', [ 'x' ] ) ).is<boolean>( true );
+
+if( Class.isInstanceOf( {} as unknown, Observable ) ) {
+	typeOf( ( {} as InstanceType<typeof Observable> ).fireEvent( 'x' ) ).is<boolean>( true );
+}
+
+
+// --------------------------------
+
+// Configs, properties, and special properties
+
+var Person = Class( {
+	config : {
+		name : "",
+		age : 0
+	},
+	
+	properties : {
+		upperName : {
+			get : function(): string { return "" }
+		}
+	},
+	
+	className : 'types.Person',
+	strictMixins : true
+} );
+var person = new Person();
+typeOf( person.getName() ).is<string>( true );
+typeOf( person.age ).is<number>( true );
+typeOf( person.upperName ).is<string>( true );
+person.setAge( 22 );
+
+// @ts-expect-error: setAge() requires a number
+person.setAge( "22" );
+
+// @ts-expect-error: special properties are not members of the instances
+person.className;
+
+
+// --------------------------------
+
+// Static utilities
+
+var List = Class[ 'interface' ]( { name: 'List', methods: [ 'add' ] } );
+var ArrayList = Class( {
+	'implements' : [ List ],
+	add : function( item: any ) {}
+} );
+typeOf( Class.implementsInterface( ArrayList, List ) ).is<boolean>( true );
+var SingleList = Class( {
+	'implements' : List,  // a single interface
+	add : function( item: any ) {}
+} );
+typeOf( Class.implementsInterface( SingleList, List ) ).is<boolean>( true );
+typeOf( Class.isSubclassOf( Dog, Animal ) ).is<boolean>( true );
+typeOf( Class.describe( Dog ) ).is<Class.ClassDescription>( true );
+typeOf( Class.abstractMethod( 'render' ) ).is<( ...args: any[] ) => never>( true );
+Class.validate( Dog );
+typeOf( Class.assign( { a: 1 }, { b: "b" } ) ).is<{ a: number } & { b: string }>( true );
+typeOf( Class.applyConfig( new Dog( "Rex" ), JSON.parse( "{}" ), { declaredOnly: true, onReject: function( key, reason ) {} } ) ).is<InstanceType<typeof Dog>>( true );
+var merged: { a: number } = Class.merge( { a: 1 }, { b: { c: 2 } }, { b: { d: 3 } }, { arrays: 'union' } );
+var mergedWith: { a: number } = Class.mergeWith( { arrays: 'concat' }, { a: 1 }, { b: [ 1 ] }, { arrays: 'union' } );
+
+var MergingGrid = Class( {
+	mergeMembers : { members: [ 'defaults' ], arrays: 'concat' },
+	defaults : { pageSize: 25 }
+} );
+typeOf( new MergingGrid().defaults ).is<{ pageSize: number }>( true );
+// @ts-expect-error - `mergeMembers` is not a member of the instances
+new MergingGrid().mergeMembers;
+
+var Session = Class( {
+	className : 'types.Session',
+	'transient' : [ 'socket' ],
+	socket : null as object | null,
+	userId : 0
+} );
+typeOf( Class.stringify( new Session(), 2 ) ).is<string>( true );
+var revivedSession = JSON.parse( Class.stringify( new Session() ), Class.reviver( { construct: false } ) );
+Class.revive( Class.serialize( [ new Session() ] ) );
+// @ts-expect-error - `transient` is not a member of the instances
+new Session()[ 'transient' ];
+
+typeOf( Class.clone( new Session(), { deep: true } ) ).is<InstanceType<typeof Session>>( true );
+typeOf( Class.equals( new Session(), new Session(), { exactClass: false } ) ).is<boolean>( true );
+typeOf( Class.hash( new Session() ) ).is<number>( true );
+
+var FinalWidget = Class( {
+	'final' : true,
+	finals : [ 'render' ],
+	render : Class.finalMethod( function( times: number ) { return times; } )
+} );
+typeOf( new FinalWidget().render( 1 ) ).is<number>( true );
+// @ts-expect-error - `final` is not a member of the instances
+new FinalWidget()[ 'final' ];
+
+var settings = Class( {
+	singleton : true,
+	theme : 'dark',
+	getTheme : function() { return this.theme; }
+} );
+typeOf( settings.getTheme() ).is<string>( true );
+typeOf( settings.constructor.getInstance().getTheme() ).is<string>( true );
+
+var LazySettings = Class( {
+	singleton : 'lazy',
+	theme : 'dark'
+} );
+typeOf( LazySettings.getInstance().theme ).is<string>( true );
+
+var Point = Class( {
+	freezeInstances : true,
+	freezePrototype : true,
+	x : 0
+} );
+// @ts-expect-error - `freezePrototype` is not a member of the instances
+new Point().freezePrototype;
+typeOf( Class.getSubclasses( Animal, { deep: true } ) ).is<Function[]>( true );
+typeOf( Dog.getSuperclasses() ).is<Function[]>( true );
+typeOf( Class.describe( Dog ).members[ 'bark' ].source ).is<'own' | 'superclass' | 'mixin'>( true );
+
+Class.override( Dog, {
+	bark : function( times: number ) { return this._super( [ times ] ); }
+} );
+
+var handle = Class.before( Dog, 'bark', function( times ) {} );
+handle.remove();
+
+var superBark = Class.superOf( puppy, 'bark' );
+typeOf( superBark( 1 ) ).is<string>( true );
+
+typeOf( Class.debug ).is<boolean>( true );
+
+
+// --------------------------------
+
+// The default and named exports (of the ES module)
+
+typeOf( DefaultClass ).is<typeof Class>( true );
+typeOf( extend ).is<typeof Class.extend>( true );
+typeOf( isInstanceOf ).is<typeof Class.isInstanceOf>( true );